@@ -0,0 +1,28 @@
+-- CreateTable
+CREATE TABLE "refresh_tokens" (
+    "token_id" TEXT NOT NULL,
+    "user_id" TEXT NOT NULL,
+    "token_hash" TEXT NOT NULL,
+    "family_id" TEXT NOT NULL,
+    "expires_at" TIMESTAMP(3) NOT NULL,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "revoked_at" TIMESTAMP(3),
+    "revoked_reason" TEXT,
+    "replaced_by" TEXT,
+    "ip_address" TEXT,
+    "user_agent" TEXT,
+
+    CONSTRAINT "refresh_tokens_pkey" PRIMARY KEY ("token_id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "refresh_tokens_token_hash_key" ON "refresh_tokens"("token_hash");
+
+-- CreateIndex
+CREATE INDEX "idx_refresh_token_user" ON "refresh_tokens"("user_id");
+
+-- CreateIndex
+CREATE INDEX "idx_refresh_token_family" ON "refresh_tokens"("family_id");
+
+-- AddForeignKey
+ALTER TABLE "refresh_tokens" ADD CONSTRAINT "refresh_tokens_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,22 @@
+-- CreateTable
+CREATE TABLE "password_reset_tokens" (
+    "reset_id" TEXT NOT NULL,
+    "user_id" TEXT NOT NULL,
+    "token_hash" TEXT NOT NULL,
+    "expires_at" TIMESTAMP(3) NOT NULL,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "used_at" TIMESTAMP(3),
+    "revoked_at" TIMESTAMP(3),
+    "requested_ip" TEXT,
+
+    CONSTRAINT "password_reset_tokens_pkey" PRIMARY KEY ("reset_id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "password_reset_tokens_token_hash_key" ON "password_reset_tokens"("token_hash");
+
+-- CreateIndex
+CREATE INDEX "idx_password_reset_user" ON "password_reset_tokens"("user_id");
+
+-- AddForeignKey
+ALTER TABLE "password_reset_tokens" ADD CONSTRAINT "password_reset_tokens_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,24 @@
+-- AlterTable
+ALTER TABLE "users" ADD COLUMN     "failed_login_attempts" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "last_failed_login_at" TIMESTAMP(3),
+ADD COLUMN     "locked_until" TIMESTAMP(3);
+
+-- CreateTable
+CREATE TABLE "login_attempts" (
+    "attempt_id" TEXT NOT NULL,
+    "identifier" TEXT NOT NULL,
+    "user_id" TEXT,
+    "ip_address" TEXT,
+    "user_agent" TEXT,
+    "success" BOOLEAN NOT NULL,
+    "failure_reason" TEXT,
+    "attempted_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "login_attempts_pkey" PRIMARY KEY ("attempt_id")
+);
+
+-- CreateIndex
+CREATE INDEX "idx_login_attempt_ip_time" ON "login_attempts"("ip_address", "attempted_at");
+
+-- CreateIndex
+CREATE INDEX "idx_login_attempt_identifier_time" ON "login_attempts"("identifier", "attempted_at");
@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE "users" ADD COLUMN     "two_factor_enabled" BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN     "two_factor_secret" TEXT,
+ADD COLUMN     "two_factor_recovery_codes" TEXT[] DEFAULT ARRAY[]::TEXT[],
+ADD COLUMN     "two_factor_enabled_at" TIMESTAMP(3),
+ADD COLUMN     "two_factor_last_used_step" INTEGER;
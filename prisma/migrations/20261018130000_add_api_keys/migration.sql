@@ -0,0 +1,47 @@
+-- AlterEnum
+ALTER TYPE "SystemAction" ADD VALUE 'API_KEY_CREATED';
+ALTER TYPE "SystemAction" ADD VALUE 'API_KEY_REVOKED';
+
+-- CreateTable
+CREATE TABLE "api_keys" (
+    "api_key_id" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "key_prefix" TEXT NOT NULL,
+    "key_hash" TEXT NOT NULL,
+    "user_id" TEXT NOT NULL,
+    "organisation_id" TEXT NOT NULL,
+    "client_id" TEXT,
+    "scopes" TEXT[] DEFAULT ARRAY[]::TEXT[],
+    "expires_at" TIMESTAMP(3),
+    "last_used_at" TIMESTAMP(3),
+    "last_used_ip" TEXT,
+    "usage_count" INTEGER NOT NULL DEFAULT 0,
+    "created_by" TEXT NOT NULL,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "revoked_at" TIMESTAMP(3),
+    "revoked_by" TEXT,
+    "revoked_reason" TEXT,
+
+    CONSTRAINT "api_keys_pkey" PRIMARY KEY ("api_key_id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "api_keys_key_hash_key" ON "api_keys"("key_hash");
+
+-- CreateIndex
+CREATE INDEX "idx_api_key_organisation" ON "api_keys"("organisation_id");
+
+-- CreateIndex
+CREATE INDEX "idx_api_key_client" ON "api_keys"("client_id");
+
+-- AddForeignKey
+ALTER TABLE "api_keys" ADD CONSTRAINT "api_keys_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "api_keys" ADD CONSTRAINT "api_keys_created_by_fkey" FOREIGN KEY ("created_by") REFERENCES "users"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "api_keys" ADD CONSTRAINT "api_keys_organisation_id_fkey" FOREIGN KEY ("organisation_id") REFERENCES "organisations"("organisation_id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "api_keys" ADD CONSTRAINT "api_keys_client_id_fkey" FOREIGN KEY ("client_id") REFERENCES "clients"("client_id") ON DELETE CASCADE ON UPDATE CASCADE;
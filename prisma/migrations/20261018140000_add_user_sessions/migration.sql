@@ -0,0 +1,29 @@
+-- CreateTable
+CREATE TABLE "user_sessions" (
+    "session_id" TEXT NOT NULL,
+    "user_id" TEXT NOT NULL,
+    "ip_address" TEXT,
+    "user_agent" TEXT,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "last_activity_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "expires_at" TIMESTAMP(3) NOT NULL,
+    "revoked_at" TIMESTAMP(3),
+    "revoked_reason" TEXT,
+    "revoked_by" TEXT,
+
+    CONSTRAINT "user_sessions_pkey" PRIMARY KEY ("session_id")
+);
+
+-- CreateIndex
+CREATE INDEX "idx_user_session_user" ON "user_sessions"("user_id", "revoked_at");
+
+-- AddForeignKey
+ALTER TABLE "user_sessions" ADD CONSTRAINT "user_sessions_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Backfill sessions for refresh token families that are still live
+INSERT INTO "user_sessions" ("session_id", "user_id", "ip_address", "user_agent", "created_at", "last_activity_at", "expires_at")
+SELECT DISTINCT ON ("family_id")
+    "family_id", "user_id", "ip_address", "user_agent", "created_at", "created_at", "expires_at"
+FROM "refresh_tokens"
+WHERE "revoked_at" IS NULL
+ORDER BY "family_id", "created_at" DESC;
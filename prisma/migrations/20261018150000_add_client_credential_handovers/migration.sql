@@ -0,0 +1,37 @@
+-- AlterEnum
+ALTER TYPE "SystemAction" ADD VALUE 'CLIENT_CREDENTIALS_STORED';
+ALTER TYPE "SystemAction" ADD VALUE 'CLIENT_CREDENTIALS_REVEALED';
+ALTER TYPE "SystemAction" ADD VALUE 'CLIENT_CREDENTIALS_HANDED_OVER';
+ALTER TYPE "SystemAction" ADD VALUE 'CLIENT_CREDENTIALS_EXPIRED';
+
+-- CreateTable
+CREATE TABLE "client_credential_handovers" (
+    "handover_id" TEXT NOT NULL,
+    "client_id" TEXT NOT NULL,
+    "client_user_id" TEXT,
+    "username" TEXT NOT NULL,
+    "encrypted_password" TEXT,
+    "is_primary" BOOLEAN NOT NULL DEFAULT false,
+    "created_by" TEXT NOT NULL,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "expires_at" TIMESTAMP(3) NOT NULL,
+    "revealed_at" TIMESTAMP(3),
+    "revealed_by" TEXT,
+    "handed_over_at" TIMESTAMP(3),
+    "handed_over_by" TEXT,
+    "purged_at" TIMESTAMP(3),
+
+    CONSTRAINT "client_credential_handovers_pkey" PRIMARY KEY ("handover_id")
+);
+
+-- CreateIndex
+CREATE INDEX "idx_credential_handover_client" ON "client_credential_handovers"("client_id", "handed_over_at");
+
+-- CreateIndex
+CREATE INDEX "idx_credential_handover_expires" ON "client_credential_handovers"("expires_at");
+
+-- AddForeignKey
+ALTER TABLE "client_credential_handovers" ADD CONSTRAINT "client_credential_handovers_client_id_fkey" FOREIGN KEY ("client_id") REFERENCES "clients"("client_id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "client_credential_handovers" ADD CONSTRAINT "client_credential_handovers_client_user_id_fkey" FOREIGN KEY ("client_user_id") REFERENCES "client_users"("client_user_id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,10 @@
+-- AlterEnum
+ALTER TYPE "SystemAction" ADD VALUE 'IMPERSONATION_STARTED';
+ALTER TYPE "SystemAction" ADD VALUE 'IMPERSONATION_ENDED';
+ALTER TYPE "SystemAction" ADD VALUE 'IMPERSONATED_REQUEST';
+
+-- AlterTable
+ALTER TABLE "user_sessions" ADD COLUMN     "impersonated_user_id" TEXT;
+
+-- AddForeignKey
+ALTER TABLE "user_sessions" ADD CONSTRAINT "user_sessions_impersonated_user_id_fkey" FOREIGN KEY ("impersonated_user_id") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
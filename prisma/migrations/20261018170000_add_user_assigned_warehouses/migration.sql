@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE "users" ADD COLUMN     "assigned_warehouses" TEXT[] DEFAULT ARRAY[]::TEXT[];
+
+-- Existing warehouse staff keep every current warehouse: an empty list means no warehouse access
+UPDATE "users" SET "assigned_warehouses" = ARRAY(SELECT "warehouse_id" FROM "warehouses")
+WHERE "role_id" IN (SELECT "role_id" FROM "roles" WHERE "name" IN ('WAREHOUSE_INCHARGE', 'WAREHOUSE_ASSISTANT'));
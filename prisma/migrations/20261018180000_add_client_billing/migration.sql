@@ -0,0 +1,131 @@
+-- CreateEnum
+CREATE TYPE "BillingRunStatus" AS ENUM ('DRAFT', 'APPROVED', 'VOIDED');
+
+-- CreateEnum
+CREATE TYPE "BillingChargeType" AS ENUM ('STORAGE', 'ENTRY_HANDLING', 'DISPATCH_HANDLING', 'QUALITY_TRANSITION');
+
+-- AlterEnum
+ALTER TYPE "SystemAction" ADD VALUE 'BILLING_TARIFF_CREATED';
+ALTER TYPE "SystemAction" ADD VALUE 'BILLING_TARIFF_UPDATED';
+ALTER TYPE "SystemAction" ADD VALUE 'BILLING_RUN_GENERATED';
+ALTER TYPE "SystemAction" ADD VALUE 'BILLING_RUN_APPROVED';
+ALTER TYPE "SystemAction" ADD VALUE 'BILLING_RUN_VOIDED';
+
+-- CreateTable
+CREATE TABLE "client_tariffs" (
+    "tariff_id" TEXT NOT NULL,
+    "client_id" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "currency" TEXT NOT NULL DEFAULT 'PEN',
+    "storage_rate_pallet_day" DECIMAL(10,4) NOT NULL DEFAULT 0,
+    "entry_handling_fee" DECIMAL(10,2) NOT NULL DEFAULT 0,
+    "entry_handling_per_pallet" DECIMAL(10,4) NOT NULL DEFAULT 0,
+    "dispatch_handling_fee" DECIMAL(10,2) NOT NULL DEFAULT 0,
+    "dispatch_handling_per_pallet" DECIMAL(10,4) NOT NULL DEFAULT 0,
+    "quality_transition_fee" DECIMAL(10,2) NOT NULL DEFAULT 0,
+    "quality_transition_fees" JSONB,
+    "valid_from" TIMESTAMP(3) NOT NULL,
+    "valid_to" TIMESTAMP(3),
+    "is_active" BOOLEAN NOT NULL DEFAULT true,
+    "notes" TEXT,
+    "created_by" TEXT NOT NULL,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "client_tariffs_pkey" PRIMARY KEY ("tariff_id")
+);
+
+-- CreateTable
+CREATE TABLE "billing_runs" (
+    "run_id" TEXT NOT NULL,
+    "run_number" TEXT NOT NULL,
+    "client_id" TEXT NOT NULL,
+    "tariff_id" TEXT NOT NULL,
+    "period_start" TIMESTAMP(3) NOT NULL,
+    "period_end" TIMESTAMP(3) NOT NULL,
+    "status" "BillingRunStatus" NOT NULL DEFAULT 'DRAFT',
+    "currency" TEXT NOT NULL,
+    "storage_amount" DECIMAL(12,2) NOT NULL DEFAULT 0,
+    "handling_amount" DECIMAL(12,2) NOT NULL DEFAULT 0,
+    "quality_amount" DECIMAL(12,2) NOT NULL DEFAULT 0,
+    "total_amount" DECIMAL(12,2) NOT NULL DEFAULT 0,
+    "line_count" INTEGER NOT NULL DEFAULT 0,
+    "tariff_snapshot" JSONB NOT NULL,
+    "notes" TEXT,
+    "created_by" TEXT NOT NULL,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "calculated_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "reviewed_by" TEXT,
+    "reviewed_at" TIMESTAMP(3),
+    "review_comments" TEXT,
+
+    CONSTRAINT "billing_runs_pkey" PRIMARY KEY ("run_id")
+);
+
+-- CreateTable
+CREATE TABLE "billing_lines" (
+    "line_id" TEXT NOT NULL,
+    "run_id" TEXT NOT NULL,
+    "charge_type" "BillingChargeType" NOT NULL,
+    "description" TEXT NOT NULL,
+    "quantity" DECIMAL(12,2) NOT NULL,
+    "unit" TEXT NOT NULL,
+    "unit_rate" DECIMAL(10,4) NOT NULL,
+    "amount" DECIMAL(12,2) NOT NULL,
+    "service_date" TIMESTAMP(3) NOT NULL,
+    "entry_order_id" TEXT,
+    "departure_order_id" TEXT,
+    "allocation_id" TEXT,
+    "transition_id" TEXT,
+    "details" JSONB,
+
+    CONSTRAINT "billing_lines_pkey" PRIMARY KEY ("line_id")
+);
+
+-- CreateIndex
+CREATE INDEX "idx_client_tariff_client" ON "client_tariffs"("client_id", "valid_from");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "billing_runs_run_number_key" ON "billing_runs"("run_number");
+
+-- CreateIndex
+CREATE INDEX "idx_billing_run_client_period" ON "billing_runs"("client_id", "period_start");
+
+-- CreateIndex
+CREATE INDEX "idx_billing_run_status" ON "billing_runs"("status");
+
+-- CreateIndex
+CREATE INDEX "idx_billing_line_run" ON "billing_lines"("run_id", "charge_type");
+
+-- AddForeignKey
+ALTER TABLE "client_tariffs" ADD CONSTRAINT "client_tariffs_client_id_fkey" FOREIGN KEY ("client_id") REFERENCES "clients"("client_id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "client_tariffs" ADD CONSTRAINT "client_tariffs_created_by_fkey" FOREIGN KEY ("created_by") REFERENCES "users"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "billing_runs" ADD CONSTRAINT "billing_runs_client_id_fkey" FOREIGN KEY ("client_id") REFERENCES "clients"("client_id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "billing_runs" ADD CONSTRAINT "billing_runs_tariff_id_fkey" FOREIGN KEY ("tariff_id") REFERENCES "client_tariffs"("tariff_id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "billing_runs" ADD CONSTRAINT "billing_runs_created_by_fkey" FOREIGN KEY ("created_by") REFERENCES "users"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "billing_runs" ADD CONSTRAINT "billing_runs_reviewed_by_fkey" FOREIGN KEY ("reviewed_by") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "billing_lines" ADD CONSTRAINT "billing_lines_run_id_fkey" FOREIGN KEY ("run_id") REFERENCES "billing_runs"("run_id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "billing_lines" ADD CONSTRAINT "billing_lines_entry_order_id_fkey" FOREIGN KEY ("entry_order_id") REFERENCES "entry_orders"("entry_order_id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "billing_lines" ADD CONSTRAINT "billing_lines_departure_order_id_fkey" FOREIGN KEY ("departure_order_id") REFERENCES "departure_orders"("departure_order_id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "billing_lines" ADD CONSTRAINT "billing_lines_allocation_id_fkey" FOREIGN KEY ("allocation_id") REFERENCES "inventory_allocations"("allocation_id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "billing_lines" ADD CONSTRAINT "billing_lines_transition_id_fkey" FOREIGN KEY ("transition_id") REFERENCES "quality_control_transitions"("transition_id") ON DELETE SET NULL ON UPDATE CASCADE;
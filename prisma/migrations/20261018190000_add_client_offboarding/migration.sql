@@ -0,0 +1,13 @@
+-- AlterTable
+ALTER TABLE "clients" ADD COLUMN     "deactivated_at" TIMESTAMP(3),
+ADD COLUMN     "deactivated_by" TEXT,
+ADD COLUMN     "deactivation_reason" TEXT;
+
+-- AlterTable
+ALTER TABLE "client_users" ADD COLUMN     "deactivated_at" TIMESTAMP(3);
+
+-- AlterTable
+ALTER TABLE "client_cell_assignments" ADD COLUMN     "released_at" TIMESTAMP(3);
+
+-- AddForeignKey
+ALTER TABLE "clients" ADD CONSTRAINT "clients_deactivated_by_fkey" FOREIGN KEY ("deactivated_by") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,13 @@
+-- AlterEnum
+ALTER TYPE "SystemAction" ADD VALUE 'CLIENT_MERGED';
+
+-- AlterTable
+ALTER TABLE "clients" ADD COLUMN     "merged_at" TIMESTAMP(3),
+ADD COLUMN     "merged_by" TEXT,
+ADD COLUMN     "merged_into_id" TEXT;
+
+-- AddForeignKey
+ALTER TABLE "clients" ADD CONSTRAINT "clients_merged_into_id_fkey" FOREIGN KEY ("merged_into_id") REFERENCES "clients"("client_id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "clients" ADD CONSTRAINT "clients_merged_by_fkey" FOREIGN KEY ("merged_by") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,49 @@
+-- CreateEnum
+CREATE TYPE "ClientContactRole" AS ENUM ('RECEIVING', 'DISPATCH', 'QUALITY', 'BILLING');
+
+-- CreateEnum
+CREATE TYPE "NotificationLanguage" AS ENUM ('ES', 'EN');
+
+-- CreateTable
+CREATE TABLE "client_contacts" (
+    "contact_id" TEXT NOT NULL,
+    "client_id" TEXT NOT NULL,
+    "role" "ClientContactRole" NOT NULL,
+    "name" TEXT NOT NULL,
+    "email" TEXT NOT NULL,
+    "phone" TEXT,
+    "language" "NotificationLanguage",
+    "events" TEXT[] DEFAULT ARRAY[]::TEXT[],
+    "is_active" BOOLEAN NOT NULL DEFAULT true,
+    "created_by" TEXT NOT NULL,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "client_contacts_pkey" PRIMARY KEY ("contact_id")
+);
+
+-- CreateTable
+CREATE TABLE "client_notification_settings" (
+    "client_id" TEXT NOT NULL,
+    "language" "NotificationLanguage" NOT NULL DEFAULT 'ES',
+    "fallback_to_client_email" BOOLEAN NOT NULL DEFAULT true,
+    "updated_by" TEXT,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "client_notification_settings_pkey" PRIMARY KEY ("client_id")
+);
+
+-- CreateIndex
+CREATE INDEX "idx_client_contacts_client" ON "client_contacts"("client_id", "is_active");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "client_contacts_client_id_role_email_key" ON "client_contacts"("client_id", "role", "email");
+
+-- AddForeignKey
+ALTER TABLE "client_contacts" ADD CONSTRAINT "client_contacts_client_id_fkey" FOREIGN KEY ("client_id") REFERENCES "clients"("client_id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "client_contacts" ADD CONSTRAINT "client_contacts_created_by_fkey" FOREIGN KEY ("created_by") REFERENCES "users"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "client_notification_settings" ADD CONSTRAINT "client_notification_settings_client_id_fkey" FOREIGN KEY ("client_id") REFERENCES "clients"("client_id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,51 @@
+-- CreateEnum
+CREATE TYPE "SupplierCertificateType" AS ENUM ('GMP', 'BPA', 'SANITARIO', 'OTRO');
+
+-- AlterEnum
+-- This migration adds more than one value to an enum.
+-- With PostgreSQL versions 11 and earlier, this is not possible
+-- in a single migration. This can be worked around by creating
+-- multiple migrations, each migration adding only one value to
+-- the enum.
+
+
+ALTER TYPE "SystemAction" ADD VALUE 'SUPPLIER_CERTIFICATE_UPLOADED';
+ALTER TYPE "SystemAction" ADD VALUE 'SUPPLIER_CERTIFICATE_DELETED';
+ALTER TYPE "SystemAction" ADD VALUE 'SUPPLIER_CERTIFICATES_EXPIRED';
+
+-- AlterTable
+ALTER TABLE "suppliers" ADD COLUMN     "compliance_flagged" BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN     "flagged_at" TIMESTAMP(3);
+
+-- CreateTable
+CREATE TABLE "supplier_certificates" (
+    "certificate_id" TEXT NOT NULL,
+    "supplier_id" TEXT NOT NULL,
+    "certificate_type" "SupplierCertificateType" NOT NULL,
+    "certificate_number" TEXT,
+    "issuing_authority" TEXT,
+    "issue_date" TIMESTAMP(3) NOT NULL,
+    "expiry_date" TIMESTAMP(3) NOT NULL,
+    "file_name" TEXT NOT NULL,
+    "file_path" TEXT NOT NULL,
+    "public_url" TEXT,
+    "content_type" TEXT,
+    "file_size" INTEGER,
+    "notes" TEXT,
+    "uploaded_by" TEXT NOT NULL,
+    "uploaded_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "supplier_certificates_pkey" PRIMARY KEY ("certificate_id")
+);
+
+-- CreateIndex
+CREATE INDEX "idx_supplier_certificates_type" ON "supplier_certificates"("supplier_id", "certificate_type");
+
+-- CreateIndex
+CREATE INDEX "idx_supplier_certificates_expiry" ON "supplier_certificates"("expiry_date");
+
+-- AddForeignKey
+ALTER TABLE "supplier_certificates" ADD CONSTRAINT "supplier_certificates_supplier_id_fkey" FOREIGN KEY ("supplier_id") REFERENCES "suppliers"("supplier_id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "supplier_certificates" ADD CONSTRAINT "supplier_certificates_uploaded_by_fkey" FOREIGN KEY ("uploaded_by") REFERENCES "users"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
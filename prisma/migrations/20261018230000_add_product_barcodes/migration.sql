@@ -0,0 +1,27 @@
+-- CreateEnum
+CREATE TYPE "BarcodePackLevel" AS ENUM ('UNIT', 'BOX', 'PALLET');
+
+-- CreateTable
+CREATE TABLE "product_barcodes" (
+    "barcode_id" TEXT NOT NULL,
+    "product_id" TEXT NOT NULL,
+    "barcode" TEXT NOT NULL,
+    "gtin14" TEXT NOT NULL,
+    "pack_level" "BarcodePackLevel" NOT NULL DEFAULT 'UNIT',
+    "created_by" TEXT,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "product_barcodes_pkey" PRIMARY KEY ("barcode_id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "product_barcodes_gtin14_key" ON "product_barcodes"("gtin14");
+
+-- CreateIndex
+CREATE INDEX "idx_product_barcodes_product" ON "product_barcodes"("product_id");
+
+-- AddForeignKey
+ALTER TABLE "product_barcodes" ADD CONSTRAINT "product_barcodes_product_id_fkey" FOREIGN KEY ("product_id") REFERENCES "products"("product_id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "product_barcodes" ADD CONSTRAINT "product_barcodes_created_by_fkey" FOREIGN KEY ("created_by") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,23 @@
+-- CreateTable
+CREATE TABLE "product_packaging" (
+    "product_id" TEXT NOT NULL,
+    "units_per_box" INTEGER NOT NULL,
+    "boxes_per_layer" INTEGER,
+    "layers_per_pallet" INTEGER,
+    "unit_weight_kg" DECIMAL(10,3),
+    "unit_volume_m3" DECIMAL(10,4),
+    "box_weight_kg" DECIMAL(10,3),
+    "box_volume_m3" DECIMAL(10,4),
+    "pallet_weight_kg" DECIMAL(10,2),
+    "pallet_volume_m3" DECIMAL(10,3),
+    "updated_by" TEXT,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "product_packaging_pkey" PRIMARY KEY ("product_id")
+);
+
+-- AddForeignKey
+ALTER TABLE "product_packaging" ADD CONSTRAINT "product_packaging_product_id_fkey" FOREIGN KEY ("product_id") REFERENCES "products"("product_id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "product_packaging" ADD CONSTRAINT "product_packaging_updated_by_fkey" FOREIGN KEY ("updated_by") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
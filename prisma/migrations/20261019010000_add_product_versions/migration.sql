@@ -0,0 +1,54 @@
+-- CreateTable
+CREATE TABLE "product_versions" (
+    "version_id" TEXT NOT NULL,
+    "product_id" TEXT NOT NULL,
+    "version_number" INTEGER NOT NULL,
+    "snapshot" JSONB NOT NULL,
+    "changes" JSONB,
+    "change_reason" TEXT,
+    "changed_by" TEXT,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "product_versions_pkey" PRIMARY KEY ("version_id")
+);
+
+-- CreateIndex
+CREATE INDEX "idx_product_versions_product_date" ON "product_versions"("product_id", "created_at");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "product_versions_product_id_version_number_key" ON "product_versions"("product_id", "version_number");
+
+-- AddForeignKey
+ALTER TABLE "product_versions" ADD CONSTRAINT "product_versions_product_id_fkey" FOREIGN KEY ("product_id") REFERENCES "products"("product_id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "product_versions" ADD CONSTRAINT "product_versions_changed_by_fkey" FOREIGN KEY ("changed_by") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- Backfill version 1 with the current master data, in force since the product was created
+INSERT INTO "product_versions" ("version_id", "product_id", "version_number", "snapshot", "created_at")
+SELECT
+    gen_random_uuid()::text,
+    p."product_id",
+    1,
+    jsonb_build_object(
+        'product_code', p."product_code",
+        'name', p."name",
+        'category_id', p."category_id",
+        'subcategory1_id', p."subcategory1_id",
+        'subcategory2_id', p."subcategory2_id",
+        'manufacturer', p."manufacturer",
+        'temperature_range_id', p."temperature_range_id",
+        'temperature_range', CASE WHEN t."temperature_id" IS NULL THEN NULL ELSE jsonb_build_object(
+            'range', t."range",
+            'min_celsius', t."min_celsius",
+            'max_celsius', t."max_celsius"
+        ) END,
+        'humidity', p."humidity",
+        'storage_conditions', p."storage_conditions",
+        'unit_weight', p."unit_weight",
+        'unit_volume', p."unit_volume",
+        'observations', p."observations"
+    ),
+    p."created_at"
+FROM "products" p
+LEFT JOIN "temperature_ranges" t ON t."temperature_id" = p."temperature_range_id";
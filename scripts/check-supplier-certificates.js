@@ -0,0 +1,43 @@
+require("dotenv").config();
+const { runCertificateExpiryCheck } = require("../src/modules/supplier/supplier-certificate.service");
+
+/**
+ * Daily supplier certificate check, meant to be run from cron:
+ *   0 6 * * * cd /app && npm run check-supplier-certificates
+ * Pass a user id (argument or CERTIFICATE_CHECK_USER_ID) to audit-log newly flagged suppliers.
+ */
+async function main() {
+  const performedBy = process.argv[2] || process.env.CERTIFICATE_CHECK_USER_ID || null;
+
+  console.log("🔍 Checking supplier certificates for expiry...");
+  const result = await runCertificateExpiryCheck(performedBy);
+
+  console.log(`📊 Suppliers with expired certificates: ${result.flagged_suppliers}`);
+  result.newly_flagged.forEach(supplier => {
+    const types = supplier.expired_certificates.map(c => c.certificate_type).join(", ");
+    console.log(`  ⚠️ Flagged ${supplier.supplier_code || supplier.supplier_id} - ${supplier.company_name || supplier.name} (${types})`);
+  });
+  result.cleared.forEach(supplier => {
+    console.log(`  ✅ Cleared ${supplier.supplier_code || supplier.supplier_id} - ${supplier.company_name || supplier.name}`);
+  });
+  if (!performedBy && result.newly_flagged.length > 0) {
+    console.log("ℹ️ No user id given, newly flagged suppliers were not audit-logged");
+  }
+
+  return result;
+}
+
+// Run the script if called directly
+if (require.main === module) {
+  main()
+    .then(() => {
+      console.log("\n🎯 Supplier certificate check completed");
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error("\n💥 Supplier certificate check failed:", error);
+      process.exit(1);
+    });
+}
+
+module.exports = { main };
@@ -1,10 +1,109 @@
 const jwt = require("jsonwebtoken");
+const { isSessionActive } = require("../modules/auth/token.service");
+const apiKeyService = require("../modules/apikey/apikey.service");
+const impersonationService = require("../modules/auth/impersonation.service");
 require("dotenv").config();
 
 const SECRET_KEY = process.env.JWT_SECRET || "your_secret_key";
 
 /**
- * Middleware to authenticate requests using JWT.
+ * Attaches the authenticated user and, for client accounts, the client restriction.
+ */
+function attachUser(req, user) {
+  req.user = user; // ✅ Attach decoded user data to request
+
+  // ✅ Audit entries logged through req.logEvent/logCRUD carry the real session id
+  if (user.sid && req.eventContext) {
+    req.eventContext.sessionId = user.sid;
+  }
+
+  // ✅ Set up client restriction for CLIENT and CLIENT_PHARMACIST users
+  if ((user.role === 'CLIENT' || user.role === 'CLIENT_PHARMACIST') && user.client_id) {
+    req.clientRestriction = {
+      isClientRestricted: true,
+      client_id: user.client_id
+    };
+  }
+}
+
+/**
+ * Authenticates an integration call made with an API key and logs it as API_CALL_MADE.
+ */
+async function authenticateApiKey(req, res, next, rawKey) {
+  const ipAddress = req.eventContext?.ipAddress || req.ip;
+  const userAgent = req.eventContext?.userAgent || req.get("User-Agent");
+
+  let result;
+  try {
+    result = await apiKeyService.authenticateApiKey(rawKey, ipAddress);
+  } catch (error) {
+    console.error("Error checking API key:", error);
+    return res.status(500).json({ message: "Unable to verify API key." });
+  }
+
+  if (!result.valid) {
+    return res.status(401).json({
+      message: "Invalid, expired or revoked API key.",
+      code: `API_KEY_${result.reason}`
+    });
+  }
+
+  attachUser(req, result.user);
+
+  const startTime = Date.now();
+  res.on("finish", () => {
+    apiKeyService.logApiCall(result.apiKey, {
+      method: req.method,
+      path: req.originalUrl,
+      statusCode: res.statusCode,
+      durationMs: Date.now() - startTime,
+      ipAddress,
+      userAgent
+    });
+  });
+
+  next();
+}
+
+const READ_ONLY_METHODS = ["GET", "HEAD", "OPTIONS"];
+
+/**
+ * "View as client" tokens are read-only, flagged for the frontend banner and
+ * every request is audited under both the client user and the acting administrator.
+ * @returns {boolean} false when the request was rejected
+ */
+function applyImpersonation(req, res) {
+  const user = req.user;
+
+  res.set("X-Impersonation", "read-only");
+
+  const startTime = Date.now();
+  res.on("finish", () => {
+    impersonationService.logImpersonatedRequest(user, {
+      method: req.method,
+      path: req.originalUrl,
+      statusCode: res.statusCode,
+      durationMs: Date.now() - startTime,
+      ipAddress: req.eventContext?.ipAddress || req.ip,
+      userAgent: req.eventContext?.userAgent || req.get("User-Agent")
+    });
+  });
+
+  if (!READ_ONLY_METHODS.includes(req.method)) {
+    res.status(403).json({
+      message: "Impersonation sessions are read-only.",
+      code: "IMPERSONATION_READ_ONLY"
+    });
+    return false;
+  }
+
+  return true;
+}
+
+/**
+ * Middleware to authenticate requests using JWT or an API key.
+ * Access tokens are only honoured while their session has not been revoked.
+ * API keys are accepted as `X-API-Key: {key}` or `Authorization: Bearer {key}`.
  */
 function authenticateToken(req, res, next) {
   const authHeader = req.headers["authorization"];
@@ -12,6 +111,12 @@ function authenticateToken(req, res, next) {
   // ✅ Extract token from `Authorization: Bearer {token}`
   const token = authHeader && authHeader.split(" ")[1];
 
+  // ✅ System-to-system calls
+  const apiKey = req.headers["x-api-key"] || (apiKeyService.isApiKey(token) ? token : null);
+  if (apiKey) {
+    return authenticateApiKey(req, res, next, apiKey);
+  }
+
   if (!token) {
     return res
       .status(401)
@@ -19,19 +124,31 @@ function authenticateToken(req, res, next) {
   }
 
   // ✅ Verify token
-  jwt.verify(token, SECRET_KEY, (err, user) => {
+  jwt.verify(token, SECRET_KEY, async (err, user) => {
     if (err) {
-      return res.status(403).json({ message: "Invalid or expired token." });
+      return res.status(403).json({
+        message: "Invalid or expired token.",
+        code: err.name === "TokenExpiredError" ? "TOKEN_EXPIRED" : "TOKEN_INVALID"
+      });
+    }
+
+    // ✅ Check the revocation store (logout, password reset, reuse detection)
+    try {
+      if (!(await isSessionActive(user.sid))) {
+        return res.status(401).json({
+          message: "Session has been revoked. Please log in again.",
+          code: "SESSION_REVOKED"
+        });
+      }
+    } catch (error) {
+      console.error("Error checking session status:", error);
+      return res.status(500).json({ message: "Unable to verify session." });
     }
 
-    req.user = user; // ✅ Attach decoded user data to request
+    attachUser(req, user);
 
-    // ✅ Set up client restriction for CLIENT and CLIENT_PHARMACIST users
-    if ((user.role === 'CLIENT' || user.role === 'CLIENT_PHARMACIST') && user.client_id) {
-      req.clientRestriction = {
-        isClientRestricted: true,
-        client_id: user.client_id
-      };
+    if (user.impersonation && !applyImpersonation(req, res)) {
+      return;
     }
 
     next(); // ✅ Proceed to the next middleware or controller
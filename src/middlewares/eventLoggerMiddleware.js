@@ -35,7 +35,12 @@ function eventLoggerMiddleware(req, res, next) {
         ...metadata,
         request_id: requestContext.requestId,
         request_method: requestContext.method,
-        request_url: requestContext.url
+        request_url: requestContext.url,
+        // ✅ "View as client" requests are attributed to the administrator as well
+        ...(req.user?.impersonation && {
+          impersonated_by: req.user.impersonation.actor_id,
+          impersonated_by_user_id: req.user.impersonation.actor_user_id
+        })
       },
       ipAddress: requestContext.ipAddress,
       userAgent: requestContext.userAgent,
@@ -1,6 +1,29 @@
 const { PrismaClient } = require("@prisma/client");
 const prisma = new PrismaClient();
 
+// Resources and the actions routes can declare on them
+const RESOURCE_ACTIONS = {
+  entry_orders: ['create', 'read', 'update', 'review', 'import'],
+  departure_orders: ['create', 'read', 'update', 'approve', 'allocate', 'dispatch', 'import'],
+  inventory: ['read', 'assign', 'update'],
+  cells: ['read', 'assign', 'update'],
+  warehouses: ['read'],
+  quality_control: ['read', 'transition'],
+  reports: ['read'],
+  users: ['read', 'update'],
+  clients: ['create', 'read', 'update', 'assign', 'import', 'export', 'merge'],
+  client_users: ['create', 'read', 'update'],
+  client_contacts: ['read', 'update'],
+  products: ['create', 'read', 'update', 'delete', 'import'],
+  suppliers: ['create', 'read', 'update', 'delete', 'assign', 'import', 'export', 'certify'],
+  documents: ['read', 'upload', 'delete'],
+  audit_logs: ['create', 'read'],
+  organisations: ['create', 'read'],
+  countries: ['create', 'read', 'update', 'delete'],
+  api_keys: ['create', 'read', 'update'],
+  billing: ['create', 'read', 'update', 'approve']
+};
+
 // Role hierarchy and permissions
 const ROLES = {
   ADMIN: {
@@ -20,7 +43,15 @@ const ROLES = {
       'reports:*',
       'users:read',
       'clients:*',
-      'audit_logs:read'
+      'client_users:*',
+      'client_contacts:*',
+      'products:*',
+      'suppliers:*',
+      'documents:*',
+      'audit_logs:read',
+      'organisations:read',
+      'countries:read',
+      'billing:read'
     ],
     description: 'Warehouse management, approve orders, assign cells'
   },
@@ -29,11 +60,17 @@ const ROLES = {
     permissions: [
       'entry_orders:read',
       'departure_orders:read',
-      'inventory:read,quality_control',
+      'inventory:read,assign',
+      'cells:read',
+      'warehouses:read',
       'quality_control:*',
       'reports:read',
       'clients:read',
-      'audit_logs:read'
+      'products:read',
+      'suppliers:read,certify',
+      'documents:read',
+      'audit_logs:read',
+      'countries:read'
     ],
     description: 'Quality control and inventory oversight'
   },
@@ -45,7 +82,12 @@ const ROLES = {
       'inventory:read,update',    // Only for assigned clients
       'cells:read,update',        // Only for assigned clients
       'clients:read',             // Only assigned clients
-      'audit_logs:read'           // Only for assigned clients
+      'audit_logs:read',          // Only for assigned clients
+      'warehouses:read',
+      'products:read',
+      'suppliers:read',
+      'documents:read',
+      'countries:read'
     ],
     description: 'Limited access to assigned clients only',
     clientRestricted: true
@@ -53,12 +95,35 @@ const ROLES = {
   CLIENT: {
     level: 1,
     permissions: [
-      'entry_orders:create,read,update', // Only own orders
-      'departure_orders:read',           // Only own orders
-      'inventory:read',                  // Only own inventory
-      'reports:read'                     // Only own reports
+      'entry_orders:create,read,update,import',     // Only own orders
+      'departure_orders:create,read,update,import', // Only own orders
+      'inventory:read',                             // Only own inventory
+      'reports:read',                               // Only own reports
+      'clients:read',                               // Only own client
+      'client_users:read,update',                   // Only own client's users
+      'client_contacts:read,update',                // Only own client's notification contacts
+      'products:create,read,update',                // Only assigned products
+      'suppliers:create,read,update',               // Only assigned suppliers
+      'documents:read,upload',
+      'warehouses:read',
+      'countries:read'
     ],
-    description: 'Create/update own entry orders only',
+    description: 'Create/update own entry and departure orders only',
+    selfRestricted: true
+  },
+  CLIENT_PHARMACIST: {
+    level: 1,
+    permissions: [
+      'entry_orders:read',
+      'departure_orders:read',
+      'inventory:read',
+      'quality_control:read',
+      'reports:read',
+      'products:read',
+      'documents:read',
+      'countries:read'
+    ],
+    description: 'Read-only quality and inventory view of own client',
     selfRestricted: true
   }
 };
@@ -84,9 +149,28 @@ function hasPermission(userRole, resource, action) {
   });
 }
 
+// API keys are additionally limited to their scopes ("resource:action" or "resource:*")
+function scopeAllows(scopes, resource, action) {
+  return (scopes || []).some(scope => {
+    const [scopeResource, scopeAction] = scope.split(':');
+    return scopeResource === resource && (scopeAction === '*' || scopeAction === action);
+  });
+}
+
+// Account self-service (logout, sessions, 2FA, passwords) needs a user session, not an API key
+function denyApiKey(req, res, next) {
+  if (req.user?.auth_type === 'API_KEY') {
+    return res.status(403).json({
+      success: false,
+      message: 'Access denied. API keys cannot use account self-service endpoints'
+    });
+  }
+  next();
+}
+
 // Middleware factory for role-based access control
 function requireRole(minRole, options = {}) {
-  return async (req, res, next) => {
+  const middleware = async (req, res, next) => {
     try {
       const user = req.user;
       if (!user) {
@@ -130,6 +214,15 @@ function requireRole(minRole, options = {}) {
         }
       }
 
+      // API keys only pass routes whose permission is within their scopes
+      if (user.auth_type === 'API_KEY' &&
+          !(options.resource && options.action && scopeAllows(user.scopes, options.resource, options.action))) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied. This API key is not scoped for this endpoint'
+        });
+      }
+
       // Check specific permission if provided
       if (options.resource && options.action) {
         if (!hasPermission(userRole, options.resource, options.action)) {
@@ -159,6 +252,139 @@ function requireRole(minRole, options = {}) {
       });
     }
   };
+
+  if (options.resource && options.action) {
+    middleware.permission = `${options.resource}:${options.action}`;
+  }
+  return middleware;
+}
+
+// Middleware factory: every protected route declares the resource:action it needs.
+// Uses the role from the access token; role changes revoke the user's sessions.
+function requirePermission(resource, action) {
+  if (!RESOURCE_ACTIONS[resource] || !RESOURCE_ACTIONS[resource].includes(action)) {
+    throw new Error(`Unknown permission ${resource}:${action}`);
+  }
+
+  const middleware = (req, res, next) => {
+    const user = req.user;
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Authentication required'
+      });
+    }
+
+    if (!hasPermission(user.role, resource, action)) {
+      return res.status(403).json({
+        success: false,
+        message: `Access denied. Permission required: ${resource}:${action}`,
+        required_permission: `${resource}:${action}`
+      });
+    }
+
+    if (user.auth_type === 'API_KEY' && !scopeAllows(user.scopes, resource, action)) {
+      return res.status(403).json({
+        success: false,
+        message: `Access denied. API key scope required: ${resource}:${action}`,
+        required_permission: `${resource}:${action}`
+      });
+    }
+
+    next();
+  };
+
+  middleware.permission = `${resource}:${action}`;
+  return middleware;
+}
+
+const CLIENT_ROLE_NAMES = ['CLIENT', 'CLIENT_PHARMACIST'];
+
+// Client accounts only reach their own client record (`:client_id` by default)
+function requireOwnClient(param = 'client_id') {
+  return (req, res, next) => {
+    const user = req.user;
+    if (CLIENT_ROLE_NAMES.includes(user?.role) && (!user.client_id || user.client_id !== req.params[param])) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. You can only access your own client'
+      });
+    }
+    next();
+  };
+}
+
+const ASSIGNMENT_LOOKUPS = {
+  products: { model: 'clientProductAssignment', key: 'product_id' },
+  suppliers: { model: 'clientSupplierAssignment', key: 'supplier_id' }
+};
+
+// Client accounts only reach products / suppliers actively assigned to their client (`:id` by default)
+function requireClientAssignment(resource, param = 'id') {
+  const { model, key } = ASSIGNMENT_LOOKUPS[resource];
+
+  return async (req, res, next) => {
+    const user = req.user;
+    if (!CLIENT_ROLE_NAMES.includes(user?.role)) return next();
+
+    try {
+      const assignment = user.client_id && await prisma[model].findFirst({
+        where: { client_id: user.client_id, [key]: req.params[param], is_active: true },
+        select: { assignment_id: true }
+      });
+
+      if (!assignment) {
+        return res.status(403).json({
+          success: false,
+          message: `Access denied. This ${resource.slice(0, -1)} is not assigned to your client`
+        });
+      }
+      next();
+    } catch (error) {
+      console.error('Client assignment check error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Access control error'
+      });
+    }
+  };
+}
+
+// Expand a role's permission list into { resource: [actions] }
+function getRolePermissions(roleName) {
+  const permissions = {};
+
+  Object.entries(RESOURCE_ACTIONS).forEach(([resource, actions]) => {
+    const allowed = actions.filter(action => hasPermission(roleName, resource, action));
+    if (allowed.length > 0) {
+      permissions[resource] = allowed;
+    }
+  });
+
+  return permissions;
+}
+
+// Startup check: fails if any route of a protected router has no declared permission
+function assertRoutePermissions(router, mountPath = '') {
+  const missing = [];
+
+  router.stack.forEach(layer => {
+    if (!layer.route) return;
+
+    const methods = Object.keys(layer.route.methods);
+    methods.forEach(method => {
+      const declared = layer.route.stack.some(routeLayer =>
+        routeLayer.method === method && routeLayer.handle.permission
+      );
+      if (!declared) {
+        missing.push(`${method.toUpperCase()} ${mountPath}${layer.route.path}`);
+      }
+    });
+  });
+
+  if (missing.length > 0) {
+    throw new Error(`Routes without a declared permission:\n  ${missing.join('\n  ')}`);
+  }
 }
 
 // Middleware to check resource ownership/assignment
@@ -376,12 +602,139 @@ async function checkClientRestriction(req, res, next) {
   }
 }
 
+// Staff roles that can be limited to the warehouses (sites) they are assigned to
+const WAREHOUSE_SCOPED_ROLES = ['WAREHOUSE_INCHARGE', 'WAREHOUSE_ASSISTANT'];
+
+// Warehouse ids a request explicitly targets (route param, query string or body)
+function getRequestedWarehouses(req) {
+  const requested = [
+    req.params?.warehouse_id,
+    req.query?.warehouse_id,
+    req.body?.warehouse_id,
+    ...(Array.isArray(req.body?.allocations) ? req.body.allocations.map(a => a?.warehouse_id) : [])
+  ];
+
+  return [...new Set(requested.filter(id => typeof id === 'string' && id))];
+}
+
+// ✅ NEW: Middleware to restrict warehouse staff to their assigned warehouses.
+// Staff without assigned warehouses have no warehouse access at all.
+async function checkWarehouseRestriction(req, res, next) {
+  req.warehouseRestriction = {
+    isWarehouseRestricted: false,
+    warehouse_ids: []
+  };
+
+  const user = req.user;
+  if (!user || !WAREHOUSE_SCOPED_ROLES.includes(user.role)) {
+    return next();
+  }
+
+  try {
+    const dbUser = await prisma.user.findUnique({
+      where: { id: user.id },
+      select: { assigned_warehouses: true }
+    });
+
+    const warehouseIds = dbUser?.assigned_warehouses || [];
+    if (warehouseIds.length === 0) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. You are not assigned to any warehouse.'
+      });
+    }
+
+    req.warehouseRestriction = {
+      isWarehouseRestricted: true,
+      warehouse_ids: warehouseIds
+    };
+
+    const denied = getRequestedWarehouses(req).filter(id => !warehouseIds.includes(id));
+    if (denied.length > 0) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. You are not assigned to this warehouse.',
+        denied_warehouses: denied
+      });
+    }
+
+    next();
+  } catch (error) {
+    console.error('Error checking warehouse restriction:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error checking warehouse access'
+    });
+  }
+}
+
+// Warehouse filter for a query: the requested warehouse, otherwise every warehouse in the user's scope
+function scopeWarehouseFilter(warehouseRestriction, requestedWarehouseId = null) {
+  if (requestedWarehouseId) {
+    return requestedWarehouseId;
+  }
+
+  if (warehouseRestriction?.isWarehouseRestricted) {
+    return { in: warehouseRestriction.warehouse_ids };
+  }
+
+  return null;
+}
+
+// Warehouse ids a restricted user may see, or null for unrestricted access
+function getScopedWarehouseIds(warehouseRestriction) {
+  return warehouseRestriction?.isWarehouseRestricted ? warehouseRestriction.warehouse_ids : null;
+}
+
+/**
+ * Limits a Prisma where clause to the warehouses of a warehouse-scoped staff user.
+ * Records without a warehouse are out of scope.
+ * @param {Object} where - Where clause to extend
+ * @param {string[]|null} warehouseIds - From getScopedWarehouseIds, null for unrestricted users
+ * @param {Function} buildCondition - Builds the condition from a `{ in: [...] }` warehouse filter,
+ *   defaults to the record's own warehouse_id
+ */
+function applyWarehouseScope(where, warehouseIds, buildCondition = warehouseFilter => ({ warehouse_id: warehouseFilter })) {
+  if (!warehouseIds) {
+    return where;
+  }
+
+  where.AND = [
+    ...[].concat(where.AND || []),
+    buildCondition({ in: warehouseIds })
+  ];
+  return where;
+}
+
+// Whether a record in the given warehouse is within the user's scope
+function isWarehouseAllowed(warehouseRestriction, warehouseId) {
+  if (!warehouseRestriction?.isWarehouseRestricted) {
+    return true;
+  }
+
+  return !!warehouseId && warehouseRestriction.warehouse_ids.includes(warehouseId);
+}
+
 module.exports = {
   ROLES,
+  RESOURCE_ACTIONS,
   hasPermission,
+  scopeAllows,
+  denyApiKey,
   requireRole,
+  requirePermission,
+  requireOwnClient,
+  requireClientAssignment,
+  getRolePermissions,
+  assertRoutePermissions,
   checkResourceAccess,
   filterDataByRole,
   getAccessibleClients,
-  checkClientRestriction
+  checkClientRestriction,
+  WAREHOUSE_SCOPED_ROLES,
+  checkWarehouseRestriction,
+  scopeWarehouseFilter,
+  getScopedWarehouseIds,
+  applyWarehouseScope,
+  isWarehouseAllowed
 }; 
\ No newline at end of file
@@ -0,0 +1,134 @@
+const apiKeyService = require("./apikey.service");
+
+function getRequestContext(req) {
+  return {
+    ipAddress: req.eventContext?.ipAddress || req.ip,
+    userAgent: req.eventContext?.userAgent || req.get('User-Agent'),
+    sessionId: req.user?.sid || null
+  };
+}
+
+function handleApiKeyError(res, error, fallbackMessage) {
+  const message = error.message;
+
+  if (message.includes("not found")) {
+    return res.status(404).json({ success: false, message });
+  }
+
+  if (
+    message.includes("required") ||
+    message.includes("scope") ||
+    message.includes("must") ||
+    message.includes("already revoked") ||
+    message.includes("deactivated user")
+  ) {
+    return res.status(400).json({ success: false, message });
+  }
+
+  return res.status(500).json({
+    success: false,
+    message: fallbackMessage,
+    error: message
+  });
+}
+
+/**
+ * List API keys (filters: organisation_id, client_id, user_id, status)
+ */
+async function getAllApiKeys(req, res) {
+  try {
+    const apiKeys = await apiKeyService.getAllApiKeys({
+      organisation_id: req.query.organisation_id,
+      client_id: req.query.client_id,
+      user_id: req.query.user_id,
+      status: req.query.status
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: "API keys fetched successfully",
+      data: apiKeys,
+      total_count: apiKeys.length
+    });
+  } catch (error) {
+    console.error("Error in getAllApiKeys controller:", error);
+    return handleApiKeyError(res, error, "Error fetching API keys");
+  }
+}
+
+/**
+ * Scopes that can be granted to a key
+ */
+async function getAvailableScopes(req, res) {
+  return res.status(200).json({
+    success: true,
+    data: apiKeyService.getAvailableScopes()
+  });
+}
+
+/**
+ * Get a single API key (never includes the key itself)
+ */
+async function getApiKeyById(req, res) {
+  try {
+    const apiKey = await apiKeyService.getApiKeyById(req.params.api_key_id);
+
+    return res.status(200).json({
+      success: true,
+      message: "API key fetched successfully",
+      data: apiKey
+    });
+  } catch (error) {
+    console.error("Error in getApiKeyById controller:", error);
+    return handleApiKeyError(res, error, "Error fetching API key");
+  }
+}
+
+/**
+ * Create an API key. The key is only shown in this response.
+ */
+async function createApiKey(req, res) {
+  try {
+    const apiKey = await apiKeyService.createApiKey(req.body, req.user, getRequestContext(req));
+
+    return res.status(201).json({
+      success: true,
+      message: "API key created. Store it securely, it will not be shown again.",
+      data: apiKey
+    });
+  } catch (error) {
+    console.error("Error in createApiKey controller:", error);
+    return handleApiKeyError(res, error, "Error creating API key");
+  }
+}
+
+/**
+ * Revoke an API key
+ */
+async function revokeApiKey(req, res) {
+  try {
+    const apiKey = await apiKeyService.revokeApiKey(
+      req.params.api_key_id,
+      req.body?.reason,
+      req.user,
+      getRequestContext(req)
+    );
+
+    return res.status(200).json({
+      success: true,
+      message: "API key revoked successfully",
+      data: apiKey
+    });
+  } catch (error) {
+    console.error("Error in revokeApiKey controller:", error);
+    return handleApiKeyError(res, error, "Error revoking API key");
+  }
+}
+
+module.exports = {
+  getAllApiKeys,
+  getAvailableScopes,
+  getApiKeyById,
+  createApiKey,
+  revokeApiKey
+};
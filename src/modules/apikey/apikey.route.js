@@ -0,0 +1,12 @@
+const express = require("express");
+const router = express.Router();
+const apiKeyController = require("./apikey.controller");
+const { requirePermission } = require("../../middlewares/roleBasedAccess");
+
+router.get("/", requirePermission("api_keys", "read"), apiKeyController.getAllApiKeys);
+router.get("/scopes", requirePermission("api_keys", "read"), apiKeyController.getAvailableScopes);
+router.post("/", requirePermission("api_keys", "create"), apiKeyController.createApiKey);
+router.get("/:api_key_id", requirePermission("api_keys", "read"), apiKeyController.getApiKeyById);
+router.put("/:api_key_id/revoke", requirePermission("api_keys", "update"), apiKeyController.revokeApiKey);
+
+module.exports = router;
@@ -0,0 +1,427 @@
+const { PrismaClient } = require("@prisma/client");
+const crypto = require("crypto");
+const eventLogger = require("../../utils/eventLogger");
+const { hashToken, buildTokenPayload } = require("../auth/token.service");
+const { RESOURCE_ACTIONS, hasPermission } = require("../../middlewares/roleBasedAccess");
+require("dotenv").config();
+
+const prisma = new PrismaClient();
+
+const KEY_PREFIX = "tslx";
+const DEFAULT_TTL_DAYS = parseInt(process.env.API_KEY_DEFAULT_TTL_DAYS) || 365;
+
+// Keys cannot be used to manage keys
+const NON_DELEGABLE_RESOURCES = ["api_keys"];
+
+const apiKeySelect = {
+  api_key_id: true,
+  name: true,
+  key_prefix: true,
+  user_id: true,
+  organisation_id: true,
+  client_id: true,
+  scopes: true,
+  expires_at: true,
+  last_used_at: true,
+  last_used_ip: true,
+  usage_count: true,
+  created_by: true,
+  created_at: true,
+  revoked_at: true,
+  revoked_by: true,
+  revoked_reason: true,
+  user: {
+    select: {
+      id: true,
+      user_id: true,
+      email: true,
+      role: { select: { name: true } }
+    }
+  },
+  organisation: { select: { organisation_id: true, name: true } },
+  client: {
+    select: {
+      client_id: true,
+      client_code: true,
+      company_name: true,
+      first_names: true,
+      last_name: true
+    }
+  }
+};
+
+function isApiKey(value) {
+  return typeof value === "string" && value.startsWith(`${KEY_PREFIX}_`);
+}
+
+function getKeyStatus(apiKey) {
+  if (apiKey.revoked_at) return "REVOKED";
+  if (apiKey.expires_at && apiKey.expires_at <= new Date()) return "EXPIRED";
+  return "ACTIVE";
+}
+
+function formatApiKey(apiKey) {
+  return { ...apiKey, status: getKeyStatus(apiKey) };
+}
+
+/**
+ * Generates a key of the form `tslx_<prefix>_<secret>`. Only the SHA-256 hash is stored.
+ */
+function generateApiKey() {
+  const keyPrefix = `${KEY_PREFIX}_${crypto.randomBytes(4).toString("hex")}`;
+  const secret = crypto.randomBytes(32).toString("base64url");
+  return { rawKey: `${keyPrefix}_${secret}`, keyPrefix };
+}
+
+/**
+ * Validates requested scopes and checks they don't exceed the acting user's role.
+ * @returns {string[]} Normalised scopes
+ */
+function validateScopes(scopes, roleName) {
+  if (!Array.isArray(scopes) || scopes.length === 0) {
+    throw new Error("At least one scope is required (e.g. entry_orders:create)");
+  }
+
+  const normalised = [...new Set(scopes.map(scope => String(scope).trim()))];
+
+  normalised.forEach(scope => {
+    const [resource, action] = scope.split(":");
+    const actions = RESOURCE_ACTIONS[resource];
+
+    if (!actions || !action || (action !== "*" && !actions.includes(action))) {
+      throw new Error(`Invalid scope '${scope}'`);
+    }
+
+    if (NON_DELEGABLE_RESOURCES.includes(resource)) {
+      throw new Error(`Scope '${scope}' cannot be granted to an API key`);
+    }
+
+    const impliedActions = action === "*" ? actions : [action];
+    const exceeding = impliedActions.filter(a => !hasPermission(roleName, resource, a));
+    if (exceeding.length > 0) {
+      throw new Error(`Invalid scope '${scope}': role ${roleName} lacks ${exceeding.map(a => `${resource}:${a}`).join(", ")}`);
+    }
+  });
+
+  return normalised;
+}
+
+/**
+ * Scopes that can be requested, for the key creation form
+ */
+function getAvailableScopes() {
+  return Object.entries(RESOURCE_ACTIONS)
+    .filter(([resource]) => !NON_DELEGABLE_RESOURCES.includes(resource))
+    .map(([resource, actions]) => ({
+      resource,
+      actions,
+      scopes: [...actions.map(action => `${resource}:${action}`), `${resource}:*`]
+    }));
+}
+
+/**
+ * Create an API key acting as `user_id`. Client users get keys scoped to their client.
+ * The raw key is returned once and cannot be retrieved later.
+ */
+async function createApiKey(keyData, adminUser, requestContext = {}) {
+  try {
+    const { name, user_id, client_id, scopes, expires_at, expires_in_days } = keyData;
+
+    if (!name || !user_id) {
+      throw new Error("name and user_id are required");
+    }
+
+    const actingUser = await prisma.user.findUnique({
+      where: { id: user_id },
+      include: {
+        role: true,
+        active_state: true,
+        clientUserAccounts: true
+      }
+    });
+
+    if (!actingUser) {
+      throw new Error("User not found");
+    }
+
+    if (actingUser.active_state?.name === "Inactivo" || (actingUser.clientUserAccounts && !actingUser.clientUserAccounts.is_active)) {
+      throw new Error("API keys cannot be issued for a deactivated user");
+    }
+
+    // Client accounts always get client-scoped keys
+    const scopedClientId = client_id || actingUser.clientUserAccounts?.client_id || null;
+
+    if (scopedClientId) {
+      const client = await prisma.client.findUnique({ where: { client_id: scopedClientId } });
+      if (!client) {
+        throw new Error("Client not found");
+      }
+
+      if (actingUser.clientUserAccounts?.client_id !== scopedClientId) {
+        throw new Error("Client-scoped keys must act as a user of that client");
+      }
+    }
+
+    const validScopes = validateScopes(scopes, actingUser.role?.name);
+
+    let expiresAt;
+    if (expires_at) {
+      expiresAt = new Date(expires_at);
+      if (isNaN(expiresAt.getTime()) || expiresAt <= new Date()) {
+        throw new Error("expires_at must be a future date");
+      }
+    } else {
+      const days = parseInt(expires_in_days) || DEFAULT_TTL_DAYS;
+      expiresAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+    }
+
+    const { rawKey, keyPrefix } = generateApiKey();
+
+    const apiKey = await prisma.apiKey.create({
+      data: {
+        name,
+        key_prefix: keyPrefix,
+        key_hash: hashToken(rawKey),
+        user_id: actingUser.id,
+        organisation_id: actingUser.organisation_id,
+        client_id: scopedClientId,
+        scopes: validScopes,
+        expires_at: expiresAt,
+        created_by: adminUser.id
+      },
+      select: apiKeySelect
+    });
+
+    await eventLogger.logEvent({
+      userId: adminUser.id,
+      action: "API_KEY_CREATED",
+      entityType: "ApiKey",
+      entityId: apiKey.api_key_id,
+      description: `Created API key '${name}' (${keyPrefix}) acting as ${actingUser.user_id}`,
+      newValues: {
+        name,
+        key_prefix: keyPrefix,
+        user_id: actingUser.id,
+        organisation_id: actingUser.organisation_id,
+        client_id: scopedClientId,
+        scopes: validScopes,
+        expires_at: expiresAt
+      },
+      metadata: {
+        operation_type: "SECURITY",
+        action_type: "API_KEY_CREATED",
+        acting_role: actingUser.role?.name,
+        created_by: adminUser.userId || adminUser.id
+      },
+      ...requestContext
+    });
+
+    return {
+      ...formatApiKey(apiKey),
+      api_key: rawKey
+    };
+  } catch (error) {
+    console.error("Error in createApiKey service:", error);
+    throw error;
+  }
+}
+
+/**
+ * List API keys (filters: organisation_id, client_id, user_id, status)
+ */
+async function getAllApiKeys(filters = {}) {
+  try {
+    const { organisation_id, client_id, user_id, status } = filters;
+    const now = new Date();
+
+    const whereConditions = {};
+    if (organisation_id) whereConditions.organisation_id = organisation_id;
+    if (client_id) whereConditions.client_id = client_id;
+    if (user_id) whereConditions.user_id = user_id;
+
+    if (status === "ACTIVE") {
+      whereConditions.revoked_at = null;
+      whereConditions.OR = [{ expires_at: null }, { expires_at: { gt: now } }];
+    } else if (status === "REVOKED") {
+      whereConditions.revoked_at = { not: null };
+    } else if (status === "EXPIRED") {
+      whereConditions.revoked_at = null;
+      whereConditions.expires_at = { lte: now };
+    }
+
+    const apiKeys = await prisma.apiKey.findMany({
+      where: whereConditions,
+      select: apiKeySelect,
+      orderBy: { created_at: "desc" }
+    });
+
+    return apiKeys.map(formatApiKey);
+  } catch (error) {
+    console.error("Error in getAllApiKeys service:", error);
+    throw error;
+  }
+}
+
+async function getApiKeyById(apiKeyId) {
+  try {
+    const apiKey = await prisma.apiKey.findUnique({
+      where: { api_key_id: apiKeyId },
+      select: apiKeySelect
+    });
+
+    if (!apiKey) {
+      throw new Error("API key not found");
+    }
+
+    return formatApiKey(apiKey);
+  } catch (error) {
+    console.error("Error in getApiKeyById service:", error);
+    throw error;
+  }
+}
+
+/**
+ * Revoke an API key. Takes effect on the next request.
+ */
+async function revokeApiKey(apiKeyId, reason, adminUser, requestContext = {}) {
+  try {
+    const apiKey = await prisma.apiKey.findUnique({ where: { api_key_id: apiKeyId } });
+
+    if (!apiKey) {
+      throw new Error("API key not found");
+    }
+
+    if (apiKey.revoked_at) {
+      throw new Error("API key is already revoked");
+    }
+
+    const revokedKey = await prisma.apiKey.update({
+      where: { api_key_id: apiKeyId },
+      data: {
+        revoked_at: new Date(),
+        revoked_by: adminUser.id,
+        revoked_reason: reason || null
+      },
+      select: apiKeySelect
+    });
+
+    await eventLogger.logEvent({
+      userId: adminUser.id,
+      action: "API_KEY_REVOKED",
+      entityType: "ApiKey",
+      entityId: apiKeyId,
+      description: `Revoked API key '${apiKey.name}' (${apiKey.key_prefix})${reason ? `: ${reason}` : ""}`,
+      oldValues: { revoked_at: null },
+      newValues: { revoked_at: revokedKey.revoked_at, revoked_reason: reason || null },
+      metadata: {
+        operation_type: "SECURITY",
+        action_type: "API_KEY_REVOKED",
+        usage_count: apiKey.usage_count,
+        last_used_at: apiKey.last_used_at,
+        revoked_by: adminUser.userId || adminUser.id
+      },
+      ...requestContext
+    });
+
+    return formatApiKey(revokedKey);
+  } catch (error) {
+    console.error("Error in revokeApiKey service:", error);
+    throw error;
+  }
+}
+
+/**
+ * Resolves a raw API key to the request user. Records last use.
+ * @returns {Promise<Object>} { valid, reason: NOT_FOUND|REVOKED|EXPIRED|USER_INACTIVE, apiKey, user }
+ */
+async function authenticateApiKey(rawKey, ipAddress = null) {
+  const apiKey = await prisma.apiKey.findUnique({
+    where: { key_hash: hashToken(rawKey) },
+    include: {
+      user: {
+        include: {
+          role: true,
+          active_state: true,
+          clientUserAccounts: {
+            include: { client: true }
+          }
+        }
+      }
+    }
+  });
+
+  if (!apiKey) {
+    return { valid: false, reason: "NOT_FOUND" };
+  }
+
+  const status = getKeyStatus(apiKey);
+  if (status !== "ACTIVE") {
+    return { valid: false, reason: status, apiKey };
+  }
+
+  const user = apiKey.user;
+  if (user.active_state?.name === "Inactivo" || (user.clientUserAccounts && !user.clientUserAccounts.is_active)) {
+    return { valid: false, reason: "USER_INACTIVE", apiKey };
+  }
+
+  await prisma.apiKey.update({
+    where: { api_key_id: apiKey.api_key_id },
+    data: {
+      last_used_at: new Date(),
+      last_used_ip: ipAddress,
+      usage_count: { increment: 1 }
+    }
+  });
+
+  const { tokenData } = buildTokenPayload(user);
+
+  return {
+    valid: true,
+    apiKey,
+    user: {
+      ...tokenData,
+      client_id: apiKey.client_id || tokenData.client_id,
+      auth_type: "API_KEY",
+      api_key_id: apiKey.api_key_id,
+      api_key_name: apiKey.name,
+      scopes: apiKey.scopes
+    }
+  };
+}
+
+/**
+ * Writes API_CALL_MADE for a request authenticated with an API key
+ */
+async function logApiCall(apiKey, { method, path, statusCode, durationMs, ipAddress, userAgent }) {
+  await eventLogger.logEvent({
+    userId: apiKey.user_id,
+    action: "API_CALL_MADE",
+    entityType: "ApiKey",
+    entityId: apiKey.api_key_id,
+    description: `API key '${apiKey.name}' called ${method} ${path} (${statusCode})`,
+    metadata: {
+      operation_type: "INTEGRATION",
+      api_key_name: apiKey.name,
+      key_prefix: apiKey.key_prefix,
+      organisation_id: apiKey.organisation_id,
+      client_id: apiKey.client_id,
+      method,
+      path,
+      status_code: statusCode,
+      duration_ms: durationMs
+    },
+    ipAddress,
+    userAgent
+  });
+}
+
+module.exports = {
+  isApiKey,
+  getAvailableScopes,
+  createApiKey,
+  getAllApiKeys,
+  getApiKeyById,
+  revokeApiKey,
+  authenticateApiKey,
+  logApiCall
+};
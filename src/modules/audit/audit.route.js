@@ -1,23 +1,26 @@
 const express = require("express");
 const router = express.Router();
 const auditController = require("./audit.controller");
+const { requirePermission } = require("../../middlewares/roleBasedAccess");
 
 // Create audit routes
-router.post("/", auditController.createAudit);
-router.post("/bulk", auditController.createBulkAudits);
+router.post("/", requirePermission("audit_logs", "create"), auditController.createAudit);
+router.post("/bulk", requirePermission("audit_logs", "create"), auditController.createBulkAudits);
 
 // Get audit data routes
-router.get("/statistics/summary", auditController.getAuditStatistics);
+router.get("/statistics/summary", requirePermission("audit_logs", "read"), auditController.getAuditStatistics);
 router.get(
   "/entry-orders/pending",
+  requirePermission("audit_logs", "read"),
   auditController.getEntryOrdersWithPendingAudits
 );
-router.get("/entry-order/:entry_order_id", auditController.getEntryOrderAudits);
+router.get("/entry-order/:entry_order_id", requirePermission("audit_logs", "read"), auditController.getEntryOrderAudits);
 router.get(
   "/entry-order/:entry_order_id/pending",
+  requirePermission("audit_logs", "read"),
   auditController.getPendingProductAudits
 );
-router.get("/:audit_id", auditController.getAuditById);
-router.get("/", auditController.getAllAudits);
+router.get("/:audit_id", requirePermission("audit_logs", "read"), auditController.getAuditById);
+router.get("/", requirePermission("audit_logs", "read"), auditController.getAllAudits);
 
 module.exports = router;
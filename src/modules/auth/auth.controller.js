@@ -1,5 +1,9 @@
 // src/modules/authentication/auth.controller.js
 const authService = require("./auth.service");
+const twoFactorService = require("./two-factor.service");
+const sessionService = require("./session.service");
+const impersonationService = require("./impersonation.service");
+const { ROLES, getRolePermissions } = require("../../middlewares/roleBasedAccess");
 
 /**
  * Handle user registration
@@ -174,12 +178,15 @@ async function login(req, res) {
     const authResult = await authService.loginUser(
       userId, 
       password, 
-      req.ip, 
-      req.get('User-Agent'), 
+      req.eventContext?.ipAddress || req.ip, 
+      req.eventContext?.userAgent || req.get('User-Agent'), 
       req.sessionID || `session-${Date.now()}`
     );
 
-    console.log("authResult", authResult);
+    // ✅ Password accepted but a second factor (or 2FA enrolment) is still required
+    if (authResult.two_factor_required || authResult.two_factor_setup_required) {
+      return res.status(200).json(authResult);
+    }
 
     // ✅ LOG: Successful login
     if (req.logEvent) {
@@ -260,6 +267,28 @@ async function login(req, res) {
       );
     }
     
+    if (err.message.includes("Account is deactivated")) {
+      return res.status(403).json({
+        success: false,
+        message: err.message
+      });
+    }
+
+    // ✅ Lockout and throttling responses
+    if (err.message.includes("temporarily locked")) {
+      return res.status(423).json({
+        success: false,
+        message: err.message
+      });
+    }
+
+    if (err.message.includes("Too many")) {
+      return res.status(429).json({
+        success: false,
+        message: err.message
+      });
+    }
+
     return res.status(401).json({ 
       success: false,
       message: err.message 
@@ -267,6 +296,602 @@ async function login(req, res) {
   }
 }
 
+/**
+ * Complete a login with a TOTP code or recovery code
+ */
+async function verifyTwoFactorLogin(req, res) {
+  try {
+    const { challenge_token, code, recovery_code } = req.body;
+
+    if (!challenge_token || (!code && !recovery_code)) {
+      return res.status(400).json({
+        success: false,
+        message: "challenge_token and code (or recovery_code) are required"
+      });
+    }
+
+    const result = await authService.verifyTwoFactorLogin(
+      challenge_token,
+      { code, recoveryCode: recovery_code },
+      req.eventContext?.ipAddress || req.ip,
+      req.eventContext?.userAgent || req.get('User-Agent')
+    );
+
+    return res.status(200).json(result);
+
+  } catch (error) {
+    console.error("Error in verifyTwoFactorLogin controller:", error);
+    return handleTwoFactorError(res, error, "Failed to verify two-factor code");
+  }
+}
+
+/**
+ * Start TOTP enrolment, either for the logged-in user or during login
+ * (`challenge_token` from a `two_factor_setup_required` login response)
+ */
+async function twoFactorSetup(req, res) {
+  try {
+    const result = req.user
+      ? await twoFactorService.beginEnrolment(req.user.id)
+      : await authService.beginTwoFactorEnrolmentLogin(req.body.challenge_token);
+
+    return res.status(200).json({
+      success: true,
+      message: "Scan the QR code with an authenticator app and confirm with a code",
+      data: result
+    });
+
+  } catch (error) {
+    console.error("Error in twoFactorSetup controller:", error);
+    return handleTwoFactorError(res, error, "Failed to start two-factor setup");
+  }
+}
+
+/**
+ * Confirm TOTP enrolment with a first code. During login this also issues the session.
+ */
+async function twoFactorEnable(req, res) {
+  try {
+    const { code, challenge_token } = req.body;
+
+    if (!code) {
+      return res.status(400).json({
+        success: false,
+        message: "code is required"
+      });
+    }
+
+    const ipAddress = req.eventContext?.ipAddress || req.ip;
+    const userAgent = req.eventContext?.userAgent || req.get('User-Agent');
+
+    if (!req.user) {
+      const result = await authService.completeTwoFactorEnrolmentLogin(challenge_token, code, ipAddress, userAgent);
+      return res.status(200).json(result);
+    }
+
+    const result = await twoFactorService.enableTwoFactor(req.user.id, code, ipAddress, userAgent);
+
+    return res.status(200).json({
+      success: true,
+      message: "Two-factor authentication enabled. Store the recovery codes in a safe place.",
+      data: result
+    });
+
+  } catch (error) {
+    console.error("Error in twoFactorEnable controller:", error);
+    return handleTwoFactorError(res, error, "Failed to enable two-factor authentication");
+  }
+}
+
+/**
+ * Disable 2FA (not allowed for roles where it is mandatory)
+ */
+async function twoFactorDisable(req, res) {
+  try {
+    const { password, code } = req.body;
+
+    if (!password || !code) {
+      return res.status(400).json({
+        success: false,
+        message: "password and code are required"
+      });
+    }
+
+    const result = await twoFactorService.disableTwoFactor(
+      req.user.id,
+      password,
+      code,
+      req.eventContext?.ipAddress || req.ip,
+      req.eventContext?.userAgent || req.get('User-Agent')
+    );
+
+    return res.status(200).json(result);
+
+  } catch (error) {
+    console.error("Error in twoFactorDisable controller:", error);
+    return handleTwoFactorError(res, error, "Failed to disable two-factor authentication");
+  }
+}
+
+/**
+ * Replace the recovery codes of the logged-in user
+ */
+async function regenerateRecoveryCodes(req, res) {
+  try {
+    const { code } = req.body;
+
+    if (!code) {
+      return res.status(400).json({
+        success: false,
+        message: "code is required"
+      });
+    }
+
+    const result = await twoFactorService.regenerateRecoveryCodes(req.user.id, code);
+
+    return res.status(200).json({
+      success: true,
+      message: "Recovery codes regenerated",
+      data: result
+    });
+
+  } catch (error) {
+    console.error("Error in regenerateRecoveryCodes controller:", error);
+    return handleTwoFactorError(res, error, "Failed to regenerate recovery codes");
+  }
+}
+
+/**
+ * Two-factor status of the logged-in user
+ */
+async function twoFactorStatus(req, res) {
+  try {
+    const result = await twoFactorService.getTwoFactorStatus(req.user.id);
+
+    return res.status(200).json({
+      success: true,
+      data: result
+    });
+
+  } catch (error) {
+    console.error("Error in twoFactorStatus controller:", error);
+    return handleTwoFactorError(res, error, "Failed to get two-factor status");
+  }
+}
+
+function handleTwoFactorError(res, error, fallbackMessage) {
+  const message = error.message;
+
+  if (message.includes("temporarily locked")) {
+    return res.status(423).json({ success: false, message });
+  }
+
+  if (message.includes("Too many")) {
+    return res.status(429).json({ success: false, message });
+  }
+
+  if (message.includes("Invalid two-factor code") || message.includes("two-factor challenge") || message.includes("password is incorrect")) {
+    return res.status(401).json({ success: false, message });
+  }
+
+  if (message.includes("mandatory")) {
+    return res.status(403).json({ success: false, message });
+  }
+
+  if (message.includes("User not found")) {
+    return res.status(404).json({ success: false, message });
+  }
+
+  if (message.includes("already enabled") || message.includes("not enabled") || message.includes("not been started")) {
+    return res.status(400).json({ success: false, message });
+  }
+
+  return res.status(500).json({
+    success: false,
+    message: fallbackMessage,
+    error: message
+  });
+}
+
+/**
+ * Exchange a refresh token for a new token pair
+ */
+async function refresh(req, res) {
+  try {
+    const { refresh_token } = req.body;
+
+    if (!refresh_token) {
+      return res.status(400).json({
+        success: false,
+        message: "refresh_token is required"
+      });
+    }
+
+    const result = await authService.refreshSession(
+      refresh_token,
+      req.ip,
+      req.get('User-Agent')
+    );
+
+    return res.status(200).json(result);
+
+  } catch (error) {
+    console.error("Error in refresh controller:", error);
+
+    if (
+      error.message.includes("Session expired") ||
+      error.message.includes("Session has been revoked") ||
+      error.message.includes("Invalid refresh token")
+    ) {
+      return res.status(401).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    return res.status(500).json({
+      success: false,
+      message: "Failed to refresh session",
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Handle logout of the current session (or all sessions with `all_sessions: true`)
+ */
+async function logout(req, res) {
+  try {
+    const result = await authService.logoutUser(req.user, {
+      allSessions: req.body?.all_sessions === true,
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+
+    return res.status(200).json(result);
+
+  } catch (error) {
+    console.error("Error in logout controller:", error);
+
+    return res.status(500).json({
+      success: false,
+      message: "Failed to log out",
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Handle forgot-password request (sends a reset link by email)
+ */
+async function forgotPassword(req, res) {
+  try {
+    const { identifier } = req.body;
+
+    if (!identifier) {
+      return res.status(400).json({
+        success: false,
+        message: "User ID, email or username is required"
+      });
+    }
+
+    const result = await authService.requestPasswordReset(
+      identifier,
+      req.ip,
+      req.get('User-Agent')
+    );
+
+    return res.status(200).json(result);
+
+  } catch (error) {
+    console.error("Error in forgotPassword controller:", error);
+
+    return res.status(500).json({
+      success: false,
+      message: "Failed to process password reset request",
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Handle password reset with a token from the reset email
+ */
+async function resetPassword(req, res) {
+  try {
+    const { token, new_password } = req.body;
+
+    if (!token || !new_password) {
+      return res.status(400).json({
+        success: false,
+        message: "Reset token and new password are required"
+      });
+    }
+
+    const result = await authService.resetPassword(
+      token,
+      new_password,
+      req.ip,
+      req.get('User-Agent')
+    );
+
+    return res.status(200).json(result);
+
+  } catch (error) {
+    console.error("Error in resetPassword controller:", error);
+
+    if (error.message.includes("Invalid or expired reset token")) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid or expired reset token",
+        error: error.message
+      });
+    }
+
+    if (error.message.includes("New password must be at least")) {
+      return res.status(400).json({
+        success: false,
+        message: "Password must be at least 6 characters long",
+        error: error.message
+      });
+    }
+
+    return res.status(500).json({
+      success: false,
+      message: "Failed to reset password",
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Clear a temporary login lockout (ADMIN only)
+ */
+async function unlockAccount(req, res) {
+  try {
+    const { user_id, ip_address } = req.body;
+
+    if (!user_id && !ip_address) {
+      return res.status(400).json({
+        success: false,
+        message: "user_id or ip_address is required"
+      });
+    }
+
+    const result = await authService.unlockAccount(
+      { userId: user_id, ipAddress: ip_address },
+      req.user,
+      req.eventContext?.ipAddress || req.ip,
+      req.eventContext?.userAgent || req.get('User-Agent')
+    );
+
+    return res.status(200).json(result);
+
+  } catch (error) {
+    console.error("Error in unlockAccount controller:", error);
+
+    if (error.message.includes("User not found")) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+        error: error.message
+      });
+    }
+
+    return res.status(500).json({
+      success: false,
+      message: "Failed to clear lockout",
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Start a read-only "view as client" session (ADMIN only)
+ */
+async function startImpersonation(req, res) {
+  try {
+    const { client_id, client_user_id, reason } = req.body || {};
+
+    const result = await impersonationService.startImpersonation(
+      req.user,
+      { client_id, client_user_id, reason },
+      {
+        ipAddress: req.eventContext?.ipAddress || req.ip,
+        userAgent: req.eventContext?.userAgent || req.get('User-Agent')
+      }
+    );
+
+    return res.status(200).json({ success: true, ...result });
+
+  } catch (error) {
+    console.error("Error in startImpersonation controller:", error);
+
+    if (error.message.includes("is required")) {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+
+    if (error.message.includes("not found") || error.message.includes("No active user")) {
+      return res.status(404).json({ success: false, message: error.message });
+    }
+
+    if (
+      error.message.includes("cannot") ||
+      error.message.includes("Only CLIENT") ||
+      error.message.includes("does not belong")
+    ) {
+      return res.status(403).json({ success: false, message: error.message });
+    }
+
+    return res.status(500).json({
+      success: false,
+      message: "Failed to start impersonation",
+      error: error.message
+    });
+  }
+}
+
+/**
+ * End a "view as client" session, called with the administrator's own token
+ */
+async function endImpersonation(req, res) {
+  try {
+    const { session_id } = req.body || {};
+
+    if (!session_id) {
+      return res.status(400).json({
+        success: false,
+        message: "session_id is required"
+      });
+    }
+
+    const result = await impersonationService.endImpersonation(req.user, session_id, {
+      ipAddress: req.eventContext?.ipAddress || req.ip,
+      userAgent: req.eventContext?.userAgent || req.get('User-Agent')
+    });
+
+    return res.status(200).json(result);
+
+  } catch (error) {
+    console.error("Error in endImpersonation controller:", error);
+
+    if (error.message.includes("not found")) {
+      return res.status(404).json({ success: false, message: error.message });
+    }
+
+    if (error.message.includes("already ended")) {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+
+    return res.status(500).json({
+      success: false,
+      message: "Failed to end impersonation",
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Permissions of the logged-in user's role, so the frontend can hide actions
+ */
+async function getPermissions(req, res) {
+  try {
+    const role = req.user?.role;
+    const roleInfo = ROLES[role];
+
+    if (!roleInfo) {
+      return res.status(403).json({
+        success: false,
+        message: "Invalid user role"
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        role,
+        level: roleInfo.level,
+        description: roleInfo.description,
+        client_restricted: roleInfo.clientRestricted || false,
+        self_restricted: roleInfo.selfRestricted || false,
+        permissions: getRolePermissions(role),
+        impersonation: req.user.impersonation || null
+      }
+    });
+
+  } catch (error) {
+    console.error("Error in getPermissions controller:", error);
+
+    return res.status(500).json({
+      success: false,
+      message: "Failed to get permissions",
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Active sessions of the logged-in user, flagging the one making the request
+ */
+async function getSessions(req, res) {
+  try {
+    const sessions = await sessionService.listUserSessions(req.user.id, req.user.sid);
+
+    return res.status(200).json({
+      success: true,
+      data: sessions,
+      total_count: sessions.length
+    });
+
+  } catch (error) {
+    console.error("Error in getSessions controller:", error);
+
+    return res.status(500).json({
+      success: false,
+      message: "Failed to get sessions",
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Sign out one of the logged-in user's sessions (e.g. a lost device)
+ */
+async function revokeSession(req, res) {
+  try {
+    const result = await sessionService.revokeOwnSession(req.user, req.params.session_id, {
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+
+    return res.status(200).json(result);
+
+  } catch (error) {
+    console.error("Error in revokeSession controller:", error);
+
+    if (error.message.includes("not found")) {
+      return res.status(404).json({ success: false, message: error.message });
+    }
+
+    if (error.message.includes("already revoked")) {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+
+    return res.status(500).json({
+      success: false,
+      message: "Failed to revoke session",
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Sign out all of the logged-in user's sessions (`keep_current: true` keeps this one)
+ */
+async function revokeAllSessions(req, res) {
+  try {
+    const result = await sessionService.revokeOwnSessions(
+      req.user,
+      { keepCurrent: req.body?.keep_current === true },
+      {
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent')
+      }
+    );
+
+    return res.status(200).json(result);
+
+  } catch (error) {
+    console.error("Error in revokeAllSessions controller:", error);
+
+    return res.status(500).json({
+      success: false,
+      message: "Failed to revoke sessions",
+      error: error.message
+    });
+  }
+}
+
 /**
  * Handle password change
  */
@@ -333,7 +958,8 @@ async function getProfile(req, res) {
     return res.status(200).json({
       success: true,
       message: "Profile retrieved successfully",
-      data: profile
+      data: profile,
+      impersonation: req.user.impersonation || null
     });
 
   } catch (error) {
@@ -411,4 +1037,27 @@ async function changeClientUserPassword(req, res) {
   }
 }
 
-module.exports = { register, login, changePassword, getProfile, changeClientUserPassword };
+module.exports = {
+  register,
+  login,
+  verifyTwoFactorLogin,
+  twoFactorSetup,
+  twoFactorEnable,
+  twoFactorDisable,
+  regenerateRecoveryCodes,
+  twoFactorStatus,
+  refresh,
+  logout,
+  forgotPassword,
+  resetPassword,
+  unlockAccount,
+  startImpersonation,
+  endImpersonation,
+  getPermissions,
+  getSessions,
+  revokeSession,
+  revokeAllSessions,
+  changePassword,
+  getProfile,
+  changeClientUserPassword
+};
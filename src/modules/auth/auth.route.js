@@ -2,15 +2,37 @@
 const express = require("express");
 const authController = require("./auth.controller");
 const authenticateToken = require("../../middlewares/authMiddleware");
+const { requireRole, denyApiKey } = require("../../middlewares/roleBasedAccess");
 
 const router = express.Router();
 
 router.post("/register", authController.register);
 router.post("/login", authController.login);
-router.put("/change-password", authenticateToken, authController.changePassword);
+router.post("/login/2fa", authController.verifyTwoFactorLogin);
+router.post("/login/2fa/setup", authController.twoFactorSetup);
+router.post("/login/2fa/enable", authController.twoFactorEnable);
+router.post("/refresh", authController.refresh);
+router.post("/logout", authenticateToken, denyApiKey, authController.logout);
+router.post("/forgot-password", authController.forgotPassword);
+router.post("/reset-password", authController.resetPassword);
+router.post("/unlock-account", authenticateToken, requireRole('ADMIN'), authController.unlockAccount);
+router.post("/impersonate", authenticateToken, requireRole('ADMIN'), authController.startImpersonation);
+router.post("/impersonate/end", authenticateToken, requireRole('ADMIN'), authController.endImpersonation);
+router.get("/2fa/status", authenticateToken, denyApiKey, authController.twoFactorStatus);
+router.post("/2fa/setup", authenticateToken, denyApiKey, authController.twoFactorSetup);
+router.post("/2fa/enable", authenticateToken, denyApiKey, authController.twoFactorEnable);
+router.post("/2fa/disable", authenticateToken, denyApiKey, authController.twoFactorDisable);
+router.post("/2fa/recovery-codes", authenticateToken, denyApiKey, authController.regenerateRecoveryCodes);
+router.put("/change-password", authenticateToken, denyApiKey, authController.changePassword);
+
+// ✅ Own active sessions (devices) with remote sign-out
+router.get("/sessions", authenticateToken, denyApiKey, authController.getSessions);
+router.post("/sessions/revoke-all", authenticateToken, denyApiKey, authController.revokeAllSessions);
+router.delete("/sessions/:session_id", authenticateToken, denyApiKey, authController.revokeSession);
 
 // ✅ NEW: Profile management routes
 router.get("/profile", authenticateToken, authController.getProfile);
-router.put("/profile/client-users/:client_user_id/password", authenticateToken, authController.changeClientUserPassword);
+router.get("/permissions", authenticateToken, authController.getPermissions);
+router.put("/profile/client-users/:client_user_id/password", authenticateToken, denyApiKey, authController.changeClientUserPassword);
 
 module.exports = router;
\ No newline at end of file
@@ -1,11 +1,15 @@
 const { PrismaClient } = require("@prisma/client");
 const bcrypt = require("bcrypt");
-const jwt = require("jsonwebtoken");
+const crypto = require("crypto");
 const eventLogger = require("../../utils/eventLogger");
+const emailService = require("../../utils/emailService");
+const tokenService = require("./token.service");
+const loginProtection = require("./login-protection.service");
+const twoFactorService = require("./two-factor.service");
 require("dotenv").config(); // Load environment variables
 
 const prisma = new PrismaClient();
-const SECRET_KEY = process.env.JWT_SECRET || "your_secret_key";
+const PASSWORD_RESET_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 60;
 
 /**
  * Registers a new user.
@@ -82,7 +86,145 @@ async function registerUser(loginPayload) {
 }
 
 /**
- * Logs in a user and returns a JWT token.
+ * Writes a USER_LOGIN_FAILED entry to the system audit log.
+ */
+async function logLoginFailure({ user, identifier, reason, ipAddress, userAgent, sessionId, extraMetadata = {} }) {
+  const reasonText = {
+    USER_NOT_FOUND: 'User not found',
+    INVALID_PASSWORD: 'Invalid password',
+    ACCOUNT_LOCKED: 'Account locked',
+    THROTTLED: 'Attempt throttled',
+    IP_BLOCKED: 'IP address blocked'
+  }[reason] || reason;
+
+  await eventLogger.logEvent({
+    userId: user?.id || 'SYSTEM',
+    action: 'USER_LOGIN_FAILED',
+    entityType: 'User',
+    entityId: user?.id || identifier,
+    description: user
+      ? `Failed login attempt for user: ${user.email} - ${reasonText}`
+      : `Failed login attempt for user ID: ${identifier} - ${reasonText}`,
+    metadata: {
+      operation_type: 'AUTHENTICATION',
+      failure_reason: reason,
+      attempted_user_id: identifier,
+      user_email: user?.email || null,
+      role: user?.role?.name || null,
+      ...extraMetadata
+    },
+    ipAddress,
+    userAgent,
+    sessionId
+  });
+}
+
+/**
+ * Throws when brute-force protection blocks the attempt (IP block, lockout or progressive delay).
+ */
+async function assertLoginAllowed(user, identifier, ipAddress, userAgent, sessionId) {
+  const loginCheck = await loginProtection.checkLoginAllowed(user, ipAddress);
+  if (loginCheck.allowed) return;
+
+  await loginProtection.recordFailedAttempt({
+    identifier,
+    user,
+    ipAddress,
+    userAgent,
+    reason: loginCheck.reason
+  });
+  await logLoginFailure({
+    user,
+    identifier,
+    reason: loginCheck.reason,
+    ipAddress,
+    userAgent,
+    sessionId,
+    extraMetadata: { retry_after_seconds: loginCheck.retryAfterSeconds }
+  });
+
+  const waitMinutes = Math.ceil(loginCheck.retryAfterSeconds / 60);
+  if (loginCheck.reason === 'ACCOUNT_LOCKED') {
+    throw new Error(`Account is temporarily locked due to repeated failed attempts. Try again in ${waitMinutes} minute(s) or contact an administrator.`);
+  }
+  if (loginCheck.reason === 'IP_BLOCKED') {
+    throw new Error(`Too many failed login attempts from this address. Try again in ${waitMinutes} minute(s).`);
+  }
+  throw new Error(`Too many login attempts. Try again in ${loginCheck.retryAfterSeconds} second(s).`);
+}
+
+/**
+ * Issues the session for a fully authenticated user and writes USER_LOGIN.
+ */
+async function completeLogin(user, loginMethod, ipAddress, userAgent) {
+  const { tokenData, username, clientData } = tokenService.buildTokenPayload(user);
+
+  // ✅ Start a session: short-lived access token plus rotating refresh token
+  const session = await tokenService.issueTokens({
+    userId: user.id,
+    payload: tokenData,
+    ipAddress,
+    userAgent
+  });
+
+  // ✅ Prepare response object
+  const response = {
+    token: session.token,
+    refresh_token: session.refresh_token,
+    expires_in: session.expires_in,
+    username,
+    role: user.role.name,
+    organisation_id: user.organisation_id,
+    id: user.id,
+    two_factor_enabled: user.two_factor_enabled
+  };
+
+  // ✅ Add client data for CLIENT and CLIENT_PHARMACIST role users
+  if (clientData) {
+    response.client = clientData;
+
+    // ✅ Add is_primary_user flag for CLIENT and CLIENT_PHARMACIST users
+    if ((user.role.name === 'CLIENT' || user.role.name === 'CLIENT_PHARMACIST') && user.clientUserAccounts) {
+      response.is_primary_user = user.clientUserAccounts.is_primary;
+    }
+  }
+
+  // Log successful login
+  await eventLogger.logEvent({
+    userId: user.id,
+    action: 'USER_LOGIN',
+    entityType: 'User',
+    entityId: user.id,
+    description: `User logged in successfully: ${user.email}${clientData ? ` (Client: ${clientData.name})` : ''}`,
+    newValues: {
+      login_time: new Date().toISOString(),
+      username: username,
+      role: user.role.name,
+      organisation_id: user.organisation_id,
+      client_data: clientData
+    },
+    metadata: {
+      operation_type: 'AUTHENTICATION',
+      login_method: loginMethod,
+      user_email: user.email,
+      username: username,
+      role: user.role.name,
+      organisation_id: user.organisation_id,
+      client_type: clientData?.client_type || null,
+      client_id: clientData?.client_id || null
+    },
+    ipAddress,
+    userAgent,
+    sessionId: session.session_id
+  });
+
+  return response;
+}
+
+/**
+ * Logs in a user and returns an access token plus a refresh token.
+ * Users with 2FA (or whose role requires it) get a challenge token instead and
+ * finish the login through `verifyTwoFactorLogin` / `completeTwoFactorEnrolmentLogin`.
  */
 async function loginUser(userId, plainPassword, ipAddress = null, userAgent = null, sessionId = null) {
   try {
@@ -91,6 +233,7 @@ async function loginUser(userId, plainPassword, ipAddress = null, userAgent = nu
       where: { user_id: userId },
       include: {
         role: true, // Include role to get role name
+        active_state: true,
         clientUserAccounts: {
           include: {
             client: true // Include client data for CLIENT and CLIENT_PHARMACIST role users
@@ -107,19 +250,20 @@ async function loginUser(userId, plainPassword, ipAddress = null, userAgent = nu
       clientUserAccountData: user?.clientUserAccounts
     });
 
+    // ✅ Brute-force protection: IP throttling, account lockout and progressive delay
+    await assertLoginAllowed(user, userId, ipAddress, userAgent, sessionId);
+
     if (!user) {
-      // Log failed login attempt
-      await eventLogger.logEvent({
-        userId: 'SYSTEM',
-        action: 'USER_LOGIN_FAILED',
-        entityType: 'User',
-        entityId: userId,
-        description: `Failed login attempt for user ID: ${userId} - User not found`,
-        metadata: {
-          operation_type: 'AUTHENTICATION',
-          failure_reason: 'USER_NOT_FOUND',
-          attempted_user_id: userId
-        },
+      await loginProtection.recordFailedAttempt({
+        identifier: userId,
+        ipAddress,
+        userAgent,
+        reason: 'USER_NOT_FOUND'
+      });
+      await logLoginFailure({
+        user: null,
+        identifier: userId,
+        reason: 'USER_NOT_FOUND',
         ipAddress,
         userAgent,
         sessionId
@@ -133,143 +277,567 @@ async function loginUser(userId, plainPassword, ipAddress = null, userAgent = nu
       user.password_hash
     );
     if (!isPasswordValid) {
-      // Log failed login attempt
+      const failure = await loginProtection.recordFailedAttempt({
+        identifier: userId,
+        user,
+        ipAddress,
+        userAgent,
+        reason: 'INVALID_PASSWORD'
+      });
+      await logLoginFailure({
+        user,
+        identifier: userId,
+        reason: 'INVALID_PASSWORD',
+        ipAddress,
+        userAgent,
+        sessionId,
+        extraMetadata: {
+          failed_attempts: failure.failedAttempts,
+          account_locked: failure.locked,
+          locked_until: failure.lockedUntil
+        }
+      });
+
+      if (failure.locked) {
+        throw new Error(`Account is temporarily locked due to repeated failed attempts. Try again later or contact an administrator.`);
+      }
+      throw new Error("Invalid userID or password.");
+    }
+
+    // ✅ Deactivated accounts cannot log in
+    if (user.active_state?.name === 'Inactivo' || (user.clientUserAccounts && !user.clientUserAccounts.is_active)) {
+      await loginProtection.recordFailedAttempt({
+        identifier: userId,
+        user,
+        ipAddress,
+        userAgent,
+        reason: 'ACCOUNT_DEACTIVATED'
+      });
+      await logLoginFailure({
+        user,
+        identifier: userId,
+        reason: 'ACCOUNT_DEACTIVATED',
+        ipAddress,
+        userAgent,
+        sessionId
+      });
+      throw new Error("Account is deactivated. Contact an administrator.");
+    }
+
+    // ✅ Two-factor step: password is correct, a TOTP code is still required
+    if (user.two_factor_enabled) {
+      return {
+        two_factor_required: true,
+        challenge_token: twoFactorService.createChallengeToken(user, twoFactorService.CHALLENGE_PURPOSE.VERIFY),
+        expires_in: 300
+      };
+    }
+
+    // ✅ Privileged roles must enrol before they get a session
+    if (twoFactorService.isTwoFactorRequired(user.role.name)) {
+      return {
+        two_factor_setup_required: true,
+        challenge_token: twoFactorService.createChallengeToken(user, twoFactorService.CHALLENGE_PURPOSE.ENROL),
+        expires_in: 300
+      };
+    }
+
+    await loginProtection.recordSuccessfulAttempt({
+      identifier: userId,
+      user,
+      ipAddress,
+      userAgent
+    });
+
+    return await completeLogin(user, 'PASSWORD', ipAddress, userAgent);
+  } catch (error) {
+    console.error("❌ Error logging in:", error.message);
+    throw new Error("Login failed: " + error.message);
+  }
+}
+
+/**
+ * Second login step: validates the challenge token plus a TOTP or recovery code.
+ */
+async function verifyTwoFactorLogin(challengeToken, { code = null, recoveryCode = null }, ipAddress = null, userAgent = null) {
+  if (!challengeToken || (!code && !recoveryCode)) {
+    throw new Error("Challenge token and a two-factor code or recovery code are required");
+  }
+
+  const challenge = twoFactorService.verifyChallengeToken(challengeToken, [twoFactorService.CHALLENGE_PURPOSE.VERIFY]);
+
+  const user = await prisma.user.findUnique({
+    where: { id: challenge.sub },
+    include: {
+      role: true,
+      clientUserAccounts: {
+        include: {
+          client: true
+        }
+      }
+    }
+  });
+
+  if (!user || !user.two_factor_enabled) {
+    throw new Error("Invalid or expired two-factor challenge");
+  }
+
+  await assertLoginAllowed(user, user.user_id, ipAddress, userAgent, null);
+
+  const isValid = recoveryCode
+    ? await twoFactorService.consumeRecoveryCode(user, recoveryCode)
+    : await twoFactorService.verifyTotpCode(user, code);
+
+  if (!isValid) {
+    const failure = await loginProtection.recordFailedAttempt({
+      identifier: user.user_id,
+      user,
+      ipAddress,
+      userAgent,
+      reason: 'INVALID_2FA_CODE'
+    });
+    await logLoginFailure({
+      user,
+      identifier: user.user_id,
+      reason: 'INVALID_2FA_CODE',
+      ipAddress,
+      userAgent,
+      sessionId: null,
+      extraMetadata: {
+        used_recovery_code: !!recoveryCode,
+        failed_attempts: failure.failedAttempts,
+        account_locked: failure.locked
+      }
+    });
+
+    if (failure.locked) {
+      throw new Error(`Account is temporarily locked due to repeated failed attempts. Try again later or contact an administrator.`);
+    }
+    throw new Error("Invalid two-factor code");
+  }
+
+  await loginProtection.recordSuccessfulAttempt({
+    identifier: user.user_id,
+    user,
+    ipAddress,
+    userAgent
+  });
+
+  const response = await completeLogin(
+    user,
+    recoveryCode ? 'PASSWORD_RECOVERY_CODE' : 'PASSWORD_TOTP',
+    ipAddress,
+    userAgent
+  );
+
+  if (recoveryCode) {
+    response.recovery_codes_remaining = user.two_factor_recovery_codes.length - 1;
+  }
+
+  return response;
+}
+
+/**
+ * Starts mandatory enrolment for a user who passed the password step.
+ */
+async function beginTwoFactorEnrolmentLogin(challengeToken) {
+  const challenge = twoFactorService.verifyChallengeToken(challengeToken, [twoFactorService.CHALLENGE_PURPOSE.ENROL]);
+  return await twoFactorService.beginEnrolment(challenge.sub);
+}
+
+/**
+ * Finishes mandatory enrolment and logs the user in. Recovery codes are returned once.
+ */
+async function completeTwoFactorEnrolmentLogin(challengeToken, code, ipAddress = null, userAgent = null) {
+  const challenge = twoFactorService.verifyChallengeToken(challengeToken, [twoFactorService.CHALLENGE_PURPOSE.ENROL]);
+
+  const { recovery_codes } = await twoFactorService.enableTwoFactor(challenge.sub, code, ipAddress, userAgent);
+
+  const user = await prisma.user.findUnique({
+    where: { id: challenge.sub },
+    include: {
+      role: true,
+      clientUserAccounts: {
+        include: {
+          client: true
+        }
+      }
+    }
+  });
+
+  await loginProtection.recordSuccessfulAttempt({
+    identifier: user.user_id,
+    user,
+    ipAddress,
+    userAgent
+  });
+
+  const response = await completeLogin(user, 'PASSWORD_TOTP', ipAddress, userAgent);
+  response.recovery_codes = recovery_codes;
+
+  return response;
+}
+
+/**
+ * Exchanges a refresh token for a new access/refresh token pair.
+ */
+async function refreshSession(refreshToken, ipAddress = null, userAgent = null) {
+  if (!refreshToken) {
+    throw new Error("Refresh token is required");
+  }
+
+  const rotation = await tokenService.rotateRefreshToken(refreshToken, ipAddress, userAgent);
+
+  if (!rotation.valid) {
+    if (rotation.reason === "EXPIRED") {
       await eventLogger.logEvent({
-        userId: user.id,
-        action: 'USER_LOGIN_FAILED',
+        userId: rotation.record.user_id,
+        action: 'USER_SESSION_EXPIRED',
         entityType: 'User',
-        entityId: user.id,
-        description: `Failed login attempt for user: ${user.email} - Invalid password`,
+        entityId: rotation.record.user_id,
+        description: `Session expired for user ${rotation.record.user_id}`,
         metadata: {
           operation_type: 'AUTHENTICATION',
-          failure_reason: 'INVALID_PASSWORD',
-          user_email: user.email,
-          role: user.role.name
+          session_id: rotation.record.family_id,
+          expired_at: rotation.record.expires_at
         },
         ipAddress,
         userAgent,
-        sessionId
+        sessionId: rotation.record.family_id
       });
-      throw new Error("Invalid userID or password.");
+      throw new Error("Session expired. Please log in again.");
     }
 
-    // ✅ Get username and client data for CLIENT and CLIENT_PHARMACIST role users
-    let username = user.user_id; // Default to user_id
-    let clientData = null;
+    if (rotation.reason === "REVOKED") {
+      throw new Error("Session has been revoked. Please log in again.");
+    }
 
-    console.log('🔍 DEBUG LOGIN:', {
-      userId: user.user_id,
-      role: user.role.name,
-      hasClientUserAccount: !!user.clientUserAccounts
-    });
+    if (rotation.reason === "REUSED") {
+      await eventLogger.logEvent({
+        userId: rotation.record.user_id,
+        action: 'USER_LOGOUT',
+        entityType: 'User',
+        entityId: rotation.record.user_id,
+        description: `Session revoked after reuse of a rotated refresh token`,
+        metadata: {
+          operation_type: 'SECURITY',
+          logout_reason: 'REFRESH_TOKEN_REUSE',
+          session_id: rotation.record.family_id
+        },
+        ipAddress,
+        userAgent,
+        sessionId: rotation.record.family_id
+      });
+    }
 
-    if ((user.role.name === 'CLIENT' || user.role.name === 'CLIENT_PHARMACIST') && user.clientUserAccounts) {
-      // Get the client user account (singular object, not array)
-      const clientUserAccount = user.clientUserAccounts;
-      username = clientUserAccount.username; // Use the client username
-
-      if (clientUserAccount.client) {
-        const client = clientUserAccount.client;
-
-        // Prepare client name data based on client type
-        if (client.client_type === 'JURIDICO') {
-          clientData = {
-            client_id: client.client_id,
-            client_type: client.client_type,
-            name: client.company_name,
-            company_type: client.company_type,
-            establishment_type: client.establishment_type,
-            ruc: client.ruc
-          };
-        } else if (client.client_type === 'NATURAL') {
-          clientData = {
-            client_id: client.client_id,
-            client_type: client.client_type,
-            name: `${client.first_names} ${client.last_name} ${client.mothers_last_name || ''}`.trim(),
-            first_names: client.first_names,
-            last_name: client.last_name,
-            mothers_last_name: client.mothers_last_name,
-            individual_id: client.individual_id
-          };
+    throw new Error("Invalid refresh token");
+  }
+
+  const user = await prisma.user.findUnique({
+    where: { id: rotation.record.user_id },
+    include: {
+      role: true,
+      clientUserAccounts: {
+        include: {
+          client: true
         }
       }
     }
+  });
 
-    // ✅ Generate JWT token with username and client data
-    const tokenData = {
-      userId: user.user_id,
-      username: username,
-      email: user.email,
-      role: user.role.name, // Attach role name in the token
-      organisation_id: user.organisation_id,
-      id: user.id,
-    };
+  if (!user || !user.role) {
+    await tokenService.revokeSession(rotation.record.family_id, "USER_UNAVAILABLE");
+    throw new Error("Invalid refresh token");
+  }
 
-    // Add client-specific data to JWT for CLIENT and CLIENT_PHARMACIST users
-    if ((user.role.name === 'CLIENT' || user.role.name === 'CLIENT_PHARMACIST') && user.clientUserAccounts) {
-      const clientUserAccount = user.clientUserAccounts;
-      tokenData.client_id = clientUserAccount.client_id;
-      tokenData.is_primary_user = clientUserAccount.is_primary;
-      console.log('✅ Added client_id to JWT:', clientUserAccount.client_id);
-    } else {
-      console.log('⚠️  NO client_id added to JWT - condition not met');
+  const { tokenData } = tokenService.buildTokenPayload(user);
+  const { token, expires_in } = tokenService.signAccessToken(tokenData, rotation.record.family_id);
+
+  return {
+    token,
+    refresh_token: rotation.refreshToken,
+    expires_in
+  };
+}
+
+/**
+ * Logs out the current session, or every session of the user when `allSessions` is set.
+ */
+async function logoutUser(user, { allSessions = false, ipAddress = null, userAgent = null } = {}) {
+  const revokedCount = allSessions
+    ? await tokenService.revokeAllUserSessions(user.id, "LOGOUT_ALL")
+    : await tokenService.revokeSession(user.sid, "LOGOUT");
+
+  await eventLogger.logEvent({
+    userId: user.id,
+    action: 'USER_LOGOUT',
+    entityType: 'User',
+    entityId: user.id,
+    description: `User logged out${allSessions ? ' from all sessions' : ''}: ${user.email}`,
+    metadata: {
+      operation_type: 'AUTHENTICATION',
+      logout_scope: allSessions ? 'ALL_SESSIONS' : 'CURRENT_SESSION',
+      revoked_sessions: revokedCount,
+      session_id: user.sid
+    },
+    ipAddress,
+    userAgent,
+    sessionId: user.sid
+  });
+
+  return {
+    success: true,
+    message: allSessions ? "Logged out from all sessions" : "Logged out successfully"
+  };
+}
+
+/**
+ * Starts the forgot-password flow for an internal user or a client user.
+ * `identifier` may be the login user ID, the account email or a client username.
+ * Always resolves the same way so callers cannot probe which accounts exist.
+ */
+async function requestPasswordReset(identifier, ipAddress = null, userAgent = null) {
+  const genericResponse = {
+    success: true,
+    message: "If the account exists, a password reset link has been sent to its email address"
+  };
+
+  if (!identifier) {
+    throw new Error("User ID, email or username is required");
+  }
+
+  const userInclude = {
+    role: { select: { name: true } },
+    clientUserAccounts: { include: { client: true } }
+  };
+
+  let user = await prisma.user.findFirst({
+    where: {
+      OR: [
+        { user_id: identifier },
+        { email: { equals: identifier, mode: 'insensitive' } }
+      ]
+    },
+    include: userInclude
+  });
+
+  if (!user) {
+    const clientUser = await prisma.clientUser.findUnique({
+      where: { username: identifier },
+      include: { user: { include: userInclude } }
+    });
+    user = clientUser?.user || null;
+  }
+
+  if (!user || (user.clientUserAccounts && !user.clientUserAccounts.is_active)) {
+    return genericResponse;
+  }
+
+  // Client users created without an email get a placeholder address; fall back to the client's email
+  let destinationEmail = user.email;
+  if (user.clientUserAccounts && (!destinationEmail || destinationEmail.endsWith('@client.local'))) {
+    destinationEmail = user.clientUserAccounts.client?.email || null;
+  }
+
+  if (!destinationEmail) {
+    console.warn(`⚠️ Password reset requested for ${user.user_id} but no email address is on file`);
+    return genericResponse;
+  }
+
+  const rawToken = crypto.randomBytes(32).toString("hex");
+  const expiresAt = new Date(Date.now() + PASSWORD_RESET_TTL_MINUTES * 60 * 1000);
+
+  await prisma.$transaction(async (tx) => {
+    // Only the most recent link stays valid
+    await tx.passwordResetToken.updateMany({
+      where: { user_id: user.id, used_at: null, revoked_at: null },
+      data: { revoked_at: new Date() }
+    });
+
+    await tx.passwordResetToken.create({
+      data: {
+        user_id: user.id,
+        token_hash: tokenService.hashToken(rawToken),
+        expires_at: expiresAt,
+        requested_ip: ipAddress
+      }
+    });
+  });
+
+  const emailResult = await emailService.sendPasswordResetEmail(
+    { first_name: user.first_name, email: destinationEmail },
+    rawToken,
+    PASSWORD_RESET_TTL_MINUTES >= 60
+      ? `${Math.round(PASSWORD_RESET_TTL_MINUTES / 60)} hora(s)`
+      : `${PASSWORD_RESET_TTL_MINUTES} minutos`
+  );
+
+  await eventLogger.logEvent({
+    userId: user.id,
+    action: 'NOTIFICATION_SENT',
+    entityType: 'User',
+    entityId: user.id,
+    description: `Password reset requested for ${user.user_id}`,
+    metadata: {
+      operation_type: 'SECURITY',
+      action_type: 'PASSWORD_RESET_REQUESTED',
+      is_client_user: !!user.clientUserAccounts,
+      email_sent: emailResult.success,
+      expires_at: expiresAt.toISOString()
+    },
+    ipAddress,
+    userAgent
+  });
+
+  return genericResponse;
+}
+
+/**
+ * Completes the forgot-password flow with a single-use reset token.
+ * All existing sessions of the user are revoked.
+ */
+async function resetPassword(resetToken, newPassword, ipAddress = null, userAgent = null) {
+  if (!resetToken || !newPassword) {
+    throw new Error("Reset token and new password are required");
+  }
+
+  if (newPassword.length < 6) {
+    throw new Error("New password must be at least 6 characters long");
+  }
+
+  const resetRecord = await prisma.passwordResetToken.findUnique({
+    where: { token_hash: tokenService.hashToken(resetToken) },
+    include: {
+      user: {
+        include: {
+          role: { select: { name: true } },
+          clientUserAccounts: true
+        }
+      }
     }
+  });
 
-    const token = jwt.sign(tokenData, SECRET_KEY);
+  if (!resetRecord || resetRecord.used_at || resetRecord.revoked_at || resetRecord.expires_at <= new Date()) {
+    throw new Error("Invalid or expired reset token");
+  }
 
-    // ✅ Prepare response object
-    const response = {
-      token,
-      username,
-      role: user.role.name,
-      organisation_id: user.organisation_id,
-      id: user.id
-    };
+  const user = resetRecord.user;
+  const newPasswordHash = bcrypt.hashSync(newPassword, 10);
 
-    // ✅ Add client data for CLIENT and CLIENT_PHARMACIST role users
-    if (clientData) {
-      response.client = clientData;
+  await prisma.$transaction(async (tx) => {
+    // Guard against two concurrent uses of the same token
+    const consumed = await tx.passwordResetToken.updateMany({
+      where: { reset_id: resetRecord.reset_id, used_at: null, revoked_at: null },
+      data: { used_at: new Date() }
+    });
 
-      // ✅ Add is_primary_user flag for CLIENT and CLIENT_PHARMACIST users
-      if ((user.role.name === 'CLIENT' || user.role.name === 'CLIENT_PHARMACIST') && user.clientUserAccounts) {
-        response.is_primary_user = user.clientUserAccounts.is_primary;
+    if (consumed.count === 0) {
+      throw new Error("Invalid or expired reset token");
+    }
+
+    await tx.user.update({
+      where: { id: user.id },
+      data: {
+        password_hash: newPasswordHash,
+        failed_login_attempts: 0,
+        last_failed_login_at: null,
+        locked_until: null
       }
+    });
+
+    await tx.passwordResetToken.updateMany({
+      where: { user_id: user.id, used_at: null, revoked_at: null },
+      data: { revoked_at: new Date() }
+    });
+
+    if (user.clientUserAccounts) {
+      await tx.clientUser.update({
+        where: { client_user_id: user.clientUserAccounts.client_user_id },
+        data: {
+          notes: `${user.clientUserAccounts.notes || ''}\nPassword reset via email link on ${new Date().toISOString()}`
+        }
+      });
     }
+  });
+
+  const revokedSessions = await tokenService.revokeAllUserSessions(user.id, "PASSWORD_RESET");
+
+  await eventLogger.logEvent({
+    userId: user.id,
+    action: 'USER_PASSWORD_CHANGED',
+    entityType: 'User',
+    entityId: user.id,
+    description: `Password reset completed for ${user.email}`,
+    metadata: {
+      operation_type: 'SECURITY',
+      action_type: 'PASSWORD_RESET',
+      role: user.role?.name,
+      is_client_user: !!user.clientUserAccounts,
+      revoked_sessions: revokedSessions
+    },
+    ipAddress,
+    userAgent
+  });
+
+  return {
+    success: true,
+    message: "Password has been reset successfully. Please log in with your new password."
+  };
+}
 
-    // Log successful login
-    await eventLogger.logEvent({
-      userId: user.id,
-      action: 'USER_LOGIN',
-      entityType: 'User',
-      entityId: user.id,
-      description: `User logged in successfully: ${user.email}${clientData ? ` (Client: ${clientData.name})` : ''}`,
-      newValues: {
-        login_time: new Date().toISOString(),
-        username: username,
-        role: user.role.name,
-        organisation_id: user.organisation_id,
-        client_data: clientData
-      },
-      metadata: {
-        operation_type: 'AUTHENTICATION',
-        login_method: 'PASSWORD',
-        user_email: user.email,
-        username: username,
-        role: user.role.name,
-        organisation_id: user.organisation_id,
-        client_type: clientData?.client_type || null,
-        client_id: clientData?.client_id || null
-      },
-      ipAddress,
-      userAgent,
-      sessionId
+/**
+ * Clears a temporary login lockout (admin functionality).
+ * Accepts an internal user id and/or an IP address.
+ */
+async function unlockAccount({ userId = null, ipAddress = null }, adminUser, requestIp = null, requestUserAgent = null) {
+  if (!userId && !ipAddress) {
+    throw new Error("user_id or ip_address is required");
+  }
+
+  let targetUser = null;
+  if (userId) {
+    targetUser = await prisma.user.findUnique({
+      where: { id: userId },
+      select: { id: true, email: true, failed_login_attempts: true, locked_until: true }
     });
 
-    return response;
-  } catch (error) {
-    console.error("❌ Error logging in:", error.message);
-    throw new Error("Login failed: " + error.message);
+    if (!targetUser) {
+      throw new Error("User not found");
+    }
   }
+
+  const result = await loginProtection.clearLockout({ userId, ipAddress });
+
+  await eventLogger.logEvent({
+    userId: adminUser.id,
+    action: 'USER_UPDATED',
+    entityType: 'User',
+    entityId: targetUser?.id || ipAddress,
+    description: targetUser
+      ? `Login lockout cleared for ${targetUser.email} by ${adminUser.email}`
+      : `Login lockout cleared for IP ${ipAddress} by ${adminUser.email}`,
+    oldValues: targetUser
+      ? { failed_login_attempts: targetUser.failed_login_attempts, locked_until: targetUser.locked_until }
+      : null,
+    newValues: { failed_login_attempts: 0, locked_until: null },
+    metadata: {
+      operation_type: 'SECURITY',
+      action_type: 'ACCOUNT_UNLOCKED',
+      target_ip_address: ipAddress,
+      ip_attempts_cleared: result.ipAttemptsCleared
+    },
+    ipAddress: requestIp,
+    userAgent: requestUserAgent
+  });
+
+  return {
+    success: true,
+    message: "Lockout cleared successfully",
+    data: {
+      user_unlocked: result.userUnlocked,
+      ip_attempts_cleared: result.ipAttemptsCleared
+    }
+  };
 }
 
 /**
@@ -520,4 +1088,18 @@ async function changeClientUserPassword(clientUserId, newPassword, changedByUser
   }
 }
 
-module.exports = { registerUser, loginUser, changeUserPassword, getUserProfile, changeClientUserPassword };
+module.exports = {
+  registerUser,
+  loginUser,
+  verifyTwoFactorLogin,
+  beginTwoFactorEnrolmentLogin,
+  completeTwoFactorEnrolmentLogin,
+  refreshSession,
+  logoutUser,
+  requestPasswordReset,
+  resetPassword,
+  unlockAccount,
+  changeUserPassword,
+  getUserProfile,
+  changeClientUserPassword
+};
@@ -0,0 +1,199 @@
+const { PrismaClient } = require("@prisma/client");
+const eventLogger = require("../../utils/eventLogger");
+const tokenService = require("./token.service");
+
+const prisma = new PrismaClient();
+
+const IMPERSONABLE_ROLES = ['CLIENT', 'CLIENT_PHARMACIST'];
+
+/**
+ * Picks the client user to impersonate: the given one, or the client's active primary user.
+ */
+async function findTargetClientUser(clientId, clientUserId) {
+  const where = clientUserId
+    ? { client_user_id: clientUserId }
+    : { client_id: clientId, is_active: true };
+
+  const clientUser = await prisma.clientUser.findFirst({
+    where,
+    orderBy: [{ is_primary: 'desc' }, { created_at: 'asc' }],
+    include: {
+      user: {
+        include: {
+          role: true,
+          active_state: true,
+          clientUserAccounts: { include: { client: true } }
+        }
+      },
+      client: true
+    }
+  });
+
+  if (!clientUser) {
+    throw new Error(clientUserId ? "Client user not found" : "No active user found for this client");
+  }
+
+  if (clientId && clientUser.client_id !== clientId) {
+    throw new Error("Client user does not belong to this client");
+  }
+
+  if (!clientUser.is_active || clientUser.user.active_state?.name === 'Inactivo') {
+    throw new Error("Client user is deactivated and cannot be impersonated");
+  }
+
+  if (!IMPERSONABLE_ROLES.includes(clientUser.user.role?.name)) {
+    throw new Error("Only CLIENT and CLIENT_PHARMACIST users can be impersonated");
+  }
+
+  return clientUser;
+}
+
+/**
+ * Issues a read-only token that sees the system exactly as a client user does.
+ * The token carries the client's identity and restriction plus the acting administrator.
+ */
+async function startImpersonation(actor, { client_id = null, client_user_id = null, reason = null }, requestContext = {}) {
+  if (!client_id && !client_user_id) {
+    throw new Error("client_id or client_user_id is required");
+  }
+
+  if (actor.impersonation) {
+    throw new Error("You cannot start an impersonation from an impersonated session");
+  }
+
+  const clientUser = await findTargetClientUser(client_id, client_user_id);
+  const target = clientUser.user;
+
+  const { tokenData, username, clientData } = tokenService.buildTokenPayload(target);
+  const clientName = clientData?.name || clientUser.client.company_name || username;
+
+  const impersonation = {
+    active: true,
+    read_only: true,
+    banner: `Viewing as ${clientName} (${username}) - read-only`,
+    actor_id: actor.id,
+    actor_user_id: actor.userId,
+    actor_role: actor.role,
+    client_id: clientUser.client_id,
+    client_name: clientName,
+    reason: reason || null
+  };
+
+  const session = await tokenService.issueImpersonationToken({
+    actorId: actor.id,
+    targetUserId: target.id,
+    payload: { ...tokenData, impersonation },
+    ipAddress: requestContext.ipAddress,
+    userAgent: requestContext.userAgent
+  });
+
+  await eventLogger.logEvent({
+    userId: actor.id,
+    action: 'IMPERSONATION_STARTED',
+    entityType: 'User',
+    entityId: target.id,
+    description: `${actor.userId} started viewing as client user ${username} (${clientName})`,
+    metadata: {
+      operation_type: 'SECURITY',
+      impersonated_user_id: target.id,
+      impersonated_username: username,
+      impersonated_role: target.role.name,
+      client_id: clientUser.client_id,
+      impersonation_session_id: session.session_id,
+      expires_at: session.session_expires_at,
+      reason: reason || null
+    },
+    ipAddress: requestContext.ipAddress,
+    userAgent: requestContext.userAgent,
+    sessionId: actor.sid
+  });
+
+  return {
+    token: session.token,
+    expires_in: session.expires_in,
+    session_id: session.session_id,
+    session_expires_at: session.session_expires_at,
+    impersonation,
+    user: {
+      id: target.id,
+      username,
+      role: target.role.name,
+      client: clientData
+    }
+  };
+}
+
+/**
+ * Ends an impersonation session started by the acting administrator.
+ */
+async function endImpersonation(actor, sessionId, requestContext = {}) {
+  const session = await prisma.userSession.findUnique({ where: { session_id: sessionId } });
+
+  if (!session || !session.impersonated_user_id || session.user_id !== actor.id) {
+    throw new Error("Impersonation session not found");
+  }
+
+  if (session.revoked_at) {
+    throw new Error("Impersonation session has already ended");
+  }
+
+  await tokenService.revokeSession(sessionId, "IMPERSONATION_ENDED", actor.id);
+
+  await eventLogger.logEvent({
+    userId: actor.id,
+    action: 'IMPERSONATION_ENDED',
+    entityType: 'User',
+    entityId: session.impersonated_user_id,
+    description: `${actor.userId} stopped viewing as a client user`,
+    metadata: {
+      operation_type: 'SECURITY',
+      impersonated_user_id: session.impersonated_user_id,
+      impersonation_session_id: sessionId,
+      duration_seconds: Math.round((Date.now() - session.created_at.getTime()) / 1000)
+    },
+    ipAddress: requestContext.ipAddress,
+    userAgent: requestContext.userAgent,
+    sessionId: actor.sid
+  });
+
+  return {
+    success: true,
+    message: "Impersonation ended",
+    session_id: sessionId
+  };
+}
+
+/**
+ * Audits a request made with an impersonation token under both identities.
+ */
+async function logImpersonatedRequest(user, { method, path, statusCode, durationMs, ipAddress, userAgent }) {
+  await eventLogger.logEvent({
+    userId: user.impersonation.actor_id,
+    action: 'IMPERSONATED_REQUEST',
+    entityType: 'User',
+    entityId: user.id,
+    description: `${method} ${path} as ${user.username} by ${user.impersonation.actor_user_id} (${statusCode})`,
+    metadata: {
+      operation_type: 'SECURITY',
+      actor_id: user.impersonation.actor_id,
+      actor_user_id: user.impersonation.actor_user_id,
+      impersonated_user_id: user.id,
+      impersonated_username: user.username,
+      client_id: user.impersonation.client_id,
+      method,
+      path,
+      status_code: statusCode,
+      duration_ms: durationMs
+    },
+    ipAddress,
+    userAgent,
+    sessionId: user.sid
+  });
+}
+
+module.exports = {
+  IMPERSONABLE_ROLES,
+  startImpersonation,
+  endImpersonation,
+  logImpersonatedRequest
+};
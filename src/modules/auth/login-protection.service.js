@@ -0,0 +1,214 @@
+const { PrismaClient } = require("@prisma/client");
+require("dotenv").config();
+
+const prisma = new PrismaClient();
+
+// Per-account lockout
+const MAX_FAILED_ATTEMPTS = parseInt(process.env.LOGIN_MAX_FAILED_ATTEMPTS) || 5;
+const LOCKOUT_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15;
+
+// Failures that count towards the account lockout
+const COUNTED_FAILURE_REASONS = ['INVALID_PASSWORD', 'INVALID_2FA_CODE'];
+
+// Progressive delay: the first attempts are free, then the wait doubles per failure
+const FREE_ATTEMPTS = 2;
+const BASE_DELAY_SECONDS = 1;
+const MAX_DELAY_SECONDS = 30;
+
+// Per-IP throttling
+const IP_MAX_FAILED_ATTEMPTS = parseInt(process.env.LOGIN_IP_MAX_FAILED_ATTEMPTS) || 20;
+const IP_WINDOW_MINUTES = parseInt(process.env.LOGIN_IP_WINDOW_MINUTES) || 15;
+
+// Failures that count towards the IP block: credential checks, including unknown identifiers.
+// Rejections by the checks below (IP_BLOCKED, ACCOUNT_LOCKED, THROTTLED) never count, otherwise
+// a blocked client would keep renewing its own block by retrying.
+const IP_COUNTED_FAILURE_REASONS = [...COUNTED_FAILURE_REASONS, 'USER_NOT_FOUND'];
+
+/**
+ * Seconds a user must wait after their last failure before trying again.
+ */
+function getRequiredDelaySeconds(failedAttempts) {
+  if (failedAttempts <= FREE_ATTEMPTS) return 0;
+  const delay = BASE_DELAY_SECONDS * Math.pow(2, failedAttempts - FREE_ATTEMPTS - 1);
+  return Math.min(delay, MAX_DELAY_SECONDS);
+}
+
+/**
+ * Checks whether a login attempt may proceed before the password is verified.
+ * @param {Object|null} user - User record (null when the identifier is unknown)
+ * @param {string|null} ipAddress - Client IP address
+ * @returns {Promise<Object>} { allowed, reason, retryAfterSeconds }
+ */
+async function checkLoginAllowed(user, ipAddress) {
+  const now = new Date();
+
+  if (ipAddress) {
+    const windowMs = IP_WINDOW_MINUTES * 60 * 1000;
+    const ipFailureWhere = {
+      ip_address: ipAddress,
+      success: false,
+      failure_reason: { in: IP_COUNTED_FAILURE_REASONS },
+      attempted_at: { gte: new Date(now.getTime() - windowMs) }
+    };
+    const ipFailures = await prisma.loginAttempt.count({ where: ipFailureWhere });
+
+    if (ipFailures >= IP_MAX_FAILED_ATTEMPTS) {
+      // The block lifts once enough failures have left the window to drop below the limit
+      const [expiringFailure] = await prisma.loginAttempt.findMany({
+        where: ipFailureWhere,
+        orderBy: { attempted_at: 'asc' },
+        skip: ipFailures - IP_MAX_FAILED_ATTEMPTS,
+        take: 1,
+        select: { attempted_at: true }
+      });
+      const unblockedAt = expiringFailure
+        ? expiringFailure.attempted_at.getTime() + windowMs
+        : now.getTime() + windowMs;
+
+      return {
+        allowed: false,
+        reason: 'IP_BLOCKED',
+        retryAfterSeconds: Math.max(1, Math.ceil((unblockedAt - now.getTime()) / 1000))
+      };
+    }
+  }
+
+  if (!user) {
+    return { allowed: true };
+  }
+
+  if (user.locked_until && user.locked_until > now) {
+    return {
+      allowed: false,
+      reason: 'ACCOUNT_LOCKED',
+      retryAfterSeconds: Math.ceil((user.locked_until - now) / 1000)
+    };
+  }
+
+  const requiredDelay = getRequiredDelaySeconds(user.failed_login_attempts || 0);
+  if (requiredDelay > 0 && user.last_failed_login_at) {
+    const nextAllowedAt = user.last_failed_login_at.getTime() + requiredDelay * 1000;
+    if (nextAllowedAt > now.getTime()) {
+      return {
+        allowed: false,
+        reason: 'THROTTLED',
+        retryAfterSeconds: Math.ceil((nextAllowedAt - now.getTime()) / 1000)
+      };
+    }
+  }
+
+  return { allowed: true };
+}
+
+/**
+ * Records a failed attempt and locks the account once the threshold is reached.
+ * @returns {Promise<Object>} { failedAttempts, locked, lockedUntil }
+ */
+async function recordFailedAttempt({ identifier, user = null, ipAddress = null, userAgent = null, reason }) {
+  await prisma.loginAttempt.create({
+    data: {
+      identifier,
+      user_id: user?.id || null,
+      ip_address: ipAddress,
+      user_agent: userAgent,
+      success: false,
+      failure_reason: reason
+    }
+  });
+
+  // Blocked and throttled attempts never reached a credential check, so they don't count against the account
+  if (!user || !COUNTED_FAILURE_REASONS.includes(reason)) {
+    return { failedAttempts: user?.failed_login_attempts || 0, locked: false, lockedUntil: null };
+  }
+
+  const updated = await prisma.user.update({
+    where: { id: user.id },
+    data: {
+      failed_login_attempts: { increment: 1 },
+      last_failed_login_at: new Date()
+    }
+  });
+
+  if (updated.failed_login_attempts >= MAX_FAILED_ATTEMPTS) {
+    const lockedUntil = new Date(Date.now() + LOCKOUT_MINUTES * 60 * 1000);
+    await prisma.user.update({
+      where: { id: user.id },
+      data: {
+        failed_login_attempts: 0,
+        locked_until: lockedUntil
+      }
+    });
+    return { failedAttempts: updated.failed_login_attempts, locked: true, lockedUntil };
+  }
+
+  return { failedAttempts: updated.failed_login_attempts, locked: false, lockedUntil: null };
+}
+
+/**
+ * Records a successful attempt and resets the account counters.
+ */
+async function recordSuccessfulAttempt({ identifier, user, ipAddress = null, userAgent = null }) {
+  await prisma.loginAttempt.create({
+    data: {
+      identifier,
+      user_id: user.id,
+      ip_address: ipAddress,
+      user_agent: userAgent,
+      success: true
+    }
+  });
+
+  if (user.failed_login_attempts > 0 || user.locked_until || user.last_failed_login_at) {
+    await prisma.user.update({
+      where: { id: user.id },
+      data: {
+        failed_login_attempts: 0,
+        last_failed_login_at: null,
+        locked_until: null
+      }
+    });
+  }
+}
+
+/**
+ * Clears an account lockout and/or the recent failures of an IP address.
+ * @returns {Promise<Object>} { userUnlocked, ipAttemptsCleared }
+ */
+async function clearLockout({ userId = null, ipAddress = null }) {
+  let userUnlocked = false;
+  let ipAttemptsCleared = 0;
+
+  if (userId) {
+    await prisma.user.update({
+      where: { id: userId },
+      data: {
+        failed_login_attempts: 0,
+        last_failed_login_at: null,
+        locked_until: null
+      }
+    });
+    userUnlocked = true;
+  }
+
+  if (ipAddress) {
+    const windowStart = new Date(Date.now() - IP_WINDOW_MINUTES * 60 * 1000);
+    const result = await prisma.loginAttempt.deleteMany({
+      where: {
+        ip_address: ipAddress,
+        success: false,
+        attempted_at: { gte: windowStart }
+      }
+    });
+    ipAttemptsCleared = result.count;
+  }
+
+  return { userUnlocked, ipAttemptsCleared };
+}
+
+module.exports = {
+  MAX_FAILED_ATTEMPTS,
+  checkLoginAllowed,
+  recordFailedAttempt,
+  recordSuccessfulAttempt,
+  clearLockout
+};
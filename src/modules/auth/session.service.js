@@ -0,0 +1,240 @@
+const { PrismaClient } = require("@prisma/client");
+const eventLogger = require("../../utils/eventLogger");
+const tokenService = require("./token.service");
+
+const prisma = new PrismaClient();
+
+const sessionSelect = {
+  session_id: true,
+  user_id: true,
+  ip_address: true,
+  user_agent: true,
+  created_at: true,
+  last_activity_at: true,
+  expires_at: true,
+  impersonated_user_id: true
+};
+
+function activeSessionWhere() {
+  return { revoked_at: null, expires_at: { gt: new Date() } };
+}
+
+/**
+ * Active sessions of a user, most recently used first.
+ */
+async function listUserSessions(userId, currentSessionId = null) {
+  const sessions = await prisma.userSession.findMany({
+    where: { user_id: userId, ...activeSessionWhere() },
+    select: sessionSelect,
+    orderBy: { last_activity_at: "desc" }
+  });
+
+  return sessions.map(session => ({
+    ...session,
+    is_current: session.session_id === currentSessionId
+  }));
+}
+
+/**
+ * Revokes one of the caller's own sessions.
+ */
+async function revokeOwnSession(user, sessionId, requestContext = {}) {
+  const session = await prisma.userSession.findUnique({ where: { session_id: sessionId } });
+
+  if (!session || session.user_id !== user.id) {
+    throw new Error("Session not found");
+  }
+
+  if (session.revoked_at) {
+    throw new Error("Session is already revoked");
+  }
+
+  await tokenService.revokeSession(sessionId, "REVOKED_BY_USER", user.id);
+
+  await eventLogger.logEvent({
+    userId: user.id,
+    action: 'USER_LOGOUT',
+    entityType: 'User',
+    entityId: user.id,
+    description: `User revoked a session from ${session.ip_address || 'unknown IP'}`,
+    metadata: {
+      operation_type: 'AUTHENTICATION',
+      logout_scope: 'SINGLE_SESSION',
+      revoked_session_id: sessionId,
+      revoked_session_ip: session.ip_address,
+      revoked_session_user_agent: session.user_agent,
+      is_current_session: sessionId === user.sid
+    },
+    ipAddress: requestContext.ipAddress,
+    userAgent: requestContext.userAgent,
+    sessionId: user.sid
+  });
+
+  return {
+    success: true,
+    message: "Session revoked",
+    session_id: sessionId
+  };
+}
+
+/**
+ * Revokes all of the caller's sessions, optionally keeping the current one.
+ */
+async function revokeOwnSessions(user, { keepCurrent = false } = {}, requestContext = {}) {
+  const revokedCount = await tokenService.revokeAllUserSessions(
+    user.id,
+    "REVOKED_BY_USER",
+    user.id,
+    keepCurrent ? user.sid : null
+  );
+
+  await eventLogger.logEvent({
+    userId: user.id,
+    action: 'USER_LOGOUT',
+    entityType: 'User',
+    entityId: user.id,
+    description: `User revoked ${keepCurrent ? 'all other' : 'all'} sessions (${revokedCount})`,
+    metadata: {
+      operation_type: 'AUTHENTICATION',
+      logout_scope: keepCurrent ? 'OTHER_SESSIONS' : 'ALL_SESSIONS',
+      revoked_sessions: revokedCount
+    },
+    ipAddress: requestContext.ipAddress,
+    userAgent: requestContext.userAgent,
+    sessionId: user.sid
+  });
+
+  return {
+    success: true,
+    message: keepCurrent ? "All other sessions revoked" : "All sessions revoked",
+    revoked_sessions: revokedCount
+  };
+}
+
+/**
+ * Active sessions across users, for administrators (filters: user_id, organisation_id, role)
+ */
+async function listActiveSessions(filters = {}) {
+  const { user_id, organisation_id, role } = filters;
+
+  const userFilter = {};
+  if (organisation_id) userFilter.organisation_id = organisation_id;
+  if (role) userFilter.role = { name: role };
+
+  const sessions = await prisma.userSession.findMany({
+    where: {
+      ...activeSessionWhere(),
+      ...(user_id && { user_id }),
+      ...(Object.keys(userFilter).length > 0 && { user: userFilter })
+    },
+    select: {
+      ...sessionSelect,
+      user: {
+        select: {
+          id: true,
+          user_id: true,
+          email: true,
+          first_name: true,
+          last_name: true,
+          organisation_id: true,
+          role: { select: { name: true } }
+        }
+      }
+    },
+    orderBy: { last_activity_at: "desc" }
+  });
+
+  return sessions;
+}
+
+/**
+ * Signs a user out everywhere (e.g. when an assistant leaves the company).
+ */
+async function forceSignOut(targetUserId, reason, adminUser, requestContext = {}) {
+  const targetUser = await prisma.user.findUnique({
+    where: { id: targetUserId },
+    select: { id: true, user_id: true, email: true }
+  });
+
+  if (!targetUser) {
+    throw new Error("User not found");
+  }
+
+  const revokedCount = await tokenService.revokeAllUserSessions(targetUser.id, "FORCED_SIGN_OUT", adminUser.id);
+
+  await eventLogger.logEvent({
+    userId: adminUser.id,
+    action: 'USER_LOGOUT',
+    entityType: 'User',
+    entityId: targetUser.id,
+    description: `Administrator signed out ${targetUser.user_id} from all sessions (${revokedCount})${reason ? `: ${reason}` : ''}`,
+    metadata: {
+      operation_type: 'SECURITY',
+      logout_scope: 'FORCED_ALL_SESSIONS',
+      target_user_id: targetUser.user_id,
+      revoked_sessions: revokedCount,
+      reason: reason || null,
+      performed_by: adminUser.userId || adminUser.id
+    },
+    ...requestContext
+  });
+
+  return {
+    success: true,
+    message: `User ${targetUser.user_id} signed out from all sessions`,
+    revoked_sessions: revokedCount
+  };
+}
+
+/**
+ * Revokes a single session of any user.
+ */
+async function adminRevokeSession(sessionId, reason, adminUser, requestContext = {}) {
+  const session = await prisma.userSession.findUnique({
+    where: { session_id: sessionId },
+    include: { user: { select: { id: true, user_id: true } } }
+  });
+
+  if (!session) {
+    throw new Error("Session not found");
+  }
+
+  if (session.revoked_at) {
+    throw new Error("Session is already revoked");
+  }
+
+  await tokenService.revokeSession(sessionId, "FORCED_SIGN_OUT", adminUser.id);
+
+  await eventLogger.logEvent({
+    userId: adminUser.id,
+    action: 'USER_LOGOUT',
+    entityType: 'User',
+    entityId: session.user.id,
+    description: `Administrator revoked a session of ${session.user.user_id}${reason ? `: ${reason}` : ''}`,
+    metadata: {
+      operation_type: 'SECURITY',
+      logout_scope: 'FORCED_SINGLE_SESSION',
+      target_user_id: session.user.user_id,
+      revoked_session_id: sessionId,
+      revoked_session_ip: session.ip_address,
+      reason: reason || null,
+      performed_by: adminUser.userId || adminUser.id
+    },
+    ...requestContext
+  });
+
+  return {
+    success: true,
+    message: "Session revoked",
+    session_id: sessionId
+  };
+}
+
+module.exports = {
+  listUserSessions,
+  revokeOwnSession,
+  revokeOwnSessions,
+  listActiveSessions,
+  forceSignOut,
+  adminRevokeSession
+};
@@ -0,0 +1,339 @@
+const { PrismaClient } = require("@prisma/client");
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+require("dotenv").config();
+
+const prisma = new PrismaClient();
+const SECRET_KEY = process.env.JWT_SECRET || "your_secret_key";
+const ACCESS_TOKEN_EXPIRES_IN = process.env.ACCESS_TOKEN_EXPIRES_IN || "15m";
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 7;
+const ACTIVITY_UPDATE_INTERVAL_MS = 60 * 1000;
+const IMPERSONATION_TTL_MINUTES = parseInt(process.env.IMPERSONATION_TTL_MINUTES) || 30;
+
+/**
+ * Refresh tokens are opaque random strings; only their SHA-256 hash is stored.
+ */
+function hashToken(rawToken) {
+  return crypto.createHash("sha256").update(rawToken).digest("hex");
+}
+
+/**
+ * Builds the JWT payload, username and client summary for a user loaded with
+ * `role` and `clientUserAccounts.client`.
+ */
+function buildTokenPayload(user) {
+  // ✅ Get username and client data for CLIENT and CLIENT_PHARMACIST role users
+  let username = user.user_id; // Default to user_id
+  let clientData = null;
+
+  if ((user.role.name === 'CLIENT' || user.role.name === 'CLIENT_PHARMACIST') && user.clientUserAccounts) {
+    // Get the client user account (singular object, not array)
+    const clientUserAccount = user.clientUserAccounts;
+    username = clientUserAccount.username; // Use the client username
+
+    if (clientUserAccount.client) {
+      const client = clientUserAccount.client;
+
+      // Prepare client name data based on client type
+      if (client.client_type === 'JURIDICO') {
+        clientData = {
+          client_id: client.client_id,
+          client_type: client.client_type,
+          name: client.company_name,
+          company_type: client.company_type,
+          establishment_type: client.establishment_type,
+          ruc: client.ruc
+        };
+      } else if (client.client_type === 'NATURAL') {
+        clientData = {
+          client_id: client.client_id,
+          client_type: client.client_type,
+          name: `${client.first_names} ${client.last_name} ${client.mothers_last_name || ''}`.trim(),
+          first_names: client.first_names,
+          last_name: client.last_name,
+          mothers_last_name: client.mothers_last_name,
+          individual_id: client.individual_id
+        };
+      }
+    }
+  }
+
+  // ✅ Generate JWT token with username and client data
+  const tokenData = {
+    userId: user.user_id,
+    username: username,
+    email: user.email,
+    role: user.role.name, // Attach role name in the token
+    organisation_id: user.organisation_id,
+    id: user.id,
+  };
+
+  // Add client-specific data to JWT for CLIENT and CLIENT_PHARMACIST users
+  if ((user.role.name === 'CLIENT' || user.role.name === 'CLIENT_PHARMACIST') && user.clientUserAccounts) {
+    const clientUserAccount = user.clientUserAccounts;
+    tokenData.client_id = clientUserAccount.client_id;
+    tokenData.is_primary_user = clientUserAccount.is_primary;
+  }
+
+  return { tokenData, username, clientData };
+}
+
+/**
+ * Signs a short-lived access token bound to a session (refresh token family).
+ */
+function signAccessToken(payload, sessionId) {
+  const token = jwt.sign({ ...payload, sid: sessionId }, SECRET_KEY, {
+    expiresIn: ACCESS_TOKEN_EXPIRES_IN,
+    jwtid: crypto.randomUUID(),
+  });
+  const decoded = jwt.decode(token);
+
+  return { token, expires_in: decoded.exp - decoded.iat };
+}
+
+/**
+ * Creates and stores a new refresh token in the given family.
+ */
+async function createRefreshToken(client, userId, familyId, ipAddress = null, userAgent = null) {
+  const rawToken = crypto.randomBytes(48).toString("hex");
+  const expiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+  const record = await client.refreshToken.create({
+    data: {
+      user_id: userId,
+      token_hash: hashToken(rawToken),
+      family_id: familyId,
+      expires_at: expiresAt,
+      ip_address: ipAddress,
+      user_agent: userAgent,
+    },
+  });
+
+  return { rawToken, record };
+}
+
+/**
+ * Starts a new session and returns an access/refresh token pair.
+ */
+async function issueTokens({ userId, payload, ipAddress = null, userAgent = null }) {
+  const familyId = crypto.randomUUID();
+
+  const { rawToken, record } = await prisma.$transaction(async (tx) => {
+    const created = await createRefreshToken(tx, userId, familyId, ipAddress, userAgent);
+
+    await tx.userSession.create({
+      data: {
+        session_id: familyId,
+        user_id: userId,
+        ip_address: ipAddress,
+        user_agent: userAgent,
+        expires_at: created.record.expires_at,
+      },
+    });
+
+    return created;
+  });
+
+  const { token, expires_in } = signAccessToken(payload, familyId);
+
+  return {
+    token,
+    refresh_token: rawToken,
+    expires_in,
+    session_id: familyId,
+    session_expires_at: record.expires_at,
+  };
+}
+
+/**
+ * Starts a read-only impersonation session owned by the acting user.
+ * There is no refresh token: the access token and the session end together.
+ */
+async function issueImpersonationToken({ actorId, targetUserId, payload, ipAddress = null, userAgent = null }) {
+  const sessionId = crypto.randomUUID();
+  const expiresAt = new Date(Date.now() + IMPERSONATION_TTL_MINUTES * 60 * 1000);
+
+  await prisma.userSession.create({
+    data: {
+      session_id: sessionId,
+      user_id: actorId,
+      impersonated_user_id: targetUserId,
+      ip_address: ipAddress,
+      user_agent: userAgent,
+      expires_at: expiresAt,
+    },
+  });
+
+  const token = jwt.sign({ ...payload, sid: sessionId }, SECRET_KEY, {
+    expiresIn: IMPERSONATION_TTL_MINUTES * 60,
+    jwtid: crypto.randomUUID(),
+  });
+
+  return {
+    token,
+    expires_in: IMPERSONATION_TTL_MINUTES * 60,
+    session_id: sessionId,
+    session_expires_at: expiresAt,
+  };
+}
+
+/**
+ * Exchanges a refresh token for a new one in the same family.
+ * Presenting an already rotated token is treated as theft and kills the whole family.
+ * @returns {Promise<Object>} { valid, reason: NOT_FOUND|REVOKED|REUSED|EXPIRED, record, refreshToken }
+ */
+async function rotateRefreshToken(rawToken, ipAddress = null, userAgent = null) {
+  return await prisma.$transaction(async (tx) => {
+    const record = await tx.refreshToken.findUnique({
+      where: { token_hash: hashToken(rawToken) },
+    });
+
+    if (!record) {
+      return { valid: false, reason: "NOT_FOUND", record: null };
+    }
+
+    if (record.revoked_at) {
+      // Logged out or signed out remotely: not a theft signal
+      if (record.revoked_reason !== "ROTATED") {
+        return { valid: false, reason: "REVOKED", record };
+      }
+
+      await revokeFamily(tx, record.family_id, "REUSE_DETECTED");
+      return { valid: false, reason: "REUSED", record };
+    }
+
+    if (record.expires_at <= new Date()) {
+      await revokeFamily(tx, record.family_id, "EXPIRED");
+      return { valid: false, reason: "EXPIRED", record };
+    }
+
+    // Claim the token before minting its replacement: a concurrent refresh with the same
+    // token blocks on the row and then finds it already rotated, which is reuse
+    const claimed = await tx.refreshToken.updateMany({
+      where: { token_id: record.token_id, revoked_at: null },
+      data: { revoked_at: new Date(), revoked_reason: "ROTATED" },
+    });
+
+    if (claimed.count === 0) {
+      await revokeFamily(tx, record.family_id, "REUSE_DETECTED");
+      return { valid: false, reason: "REUSED", record };
+    }
+
+    const { rawToken: newRawToken, record: newRecord } = await createRefreshToken(
+      tx,
+      record.user_id,
+      record.family_id,
+      ipAddress,
+      userAgent
+    );
+
+    await tx.refreshToken.update({
+      where: { token_id: record.token_id },
+      data: { replaced_by: newRecord.token_id },
+    });
+
+    await tx.userSession.updateMany({
+      where: { session_id: record.family_id },
+      data: {
+        last_activity_at: new Date(),
+        expires_at: newRecord.expires_at,
+        ip_address: ipAddress,
+        user_agent: userAgent,
+      },
+    });
+
+    return { valid: true, record: newRecord, refreshToken: newRawToken };
+  });
+}
+
+/**
+ * Revokes the session row and its live refresh tokens.
+ */
+async function revokeFamily(client, sessionId, reason, revokedBy = null) {
+  // An undefined filter would be dropped by Prisma and revoke every session
+  if (!sessionId) {
+    throw new Error("Session ID is required to revoke a session");
+  }
+
+  const now = new Date();
+
+  await client.refreshToken.updateMany({
+    where: { family_id: sessionId, revoked_at: null },
+    data: { revoked_at: now, revoked_reason: reason },
+  });
+
+  const result = await client.userSession.updateMany({
+    where: { session_id: sessionId, revoked_at: null },
+    data: { revoked_at: now, revoked_reason: reason, revoked_by: revokedBy },
+  });
+
+  return result.count;
+}
+
+/**
+ * Revokes a session, which also invalidates its access tokens.
+ * @returns {Promise<number>} Number of sessions revoked (0 or 1)
+ */
+async function revokeSession(sessionId, reason = "LOGOUT", revokedBy = null) {
+  return await prisma.$transaction((tx) => revokeFamily(tx, sessionId, reason, revokedBy));
+}
+
+/**
+ * Revokes all sessions of a user, optionally keeping one (e.g. the caller's current session).
+ * @returns {Promise<number>} Number of sessions revoked
+ */
+async function revokeAllUserSessions(userId, reason = "LOGOUT_ALL", revokedBy = null, exceptSessionId = null) {
+  const now = new Date();
+  const familyFilter = exceptSessionId ? { not: exceptSessionId } : undefined;
+
+  return await prisma.$transaction(async (tx) => {
+    await tx.refreshToken.updateMany({
+      where: { user_id: userId, revoked_at: null, family_id: familyFilter },
+      data: { revoked_at: now, revoked_reason: reason },
+    });
+
+    const result = await tx.userSession.updateMany({
+      where: { user_id: userId, revoked_at: null, session_id: familyFilter },
+      data: { revoked_at: now, revoked_reason: reason, revoked_by: revokedBy },
+    });
+
+    return result.count;
+  });
+}
+
+/**
+ * A session is active until it is revoked or its refresh token lifetime runs out.
+ * Also records activity, at most once per minute per session.
+ */
+async function isSessionActive(sessionId) {
+  if (!sessionId) return false;
+
+  const session = await prisma.userSession.findUnique({
+    where: { session_id: sessionId },
+  });
+
+  if (!session || session.revoked_at || session.expires_at <= new Date()) {
+    return false;
+  }
+
+  if (Date.now() - session.last_activity_at.getTime() > ACTIVITY_UPDATE_INTERVAL_MS) {
+    await prisma.userSession.update({
+      where: { session_id: sessionId },
+      data: { last_activity_at: new Date() },
+    });
+  }
+
+  return true;
+}
+
+module.exports = {
+  buildTokenPayload,
+  hashToken,
+  signAccessToken,
+  issueTokens,
+  issueImpersonationToken,
+  rotateRefreshToken,
+  revokeSession,
+  revokeAllUserSessions,
+  isSessionActive,
+};
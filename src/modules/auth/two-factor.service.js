@@ -0,0 +1,314 @@
+const { PrismaClient } = require("@prisma/client");
+const bcrypt = require("bcrypt");
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const totp = require("../../utils/totp");
+const { encrypt, decrypt } = require("../../utils/encryption");
+const eventLogger = require("../../utils/eventLogger");
+require("dotenv").config();
+
+const prisma = new PrismaClient();
+const SECRET_KEY = process.env.JWT_SECRET || "your_secret_key";
+const CHALLENGE_TOKEN_EXPIRES_IN = "5m";
+const RECOVERY_CODE_COUNT = 10;
+
+// Roles that approve orders and quality transitions must use 2FA
+const TWO_FACTOR_REQUIRED_ROLES = process.env.TWO_FACTOR_REQUIRED_ROLES
+  ? process.env.TWO_FACTOR_REQUIRED_ROLES.split(',').map(role => role.trim()).filter(Boolean)
+  : ['ADMIN', 'WAREHOUSE_INCHARGE', 'PHARMACIST'];
+
+const CHALLENGE_PURPOSE = {
+  VERIFY: '2fa_verify',   // Password accepted, TOTP code still required
+  ENROL: '2fa_enrol'      // Password accepted, role requires 2FA but user is not enrolled yet
+};
+
+function isTwoFactorRequired(roleName) {
+  return TWO_FACTOR_REQUIRED_ROLES.includes(roleName);
+}
+
+function hashRecoveryCode(code) {
+  return crypto
+    .createHash("sha256")
+    .update(String(code).replace(/[\s-]/g, "").toUpperCase())
+    .digest("hex");
+}
+
+function generateRecoveryCodes() {
+  const codes = [];
+  for (let i = 0; i < RECOVERY_CODE_COUNT; i++) {
+    const raw = crypto.randomBytes(5).toString("hex").toUpperCase();
+    codes.push(`${raw.slice(0, 5)}-${raw.slice(5)}`);
+  }
+  return codes;
+}
+
+/**
+ * Short-lived token that carries a half-finished login between the password and TOTP steps.
+ * It has no session id, so authenticateToken never accepts it as an access token.
+ */
+function createChallengeToken(user, purpose) {
+  return jwt.sign({ sub: user.id, purpose }, SECRET_KEY, {
+    expiresIn: CHALLENGE_TOKEN_EXPIRES_IN,
+  });
+}
+
+/**
+ * @returns {Object} Decoded challenge ({ sub, purpose })
+ */
+function verifyChallengeToken(challengeToken, allowedPurposes) {
+  let decoded;
+  try {
+    decoded = jwt.verify(challengeToken, SECRET_KEY);
+  } catch (error) {
+    throw new Error("Invalid or expired two-factor challenge");
+  }
+
+  if (!decoded.sub || !allowedPurposes.includes(decoded.purpose)) {
+    throw new Error("Invalid or expired two-factor challenge");
+  }
+
+  return decoded;
+}
+
+/**
+ * Verifies a TOTP code for a user and records the time step to block replays.
+ * @returns {Promise<boolean>}
+ */
+async function verifyTotpCode(user, code) {
+  if (!user.two_factor_secret) return false;
+
+  const matchedStep = totp.verifyCode(decrypt(user.two_factor_secret), code);
+  if (matchedStep === null) return false;
+
+  if (user.two_factor_last_used_step !== null && matchedStep <= user.two_factor_last_used_step) {
+    return false;
+  }
+
+  await prisma.user.update({
+    where: { id: user.id },
+    data: { two_factor_last_used_step: matchedStep }
+  });
+
+  return true;
+}
+
+/**
+ * Consumes a single-use recovery code.
+ * @returns {Promise<boolean>}
+ */
+async function consumeRecoveryCode(user, recoveryCode) {
+  const codeHash = hashRecoveryCode(recoveryCode);
+  if (!user.two_factor_recovery_codes.includes(codeHash)) return false;
+
+  await prisma.user.update({
+    where: { id: user.id },
+    data: {
+      two_factor_recovery_codes: user.two_factor_recovery_codes.filter(hash => hash !== codeHash)
+    }
+  });
+
+  return true;
+}
+
+/**
+ * Starts (or restarts) TOTP enrolment. 2FA is not active until `enableTwoFactor` confirms a code.
+ */
+async function beginEnrolment(userId) {
+  const user = await prisma.user.findUnique({ where: { id: userId } });
+
+  if (!user) {
+    throw new Error("User not found");
+  }
+
+  if (user.two_factor_enabled) {
+    throw new Error("Two-factor authentication is already enabled");
+  }
+
+  const secret = totp.generateSecret();
+
+  await prisma.user.update({
+    where: { id: user.id },
+    data: {
+      two_factor_secret: encrypt(secret),
+      two_factor_last_used_step: null
+    }
+  });
+
+  return {
+    secret,
+    otpauth_url: totp.buildOtpauthUrl(secret, user.email || user.user_id)
+  };
+}
+
+/**
+ * Confirms enrolment with a first valid code and returns the recovery codes (shown once).
+ */
+async function enableTwoFactor(userId, code, ipAddress = null, userAgent = null) {
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+    include: { role: { select: { name: true } } }
+  });
+
+  if (!user) {
+    throw new Error("User not found");
+  }
+
+  if (user.two_factor_enabled) {
+    throw new Error("Two-factor authentication is already enabled");
+  }
+
+  if (!user.two_factor_secret) {
+    throw new Error("Two-factor setup has not been started");
+  }
+
+  if (!(await verifyTotpCode(user, code))) {
+    throw new Error("Invalid two-factor code");
+  }
+
+  const recoveryCodes = generateRecoveryCodes();
+
+  await prisma.user.update({
+    where: { id: user.id },
+    data: {
+      two_factor_enabled: true,
+      two_factor_enabled_at: new Date(),
+      two_factor_recovery_codes: recoveryCodes.map(hashRecoveryCode)
+    }
+  });
+
+  await eventLogger.logEvent({
+    userId: user.id,
+    action: 'USER_PROFILE_UPDATED',
+    entityType: 'User',
+    entityId: user.id,
+    description: `Two-factor authentication enabled for ${user.email}`,
+    newValues: { two_factor_enabled: true },
+    metadata: {
+      operation_type: 'SECURITY',
+      action_type: 'TWO_FACTOR_ENABLED',
+      role: user.role?.name,
+      mandatory_for_role: isTwoFactorRequired(user.role?.name)
+    },
+    ipAddress,
+    userAgent
+  });
+
+  return { recovery_codes: recoveryCodes };
+}
+
+/**
+ * Disables 2FA after re-checking password and a current code. Not allowed for roles where it is mandatory.
+ */
+async function disableTwoFactor(userId, password, code, ipAddress = null, userAgent = null) {
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+    include: { role: { select: { name: true } } }
+  });
+
+  if (!user) {
+    throw new Error("User not found");
+  }
+
+  if (!user.two_factor_enabled) {
+    throw new Error("Two-factor authentication is not enabled");
+  }
+
+  if (isTwoFactorRequired(user.role?.name)) {
+    throw new Error(`Two-factor authentication is mandatory for role ${user.role.name}`);
+  }
+
+  if (!password || !bcrypt.compareSync(password, user.password_hash)) {
+    throw new Error("Current password is incorrect");
+  }
+
+  if (!(await verifyTotpCode(user, code))) {
+    throw new Error("Invalid two-factor code");
+  }
+
+  await prisma.user.update({
+    where: { id: user.id },
+    data: {
+      two_factor_enabled: false,
+      two_factor_secret: null,
+      two_factor_recovery_codes: [],
+      two_factor_enabled_at: null,
+      two_factor_last_used_step: null
+    }
+  });
+
+  await eventLogger.logEvent({
+    userId: user.id,
+    action: 'USER_PROFILE_UPDATED',
+    entityType: 'User',
+    entityId: user.id,
+    description: `Two-factor authentication disabled for ${user.email}`,
+    oldValues: { two_factor_enabled: true },
+    newValues: { two_factor_enabled: false },
+    metadata: {
+      operation_type: 'SECURITY',
+      action_type: 'TWO_FACTOR_DISABLED',
+      role: user.role?.name
+    },
+    ipAddress,
+    userAgent
+  });
+
+  return { success: true, message: "Two-factor authentication disabled" };
+}
+
+/**
+ * Replaces all recovery codes after verifying a current TOTP code.
+ */
+async function regenerateRecoveryCodes(userId, code) {
+  const user = await prisma.user.findUnique({ where: { id: userId } });
+
+  if (!user || !user.two_factor_enabled) {
+    throw new Error("Two-factor authentication is not enabled");
+  }
+
+  if (!(await verifyTotpCode(user, code))) {
+    throw new Error("Invalid two-factor code");
+  }
+
+  const recoveryCodes = generateRecoveryCodes();
+
+  await prisma.user.update({
+    where: { id: user.id },
+    data: { two_factor_recovery_codes: recoveryCodes.map(hashRecoveryCode) }
+  });
+
+  return { recovery_codes: recoveryCodes };
+}
+
+async function getTwoFactorStatus(userId) {
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+    include: { role: { select: { name: true } } }
+  });
+
+  if (!user) {
+    throw new Error("User not found");
+  }
+
+  return {
+    enabled: user.two_factor_enabled,
+    enabled_at: user.two_factor_enabled_at,
+    required_for_role: isTwoFactorRequired(user.role?.name),
+    recovery_codes_remaining: user.two_factor_recovery_codes.length
+  };
+}
+
+module.exports = {
+  TWO_FACTOR_REQUIRED_ROLES,
+  CHALLENGE_PURPOSE,
+  isTwoFactorRequired,
+  createChallengeToken,
+  verifyChallengeToken,
+  verifyTotpCode,
+  consumeRecoveryCode,
+  beginEnrolment,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  getTwoFactorStatus
+};
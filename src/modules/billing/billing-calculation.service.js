@@ -0,0 +1,432 @@
+const { PrismaClient } = require("@prisma/client");
+
+const prisma = new PrismaClient();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function toNumber(value) {
+  return value === null || value === undefined ? 0 : parseFloat(value);
+}
+
+function round(value, decimals = 2) {
+  const factor = Math.pow(10, decimals);
+  return Math.round(value * factor) / factor;
+}
+
+function cellReference(cell) {
+  return cell ? `${cell.row}.${cell.bay}.${cell.position}` : null;
+}
+
+/**
+ * Pallets stored by an allocation. Allocations without a pallet count occupy one position.
+ */
+function allocationPallets(allocation) {
+  return allocation.quantity_pallets && allocation.quantity_pallets > 0 ? allocation.quantity_pallets : 1;
+}
+
+/**
+ * Pallets leaving with a departure allocation, prorated on quantity when not recorded.
+ */
+function departurePallets(departureAllocation, sourceAllocation) {
+  if (departureAllocation.allocated_pallets !== null && departureAllocation.allocated_pallets !== undefined) {
+    return departureAllocation.allocated_pallets;
+  }
+
+  if (!sourceAllocation || !sourceAllocation.inventory_quantity) return 0;
+  return allocationPallets(sourceAllocation) * (departureAllocation.allocated_quantity / sourceAllocation.inventory_quantity);
+}
+
+function buildLine(chargeType, { description, quantity, unit, unitRate, serviceDate, details, ...links }) {
+  return {
+    charge_type: chargeType,
+    description,
+    quantity: round(quantity),
+    unit,
+    unit_rate: unitRate,
+    amount: round(quantity * unitRate),
+    service_date: serviceDate,
+    entry_order_id: links.entryOrderId || null,
+    departure_order_id: links.departureOrderId || null,
+    allocation_id: links.allocationId || null,
+    transition_id: links.transitionId || null,
+    details: details || null
+  };
+}
+
+/**
+ * When each departure order of the client physically left the warehouse:
+ * the first DEPARTURE inventory log, falling back to the order's dispatched_at.
+ * @returns {Promise<Map<string, Date>>}
+ */
+async function getDispatchTimes(clientId) {
+  const departureLogs = await prisma.inventoryLog.groupBy({
+    by: ["departure_order_id"],
+    where: {
+      movement_type: "DEPARTURE",
+      departure_order_id: { not: null },
+      departure_order: { client_id: clientId }
+    },
+    _min: { timestamp: true }
+  });
+
+  const dispatchTimes = new Map(
+    departureLogs.map(log => [log.departure_order_id, log._min.timestamp])
+  );
+
+  const dispatchedOrders = await prisma.departureOrder.findMany({
+    where: { client_id: clientId, dispatched_at: { not: null } },
+    select: { departure_order_id: true, dispatched_at: true }
+  });
+  dispatchedOrders.forEach(order => {
+    if (!dispatchTimes.has(order.departure_order_id)) {
+      dispatchTimes.set(order.departure_order_id, order.dispatched_at);
+    }
+  });
+
+  return dispatchTimes;
+}
+
+/**
+ * Received allocations of the client (those with an ENTRY inventory log) up to the end of the period,
+ * with the departure allocations drawn from them.
+ */
+async function getReceivedAllocations(clientId, periodEnd) {
+  const allocations = await prisma.inventoryAllocation.findMany({
+    where: {
+      entry_order: { client_id: clientId },
+      allocated_at: { lt: periodEnd }
+    },
+    select: {
+      allocation_id: true,
+      entry_order_id: true,
+      inventory_quantity: true,
+      quantity_pallets: true,
+      allocated_at: true,
+      quality_status: true,
+      entry_order: { select: { entry_order_no: true } },
+      entry_order_product: {
+        select: { product: { select: { product_code: true, name: true } } }
+      },
+      cell: {
+        select: { row: true, bay: true, position: true, warehouse: { select: { name: true } } }
+      },
+      inventoryLogs: {
+        where: { movement_type: "ENTRY" },
+        select: { log_id: true, timestamp: true },
+        orderBy: { timestamp: "asc" },
+        take: 1
+      },
+      departureAllocations: {
+        select: {
+          allocation_id: true,
+          departure_order_id: true,
+          allocated_quantity: true,
+          allocated_pallets: true,
+          departure_order: { select: { departure_order_no: true } }
+        }
+      }
+    }
+  });
+
+  return allocations.filter(allocation => allocation.inventoryLogs.length > 0);
+}
+
+/**
+ * Storage: every day a pallet sits in a cell is billed as one pallet-day, including the
+ * day it is received and the day it is dispatched.
+ */
+function calculateStorageLines(allocations, dispatchTimes, periodStart, periodEnd, rate) {
+  const lines = [];
+
+  allocations.forEach(allocation => {
+    const receivedAt = allocation.inventoryLogs[0].timestamp;
+    const pallets = allocationPallets(allocation);
+
+    const departures = allocation.departureAllocations
+      .map(departure => ({
+        departure_allocation_id: departure.allocation_id,
+        departure_order_id: departure.departure_order_id,
+        departure_order_no: departure.departure_order?.departure_order_no,
+        pallets: round(departurePallets(departure, allocation), 4),
+        dispatched_at: dispatchTimes.get(departure.departure_order_id) || null
+      }))
+      .filter(departure => departure.dispatched_at);
+
+    let palletDays = 0;
+    let billedDays = 0;
+    for (let dayStart = periodStart.getTime(); dayStart < periodEnd.getTime(); dayStart += DAY_MS) {
+      if (receivedAt.getTime() >= dayStart + DAY_MS) continue;
+
+      const dispatchedBefore = departures
+        .filter(departure => departure.dispatched_at.getTime() < dayStart)
+        .reduce((sum, departure) => sum + departure.pallets, 0);
+      const palletsInCell = Math.max(pallets - dispatchedBefore, 0);
+
+      if (palletsInCell > 0) {
+        palletDays += palletsInCell;
+        billedDays += 1;
+      }
+    }
+
+    if (palletDays <= 0) return;
+
+    const product = allocation.entry_order_product?.product;
+    lines.push(buildLine("STORAGE", {
+      description: `Storage ${allocation.entry_order?.entry_order_no} - ${product?.product_code || ""} at ${cellReference(allocation.cell)}`,
+      quantity: palletDays,
+      unit: "PALLET_DAY",
+      unitRate: rate,
+      serviceDate: new Date(periodEnd.getTime() - DAY_MS),
+      entryOrderId: allocation.entry_order_id,
+      allocationId: allocation.allocation_id,
+      details: {
+        entry_order_no: allocation.entry_order?.entry_order_no,
+        product_code: product?.product_code,
+        product_name: product?.name,
+        warehouse: allocation.cell?.warehouse?.name,
+        cell: cellReference(allocation.cell),
+        pallets_received: pallets,
+        received_at: receivedAt,
+        entry_log_id: allocation.inventoryLogs[0].log_id,
+        billed_days: billedDays,
+        departures
+      }
+    }));
+  });
+
+  return lines;
+}
+
+/**
+ * Entry handling: the per-order fee is charged in the period the order's first pallet was received,
+ * the per-pallet fee on the pallets received within the period.
+ */
+function calculateEntryLines(allocations, periodStart, periodEnd, tariff) {
+  const lines = [];
+  const orders = new Map();
+
+  allocations.forEach(allocation => {
+    const receivedAt = allocation.inventoryLogs[0].timestamp;
+    const order = orders.get(allocation.entry_order_id) || {
+      entry_order_no: allocation.entry_order?.entry_order_no,
+      first_received_at: receivedAt,
+      pallets: 0,
+      allocation_ids: []
+    };
+
+    if (receivedAt < order.first_received_at) order.first_received_at = receivedAt;
+    if (receivedAt >= periodStart && receivedAt < periodEnd) {
+      order.pallets += allocationPallets(allocation);
+      order.allocation_ids.push(allocation.allocation_id);
+    }
+    orders.set(allocation.entry_order_id, order);
+  });
+
+  orders.forEach((order, entryOrderId) => {
+    if (order.allocation_ids.length === 0) return;
+
+    const details = {
+      entry_order_no: order.entry_order_no,
+      first_received_at: order.first_received_at,
+      pallets: order.pallets,
+      allocation_ids: order.allocation_ids
+    };
+
+    if (tariff.entry_handling_fee > 0 && order.first_received_at >= periodStart) {
+      lines.push(buildLine("ENTRY_HANDLING", {
+        description: `Entry handling ${order.entry_order_no}`,
+        quantity: 1,
+        unit: "ORDER",
+        unitRate: tariff.entry_handling_fee,
+        serviceDate: order.first_received_at,
+        entryOrderId,
+        details
+      }));
+    }
+
+    if (tariff.entry_handling_per_pallet > 0) {
+      lines.push(buildLine("ENTRY_HANDLING", {
+        description: `Entry handling ${order.entry_order_no} - ${order.pallets} pallets`,
+        quantity: order.pallets,
+        unit: "PALLET",
+        unitRate: tariff.entry_handling_per_pallet,
+        serviceDate: order.first_received_at >= periodStart ? order.first_received_at : periodStart,
+        entryOrderId,
+        details
+      }));
+    }
+  });
+
+  return lines;
+}
+
+/**
+ * Dispatch handling: charged once per departure order, in the period it first left the warehouse.
+ */
+async function calculateDispatchLines(dispatchTimes, periodStart, periodEnd, tariff) {
+  const orderIds = [...dispatchTimes.entries()]
+    .filter(([, dispatchedAt]) => dispatchedAt >= periodStart && dispatchedAt < periodEnd)
+    .map(([departureOrderId]) => departureOrderId);
+
+  if (orderIds.length === 0) return [];
+
+  const orders = await prisma.departureOrder.findMany({
+    where: { departure_order_id: { in: orderIds } },
+    select: {
+      departure_order_id: true,
+      departure_order_no: true,
+      dispatch_document_number: true,
+      departureAllocations: {
+        select: {
+          allocation_id: true,
+          allocated_quantity: true,
+          allocated_pallets: true,
+          source_allocation: { select: { quantity_pallets: true, inventory_quantity: true } }
+        }
+      }
+    }
+  });
+
+  const lines = [];
+  orders.forEach(order => {
+    const dispatchedAt = dispatchTimes.get(order.departure_order_id);
+    const pallets = round(
+      order.departureAllocations.reduce(
+        (sum, departure) => sum + departurePallets(departure, departure.source_allocation),
+        0
+      )
+    );
+    const details = {
+      departure_order_no: order.departure_order_no,
+      dispatch_document_number: order.dispatch_document_number,
+      dispatched_at: dispatchedAt,
+      pallets,
+      departure_allocation_ids: order.departureAllocations.map(departure => departure.allocation_id)
+    };
+
+    if (tariff.dispatch_handling_fee > 0) {
+      lines.push(buildLine("DISPATCH_HANDLING", {
+        description: `Dispatch handling ${order.departure_order_no}`,
+        quantity: 1,
+        unit: "ORDER",
+        unitRate: tariff.dispatch_handling_fee,
+        serviceDate: dispatchedAt,
+        departureOrderId: order.departure_order_id,
+        details
+      }));
+    }
+
+    if (tariff.dispatch_handling_per_pallet > 0 && pallets > 0) {
+      lines.push(buildLine("DISPATCH_HANDLING", {
+        description: `Dispatch handling ${order.departure_order_no} - ${pallets} pallets`,
+        quantity: pallets,
+        unit: "PALLET",
+        unitRate: tariff.dispatch_handling_per_pallet,
+        serviceDate: dispatchedAt,
+        departureOrderId: order.departure_order_id,
+        details
+      }));
+    }
+  });
+
+  return lines;
+}
+
+/**
+ * Quality transitions: one fee per transition, optionally priced per target status.
+ */
+async function calculateQualityLines(clientId, periodStart, periodEnd, tariff) {
+  const transitions = await prisma.qualityControlTransition.findMany({
+    where: {
+      performed_at: { gte: periodStart, lt: periodEnd },
+      allocation: { entry_order: { client_id: clientId } }
+    },
+    select: {
+      transition_id: true,
+      from_status: true,
+      to_status: true,
+      quantity_moved: true,
+      performed_at: true,
+      reason: true,
+      allocation: {
+        select: {
+          allocation_id: true,
+          entry_order_id: true,
+          entry_order: { select: { entry_order_no: true } },
+          entry_order_product: { select: { product: { select: { product_code: true } } } }
+        }
+      }
+    },
+    orderBy: { performed_at: "asc" }
+  });
+
+  const statusFees = tariff.quality_transition_fees || {};
+  const lines = [];
+
+  transitions.forEach(transition => {
+    const fee = statusFees[transition.to_status] !== undefined
+      ? toNumber(statusFees[transition.to_status])
+      : tariff.quality_transition_fee;
+    if (!(fee > 0)) return;
+
+    lines.push(buildLine("QUALITY_TRANSITION", {
+      description: `Quality transition ${transition.from_status || "-"} → ${transition.to_status} (${transition.allocation?.entry_order?.entry_order_no})`,
+      quantity: 1,
+      unit: "TRANSITION",
+      unitRate: fee,
+      serviceDate: transition.performed_at,
+      entryOrderId: transition.allocation?.entry_order_id,
+      allocationId: transition.allocation?.allocation_id,
+      transitionId: transition.transition_id,
+      details: {
+        entry_order_no: transition.allocation?.entry_order?.entry_order_no,
+        product_code: transition.allocation?.entry_order_product?.product?.product_code,
+        from_status: transition.from_status,
+        to_status: transition.to_status,
+        quantity_moved: transition.quantity_moved,
+        reason: transition.reason
+      }
+    }));
+  });
+
+  return lines;
+}
+
+/**
+ * Computes the billable lines of a client for [periodStart, periodEnd) with the given tariff rates.
+ * @param {object} tariff - rates as numbers (see billing.service buildTariffSnapshot)
+ */
+async function calculateCharges(clientId, periodStart, periodEnd, tariff) {
+  const [allocations, dispatchTimes] = await Promise.all([
+    getReceivedAllocations(clientId, periodEnd),
+    getDispatchTimes(clientId)
+  ]);
+
+  const lines = [];
+
+  if (tariff.storage_rate_pallet_day > 0) {
+    lines.push(...calculateStorageLines(allocations, dispatchTimes, periodStart, periodEnd, tariff.storage_rate_pallet_day));
+  }
+  lines.push(...calculateEntryLines(allocations, periodStart, periodEnd, tariff));
+  lines.push(...await calculateDispatchLines(dispatchTimes, periodStart, periodEnd, tariff));
+  lines.push(...await calculateQualityLines(clientId, periodStart, periodEnd, tariff));
+
+  const sumOf = types => round(
+    lines.filter(line => types.includes(line.charge_type)).reduce((sum, line) => sum + line.amount, 0)
+  );
+
+  return {
+    lines,
+    totals: {
+      storage_amount: sumOf(["STORAGE"]),
+      handling_amount: sumOf(["ENTRY_HANDLING", "DISPATCH_HANDLING"]),
+      quality_amount: sumOf(["QUALITY_TRANSITION"]),
+      total_amount: sumOf(["STORAGE", "ENTRY_HANDLING", "DISPATCH_HANDLING", "QUALITY_TRANSITION"])
+    }
+  };
+}
+
+module.exports = {
+  DAY_MS,
+  calculateCharges
+};
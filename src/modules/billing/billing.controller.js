@@ -0,0 +1,261 @@
+const billingService = require("./billing.service");
+
+function getRequestContext(req) {
+  return {
+    ipAddress: req.eventContext?.ipAddress || req.ip,
+    userAgent: req.eventContext?.userAgent || req.get('User-Agent'),
+    sessionId: req.user?.sid || null
+  };
+}
+
+function handleBillingError(res, error, fallbackMessage) {
+  const message = error.message;
+
+  if (message.includes("not found")) {
+    return res.status(404).json({ success: false, message });
+  }
+
+  if (message.includes("already exists") || message.includes("overlaps") || message.includes("try again")) {
+    return res.status(409).json({ success: false, message });
+  }
+
+  if (
+    message.includes("required") ||
+    message.includes("must") ||
+    message.includes("Invalid") ||
+    message.includes("Only DRAFT") ||
+    message.includes("already voided") ||
+    message.includes("No active tariff") ||
+    message.includes("No valid fields")
+  ) {
+    return res.status(400).json({ success: false, message });
+  }
+
+  return res.status(500).json({
+    success: false,
+    message: fallbackMessage,
+    error: message
+  });
+}
+
+/**
+ * List client tariffs (filters: client_id, active)
+ */
+async function getTariffs(req, res) {
+  try {
+    const tariffs = await billingService.getTariffs({
+      client_id: req.query.client_id,
+      active: req.query.active
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: "Tariffs fetched successfully",
+      data: tariffs,
+      total_count: tariffs.length
+    });
+  } catch (error) {
+    console.error("Error in getTariffs controller:", error);
+    return handleBillingError(res, error, "Error fetching tariffs");
+  }
+}
+
+/**
+ * Create a client tariff
+ */
+async function createTariff(req, res) {
+  try {
+    const tariff = await billingService.createTariff(req.body, req.user, getRequestContext(req));
+
+    return res.status(201).json({
+      success: true,
+      message: "Tariff created successfully",
+      data: tariff
+    });
+  } catch (error) {
+    console.error("Error in createTariff controller:", error);
+    return handleBillingError(res, error, "Error creating tariff");
+  }
+}
+
+/**
+ * Update a client tariff
+ */
+async function updateTariff(req, res) {
+  try {
+    const tariff = await billingService.updateTariff(
+      req.params.tariff_id,
+      req.body,
+      req.user,
+      getRequestContext(req)
+    );
+
+    return res.status(200).json({
+      success: true,
+      message: "Tariff updated successfully",
+      data: tariff
+    });
+  } catch (error) {
+    console.error("Error in updateTariff controller:", error);
+    return handleBillingError(res, error, "Error updating tariff");
+  }
+}
+
+/**
+ * List billing runs (filters: client_id, status, from, to)
+ */
+async function getBillingRuns(req, res) {
+  try {
+    const runs = await billingService.getBillingRuns({
+      client_id: req.query.client_id,
+      status: req.query.status,
+      from: req.query.from,
+      to: req.query.to
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: "Billing runs fetched successfully",
+      data: runs,
+      total_count: runs.length
+    });
+  } catch (error) {
+    console.error("Error in getBillingRuns controller:", error);
+    return handleBillingError(res, error, "Error fetching billing runs");
+  }
+}
+
+/**
+ * Generate a DRAFT billing run for a client and period
+ */
+async function generateBillingRun(req, res) {
+  try {
+    const run = await billingService.generateBillingRun(req.body, req.user, getRequestContext(req));
+
+    return res.status(201).json({
+      success: true,
+      message: "Billing run generated successfully",
+      data: run
+    });
+  } catch (error) {
+    console.error("Error in generateBillingRun controller:", error);
+    return handleBillingError(res, error, "Error generating billing run");
+  }
+}
+
+/**
+ * Get a billing run with its lines
+ */
+async function getBillingRunById(req, res) {
+  try {
+    const run = await billingService.getBillingRunById(req.params.run_id);
+
+    return res.status(200).json({
+      success: true,
+      message: "Billing run fetched successfully",
+      data: run
+    });
+  } catch (error) {
+    console.error("Error in getBillingRunById controller:", error);
+    return handleBillingError(res, error, "Error fetching billing run");
+  }
+}
+
+/**
+ * Recalculate a DRAFT billing run
+ */
+async function recalculateBillingRun(req, res) {
+  try {
+    const run = await billingService.recalculateBillingRun(
+      req.params.run_id,
+      req.user,
+      getRequestContext(req)
+    );
+
+    return res.status(200).json({
+      success: true,
+      message: "Billing run recalculated successfully",
+      data: run
+    });
+  } catch (error) {
+    console.error("Error in recalculateBillingRun controller:", error);
+    return handleBillingError(res, error, "Error recalculating billing run");
+  }
+}
+
+/**
+ * Approve a DRAFT billing run
+ */
+async function approveBillingRun(req, res) {
+  try {
+    const run = await billingService.approveBillingRun(
+      req.params.run_id,
+      req.body?.comments,
+      req.user,
+      getRequestContext(req)
+    );
+
+    return res.status(200).json({
+      success: true,
+      message: "Billing run approved successfully",
+      data: run
+    });
+  } catch (error) {
+    console.error("Error in approveBillingRun controller:", error);
+    return handleBillingError(res, error, "Error approving billing run");
+  }
+}
+
+/**
+ * Void a billing run
+ */
+async function voidBillingRun(req, res) {
+  try {
+    const run = await billingService.voidBillingRun(
+      req.params.run_id,
+      req.body?.reason,
+      req.user,
+      getRequestContext(req)
+    );
+
+    return res.status(200).json({
+      success: true,
+      message: "Billing run voided successfully",
+      data: run
+    });
+  } catch (error) {
+    console.error("Error in voidBillingRun controller:", error);
+    return handleBillingError(res, error, "Error voiding billing run");
+  }
+}
+
+/**
+ * Drill down from a billing line to the orders and movements that generated it
+ */
+async function getBillingLineDetail(req, res) {
+  try {
+    const line = await billingService.getBillingLineDetail(req.params.run_id, req.params.line_id);
+
+    return res.status(200).json({
+      success: true,
+      message: "Billing line fetched successfully",
+      data: line
+    });
+  } catch (error) {
+    console.error("Error in getBillingLineDetail controller:", error);
+    return handleBillingError(res, error, "Error fetching billing line");
+  }
+}
+
+module.exports = {
+  getTariffs,
+  createTariff,
+  updateTariff,
+  getBillingRuns,
+  generateBillingRun,
+  getBillingRunById,
+  recalculateBillingRun,
+  approveBillingRun,
+  voidBillingRun,
+  getBillingLineDetail
+};
@@ -0,0 +1,20 @@
+const express = require("express");
+const router = express.Router();
+const billingController = require("./billing.controller");
+const { requirePermission } = require("../../middlewares/roleBasedAccess");
+
+// Client tariffs
+router.get("/tariffs", requirePermission("billing", "read"), billingController.getTariffs);
+router.post("/tariffs", requirePermission("billing", "create"), billingController.createTariff);
+router.put("/tariffs/:tariff_id", requirePermission("billing", "update"), billingController.updateTariff);
+
+// Billing runs with line-level drill-down
+router.get("/runs", requirePermission("billing", "read"), billingController.getBillingRuns);
+router.post("/runs", requirePermission("billing", "create"), billingController.generateBillingRun);
+router.get("/runs/:run_id", requirePermission("billing", "read"), billingController.getBillingRunById);
+router.get("/runs/:run_id/lines/:line_id", requirePermission("billing", "read"), billingController.getBillingLineDetail);
+router.post("/runs/:run_id/recalculate", requirePermission("billing", "update"), billingController.recalculateBillingRun);
+router.post("/runs/:run_id/approve", requirePermission("billing", "approve"), billingController.approveBillingRun);
+router.post("/runs/:run_id/void", requirePermission("billing", "approve"), billingController.voidBillingRun);
+
+module.exports = router;
@@ -0,0 +1,698 @@
+const { PrismaClient, Prisma, QualityControlStatus } = require("@prisma/client");
+const eventLogger = require("../../utils/eventLogger");
+const { DAY_MS, calculateCharges } = require("./billing-calculation.service");
+const clientNotificationService = require("../client/client-notification.service");
+
+const prisma = new PrismaClient();
+
+const TARIFF_RATE_FIELDS = [
+  "storage_rate_pallet_day",
+  "entry_handling_fee",
+  "entry_handling_per_pallet",
+  "dispatch_handling_fee",
+  "dispatch_handling_per_pallet",
+  "quality_transition_fee"
+];
+
+const clientSelect = {
+  client_id: true,
+  client_code: true,
+  client_type: true,
+  company_name: true,
+  first_names: true,
+  last_name: true
+};
+
+const userSelect = { id: true, user_id: true, first_name: true, last_name: true };
+
+function getClientName(client) {
+  if (!client) return null;
+  return client.company_name || `${client.first_names || ""} ${client.last_name || ""}`.trim();
+}
+
+/**
+ * Parses a date-only value (YYYY-MM-DD) as the start of that UTC day.
+ */
+function parseDay(value, field) {
+  if (!value) throw new Error(`${field} is required`);
+
+  const date = new Date(value);
+  if (isNaN(date.getTime())) throw new Error(`${field} must be a valid date`);
+
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+}
+
+function parseRate(value, field) {
+  const rate = parseFloat(value);
+  if (isNaN(rate) || rate < 0) throw new Error(`${field} must be a non-negative number`);
+  return rate;
+}
+
+function parseStatusFees(value) {
+  if (value === null || value === undefined || value === "") return null;
+  if (typeof value !== "object" || Array.isArray(value)) {
+    throw new Error("quality_transition_fees must be an object keyed by quality status");
+  }
+
+  const fees = {};
+  Object.entries(value).forEach(([status, fee]) => {
+    if (!Object.values(QualityControlStatus).includes(status)) {
+      throw new Error(`Invalid quality status in quality_transition_fees: ${status}`);
+    }
+    fees[status] = parseRate(fee, `quality_transition_fees.${status}`);
+  });
+  return fees;
+}
+
+/**
+ * Rates as plain numbers; stored on every run so later tariff edits never change an issued run.
+ */
+function buildTariffSnapshot(tariff) {
+  const snapshot = {
+    tariff_id: tariff.tariff_id,
+    name: tariff.name,
+    currency: tariff.currency,
+    quality_transition_fees: tariff.quality_transition_fees || null
+  };
+  TARIFF_RATE_FIELDS.forEach(field => {
+    snapshot[field] = parseFloat(tariff[field] || 0);
+  });
+  return snapshot;
+}
+
+// ==================== TARIFFS ====================
+
+/**
+ * List tariffs (filters: client_id, active)
+ */
+async function getTariffs(filters = {}) {
+  const where = {};
+  if (filters.client_id) where.client_id = filters.client_id;
+  if (filters.active !== undefined) where.is_active = filters.active === "true" || filters.active === true;
+
+  return await prisma.clientTariff.findMany({
+    where,
+    include: {
+      client: { select: clientSelect },
+      creator: { select: userSelect }
+    },
+    orderBy: [{ client_id: "asc" }, { valid_from: "desc" }]
+  });
+}
+
+/**
+ * Create a tariff for a client. Validity ranges of active tariffs of the same client cannot overlap.
+ */
+async function createTariff(data, user, requestContext = {}) {
+  const { client_id, name } = data;
+  if (!client_id) throw new Error("client_id is required");
+  if (!name) throw new Error("name is required");
+
+  const client = await prisma.client.findUnique({ where: { client_id }, select: clientSelect });
+  if (!client) throw new Error("Client not found");
+
+  const tariffData = {
+    client_id,
+    name,
+    currency: data.currency || "PEN",
+    valid_from: parseDay(data.valid_from, "valid_from"),
+    valid_to: data.valid_to ? parseDay(data.valid_to, "valid_to") : null,
+    quality_transition_fees: parseStatusFees(data.quality_transition_fees),
+    notes: data.notes || null,
+    created_by: user.id
+  };
+  TARIFF_RATE_FIELDS.forEach(field => {
+    tariffData[field] = data[field] !== undefined ? parseRate(data[field], field) : 0;
+  });
+
+  await assertNoOverlappingTariff(client_id, tariffData.valid_from, tariffData.valid_to);
+
+  const tariff = await prisma.clientTariff.create({ data: tariffData });
+
+  await eventLogger.logEvent({
+    userId: user.id,
+    action: "BILLING_TARIFF_CREATED",
+    entityType: "ClientTariff",
+    entityId: tariff.tariff_id,
+    description: `Created tariff '${name}' for client ${getClientName(client)}`,
+    newValues: buildTariffSnapshot(tariff),
+    metadata: {
+      operation_type: "BILLING",
+      client_id,
+      valid_from: tariff.valid_from,
+      valid_to: tariff.valid_to
+    },
+    ipAddress: requestContext.ipAddress,
+    userAgent: requestContext.userAgent,
+    sessionId: requestContext.sessionId
+  });
+
+  return tariff;
+}
+
+/**
+ * Update rates, validity or status of a tariff. Runs already generated keep their own snapshot.
+ */
+async function updateTariff(tariffId, data, user, requestContext = {}) {
+  const tariff = await prisma.clientTariff.findUnique({ where: { tariff_id: tariffId } });
+  if (!tariff) throw new Error("Tariff not found");
+
+  const updates = {};
+  if (data.name !== undefined) updates.name = data.name;
+  if (data.currency !== undefined) updates.currency = data.currency;
+  if (data.notes !== undefined) updates.notes = data.notes;
+  if (data.is_active !== undefined) updates.is_active = data.is_active === true || data.is_active === "true";
+  if (data.valid_from !== undefined) updates.valid_from = parseDay(data.valid_from, "valid_from");
+  if (data.valid_to !== undefined) updates.valid_to = data.valid_to ? parseDay(data.valid_to, "valid_to") : null;
+  if (data.quality_transition_fees !== undefined) {
+    updates.quality_transition_fees = parseStatusFees(data.quality_transition_fees);
+  }
+  TARIFF_RATE_FIELDS.forEach(field => {
+    if (data[field] !== undefined) updates[field] = parseRate(data[field], field);
+  });
+
+  if (Object.keys(updates).length === 0) throw new Error("No valid fields to update");
+
+  const isActive = updates.is_active !== undefined ? updates.is_active : tariff.is_active;
+  if (isActive) {
+    await assertNoOverlappingTariff(
+      tariff.client_id,
+      updates.valid_from || tariff.valid_from,
+      updates.valid_to !== undefined ? updates.valid_to : tariff.valid_to,
+      tariffId
+    );
+  }
+
+  const updatedTariff = await prisma.clientTariff.update({
+    where: { tariff_id: tariffId },
+    data: updates
+  });
+
+  await eventLogger.logEvent({
+    userId: user.id,
+    action: "BILLING_TARIFF_UPDATED",
+    entityType: "ClientTariff",
+    entityId: tariffId,
+    description: `Updated tariff '${updatedTariff.name}'`,
+    oldValues: buildTariffSnapshot(tariff),
+    newValues: buildTariffSnapshot(updatedTariff),
+    metadata: {
+      operation_type: "BILLING",
+      client_id: tariff.client_id,
+      updated_fields: Object.keys(updates)
+    },
+    ipAddress: requestContext.ipAddress,
+    userAgent: requestContext.userAgent,
+    sessionId: requestContext.sessionId
+  });
+
+  return updatedTariff;
+}
+
+async function assertNoOverlappingTariff(clientId, validFrom, validTo, excludeTariffId = null) {
+  if (validTo && validTo < validFrom) throw new Error("valid_to must be on or after valid_from");
+
+  const overlapping = await prisma.clientTariff.findFirst({
+    where: {
+      client_id: clientId,
+      is_active: true,
+      ...(excludeTariffId ? { tariff_id: { not: excludeTariffId } } : {}),
+      ...(validTo ? { valid_from: { lte: validTo } } : {}),
+      OR: [{ valid_to: null }, { valid_to: { gte: validFrom } }]
+    }
+  });
+
+  if (overlapping) {
+    throw new Error(`Tariff validity overlaps with active tariff '${overlapping.name}'`);
+  }
+}
+
+/**
+ * Active tariff in force for the client during the period (the most recent one if several apply).
+ */
+async function getTariffForPeriod(clientId, periodStart, periodEnd) {
+  const tariff = await prisma.clientTariff.findFirst({
+    where: {
+      client_id: clientId,
+      is_active: true,
+      valid_from: { lt: periodEnd },
+      OR: [{ valid_to: null }, { valid_to: { gte: periodStart } }]
+    },
+    orderBy: { valid_from: "desc" }
+  });
+
+  if (!tariff) throw new Error("No active tariff found for this client in the billing period");
+  return tariff;
+}
+
+// ==================== BILLING RUNS ====================
+
+async function getNextRunNumber(db, periodStart) {
+  const prefix = `BILL-${periodStart.getUTCFullYear()}${String(periodStart.getUTCMonth() + 1).padStart(2, "0")}-`;
+
+  const lastRun = await db.billingRun.findFirst({
+    where: { run_number: { startsWith: prefix } },
+    orderBy: { run_number: "desc" },
+    select: { run_number: true }
+  });
+
+  const lastSequence = lastRun ? parseInt(lastRun.run_number.slice(prefix.length)) || 0 : 0;
+  return `${prefix}${String(lastSequence + 1).padStart(4, "0")}`;
+}
+
+/**
+ * Clients merged into this one, directly or through earlier merges.
+ */
+async function getMergedClientIds(db, clientId) {
+  const mergedIds = [];
+  let pending = [clientId];
+  while (pending.length > 0) {
+    const merged = await db.client.findMany({
+      where: { merged_into_id: { in: pending } },
+      select: { client_id: true }
+    });
+    pending = merged.map(client => client.client_id).filter(id => !mergedIds.includes(id));
+    mergedIds.push(...pending);
+  }
+  return mergedIds;
+}
+
+/**
+ * Throws when a non-voided run of the client, or of a client merged into it, overlaps the
+ * period: their orders now belong to this client, so the period is already billed.
+ * Uses `db` (prisma or a transaction).
+ */
+async function assertNoOverlappingRun(db, clientId, periodStart, lastDay, excludeRunId = null) {
+  const mergedIds = await getMergedClientIds(db, clientId);
+
+  const overlappingRun = await db.billingRun.findFirst({
+    where: {
+      client_id: { in: [clientId, ...mergedIds] },
+      status: { not: "VOIDED" },
+      period_start: { lte: lastDay },
+      period_end: { gte: periodStart },
+      ...(excludeRunId && { run_id: { not: excludeRunId } })
+    },
+    select: { run_number: true, client_id: true }
+  });
+  if (overlappingRun && overlappingRun.client_id !== clientId) {
+    throw new Error(`Billing run ${overlappingRun.run_number} of a client merged into this one already exists in an overlapping period`);
+  }
+  if (overlappingRun) {
+    throw new Error(`Billing run ${overlappingRun.run_number} already exists for this client in an overlapping period`);
+  }
+}
+
+// Serialization failures and run number collisions from concurrent generate requests
+function isConcurrentRunConflict(error) {
+  return error.code === "P2034" || (error.code === "P2002" && error.meta?.target?.includes("run_number"));
+}
+
+function parsePeriod(periodStartValue, periodEndValue) {
+  const periodStart = parseDay(periodStartValue, "period_start");
+  const lastDay = parseDay(periodEndValue, "period_end");
+  if (lastDay < periodStart) throw new Error("period_end must be on or after period_start");
+
+  // ✅ period_end is inclusive: charges run until the end of that day
+  return { periodStart, lastDay, periodEnd: new Date(lastDay.getTime() + DAY_MS) };
+}
+
+/**
+ * List billing runs (filters: client_id, status, from, to)
+ */
+async function getBillingRuns(filters = {}) {
+  const where = {};
+  if (filters.client_id) where.client_id = filters.client_id;
+  if (filters.status) where.status = filters.status;
+  if (filters.from) where.period_end = { gte: parseDay(filters.from, "from") };
+  if (filters.to) where.period_start = { lte: parseDay(filters.to, "to") };
+
+  return await prisma.billingRun.findMany({
+    where,
+    include: {
+      client: { select: clientSelect },
+      creator: { select: userSelect },
+      reviewer: { select: userSelect }
+    },
+    orderBy: [{ period_start: "desc" }, { created_at: "desc" }]
+  });
+}
+
+/**
+ * A billing run with its lines and totals per charge type.
+ */
+async function getBillingRunById(runId) {
+  const run = await prisma.billingRun.findUnique({
+    where: { run_id: runId },
+    include: {
+      client: { select: clientSelect },
+      creator: { select: userSelect },
+      reviewer: { select: userSelect },
+      lines: {
+        include: {
+          entry_order: { select: { entry_order_no: true } },
+          departure_order: { select: { departure_order_no: true } }
+        },
+        orderBy: [{ charge_type: "asc" }, { service_date: "asc" }]
+      }
+    }
+  });
+
+  if (!run) throw new Error("Billing run not found");
+
+  const summary = {};
+  run.lines.forEach(line => {
+    const entry = summary[line.charge_type] || { charge_type: line.charge_type, line_count: 0, quantity: 0, amount: 0 };
+    entry.line_count += 1;
+    entry.quantity = Math.round((entry.quantity + parseFloat(line.quantity)) * 100) / 100;
+    entry.amount = Math.round((entry.amount + parseFloat(line.amount)) * 100) / 100;
+    summary[line.charge_type] = entry;
+  });
+
+  return { ...run, summary: Object.values(summary) };
+}
+
+/**
+ * Computes and stores a DRAFT billing run for a client and period.
+ * Periods of non-voided runs of the same client cannot overlap, so nothing is billed twice:
+ * the overlap check, run number and insert share one serializable transaction.
+ */
+async function generateBillingRun(data, user, requestContext = {}) {
+  const { client_id, notes } = data;
+  if (!client_id) throw new Error("client_id is required");
+
+  const client = await prisma.client.findUnique({ where: { client_id }, select: clientSelect });
+  if (!client) throw new Error("Client not found");
+
+  const { periodStart, lastDay, periodEnd } = parsePeriod(data.period_start, data.period_end);
+
+  // Fail fast before calculating; checked again inside the transaction
+  await assertNoOverlappingRun(prisma, client_id, periodStart, lastDay);
+
+  const tariff = await getTariffForPeriod(client_id, periodStart, periodEnd);
+  const tariffSnapshot = buildTariffSnapshot(tariff);
+  const { lines, totals } = await calculateCharges(client_id, periodStart, periodEnd, tariffSnapshot);
+
+  const run = await prisma.$transaction(async (tx) => {
+    await assertNoOverlappingRun(tx, client_id, periodStart, lastDay);
+    const runNumber = await getNextRunNumber(tx, periodStart);
+
+    const createdRun = await tx.billingRun.create({
+      data: {
+        run_number: runNumber,
+        client_id,
+        tariff_id: tariff.tariff_id,
+        period_start: periodStart,
+        period_end: lastDay,
+        currency: tariff.currency,
+        ...totals,
+        line_count: lines.length,
+        tariff_snapshot: tariffSnapshot,
+        notes: notes || null,
+        created_by: user.id
+      }
+    });
+
+    if (lines.length > 0) {
+      await tx.billingLine.createMany({
+        data: lines.map(line => ({ ...line, run_id: createdRun.run_id }))
+      });
+    }
+
+    return createdRun;
+  }, {
+    isolationLevel: Prisma.TransactionIsolationLevel.Serializable,
+    timeout: 30000
+  }).catch(error => {
+    if (isConcurrentRunConflict(error)) {
+      throw new Error("Another billing run was generated at the same time; reload and try again");
+    }
+    throw error;
+  });
+
+  await eventLogger.logEvent({
+    userId: user.id,
+    action: "BILLING_RUN_GENERATED",
+    entityType: "BillingRun",
+    entityId: run.run_id,
+    description: `Generated billing run ${run.run_number} for ${getClientName(client)}: ${totals.total_amount} ${tariff.currency}`,
+    newValues: { ...totals, line_count: lines.length },
+    metadata: {
+      operation_type: "BILLING",
+      client_id,
+      tariff_id: tariff.tariff_id,
+      period_start: periodStart,
+      period_end: lastDay
+    },
+    ipAddress: requestContext.ipAddress,
+    userAgent: requestContext.userAgent,
+    sessionId: requestContext.sessionId
+  });
+
+  return await getBillingRunById(run.run_id);
+}
+
+/**
+ * Recomputes a DRAFT run from current history and the tariff now in force, replacing its lines.
+ */
+async function recalculateBillingRun(runId, user, requestContext = {}) {
+  const run = await prisma.billingRun.findUnique({ where: { run_id: runId } });
+  if (!run) throw new Error("Billing run not found");
+  if (run.status !== "DRAFT") throw new Error("Only DRAFT billing runs can be recalculated");
+
+  const periodStart = run.period_start;
+  const periodEnd = new Date(run.period_end.getTime() + DAY_MS);
+
+  // Orders of clients merged in since generation may already be billed on their own runs
+  await assertNoOverlappingRun(prisma, run.client_id, periodStart, run.period_end, runId);
+
+  const tariff = await getTariffForPeriod(run.client_id, periodStart, periodEnd);
+  const tariffSnapshot = buildTariffSnapshot(tariff);
+  const { lines, totals } = await calculateCharges(run.client_id, periodStart, periodEnd, tariffSnapshot);
+
+  await prisma.$transaction(async (tx) => {
+    await tx.billingLine.deleteMany({ where: { run_id: runId } });
+    if (lines.length > 0) {
+      await tx.billingLine.createMany({
+        data: lines.map(line => ({ ...line, run_id: runId }))
+      });
+    }
+    // Only while still DRAFT: an approve or void in the meantime rolls the recalculation back
+    const updated = await tx.billingRun.updateMany({
+      where: { run_id: runId, status: "DRAFT" },
+      data: {
+        tariff_id: tariff.tariff_id,
+        currency: tariff.currency,
+        ...totals,
+        line_count: lines.length,
+        tariff_snapshot: tariffSnapshot,
+        calculated_at: new Date()
+      }
+    });
+    if (updated.count === 0) {
+      throw new Error("Billing run changed while it was being recalculated; reload and try again");
+    }
+  });
+
+  await eventLogger.logEvent({
+    userId: user.id,
+    action: "BILLING_RUN_GENERATED",
+    entityType: "BillingRun",
+    entityId: runId,
+    description: `Recalculated billing run ${run.run_number}: ${totals.total_amount} ${tariff.currency}`,
+    oldValues: {
+      storage_amount: parseFloat(run.storage_amount),
+      handling_amount: parseFloat(run.handling_amount),
+      quality_amount: parseFloat(run.quality_amount),
+      total_amount: parseFloat(run.total_amount),
+      line_count: run.line_count
+    },
+    newValues: { ...totals, line_count: lines.length },
+    metadata: {
+      operation_type: "BILLING",
+      action_type: "RECALCULATE",
+      client_id: run.client_id,
+      tariff_id: tariff.tariff_id
+    },
+    ipAddress: requestContext.ipAddress,
+    userAgent: requestContext.userAgent,
+    sessionId: requestContext.sessionId
+  });
+
+  return await getBillingRunById(runId);
+}
+
+async function reviewBillingRun(runId, status, comments, user, requestContext = {}) {
+  const run = await prisma.billingRun.findUnique({ where: { run_id: runId } });
+  if (!run) throw new Error("Billing run not found");
+
+  if (status === "APPROVED" && run.status !== "DRAFT") {
+    throw new Error("Only DRAFT billing runs can be approved");
+  }
+  if (status === "VOIDED") {
+    if (run.status === "VOIDED") throw new Error("Billing run is already voided");
+    if (!comments) throw new Error("A reason is required to void a billing run");
+  }
+
+  // Conditional on the status checked above, so a concurrent approve and void cannot both apply
+  const updated = await prisma.billingRun.updateMany({
+    where: { run_id: runId, status: run.status },
+    data: {
+      status,
+      reviewed_by: user.id,
+      reviewed_at: new Date(),
+      review_comments: comments || null
+    }
+  });
+  if (updated.count === 0) {
+    throw new Error("Billing run changed while it was being reviewed; reload and try again");
+  }
+
+  const updatedRun = await prisma.billingRun.findUnique({ where: { run_id: runId } });
+
+  await eventLogger.logEvent({
+    userId: user.id,
+    action: status === "APPROVED" ? "BILLING_RUN_APPROVED" : "BILLING_RUN_VOIDED",
+    entityType: "BillingRun",
+    entityId: runId,
+    description: `${status === "APPROVED" ? "Approved" : "Voided"} billing run ${run.run_number}${comments ? `: ${comments}` : ""}`,
+    oldValues: { status: run.status },
+    newValues: { status, review_comments: comments || null },
+    metadata: {
+      operation_type: "BILLING",
+      client_id: run.client_id,
+      total_amount: parseFloat(run.total_amount),
+      currency: run.currency
+    },
+    ipAddress: requestContext.ipAddress,
+    userAgent: requestContext.userAgent,
+    sessionId: requestContext.sessionId
+  });
+
+  return updatedRun;
+}
+
+/**
+ * Approve a DRAFT run; approved runs are frozen.
+ */
+async function approveBillingRun(runId, comments, user, requestContext = {}) {
+  const run = await reviewBillingRun(runId, "APPROVED", comments, user, requestContext);
+  await clientNotificationService.notifyBillingRunApproved(runId, comments);
+  return run;
+}
+
+/**
+ * Void a run so its period can be billed again.
+ */
+async function voidBillingRun(runId, reason, user, requestContext = {}) {
+  return await reviewBillingRun(runId, "VOIDED", reason, user, requestContext);
+}
+
+/**
+ * Drill-down of a billing line back to the orders, allocations and inventory movements behind it.
+ */
+async function getBillingLineDetail(runId, lineId) {
+  const line = await prisma.billingLine.findFirst({
+    where: { line_id: lineId, run_id: runId },
+    include: {
+      run: { select: { run_id: true, run_number: true, status: true, period_start: true, period_end: true, currency: true } },
+      entry_order: {
+        select: {
+          entry_order_id: true,
+          entry_order_no: true,
+          registration_date: true,
+          entry_date_time: true,
+          order_status: true,
+          warehouse: { select: { warehouse_id: true, name: true } }
+        }
+      },
+      departure_order: {
+        select: {
+          departure_order_id: true,
+          departure_order_no: true,
+          departure_date_time: true,
+          dispatch_document_number: true,
+          dispatched_at: true,
+          order_status: true,
+          warehouse: { select: { warehouse_id: true, name: true } }
+        }
+      },
+      allocation: {
+        select: {
+          allocation_id: true,
+          inventory_quantity: true,
+          package_quantity: true,
+          quantity_pallets: true,
+          quality_status: true,
+          allocated_at: true,
+          entry_order_product: {
+            select: { lot_series: true, product: { select: { product_code: true, name: true } } }
+          },
+          cell: { select: { row: true, bay: true, position: true, warehouse: { select: { name: true } } } }
+        }
+      },
+      transition: {
+        select: {
+          transition_id: true,
+          from_status: true,
+          to_status: true,
+          quantity_moved: true,
+          performed_at: true,
+          reason: true,
+          performer: { select: userSelect }
+        }
+      }
+    }
+  });
+
+  if (!line) throw new Error("Billing line not found");
+
+  const logWhere = { OR: [] };
+  if (line.charge_type === "DISPATCH_HANDLING" && line.departure_order_id) {
+    logWhere.OR.push({ departure_order_id: line.departure_order_id, movement_type: "DEPARTURE" });
+  }
+  if (line.charge_type === "ENTRY_HANDLING" && line.entry_order_id) {
+    logWhere.OR.push({ entry_order_id: line.entry_order_id, movement_type: "ENTRY" });
+  }
+  if (line.charge_type === "STORAGE" && line.allocation_id) {
+    logWhere.OR.push({ allocation_id: line.allocation_id });
+    const departureOrderIds = (line.details?.departures || []).map(departure => departure.departure_order_id);
+    if (departureOrderIds.length > 0) {
+      logWhere.OR.push({ departure_order_id: { in: departureOrderIds }, movement_type: "DEPARTURE" });
+    }
+  }
+
+  const inventoryLogs = logWhere.OR.length === 0 ? [] : await prisma.inventoryLog.findMany({
+    where: logWhere,
+    select: {
+      log_id: true,
+      timestamp: true,
+      movement_type: true,
+      quantity_change: true,
+      package_change: true,
+      entry_order_id: true,
+      departure_order_id: true,
+      allocation_id: true,
+      cell_id: true,
+      quality_status: true,
+      notes: true
+    },
+    orderBy: { timestamp: "asc" }
+  });
+
+  return { ...line, inventory_logs: inventoryLogs };
+}
+
+module.exports = {
+  getTariffs,
+  createTariff,
+  updateTariff,
+  getTariffForPeriod,
+  getBillingRuns,
+  getBillingRunById,
+  generateBillingRun,
+  recalculateBillingRun,
+  approveBillingRun,
+  voidBillingRun,
+  getBillingLineDetail
+};
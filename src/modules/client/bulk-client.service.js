@@ -0,0 +1,885 @@
+const XLSX = require('xlsx');
+const { PrismaClient } = require("@prisma/client");
+const { createClient, getNextClientCode } = require("./client.service");
+const { validateRuc, validateDni } = require("../../utils/documentValidation");
+
+const prisma = new PrismaClient();
+
+const CLIENT_TYPES = ['JURIDICO', 'NATURAL'];
+const COMPANY_TYPES = ['PRIVADA', 'PUBLICA'];
+const ESTABLISHMENT_TYPES = ['ALMACEN_ESPECIALIZADO', 'BOTICA', 'BOTIQUIN', 'DROGUERIA', 'FARMACIA', 'OTROS'];
+const CLIENT_USER_ROLES = ['CLIENT', 'CLIENT_PHARMACIST'];
+
+/**
+ * Process bulk client upload from Excel file
+ * With dryRun the file is only validated and a report of what would be created is returned
+ */
+async function processBulkClientUpload(fileBuffer, userId, options = {}) {
+  const startTime = Date.now();
+  const dryRun = options.dryRun === true;
+  console.log(`📊 BULK CLIENT: Starting bulk ${dryRun ? 'validation' : 'processing'} at ${new Date().toISOString()}`);
+
+  try {
+    // 1. Parse Excel file
+    const workbook = XLSX.read(fileBuffer, { type: 'buffer' });
+    const validationResult = await validateExcelStructure(workbook);
+
+    if (!validationResult.isValid) {
+      return {
+        success: false,
+        message: 'Excel validation failed',
+        errors: validationResult.errors,
+        processing_time_ms: Date.now() - startTime
+      };
+    }
+
+    // 2. Extract and validate data
+    const clients = validationResult.data;
+    const validationErrors = await validateClientData(clients, validationResult.orphanUsers);
+
+    // 3. Dry run: report only, nothing is written
+    if (dryRun) {
+      const report = await buildDryRunReport(clients, validationErrors);
+      return {
+        success: validationErrors.length === 0,
+        message: validationErrors.length === 0
+          ? `Validation passed: ${clients.length} clients ready to be created`
+          : `Validation found errors in ${report.invalid_rows} of ${clients.length} rows`,
+        dry_run: true,
+        data: report,
+        processing_time_ms: Date.now() - startTime
+      };
+    }
+
+    if (validationErrors.length > 0) {
+      return {
+        success: false,
+        message: 'Client validation failed',
+        errors: validationErrors,
+        processing_time_ms: Date.now() - startTime
+      };
+    }
+
+    // 4. Process clients in batches
+    const result = await processClientsInBatches(clients, userId);
+
+    console.log(`✅ BULK CLIENT: Completed processing ${result.successCount} successful, ${result.errorCount} failed`);
+
+    return {
+      success: result.errorCount === 0,
+      message: `Successfully processed ${result.successCount} out of ${clients.length} clients`,
+      data: {
+        successCount: result.successCount,
+        errorCount: result.errorCount,
+        created: result.created,
+        errors: result.errors
+      },
+      processing_time_ms: Date.now() - startTime
+    };
+
+  } catch (error) {
+    console.error('❌ Error in bulk client processing:', error);
+    return {
+      success: false,
+      message: 'Bulk processing failed',
+      error: error.message,
+      processing_time_ms: Date.now() - startTime
+    };
+  }
+}
+
+/**
+ * Validate Excel file structure and data
+ */
+async function validateExcelStructure(workbook) {
+  const errors = [];
+
+  try {
+    // Check if 'Clientes' sheet exists
+    const sheetNames = workbook.SheetNames;
+    if (!sheetNames.includes('Clientes')) {
+      errors.push('Falta la hoja requerida: Clientes');
+      return { isValid: false, errors };
+    }
+
+    const clientsSheet = workbook.Sheets['Clientes'];
+    const clients = XLSX.utils.sheet_to_json(clientsSheet, { raw: false });
+
+    if (clients.length === 0) {
+      errors.push('La hoja Clientes está vacía');
+      return { isValid: false, errors };
+    }
+
+    // Validate required columns
+    const requiredColumns = [
+      'Tipo de Cliente',
+      'Email',
+      'Dirección',
+      'Teléfono',
+      'Celular',
+      'Almacén',
+      'Celdas'
+    ];
+
+    const firstRow = clients[0];
+    for (const column of requiredColumns) {
+      if (!firstRow.hasOwnProperty(column)) {
+        errors.push(`Falta la columna requerida: ${column}`);
+      }
+    }
+
+    // Optional sheet with additional client users
+    const users = sheetNames.includes('Usuarios')
+      ? XLSX.utils.sheet_to_json(workbook.Sheets['Usuarios'], { raw: false })
+      : [];
+
+    if (users.length > 0) {
+      for (const column of ['Documento del Cliente', 'Nombre']) {
+        if (!users[0].hasOwnProperty(column)) {
+          errors.push(`Falta la columna requerida en la hoja Usuarios: ${column}`);
+        }
+      }
+    }
+
+    if (errors.length > 0) {
+      return { isValid: false, errors };
+    }
+
+    // Transform data to match our schema
+    const { transformedClients, orphanUsers } = await transformClientData(clients, users);
+
+    return {
+      isValid: true,
+      data: transformedClients,
+      orphanUsers
+    };
+
+  } catch (error) {
+    console.error('❌ Error validating Excel structure:', error);
+    return {
+      isValid: false,
+      errors: [`Excel parsing error: ${error.message}`]
+    };
+  }
+}
+
+function cellText(value) {
+  return value === undefined || value === null ? '' : value.toString().trim();
+}
+
+function upperText(value) {
+  return cellText(value).toUpperCase().replace(/\s+/g, '_');
+}
+
+function formatCellReference(cell) {
+  return `${cell.row}.${String(cell.bay).padStart(2, '0')}.${String(cell.position).padStart(2, '0')}`;
+}
+
+/**
+ * Normalize a cell reference typed as "A.01.01", "A.1.1" or "A-01-01"
+ */
+function normalizeCellReference(reference) {
+  const parts = reference.toUpperCase().split(/[.\-\s]+/).filter(Boolean);
+  if (parts.length !== 3 || !/^\d+$/.test(parts[1]) || !/^\d+$/.test(parts[2])) return null;
+  return `${parts[0]}.${parts[1].padStart(2, '0')}.${parts[2].padStart(2, '0')}`;
+}
+
+/**
+ * Transform Excel data to match our client schema
+ */
+async function transformClientData(excelClients, excelUsers) {
+  // Get reference data for lookups
+  const warehouses = await prisma.warehouse.findMany({ select: { warehouse_id: true, name: true } });
+
+  const transformedClients = excelClients.map((row, index) => {
+    const clientType = upperText(row['Tipo de Cliente']);
+    const cellReferences = cellText(row['Celdas'])
+      .split(/[,;]/)
+      .map(ref => ref.trim())
+      .filter(Boolean);
+    const warehouseName = cellText(row['Almacén']);
+    const warehouse = warehouses.find(w => w.name.toLowerCase() === warehouseName.toLowerCase());
+
+    return {
+      client_type: clientType,
+      email: cellText(row['Email']).toLowerCase(),
+      address: cellText(row['Dirección']),
+      phone: cellText(row['Teléfono']),
+      cell_phone: cellText(row['Celular']),
+
+      // Juridical fields
+      company_name: cellText(row['Razón Social']) || null,
+      company_type: upperText(row['Tipo de Empresa']) || null,
+      establishment_type: upperText(row['Tipo de Establecimiento']) || null,
+      ruc: cellText(row['RUC']) || null,
+
+      // Natural fields
+      first_names: cellText(row['Nombres']) || null,
+      last_name: cellText(row['Apellido Paterno']) || null,
+      mothers_last_name: cellText(row['Apellido Materno']) || null,
+      individual_id: cellText(row['DNI']) || null,
+      date_of_birth: cellText(row['Fecha de Nacimiento']) || null,
+
+      // Cell assignment
+      warehouse_id: warehouse ? warehouse.warehouse_id : null,
+      warehouse_name: warehouseName || null,
+      cell_references: cellReferences,
+      cell_ids: [],
+      assignment_notes: cellText(row['Notas de Asignación']) || null,
+
+      client_users: [],
+
+      // Excel row reference for error reporting
+      _row_number: index + 2 // +2 because Excel is 1-indexed and has header
+    };
+  });
+
+  // Attach additional users to their client by RUC/DNI
+  const orphanUsers = [];
+  excelUsers.forEach((row, index) => {
+    const document = cellText(row['Documento del Cliente']);
+    const user = {
+      name: cellText(row['Nombre']),
+      email: cellText(row['Email']).toLowerCase() || null,
+      role: upperText(row['Rol']) || 'CLIENT',
+      password: cellText(row['Contraseña']) || null,
+      _row_number: index + 2
+    };
+
+    const client = transformedClients.find(c =>
+      document && (c.ruc === document || c.individual_id === document)
+    );
+    if (client) {
+      client.client_users.push(user);
+    } else {
+      orphanUsers.push({ ...user, document });
+    }
+  });
+
+  return { transformedClients, orphanUsers };
+}
+
+/**
+ * Username that createClient derives from an additional user's name
+ */
+function deriveUsername(name) {
+  return name
+    .toLowerCase()
+    .replace(/\s+/g, '.')
+    .replace(/[^a-z0-9.]/g, '')
+    .substring(0, 20);
+}
+
+function clientLabel(client) {
+  return client.client_type === 'JURIDICO'
+    ? client.company_name || client.ruc
+    : `${client.first_names || ''} ${client.last_name || ''}`.trim() || client.individual_id;
+}
+
+/**
+ * Validate client data before processing; resolves cell references to cell ids
+ */
+async function validateClientData(clients, orphanUsers = []) {
+  const errors = [];
+  const processed = { ruc: new Set(), dni: new Set(), email: new Set(), cells: new Set(), usernames: new Set() };
+  const cellCache = new Map();
+
+  for (const client of clients) {
+    const rowErrors = [];
+
+    // Client type validation
+    if (!client.client_type) {
+      rowErrors.push('El Tipo de Cliente es obligatorio');
+    } else if (!CLIENT_TYPES.includes(client.client_type)) {
+      rowErrors.push(`Tipo de Cliente "${client.client_type}" inválido. Valores permitidos: ${CLIENT_TYPES.join(', ')}`);
+    }
+
+    // Common required fields
+    if (!client.email) {
+      rowErrors.push('El Email es obligatorio');
+    } else if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(client.email)) {
+      rowErrors.push(`El Email "${client.email}" no tiene un formato válido`);
+    }
+    if (!client.address) rowErrors.push('La Dirección es obligatoria');
+    if (!client.phone) rowErrors.push('El Teléfono es obligatorio');
+    if (!client.cell_phone) rowErrors.push('El Celular es obligatorio');
+
+    // Client type specific validation
+    if (client.client_type === 'JURIDICO') {
+      if (!client.company_name) rowErrors.push('La Razón Social es obligatoria para clientes jurídicos');
+      if (!client.ruc) {
+        rowErrors.push('El RUC es obligatorio para clientes jurídicos');
+      } else {
+        const rucCheck = validateRuc(client.ruc, 'es');
+        if (!rucCheck.valid) rowErrors.push(rucCheck.message);
+        client.ruc = rucCheck.value;
+      }
+      if (!client.company_type) {
+        rowErrors.push('El Tipo de Empresa es obligatorio para clientes jurídicos');
+      } else if (!COMPANY_TYPES.includes(client.company_type)) {
+        rowErrors.push(`Tipo de Empresa "${client.company_type}" inválido. Valores permitidos: ${COMPANY_TYPES.join(', ')}`);
+      }
+      if (!client.establishment_type) {
+        rowErrors.push('El Tipo de Establecimiento es obligatorio para clientes jurídicos');
+      } else if (!ESTABLISHMENT_TYPES.includes(client.establishment_type)) {
+        rowErrors.push(`Tipo de Establecimiento "${client.establishment_type}" inválido. Valores permitidos: ${ESTABLISHMENT_TYPES.join(', ')}`);
+      }
+    } else if (client.client_type === 'NATURAL') {
+      if (!client.first_names) rowErrors.push('Los Nombres son obligatorios para clientes naturales');
+      if (!client.last_name) rowErrors.push('El Apellido Paterno es obligatorio para clientes naturales');
+      if (!client.mothers_last_name) rowErrors.push('El Apellido Materno es obligatorio para clientes naturales');
+      if (!client.individual_id) {
+        rowErrors.push('El DNI es obligatorio para clientes naturales');
+      } else {
+        const dniCheck = validateDni(client.individual_id, 'es');
+        if (!dniCheck.valid) rowErrors.push(dniCheck.message);
+        client.individual_id = dniCheck.value;
+      }
+      if (!client.date_of_birth) {
+        rowErrors.push('La Fecha de Nacimiento es obligatoria para clientes naturales');
+      } else if (isNaN(new Date(client.date_of_birth).getTime())) {
+        rowErrors.push(`La Fecha de Nacimiento "${client.date_of_birth}" no es válida (use AAAA-MM-DD)`);
+      }
+    }
+
+    // Duplicates in current batch and in database
+    if (client.client_type === 'JURIDICO' && client.ruc) {
+      if (processed.ruc.has(client.ruc)) {
+        rowErrors.push(`RUC duplicado "${client.ruc}" encontrado en este lote`);
+      } else {
+        processed.ruc.add(client.ruc);
+        const existing = await prisma.client.findFirst({
+          where: { ruc: client.ruc, client_type: 'JURIDICO' },
+          select: { client_code: true }
+        });
+        if (existing) rowErrors.push(`El RUC "${client.ruc}" ya existe (cliente ${existing.client_code || 'sin código'})`);
+      }
+    }
+    if (client.client_type === 'NATURAL' && client.individual_id) {
+      if (processed.dni.has(client.individual_id)) {
+        rowErrors.push(`DNI duplicado "${client.individual_id}" encontrado en este lote`);
+      } else {
+        processed.dni.add(client.individual_id);
+        const existing = await prisma.client.findFirst({
+          where: { individual_id: client.individual_id, client_type: 'NATURAL' },
+          select: { client_code: true }
+        });
+        if (existing) rowErrors.push(`El DNI "${client.individual_id}" ya existe (cliente ${existing.client_code || 'sin código'})`);
+      }
+    }
+    if (client.email) {
+      if (processed.email.has(client.email)) {
+        rowErrors.push(`Email duplicado "${client.email}" encontrado en este lote`);
+      } else {
+        processed.email.add(client.email);
+        const [existingClient, existingUser] = await Promise.all([
+          prisma.client.findFirst({ where: { email: client.email }, select: { client_id: true } }),
+          prisma.user.findUnique({ where: { email: client.email }, select: { id: true } })
+        ]);
+        if (existingClient) rowErrors.push(`Ya existe un cliente con el email "${client.email}"`);
+        else if (existingUser) rowErrors.push(`Ya existe un usuario con el email "${client.email}"`);
+      }
+    }
+
+    // Warehouse and cells validation
+    if (!client.warehouse_name) {
+      rowErrors.push('El Almacén es obligatorio');
+    } else if (!client.warehouse_id) {
+      rowErrors.push(`Almacén "${client.warehouse_name}" no encontrado. Verifique la hoja Almacenes para valores válidos.`);
+    }
+
+    if (client.cell_references.length === 0) {
+      rowErrors.push('Debe indicar al menos una celda en Celdas (ej. A.01.01)');
+    } else if (client.warehouse_id) {
+      if (!cellCache.has(client.warehouse_id)) {
+        const cells = await prisma.warehouseCell.findMany({
+          where: { warehouse_id: client.warehouse_id },
+          select: {
+            id: true,
+            row: true,
+            bay: true,
+            position: true,
+            status: true,
+            clientCellAssignments: { where: { is_active: true }, select: { assignment_id: true } }
+          }
+        });
+        cellCache.set(client.warehouse_id, new Map(cells.map(cell => [formatCellReference(cell), cell])));
+      }
+      const warehouseCells = cellCache.get(client.warehouse_id);
+
+      client.cell_ids = [];
+      for (const reference of client.cell_references) {
+        const normalized = normalizeCellReference(reference);
+        const cell = normalized ? warehouseCells.get(normalized) : null;
+
+        if (!cell) {
+          rowErrors.push(`Celda "${reference}" no encontrada en el almacén ${client.warehouse_name}`);
+        } else if (processed.cells.has(cell.id)) {
+          rowErrors.push(`Celda ${normalized} asignada a más de un cliente en este lote`);
+        } else if (cell.status !== 'AVAILABLE') {
+          rowErrors.push(`Celda ${normalized} no está disponible (estado ${cell.status})`);
+        } else if (cell.clientCellAssignments.length > 0) {
+          rowErrors.push(`Celda ${normalized} ya está asignada a otro cliente`);
+        } else {
+          processed.cells.add(cell.id);
+          client.cell_ids.push(cell.id);
+        }
+      }
+    }
+
+    // Login users: master user (RUC/DNI) plus optional additional users
+    const masterUsername = client.client_type === 'JURIDICO' ? client.ruc : client.individual_id;
+    const usernames = masterUsername ? [masterUsername] : [];
+
+    for (const user of client.client_users) {
+      if (!user.name) {
+        rowErrors.push(`Usuarios fila ${user._row_number}: el Nombre es obligatorio`);
+        continue;
+      }
+      if (!CLIENT_USER_ROLES.includes(user.role)) {
+        rowErrors.push(`Usuarios fila ${user._row_number}: Rol "${user.role}" inválido. Valores permitidos: ${CLIENT_USER_ROLES.join(', ')}`);
+      }
+      if (user.email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(user.email)) {
+        rowErrors.push(`Usuarios fila ${user._row_number}: el Email "${user.email}" no tiene un formato válido`);
+      } else if (user.email) {
+        if (processed.email.has(user.email)) {
+          rowErrors.push(`Usuarios fila ${user._row_number}: Email duplicado "${user.email}" encontrado en este lote`);
+        } else {
+          processed.email.add(user.email);
+          const existingUser = await prisma.user.findUnique({ where: { email: user.email }, select: { id: true } });
+          if (existingUser) rowErrors.push(`Usuarios fila ${user._row_number}: ya existe un usuario con el email "${user.email}"`);
+        }
+      }
+      if (user.password && user.password.length < 6) {
+        rowErrors.push(`Usuarios fila ${user._row_number}: la Contraseña debe tener al menos 6 caracteres`);
+      }
+      usernames.push(deriveUsername(user.name));
+    }
+
+    for (const username of usernames) {
+      if (processed.usernames.has(username)) {
+        rowErrors.push(`Usuario "${username}" duplicado en este lote`);
+        continue;
+      }
+      processed.usernames.add(username);
+      const existingUser = await prisma.user.findUnique({ where: { user_id: username }, select: { id: true } });
+      if (existingUser) rowErrors.push(`El usuario "${username}" ya existe en el sistema`);
+    }
+
+    if (rowErrors.length > 0) {
+      errors.push({
+        row: client._row_number,
+        client: clientLabel(client) || client.email,
+        error: rowErrors.join('; ')
+      });
+    }
+  }
+
+  orphanUsers.forEach(user => {
+    errors.push({
+      row: user._row_number,
+      client: user.document || null,
+      error: `Hoja Usuarios: no se encontró un cliente con RUC/DNI "${user.document}" en la hoja Clientes`
+    });
+  });
+
+  return errors;
+}
+
+/**
+ * Report of what the upload would create, without writing anything
+ */
+async function buildDryRunReport(clients, validationErrors) {
+  const errorsByRow = new Map(validationErrors.map(error => [error.row, error.error]));
+  const nextCode = (await getNextClientCode()).data.next_client_code;
+  let codeNumber = parseInt(nextCode.substring(1));
+
+  const rows = clients.map(client => {
+    const error = errorsByRow.get(client._row_number);
+    return {
+      row: client._row_number,
+      status: error ? 'ERROR' : 'OK',
+      client_type: client.client_type,
+      client: clientLabel(client),
+      document: client.client_type === 'JURIDICO' ? client.ruc : client.individual_id,
+      email: client.email,
+      proposed_client_code: error || isNaN(codeNumber) ? null : `C${(codeNumber++).toString().padStart(3, '0')}`,
+      warehouse: client.warehouse_name,
+      cells: client.cell_references,
+      users_to_create: 1 + client.client_users.length,
+      error: error || null
+    };
+  });
+
+  const invalidRows = rows.filter(row => row.status === 'ERROR').length;
+
+  return {
+    total_rows: clients.length,
+    valid_rows: clients.length - invalidRows,
+    invalid_rows: invalidRows,
+    rows,
+    errors: validationErrors
+  };
+}
+
+/**
+ * Process clients in batches through createClient (generated code, master user, cells)
+ */
+async function processClientsInBatches(clients, userId) {
+  const batchSize = 10;
+  const result = {
+    successCount: 0,
+    errorCount: 0,
+    created: [],
+    errors: []
+  };
+
+  for (let i = 0; i < clients.length; i += batchSize) {
+    const batch = clients.slice(i, i + batchSize);
+
+    for (const clientData of batch) {
+      try {
+        const {
+          _row_number,
+          warehouse_id,
+          warehouse_name,
+          cell_references,
+          cell_ids,
+          assignment_notes,
+          client_users,
+          ...cleanClientData
+        } = clientData;
+
+        const created = await createClient(
+          {
+            ...cleanClientData,
+            client_users: client_users.map(({ _row_number: userRow, ...user }) => user)
+          },
+          {
+            cell_ids,
+            warehouse_id,
+            assigned_by: userId,
+            notes: assignment_notes || `Cell assigned during bulk client import (row ${_row_number})`
+          }
+        );
+        result.successCount++;
+        result.created.push({
+          row: _row_number,
+          client_id: created.client_id,
+          client_code: created.client_code,
+          client: clientLabel(clientData),
+          users_created: created._credentialHandover?.stored || 0
+        });
+
+        console.log(`✅ Created client: ${created.client_code} ${clientLabel(clientData)} (row ${_row_number})`);
+      } catch (error) {
+        result.errorCount++;
+        result.errors.push({
+          row: clientData._row_number,
+          client: clientLabel(clientData) || clientData.email,
+          error: error.message
+        });
+
+        console.error(`❌ Failed to create client ${clientLabel(clientData)}:`, error.message);
+      }
+    }
+
+    // Small delay between batches to avoid overwhelming the database
+    if (i + batchSize < clients.length) {
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Generate Excel template for bulk client upload
+ */
+async function generateClientTemplate() {
+  try {
+    console.log('🔧 Starting client template generation...');
+
+    const warehouses = await prisma.warehouse.findMany({
+      select: { name: true, location: true },
+      orderBy: { name: 'asc' }
+    });
+    const warehouseName = warehouses.length > 0 ? warehouses[0].name : 'Almacén Principal';
+
+    const workbook = XLSX.utils.book_new();
+
+    // INSTRUCTIONS SHEET FIRST - User guide
+    const instructions = [
+      { Paso: 1, Instrucción: 'Complete la hoja Clientes con un cliente por fila' },
+      { Paso: 2, Instrucción: 'Tipo de Cliente: JURIDICO (empresa, con RUC) o NATURAL (persona, con DNI)' },
+      { Paso: 3, Instrucción: 'Para JURIDICO complete Razón Social, RUC, Tipo de Empresa y Tipo de Establecimiento' },
+      { Paso: 4, Instrucción: 'Para NATURAL complete Nombres, Apellidos, DNI y Fecha de Nacimiento (AAAA-MM-DD)' },
+      { Paso: 5, Instrucción: 'Indique el Almacén (nombre EXACTO de la hoja Almacenes) y las Celdas separadas por coma (ej. A.01.01, A.01.02)' },
+      { Paso: 6, Instrucción: 'El código de cliente (C###) y el usuario principal (RUC/DNI) se generan automáticamente' },
+      { Paso: 7, Instrucción: 'Opcional: agregue usuarios adicionales en la hoja Usuarios referenciando el RUC/DNI del cliente' },
+      { Paso: 8, Instrucción: 'Elimine las filas de ejemplo antes de cargar sus datos' },
+      { Paso: 9, Instrucción: 'Cargue primero en modo de validación (dry_run) para revisar el reporte de errores' },
+      { Paso: 10, Instrucción: 'Cargue el archivo definitivo en la página de carga masiva' }
+    ];
+
+    // MAIN CLIENTS SHEET
+    const clientsData = [
+      {
+        'Tipo de Cliente': 'JURIDICO',
+        'Razón Social': 'Distribuidora Farmacéutica SAC',
+        'RUC': '20123456786',
+        'Tipo de Empresa': 'PRIVADA',
+        'Tipo de Establecimiento': 'DROGUERIA',
+        'Nombres': '',
+        'Apellido Paterno': '',
+        'Apellido Materno': '',
+        'DNI': '',
+        'Fecha de Nacimiento': '',
+        'Email': 'contacto@distribuidora.com',
+        'Dirección': 'Av. Argentina 1234, Lima',
+        'Teléfono': '014567890',
+        'Celular': '987654321',
+        'Almacén': warehouseName,
+        'Celdas': 'A.01.01, A.01.02',
+        'Notas de Asignación': ''
+      },
+      {
+        'Tipo de Cliente': 'NATURAL',
+        'Razón Social': '',
+        'RUC': '',
+        'Tipo de Empresa': '',
+        'Tipo de Establecimiento': '',
+        'Nombres': 'María Elena',
+        'Apellido Paterno': 'Quispe',
+        'Apellido Materno': 'Rojas',
+        'DNI': '45678912',
+        'Fecha de Nacimiento': '1985-04-12',
+        'Email': 'maria.quispe@correo.com',
+        'Dirección': 'Jr. Junín 456, Arequipa',
+        'Teléfono': '054123456',
+        'Celular': '912345678',
+        'Almacén': warehouseName,
+        'Celdas': 'A.01.03',
+        'Notas de Asignación': ''
+      }
+    ];
+
+    // OPTIONAL USERS SHEET
+    const usersData = [
+      {
+        'Documento del Cliente': '20123456786',
+        'Nombre': 'Carlos Mendoza',
+        'Email': 'carlos.mendoza@distribuidora.com',
+        'Rol': 'CLIENT_PHARMACIST',
+        'Contraseña': ''
+      }
+    ];
+
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(instructions), 'Instrucciones');
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(clientsData), 'Clientes');
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(usersData), 'Usuarios');
+
+    // Reference data sheets
+    console.log('📋 Adding reference data sheets...');
+
+    const warehousesData = warehouses.length > 0 ?
+      warehouses.map(w => ({ Nombre: w.name, Ubicación: w.location || 'N/A' })) :
+      [{ Nombre: 'Almacén Principal', Ubicación: 'N/A' }];
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(warehousesData), 'Almacenes');
+
+    const valuesData = [
+      ...CLIENT_TYPES.map(value => ({ Campo: 'Tipo de Cliente', Valor: value })),
+      ...COMPANY_TYPES.map(value => ({ Campo: 'Tipo de Empresa', Valor: value })),
+      ...ESTABLISHMENT_TYPES.map(value => ({ Campo: 'Tipo de Establecimiento', Valor: value })),
+      ...CLIENT_USER_ROLES.map(value => ({ Campo: 'Rol (hoja Usuarios)', Valor: value }))
+    ];
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(valuesData), 'Valores_Permitidos');
+
+    // Field reference sheet for detailed field information
+    const fieldReference = [
+      { Campo: 'Tipo de Cliente', Requerido: 'SÍ', Ejemplo: 'JURIDICO', Descripción: 'JURIDICO o NATURAL' },
+      { Campo: 'Razón Social', Requerido: 'JURIDICO', Ejemplo: 'Distribuidora Farmacéutica SAC', Descripción: 'Nombre legal de la empresa' },
+      { Campo: 'RUC', Requerido: 'JURIDICO', Ejemplo: '20123456786', Descripción: 'RUC de 11 dígitos que empieza con 10, 15, 17 o 20, con dígito verificador válido - único en el sistema' },
+      { Campo: 'Tipo de Empresa', Requerido: 'JURIDICO', Ejemplo: 'PRIVADA', Descripción: 'Valores de la hoja Valores_Permitidos' },
+      { Campo: 'Tipo de Establecimiento', Requerido: 'JURIDICO', Ejemplo: 'DROGUERIA', Descripción: 'Valores de la hoja Valores_Permitidos' },
+      { Campo: 'Nombres', Requerido: 'NATURAL', Ejemplo: 'María Elena', Descripción: 'Nombres de la persona' },
+      { Campo: 'Apellido Paterno', Requerido: 'NATURAL', Ejemplo: 'Quispe', Descripción: 'Apellido paterno' },
+      { Campo: 'Apellido Materno', Requerido: 'NATURAL', Ejemplo: 'Rojas', Descripción: 'Apellido materno' },
+      { Campo: 'DNI', Requerido: 'NATURAL', Ejemplo: '45678912', Descripción: 'DNI de 8 dígitos - único en el sistema' },
+      { Campo: 'Fecha de Nacimiento', Requerido: 'NATURAL', Ejemplo: '1985-04-12', Descripción: 'Formato AAAA-MM-DD' },
+      { Campo: 'Email', Requerido: 'SÍ', Ejemplo: 'contacto@empresa.com', Descripción: 'Email del cliente y de su usuario principal - único en el sistema' },
+      { Campo: 'Dirección', Requerido: 'SÍ', Ejemplo: 'Av. Argentina 1234, Lima', Descripción: 'Dirección fiscal o de contacto' },
+      { Campo: 'Teléfono', Requerido: 'SÍ', Ejemplo: '014567890', Descripción: 'Teléfono fijo' },
+      { Campo: 'Celular', Requerido: 'SÍ', Ejemplo: '987654321', Descripción: 'Teléfono celular' },
+      { Campo: 'Almacén', Requerido: 'SÍ', Ejemplo: warehouseName, Descripción: 'Nombre EXACTO de la hoja Almacenes' },
+      { Campo: 'Celdas', Requerido: 'SÍ', Ejemplo: 'A.01.01, A.01.02', Descripción: 'Celdas disponibles del almacén, separadas por coma (fila.bahía.posición)' },
+      { Campo: 'Notas de Asignación', Requerido: 'NO', Ejemplo: '', Descripción: 'Notas para la asignación de celdas' }
+    ];
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(fieldReference), 'Referencia_Campos');
+
+    // Important notes sheet
+    const importantNotes = [
+      { Nota: 'REQUISITOS CRÍTICOS', Detalle: 'La hoja DEBE llamarse "Clientes" (sensible a mayúsculas)' },
+      { Nota: 'CÓDIGOS', Detalle: 'Los códigos de cliente se generan automáticamente en orden (C001, C002, ...)' },
+      { Nota: 'USUARIOS', Detalle: 'Cada cliente recibe un usuario principal (RUC/DNI); las credenciales quedan pendientes de entrega' },
+      { Nota: 'UNICIDAD', Detalle: 'RUC, DNI, email y celdas deben ser únicos - los duplicados serán rechazados' },
+      { Nota: 'VALIDACIÓN', Detalle: 'Si alguna fila tiene errores no se crea ningún cliente; use el modo de validación para revisar' },
+      { Nota: 'NOTIFICACIONES', Detalle: 'Cada cliente creado recibe el email de bienvenida' },
+      { Nota: 'PRUEBAS', Detalle: 'Pruebe primero con un lote pequeño antes de cargar conjuntos de datos grandes' },
+      { Nota: 'SOPORTE', Detalle: 'Contacte al administrador del sistema si encuentra errores de validación' }
+    ];
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(importantNotes), 'Notas_Importantes');
+
+    console.log('📝 Generating Excel buffer...');
+    const buffer = XLSX.write(workbook, {
+      type: 'buffer',
+      bookType: 'xlsx'
+    });
+
+    if (!buffer || buffer.length === 0) {
+      throw new Error('Generated buffer is empty or invalid');
+    }
+
+    console.log(`✅ Client template generated successfully. Buffer size: ${buffer.length} bytes, Sheets: ${workbook.SheetNames.length}`);
+
+    return {
+      success: true,
+      buffer: buffer,
+      filename: `client_bulk_upload_template_${new Date().toISOString().split('T')[0]}.xlsx`
+    };
+
+  } catch (error) {
+    console.error('❌ Error generating client template:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+function formatDate(value) {
+  return value ? new Date(value).toISOString().split('T')[0] : '';
+}
+
+/**
+ * Export the client master (clients, cell assignments and users) to Excel
+ */
+async function exportClients(filters = {}) {
+  try {
+    console.log('🔧 Starting client export...');
+
+    const where = {};
+    if (filters.client_type) where.client_type = filters.client_type;
+    if (filters.active_state_id) where.active_state_id = filters.active_state_id;
+
+    const clients = await prisma.client.findMany({
+      where,
+      include: {
+        active_state: { select: { name: true } },
+        creator: { select: { first_name: true, last_name: true } },
+        cellAssignments: {
+          where: { is_active: true },
+          select: {
+            priority: true,
+            max_capacity: true,
+            cell: { select: { row: true, bay: true, position: true } },
+            warehouse: { select: { name: true } }
+          },
+          orderBy: { priority: 'asc' }
+        },
+        clientUsers: {
+          select: {
+            username: true,
+            is_primary: true,
+            is_active: true,
+            created_at: true,
+            user: { select: { email: true, first_name: true, last_name: true, role: { select: { name: true } } } }
+          },
+          orderBy: { created_at: 'asc' }
+        }
+      },
+      orderBy: { client_code: 'asc' }
+    });
+
+    const clientsData = clients.map(client => ({
+      'Código': client.client_code || '',
+      'Tipo de Cliente': client.client_type,
+      'Razón Social': client.company_name || '',
+      'RUC': client.ruc || '',
+      'Tipo de Empresa': client.company_type || '',
+      'Tipo de Establecimiento': client.establishment_type || '',
+      'Nombres': client.first_names || '',
+      'Apellido Paterno': client.last_name || '',
+      'Apellido Materno': client.mothers_last_name || '',
+      'DNI': client.individual_id || '',
+      'Fecha de Nacimiento': formatDate(client.date_of_birth),
+      'Email': client.email || '',
+      'Dirección': client.address || '',
+      'Teléfono': client.phone || '',
+      'Celular': client.cell_phone || '',
+      'Almacén': [...new Set(client.cellAssignments.map(a => a.warehouse.name))].join(', '),
+      'Celdas': client.cellAssignments.map(a => formatCellReference(a.cell)).join(', '),
+      'Estado': client.active_state?.name || '',
+      'Usuarios Activos': client.clientUsers.filter(u => u.is_active).length,
+      'Creado Por': client.creator ? `${client.creator.first_name || ''} ${client.creator.last_name || ''}`.trim() : '',
+      'Fecha de Creación': formatDate(client.created_at)
+    }));
+
+    const cellsData = clients.flatMap(client =>
+      client.cellAssignments.map(a => ({
+        'Código Cliente': client.client_code || '',
+        'Cliente': clientLabel(client),
+        'Almacén': a.warehouse.name,
+        'Celda': formatCellReference(a.cell),
+        'Prioridad': a.priority,
+        'Capacidad Máxima': a.max_capacity !== null ? parseFloat(a.max_capacity) : ''
+      }))
+    );
+
+    const usersData = clients.flatMap(client =>
+      client.clientUsers.map(u => ({
+        'Código Cliente': client.client_code || '',
+        'Cliente': clientLabel(client),
+        'Usuario': u.username,
+        'Nombre': `${u.user?.first_name || ''} ${u.user?.last_name || ''}`.trim(),
+        'Email': u.user?.email || '',
+        'Rol': u.user?.role?.name || '',
+        'Principal': u.is_primary ? 'SÍ' : 'NO',
+        'Activo': u.is_active ? 'SÍ' : 'NO',
+        'Fecha de Creación': formatDate(u.created_at)
+      }))
+    );
+
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(clientsData), 'Clientes');
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(cellsData), 'Asignación_Celdas');
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(usersData), 'Usuarios');
+
+    const buffer = XLSX.write(workbook, {
+      type: 'buffer',
+      bookType: 'xlsx'
+    });
+
+    console.log(`✅ Client export generated: ${clients.length} clients, ${cellsData.length} cell assignments, ${usersData.length} users`);
+
+    return {
+      success: true,
+      buffer: buffer,
+      total_clients: clients.length,
+      filename: `clients_export_${new Date().toISOString().split('T')[0]}.xlsx`
+    };
+
+  } catch (error) {
+    console.error('❌ Error exporting clients:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+module.exports = {
+  processBulkClientUpload,
+  generateClientTemplate,
+  exportClients
+};
@@ -0,0 +1,376 @@
+const { PrismaClient } = require("@prisma/client");
+const eventLogger = require("../../utils/eventLogger");
+const tokenService = require("../auth/token.service");
+
+const prisma = new PrismaClient();
+
+const INACTIVE_STATE = "Inactivo";
+
+// Billing runs and tariffs stay on the source as history. Runs of the target cannot overlap
+// the periods billed on the source (see billing assertNoOverlappingRun), so moved orders are
+// not billed twice. DRAFT source runs must be approved or voided first.
+const BILLING_POLICY = "SOURCE_BILLED_PERIODS_EXCLUDED_FROM_TARGET_RUNS";
+
+const CLIENT_SELECT = {
+  client_id: true,
+  client_code: true,
+  client_type: true,
+  company_name: true,
+  first_names: true,
+  last_name: true,
+  ruc: true,
+  individual_id: true,
+  email: true,
+  merged_into_id: true,
+  active_state: { select: { name: true } }
+};
+
+function getClientName(client) {
+  return client.client_type === "JURIDICO"
+    ? client.company_name
+    : `${client.first_names} ${client.last_name}`;
+}
+
+function describeClient(client) {
+  return {
+    client_id: client.client_id,
+    client_code: client.client_code,
+    client_type: client.client_type,
+    client_name: getClientName(client),
+    document: client.client_type === "JURIDICO" ? client.ruc : client.individual_id,
+    active_state: client.active_state?.name || null
+  };
+}
+
+/**
+ * Split the source assignments into those that can be moved as they are and those
+ * the target already has for the same cell / product / supplier.
+ */
+function splitAssignments(sourceAssignments, targetAssignments, key) {
+  const targetByKey = new Map(targetAssignments.map(a => [a[key], a]));
+  const moved = [];
+  const conflicts = [];
+  sourceAssignments.forEach(assignment => {
+    const existing = targetByKey.get(assignment[key]);
+    if (existing) {
+      conflicts.push({ source: assignment, target: existing });
+    } else {
+      moved.push(assignment);
+    }
+  });
+  return { moved, conflicts };
+}
+
+/**
+ * Load both clients and everything that would move, using `db` (prisma or a transaction).
+ */
+async function collectMergeData(db, sourceClientId, targetClientId) {
+  if (!sourceClientId || !targetClientId) {
+    throw new Error("Source and target client IDs are required");
+  }
+  if (sourceClientId === targetClientId) {
+    throw new Error("Source and target client must be different");
+  }
+
+  const [source, target] = await Promise.all([
+    db.client.findUnique({ where: { client_id: sourceClientId }, select: CLIENT_SELECT }),
+    db.client.findUnique({ where: { client_id: targetClientId }, select: CLIENT_SELECT })
+  ]);
+
+  if (!source) throw new Error("Source client not found");
+  if (!target) throw new Error("Target client not found");
+  if (source.merged_into_id) {
+    throw new Error("Source client has already been merged into another client");
+  }
+  if (target.merged_into_id) {
+    throw new Error("Target client has already been merged into another client");
+  }
+  if (target.active_state?.name === INACTIVE_STATE) {
+    throw new Error("Target client is deactivated; reactivate it before merging");
+  }
+  if (source.client_type !== target.client_type) {
+    throw new Error("Cannot merge clients of different types");
+  }
+
+  const [
+    entryOrders,
+    departureOrders,
+    sourceCells,
+    targetCells,
+    sourceProducts,
+    targetProducts,
+    sourceSuppliers,
+    targetSuppliers,
+    clientUsers,
+    sourceContacts,
+    targetContacts,
+    billingRuns,
+    tariffCount
+  ] = await Promise.all([
+    db.entryOrder.findMany({
+      where: { client_id: sourceClientId },
+      select: { entry_order_id: true, entry_order_no: true }
+    }),
+    db.departureOrder.findMany({
+      where: { client_id: sourceClientId },
+      select: { departure_order_id: true, departure_order_no: true }
+    }),
+    db.clientCellAssignment.findMany({
+      where: { client_id: sourceClientId },
+      select: { assignment_id: true, cell_id: true, is_active: true }
+    }),
+    db.clientCellAssignment.findMany({
+      where: { client_id: targetClientId },
+      select: { assignment_id: true, cell_id: true, is_active: true }
+    }),
+    db.clientProductAssignment.findMany({
+      where: { client_id: sourceClientId },
+      select: { assignment_id: true, product_id: true, is_active: true }
+    }),
+    db.clientProductAssignment.findMany({
+      where: { client_id: targetClientId },
+      select: { assignment_id: true, product_id: true, is_active: true }
+    }),
+    db.clientSupplierAssignment.findMany({
+      where: { client_id: sourceClientId },
+      select: { assignment_id: true, supplier_id: true, is_active: true }
+    }),
+    db.clientSupplierAssignment.findMany({
+      where: { client_id: targetClientId },
+      select: { assignment_id: true, supplier_id: true, is_active: true }
+    }),
+    db.clientUser.findMany({
+      where: { client_id: sourceClientId },
+      select: { client_user_id: true, user_id: true, username: true, is_primary: true, is_active: true }
+    }),
+    db.clientContact.findMany({
+      where: { client_id: sourceClientId },
+      select: { contact_id: true, role: true, email: true }
+    }),
+    db.clientContact.findMany({
+      where: { client_id: targetClientId },
+      select: { role: true, email: true }
+    }),
+    db.billingRun.findMany({
+      where: { client_id: sourceClientId, status: { not: "VOIDED" } },
+      select: { run_id: true, run_number: true, status: true, period_start: true, period_end: true },
+      orderBy: { period_start: "asc" }
+    }),
+    db.clientTariff.count({ where: { client_id: sourceClientId } })
+  ]);
+
+  // Contacts the target already has for the same role and email stay on the retired source
+  const targetContactKeys = new Set(targetContacts.map(c => `${c.role}:${c.email}`));
+  const contacts = {
+    moved: sourceContacts.filter(c => !targetContactKeys.has(`${c.role}:${c.email}`)),
+    duplicates: sourceContacts.filter(c => targetContactKeys.has(`${c.role}:${c.email}`))
+  };
+
+  return {
+    source,
+    target,
+    entryOrders,
+    departureOrders,
+    cells: splitAssignments(sourceCells, targetCells, "cell_id"),
+    products: splitAssignments(sourceProducts, targetProducts, "product_id"),
+    suppliers: splitAssignments(sourceSuppliers, targetSuppliers, "supplier_id"),
+    clientUsers,
+    contacts,
+    billingRuns: {
+      draft: billingRuns.filter(run => run.status === "DRAFT"),
+      approved: billingRuns.filter(run => run.status === "APPROVED")
+    },
+    tariffCount
+  };
+}
+
+function buildMergeReport(data) {
+  const summarize = ({ moved, conflicts }, key) => ({
+    moved: moved.length,
+    merged_into_existing: conflicts.length,
+    reactivated_on_target: conflicts.filter(c => c.source.is_active && !c.target.is_active).length,
+    conflicting_ids: conflicts.map(c => c.source[key])
+  });
+
+  return {
+    source_client: describeClient(data.source),
+    target_client: describeClient(data.target),
+    entry_orders: {
+      moved: data.entryOrders.length,
+      order_numbers: data.entryOrders.map(o => o.entry_order_no)
+    },
+    departure_orders: {
+      moved: data.departureOrders.length,
+      order_numbers: data.departureOrders.map(o => o.departure_order_no)
+    },
+    cell_assignments: summarize(data.cells, "cell_id"),
+    product_assignments: summarize(data.products, "product_id"),
+    supplier_assignments: summarize(data.suppliers, "supplier_id"),
+    client_users: {
+      moved: data.clientUsers.length,
+      usernames: data.clientUsers.map(u => u.username)
+    },
+    notification_contacts: {
+      moved: data.contacts.moved.length,
+      kept_on_source: data.contacts.duplicates.length
+    },
+    billing: {
+      policy: BILLING_POLICY,
+      can_merge: data.billingRuns.draft.length === 0,
+      blocking_draft_runs: data.billingRuns.draft,
+      billed_periods_excluded_for_target: data.billingRuns.approved,
+      tariffs_kept_on_source: data.tariffCount
+    }
+  };
+}
+
+/**
+ * What a merge of source into target would do, without changing anything.
+ */
+async function previewClientMerge(sourceClientId, targetClientId) {
+  const data = await collectMergeData(prisma, sourceClientId, targetClientId);
+  return buildMergeReport(data);
+}
+
+/**
+ * Move source assignments to the target. Duplicates keep the target's record and are
+ * reactivated on it when only the source one was active.
+ */
+async function mergeAssignments(model, { moved, conflicts }, targetClientId, extraActivation = {}) {
+  if (moved.length > 0) {
+    await model.updateMany({
+      where: { assignment_id: { in: moved.map(a => a.assignment_id) } },
+      data: { client_id: targetClientId }
+    });
+  }
+
+  const toReactivate = conflicts.filter(c => c.source.is_active && !c.target.is_active);
+  if (toReactivate.length > 0) {
+    await model.updateMany({
+      where: { assignment_id: { in: toReactivate.map(c => c.target.assignment_id) } },
+      data: { is_active: true, ...extraActivation }
+    });
+  }
+
+  if (conflicts.length > 0) {
+    await model.deleteMany({
+      where: { assignment_id: { in: conflicts.map(c => c.source.assignment_id) } }
+    });
+  }
+}
+
+/**
+ * Merge a duplicate client into the surviving one in a single transaction: moves entry
+ * and departure orders, cell / product / supplier assignments, client users and
+ * notification contacts, then retires the source client (Inactivo, merged_into_id)
+ * and logs CLIENT_MERGED. Billing runs and tariffs stay on the source; refused while the
+ * source has DRAFT billing runs.
+ * @returns {Promise<Object>} Merge report
+ */
+async function mergeClients(sourceClientId, targetClientId, options = {}, user, requestContext = {}) {
+  try {
+    const reason = options.reason?.trim() || null;
+
+    const inactiveState = await prisma.activeState.findUnique({ where: { name: INACTIVE_STATE } });
+    if (!inactiveState) {
+      throw new Error(`Active state '${INACTIVE_STATE}' not found`);
+    }
+
+    const now = new Date();
+
+    const report = await prisma.$transaction(async (tx) => {
+      const data = await collectMergeData(tx, sourceClientId, targetClientId);
+      if (data.billingRuns.draft.length > 0) {
+        throw new Error(
+          `Source client has ${data.billingRuns.draft.length} DRAFT billing run(s); approve or void them before merging`
+        );
+      }
+
+      await tx.entryOrder.updateMany({
+        where: { client_id: sourceClientId },
+        data: { client_id: targetClientId }
+      });
+
+      await tx.departureOrder.updateMany({
+        where: { client_id: sourceClientId },
+        data: { client_id: targetClientId }
+      });
+
+      await mergeAssignments(tx.clientCellAssignment, data.cells, targetClientId, { released_at: null });
+      await mergeAssignments(tx.clientProductAssignment, data.products, targetClientId);
+      await mergeAssignments(tx.clientSupplierAssignment, data.suppliers, targetClientId);
+
+      // The surviving client keeps its own primary user
+      await tx.clientUser.updateMany({
+        where: { client_id: sourceClientId },
+        data: { client_id: targetClientId, is_primary: false }
+      });
+
+      // Credential handovers and API keys follow the users they belong to
+      await tx.clientCredentialHandover.updateMany({
+        where: { client_id: sourceClientId },
+        data: { client_id: targetClientId }
+      });
+      await tx.apiKey.updateMany({
+        where: { client_id: sourceClientId },
+        data: { client_id: targetClientId }
+      });
+
+      if (data.contacts.moved.length > 0) {
+        await tx.clientContact.updateMany({
+          where: { contact_id: { in: data.contacts.moved.map(c => c.contact_id) } },
+          data: { client_id: targetClientId }
+        });
+      }
+
+      await tx.client.update({
+        where: { client_id: sourceClientId },
+        data: {
+          active_state_id: inactiveState.state_id,
+          deactivated_at: now,
+          deactivated_by: user.id,
+          deactivation_reason: `Merged into client ${data.target.client_code || data.target.client_id}${reason ? `: ${reason}` : ""}`,
+          merged_into_id: targetClientId,
+          merged_at: now,
+          merged_by: user.id
+        }
+      });
+
+      return { ...buildMergeReport(data), userIds: data.clientUsers.map(u => u.user_id) };
+    });
+
+    const { userIds, ...mergeReport } = report;
+
+    // Tokens of moved users still carry the old client_id
+    for (const userId of userIds) {
+      await tokenService.revokeAllUserSessions(userId, "CLIENT_MERGED", user.id);
+    }
+
+    await eventLogger.logEvent({
+      userId: user.id,
+      action: "CLIENT_MERGED",
+      entityType: "Client",
+      entityId: targetClientId,
+      description: `Merged client ${mergeReport.source_client.client_code || sourceClientId} into ${mergeReport.target_client.client_code || targetClientId}`,
+      oldValues: { source_client: mergeReport.source_client },
+      newValues: { merged_into_id: targetClientId, merged_at: now },
+      metadata: {
+        operation_type: "CLIENT_MANAGEMENT",
+        action_type: "MERGE",
+        reason,
+        merge_report: mergeReport
+      },
+      ...requestContext
+    });
+
+    return { ...mergeReport, merged_at: now, reason };
+  } catch (error) {
+    console.error("Error in mergeClients service:", error);
+    throw error;
+  }
+}
+
+module.exports = {
+  previewClientMerge,
+  mergeClients
+};
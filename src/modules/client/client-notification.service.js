@@ -0,0 +1,341 @@
+const { PrismaClient } = require("@prisma/client");
+const emailService = require("../../utils/emailService");
+
+const prisma = new PrismaClient();
+
+const CONTACT_ROLES = ["RECEIVING", "DISPATCH", "QUALITY", "BILLING"];
+const LANGUAGES = ["ES", "EN"];
+
+// Client-facing email events and the contact role that receives them by default
+const NOTIFICATION_EVENTS = {
+  ENTRY_ORDER_REVIEWED: { role: "RECEIVING", description: "Entry order approved, rejected or sent back for revision" },
+  DEPARTURE_ORDER_REVIEWED: { role: "DISPATCH", description: "Departure order approved, rejected or sent back for revision" },
+  DEPARTURE_ORDER_DISPATCHED: { role: "DISPATCH", description: "Departure order dispatched" },
+  QUALITY_STATUS_CHANGED: { role: "QUALITY", description: "Stock moved between quality statuses" },
+  BILLING_RUN_APPROVED: { role: "BILLING", description: "Billing run approved" }
+};
+
+const DEFAULT_SETTINGS = { language: "ES", fallback_to_client_email: true };
+
+function getClientName(client) {
+  return client.client_type === "JURIDICO"
+    ? client.company_name
+    : `${client.first_names} ${client.last_name}`;
+}
+
+function defaultEventsForRole(role) {
+  return Object.keys(NOTIFICATION_EVENTS).filter(event => NOTIFICATION_EVENTS[event].role === role);
+}
+
+async function assertClientExists(clientId) {
+  const client = await prisma.client.findUnique({ where: { client_id: clientId }, select: { client_id: true } });
+  if (!client) throw new Error("Client not found");
+}
+
+function validateContactData(data, isUpdate = false) {
+  const errors = [];
+
+  if (!isUpdate || data.role !== undefined) {
+    if (!CONTACT_ROLES.includes(data.role)) {
+      errors.push(`Role must be one of: ${CONTACT_ROLES.join(", ")}`);
+    }
+  }
+  if (!isUpdate || data.name !== undefined) {
+    if (!data.name || !String(data.name).trim()) errors.push("Contact name is required");
+  }
+  if (!isUpdate || data.email !== undefined) {
+    if (!data.email || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(data.email)) errors.push("A valid contact email is required");
+  }
+  if (data.language !== undefined && data.language !== null && !LANGUAGES.includes(data.language)) {
+    errors.push(`Language must be one of: ${LANGUAGES.join(", ")}`);
+  }
+  if (data.events !== undefined) {
+    if (!Array.isArray(data.events)) {
+      errors.push("Events must be an array");
+    } else {
+      const unknown = data.events.filter(event => !NOTIFICATION_EVENTS[event]);
+      if (unknown.length > 0) {
+        errors.push(`Unknown notification events: ${unknown.join(", ")}. Allowed: ${Object.keys(NOTIFICATION_EVENTS).join(", ")}`);
+      }
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid contact: ${errors.join("; ")}`);
+  }
+}
+
+/**
+ * Contacts, notification settings and the available events of a client.
+ */
+async function getNotificationSettings(clientId) {
+  await assertClientExists(clientId);
+
+  const [settings, contacts] = await Promise.all([
+    prisma.clientNotificationSetting.findUnique({ where: { client_id: clientId } }),
+    prisma.clientContact.findMany({
+      where: { client_id: clientId },
+      orderBy: [{ role: "asc" }, { name: "asc" }]
+    })
+  ]);
+
+  return {
+    client_id: clientId,
+    language: settings?.language || DEFAULT_SETTINGS.language,
+    fallback_to_client_email: settings ? settings.fallback_to_client_email : DEFAULT_SETTINGS.fallback_to_client_email,
+    contacts,
+    available_events: Object.entries(NOTIFICATION_EVENTS).map(([event, info]) => ({ event, ...info })),
+    contact_roles: CONTACT_ROLES,
+    languages: LANGUAGES
+  };
+}
+
+/**
+ * Update the client's default language and whether its main email is used when
+ * no contact is subscribed to an event.
+ */
+async function updateNotificationSettings(clientId, data, userId) {
+  await assertClientExists(clientId);
+
+  if (data.language !== undefined && !LANGUAGES.includes(data.language)) {
+    throw new Error(`Invalid settings: language must be one of: ${LANGUAGES.join(", ")}`);
+  }
+
+  const values = {
+    ...(data.language !== undefined && { language: data.language }),
+    ...(data.fallback_to_client_email !== undefined && { fallback_to_client_email: Boolean(data.fallback_to_client_email) }),
+    updated_by: userId
+  };
+
+  return await prisma.clientNotificationSetting.upsert({
+    where: { client_id: clientId },
+    create: { client_id: clientId, ...values },
+    update: values
+  });
+}
+
+/**
+ * Add a contact. Without `events` the contact is subscribed to every event of its role.
+ */
+async function createContact(clientId, data, userId) {
+  await assertClientExists(clientId);
+  validateContactData(data);
+
+  const email = data.email.trim().toLowerCase();
+  const existing = await prisma.clientContact.findFirst({
+    where: { client_id: clientId, role: data.role, email }
+  });
+  if (existing) {
+    throw new Error(`A ${data.role} contact with email ${email} already exists for this client`);
+  }
+
+  return await prisma.clientContact.create({
+    data: {
+      client_id: clientId,
+      role: data.role,
+      name: data.name.trim(),
+      email,
+      phone: data.phone || null,
+      language: data.language || null,
+      events: data.events || defaultEventsForRole(data.role),
+      is_active: data.is_active !== undefined ? Boolean(data.is_active) : true,
+      created_by: userId
+    }
+  });
+}
+
+async function getContactOrThrow(clientId, contactId) {
+  const contact = await prisma.clientContact.findFirst({
+    where: { contact_id: contactId, client_id: clientId }
+  });
+  if (!contact) throw new Error("Contact not found");
+  return contact;
+}
+
+async function updateContact(clientId, contactId, data) {
+  const contact = await getContactOrThrow(clientId, contactId);
+  validateContactData(data, true);
+
+  const email = data.email !== undefined ? data.email.trim().toLowerCase() : contact.email;
+  const role = data.role !== undefined ? data.role : contact.role;
+  if (email !== contact.email || role !== contact.role) {
+    const duplicate = await prisma.clientContact.findFirst({
+      where: { client_id: clientId, role, email, contact_id: { not: contactId } }
+    });
+    if (duplicate) {
+      throw new Error(`A ${role} contact with email ${email} already exists for this client`);
+    }
+  }
+
+  const updatedContact = await prisma.clientContact.update({
+    where: { contact_id: contactId },
+    data: {
+      ...(data.role !== undefined && { role }),
+      ...(data.name !== undefined && { name: data.name.trim() }),
+      ...(data.email !== undefined && { email }),
+      ...(data.phone !== undefined && { phone: data.phone || null }),
+      ...(data.language !== undefined && { language: data.language || null }),
+      ...(data.events !== undefined && { events: data.events }),
+      ...(data.is_active !== undefined && { is_active: Boolean(data.is_active) })
+    }
+  });
+
+  return { oldValues: contact, contact: updatedContact };
+}
+
+async function deleteContact(clientId, contactId) {
+  const contact = await getContactOrThrow(clientId, contactId);
+  await prisma.clientContact.delete({ where: { contact_id: contactId } });
+  return contact;
+}
+
+/**
+ * Who receives an event for a client: active contacts subscribed to it, otherwise the
+ * client's main email unless the client turned that fallback off.
+ * @returns {Promise<Array<{ email: string, name: string, language: string }>>} language is "es" or "en"
+ */
+async function resolveRecipients(clientId, event) {
+  if (!NOTIFICATION_EVENTS[event]) {
+    throw new Error(`Unknown notification event: ${event}`);
+  }
+
+  const client = await prisma.client.findUnique({
+    where: { client_id: clientId },
+    select: {
+      client_type: true,
+      company_name: true,
+      first_names: true,
+      last_name: true,
+      email: true,
+      notificationSetting: true,
+      contacts: {
+        where: { is_active: true, events: { has: event } },
+        select: { name: true, email: true, language: true }
+      }
+    }
+  });
+  if (!client) return [];
+
+  const settings = client.notificationSetting || DEFAULT_SETTINGS;
+
+  if (client.contacts.length > 0) {
+    const seen = new Set();
+    return client.contacts
+      .filter(contact => !seen.has(contact.email) && seen.add(contact.email))
+      .map(contact => ({
+        email: contact.email,
+        name: contact.name,
+        language: (contact.language || settings.language).toLowerCase()
+      }));
+  }
+
+  if (settings.fallback_to_client_email && client.email) {
+    return [{ email: client.email, name: getClientName(client), language: settings.language.toLowerCase() }];
+  }
+
+  return [];
+}
+
+/**
+ * Send a client-facing email to every recipient of the event. `send` receives the
+ * recipient and performs the actual emailService call; failures never throw.
+ */
+async function notifyClient(clientId, event, send) {
+  const recipients = await resolveRecipients(clientId, event);
+  const results = [];
+
+  for (const recipient of recipients) {
+    try {
+      const result = await send(recipient);
+      results.push({ email: recipient.email, success: !!result?.success, error: result?.error || null });
+    } catch (error) {
+      console.error(`❌ Error sending ${event} notification to ${recipient.email}:`, error.message);
+      results.push({ email: recipient.email, success: false, error: error.message });
+    }
+  }
+
+  if (recipients.length === 0) {
+    console.log(`⚠️ No recipients for ${event} notification of client ${clientId}`);
+  }
+
+  return {
+    event,
+    recipients: results,
+    sent: results.filter(r => r.success).length,
+    failed: results.filter(r => !r.success).length
+  };
+}
+
+/**
+ * Email the client's quality contacts about a quality status transition.
+ */
+async function notifyQualityTransition(transitionId) {
+  try {
+    const transition = await prisma.qualityControlTransition.findUnique({
+      where: { transition_id: transitionId },
+      include: {
+        allocation: {
+          include: {
+            entry_order: { include: { client: true } },
+            entry_order_product: { include: { product: { select: { product_code: true, name: true } } } }
+          }
+        }
+      }
+    });
+    const entryOrder = transition?.allocation?.entry_order;
+    if (!entryOrder?.client) return null;
+
+    const product = transition.allocation.entry_order_product;
+    const transitionData = {
+      entry_order_id: entryOrder.entry_order_id,
+      entry_order_no: entryOrder.entry_order_no,
+      product_name: `${product.product.product_code} - ${product.product.name}`,
+      lot_series: product.lot_series,
+      quantity: transition.quantity_moved,
+      from_status: transition.from_status,
+      to_status: transition.to_status,
+      reason: transition.reason
+    };
+
+    return await notifyClient(entryOrder.client_id, "QUALITY_STATUS_CHANGED", (recipient) =>
+      emailService.sendQualityStatusNotification(transitionData, entryOrder.client, recipient)
+    );
+  } catch (error) {
+    console.error(`❌ Error sending quality transition notification for ${transitionId}:`, error);
+    return null;
+  }
+}
+
+/**
+ * Email the client's billing contacts about an approved billing run.
+ */
+async function notifyBillingRunApproved(runId, comments = null) {
+  try {
+    const run = await prisma.billingRun.findUnique({
+      where: { run_id: runId },
+      include: { client: true }
+    });
+    if (!run?.client) return null;
+
+    return await notifyClient(run.client_id, "BILLING_RUN_APPROVED", (recipient) =>
+      emailService.sendBillingRunNotification({ ...run, comments }, run.client, recipient)
+    );
+  } catch (error) {
+    console.error(`❌ Error sending billing run notification for ${runId}:`, error);
+    return null;
+  }
+}
+
+module.exports = {
+  NOTIFICATION_EVENTS,
+  CONTACT_ROLES,
+  getNotificationSettings,
+  updateNotificationSettings,
+  createContact,
+  updateContact,
+  deleteContact,
+  resolveRecipients,
+  notifyClient,
+  notifyQualityTransition,
+  notifyBillingRunApproved
+};
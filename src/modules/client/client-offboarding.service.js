@@ -0,0 +1,391 @@
+const { PrismaClient } = require("@prisma/client");
+const eventLogger = require("../../utils/eventLogger");
+const tokenService = require("../auth/token.service");
+
+const prisma = new PrismaClient();
+
+const ACTIVE_STATE = "Activo";
+const INACTIVE_STATE = "Inactivo";
+
+const CLOSED_ENTRY_STATUSES = ["TERMINADO"];
+const CLOSED_DEPARTURE_STATUSES = ["DISPATCHED", "COMPLETED", "REJECTED"];
+
+function getClientName(client) {
+  return client.client_type === "JURIDICO"
+    ? client.company_name
+    : `${client.first_names} ${client.last_name}`;
+}
+
+async function getActiveStateId(name) {
+  const state = await prisma.activeState.findUnique({ where: { name } });
+  if (!state) {
+    throw new Error(`Active state '${name}' not found`);
+  }
+  return state.state_id;
+}
+
+async function getClientOrThrow(clientId) {
+  const client = await prisma.client.findUnique({
+    where: { client_id: clientId },
+    select: {
+      client_id: true,
+      client_code: true,
+      client_type: true,
+      company_name: true,
+      first_names: true,
+      last_name: true,
+      deactivated_at: true,
+      deactivated_by: true,
+      deactivation_reason: true,
+      merged_into_id: true,
+      active_state: { select: { name: true } }
+    }
+  });
+  if (!client) throw new Error("Client not found");
+  return client;
+}
+
+/**
+ * Everything that prevents offboarding a client, plus what offboarding would release.
+ * Each blocker lists the orders or stock to resolve first.
+ */
+async function getOffboardingChecklist(clientId) {
+  const client = await getClientOrThrow(clientId);
+
+  const [stock, openEntryOrders, openDepartureOrders, activeAssignments, activeUsers] = await Promise.all([
+    prisma.inventory.findMany({
+      where: {
+        current_quantity: { gt: 0 },
+        status: { notIn: ["DEPLETED", "DISPOSED"] },
+        allocation: { entry_order: { client_id: clientId } }
+      },
+      select: {
+        inventory_id: true,
+        current_quantity: true,
+        status: true,
+        quality_status: true,
+        product: { select: { product_code: true, name: true } },
+        cell: { select: { row: true, bay: true, position: true } },
+        warehouse: { select: { name: true } }
+      }
+    }),
+    prisma.entryOrder.findMany({
+      where: {
+        client_id: clientId,
+        order_status: { notIn: CLOSED_ENTRY_STATUSES },
+        review_status: { not: "REJECTED" }
+      },
+      select: { entry_order_id: true, entry_order_no: true, order_status: true, review_status: true }
+    }),
+    prisma.departureOrder.findMany({
+      where: {
+        client_id: clientId,
+        order_status: { notIn: CLOSED_DEPARTURE_STATUSES }
+      },
+      select: { departure_order_id: true, departure_order_no: true, order_status: true, dispatch_status: true }
+    }),
+    prisma.clientCellAssignment.count({ where: { client_id: clientId, is_active: true } }),
+    prisma.clientUser.count({ where: { client_id: clientId, is_active: true } })
+  ]);
+
+  const blockers = [];
+  if (stock.length > 0) {
+    blockers.push({
+      type: "INVENTORY",
+      count: stock.length,
+      message: `Client still has ${stock.reduce((sum, item) => sum + item.current_quantity, 0)} units in ${stock.length} inventory positions - dispatch or dispose of them first`,
+      items: stock.map(item => ({
+        inventory_id: item.inventory_id,
+        product_code: item.product?.product_code,
+        product_name: item.product?.name,
+        quantity: item.current_quantity,
+        status: item.status,
+        quality_status: item.quality_status,
+        cell: item.cell ? `${item.cell.row}.${String(item.cell.bay).padStart(2, "0")}.${String(item.cell.position).padStart(2, "0")}` : null,
+        warehouse: item.warehouse?.name
+      }))
+    });
+  }
+  if (openEntryOrders.length > 0) {
+    blockers.push({
+      type: "OPEN_ENTRY_ORDERS",
+      count: openEntryOrders.length,
+      message: `Client has ${openEntryOrders.length} open entry orders - finish or reject them first`,
+      items: openEntryOrders
+    });
+  }
+  if (openDepartureOrders.length > 0) {
+    blockers.push({
+      type: "OPEN_DEPARTURE_ORDERS",
+      count: openDepartureOrders.length,
+      message: `Client has ${openDepartureOrders.length} open departure orders - dispatch or reject them first`,
+      items: openDepartureOrders
+    });
+  }
+
+  return {
+    client: {
+      client_id: client.client_id,
+      client_code: client.client_code,
+      client_name: getClientName(client),
+      active_state: client.active_state?.name || ACTIVE_STATE,
+      deactivated_at: client.deactivated_at
+    },
+    is_deactivated: !!client.deactivated_at,
+    can_offboard: !client.deactivated_at && blockers.length === 0,
+    blockers,
+    to_release: {
+      cell_assignments: activeAssignments,
+      client_users: activeUsers
+    }
+  };
+}
+
+/**
+ * Offboard a client: refused while stock or open orders remain. Releases all cell
+ * assignments, deactivates every client user, marks the client Inactivo and
+ * logs CLIENT_DEACTIVATED.
+ */
+async function offboardClient(clientId, reason, user, requestContext = {}) {
+  try {
+    if (!reason || !reason.trim()) {
+      throw new Error("A reason is required to offboard a client");
+    }
+
+    const checklist = await getOffboardingChecklist(clientId);
+    if (checklist.is_deactivated) {
+      throw new Error("Client is already deactivated");
+    }
+    if (checklist.blockers.length > 0) {
+      const error = new Error(`Cannot offboard client: ${checklist.blockers.map(b => b.message).join("; ")}`);
+      error.blockers = checklist.blockers;
+      throw error;
+    }
+
+    const inactiveStateId = await getActiveStateId(INACTIVE_STATE);
+    const now = new Date();
+
+    const result = await prisma.$transaction(async (tx) => {
+      const [assignments, clientUsers] = await Promise.all([
+        tx.clientCellAssignment.findMany({
+          where: { client_id: clientId, is_active: true },
+          select: { assignment_id: true, cell_id: true, warehouse_id: true }
+        }),
+        tx.clientUser.findMany({
+          where: { client_id: clientId, is_active: true },
+          select: { client_user_id: true, user_id: true, username: true }
+        })
+      ]);
+
+      await tx.clientCellAssignment.updateMany({
+        where: { assignment_id: { in: assignments.map(a => a.assignment_id) } },
+        data: { is_active: false, released_at: now }
+      });
+
+      await tx.clientUser.updateMany({
+        where: { client_user_id: { in: clientUsers.map(u => u.client_user_id) } },
+        data: { is_active: false, deactivated_at: now }
+      });
+
+      // Credentials not yet handed over are no longer needed
+      const purgedCredentials = await tx.clientCredentialHandover.updateMany({
+        where: { client_id: clientId, handed_over_at: null, purged_at: null },
+        data: { purged_at: now, encrypted_password: null }
+      });
+
+      const client = await tx.client.update({
+        where: { client_id: clientId },
+        data: {
+          active_state_id: inactiveStateId,
+          deactivated_at: now,
+          deactivated_by: user.id,
+          deactivation_reason: reason.trim()
+        },
+        select: {
+          client_id: true,
+          client_code: true,
+          client_type: true,
+          company_name: true,
+          first_names: true,
+          last_name: true,
+          deactivated_at: true,
+          deactivation_reason: true,
+          active_state: { select: { name: true } }
+        }
+      });
+
+      return { client, assignments, clientUsers, purgedCredentials: purgedCredentials.count };
+    });
+
+    // Signed-in client users lose access immediately
+    for (const clientUser of result.clientUsers) {
+      await tokenService.revokeAllUserSessions(clientUser.user_id, "CLIENT_DEACTIVATED", user.id);
+    }
+
+    await eventLogger.logEvent({
+      userId: user.id,
+      action: "CLIENT_DEACTIVATED",
+      entityType: "Client",
+      entityId: clientId,
+      description: `Offboarded client ${result.client.client_code || ""} ${getClientName(result.client)}: ${reason.trim()}`,
+      oldValues: { active_state: checklist.client.active_state },
+      newValues: {
+        active_state: INACTIVE_STATE,
+        deactivated_at: now,
+        released_assignment_ids: result.assignments.map(a => a.assignment_id),
+        deactivated_client_user_ids: result.clientUsers.map(u => u.client_user_id)
+      },
+      metadata: {
+        operation_type: "CLIENT_MANAGEMENT",
+        action_type: "OFFBOARD",
+        reason: reason.trim(),
+        cells_released: result.assignments.length,
+        users_deactivated: result.clientUsers.length,
+        credentials_purged: result.purgedCredentials
+      },
+      ...requestContext
+    });
+
+    return {
+      ...result.client,
+      cells_released: result.assignments.length,
+      users_deactivated: result.clientUsers.map(u => u.username),
+      credentials_purged: result.purgedCredentials
+    };
+  } catch (error) {
+    console.error("Error in offboardClient service:", error);
+    throw error;
+  }
+}
+
+/**
+ * Reverse an offboarding: reactivates the users and cell assignments released by it.
+ * Cells assigned to another client in the meantime are skipped and reported.
+ */
+async function reactivateClient(clientId, options = {}, user, requestContext = {}) {
+  try {
+    const client = await getClientOrThrow(clientId);
+    if (!client.deactivated_at) {
+      throw new Error("Client is already active");
+    }
+    if (client.merged_into_id) {
+      throw new Error("Client has already been merged into another client and cannot be reactivated");
+    }
+
+    const restoreCells = options.restore_cells !== false;
+    const activeStateId = await getActiveStateId(ACTIVE_STATE);
+    const offboardedAt = client.deactivated_at;
+
+    const result = await prisma.$transaction(async (tx) => {
+      const clientUsers = await tx.clientUser.findMany({
+        where: { client_id: clientId, is_active: false, deactivated_at: offboardedAt },
+        select: { client_user_id: true, username: true }
+      });
+
+      await tx.clientUser.updateMany({
+        where: { client_user_id: { in: clientUsers.map(u => u.client_user_id) } },
+        data: { is_active: true, deactivated_at: null }
+      });
+
+      const restored = [];
+      const skipped = [];
+      if (restoreCells) {
+        const assignments = await tx.clientCellAssignment.findMany({
+          where: { client_id: clientId, is_active: false, released_at: offboardedAt },
+          select: {
+            assignment_id: true,
+            cell_id: true,
+            cell: { select: { row: true, bay: true, position: true } }
+          }
+        });
+
+        const takenCells = await tx.clientCellAssignment.findMany({
+          where: {
+            cell_id: { in: assignments.map(a => a.cell_id) },
+            is_active: true,
+            client_id: { not: clientId }
+          },
+          select: { cell_id: true }
+        });
+        const takenCellIds = new Set(takenCells.map(a => a.cell_id));
+
+        assignments.forEach(assignment => {
+          const cellReference = `${assignment.cell.row}.${String(assignment.cell.bay).padStart(2, "0")}.${String(assignment.cell.position).padStart(2, "0")}`;
+          if (takenCellIds.has(assignment.cell_id)) {
+            skipped.push({ assignment_id: assignment.assignment_id, cell: cellReference, reason: "Cell is now assigned to another client" });
+          } else {
+            restored.push({ assignment_id: assignment.assignment_id, cell: cellReference });
+          }
+        });
+
+        await tx.clientCellAssignment.updateMany({
+          where: { assignment_id: { in: restored.map(a => a.assignment_id) } },
+          data: { is_active: true, released_at: null }
+        });
+      }
+
+      const updatedClient = await tx.client.update({
+        where: { client_id: clientId },
+        data: {
+          active_state_id: activeStateId,
+          deactivated_at: null,
+          deactivated_by: null,
+          deactivation_reason: null
+        },
+        select: {
+          client_id: true,
+          client_code: true,
+          client_type: true,
+          company_name: true,
+          first_names: true,
+          last_name: true,
+          active_state: { select: { name: true } }
+        }
+      });
+
+      return { client: updatedClient, clientUsers, restored, skipped };
+    });
+
+    await eventLogger.logEvent({
+      userId: user.id,
+      action: "CLIENT_ACTIVATED",
+      entityType: "Client",
+      entityId: clientId,
+      description: `Reactivated client ${result.client.client_code || ""} ${getClientName(result.client)}`,
+      oldValues: {
+        active_state: INACTIVE_STATE,
+        deactivated_at: offboardedAt,
+        deactivation_reason: client.deactivation_reason
+      },
+      newValues: {
+        active_state: ACTIVE_STATE,
+        restored_assignment_ids: result.restored.map(a => a.assignment_id),
+        reactivated_client_user_ids: result.clientUsers.map(u => u.client_user_id)
+      },
+      metadata: {
+        operation_type: "CLIENT_MANAGEMENT",
+        action_type: "REACTIVATE",
+        cells_restored: result.restored.length,
+        cells_skipped: result.skipped.length,
+        users_reactivated: result.clientUsers.length
+      },
+      ...requestContext
+    });
+
+    return {
+      ...result.client,
+      users_reactivated: result.clientUsers.map(u => u.username),
+      cells_restored: result.restored,
+      cells_skipped: result.skipped
+    };
+  } catch (error) {
+    console.error("Error in reactivateClient service:", error);
+    throw error;
+  }
+}
+
+module.exports = {
+  getOffboardingChecklist,
+  offboardClient,
+  reactivateClient
+};
@@ -1,4 +1,38 @@
 const clientService = require("./client.service");
+const offboardingService = require("./client-offboarding.service");
+const mergeService = require("./client-merge.service");
+const notificationService = require("./client-notification.service");
+const { getDocumentFieldErrors, computeRucCheckDigit } = require("../../utils/documentValidation");
+
+function getRequestContext(req) {
+  return {
+    ipAddress: req.eventContext?.ipAddress || req.ip,
+    userAgent: req.eventContext?.userAgent || req.get('User-Agent'),
+    sessionId: req.user?.sid || null
+  };
+}
+
+function handleOffboardingError(res, error, fallbackMessage) {
+  const message = error.message;
+
+  if (message.includes("not found")) {
+    return res.status(404).json({ success: false, message });
+  }
+
+  if (message.includes("Cannot offboard") || message.includes("already")) {
+    return res.status(409).json({ success: false, message, blockers: error.blockers });
+  }
+
+  if (message.includes("required")) {
+    return res.status(400).json({ success: false, message });
+  }
+
+  return res.status(500).json({
+    success: false,
+    message: fallbackMessage,
+    error: message
+  });
+}
 
 // Create a new client with REQUIRED cell assignment
 async function createClient(req, res) {
@@ -37,6 +71,10 @@ async function createClient(req, res) {
       if (!clientData.date_of_birth) validationErrors.push("Date of birth is required for natural clients");
     }
 
+    // ✅ NEW: RUC / DNI format and check digit
+    const fieldErrors = getDocumentFieldErrors(clientData, { ruc: "ruc", individual_id: "dni" });
+    validationErrors.push(...Object.values(fieldErrors));
+
     // Cell assignment validation (mandatory)
     if (!clientData.cell_ids || !Array.isArray(clientData.cell_ids) || clientData.cell_ids.length === 0) {
       validationErrors.push("Cell assignment is required. Please provide at least one cell_id in the cell_ids array");
@@ -51,6 +89,7 @@ async function createClient(req, res) {
         success: false,
         message: "Validation failed",
         errors: validationErrors,
+        field_errors: fieldErrors,
       });
     }
     
@@ -103,6 +142,22 @@ async function createClient(req, res) {
       user_id: req.user?.id,
       error_context: 'CLIENT_CREATION_FAILED'
     });
+
+    if (error.fieldErrors) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: Object.values(error.fieldErrors),
+        field_errors: error.fieldErrors,
+      });
+    }
+
+    if (error.message.includes("already exists")) {
+      return res.status(409).json({
+        success: false,
+        message: error.message,
+      });
+    }
     
     res.status(500).json({
       success: false,
@@ -125,6 +180,17 @@ async function getAllClients(req, res) {
 
     const userId = req.user?.id;
     const userRole = req.user?.role;
+
+    // Client accounts only see their own client
+    if (CLIENT_ROLES.includes(userRole)) {
+      if (!req.user.client_id) {
+        return res.status(403).json({
+          success: false,
+          message: "User is not linked to a client"
+        });
+      }
+      filters.client_id = req.user.client_id;
+    }
     
     // ✅ LOG: Client list access
     await req.logEvent(
@@ -275,6 +341,14 @@ async function updateClient(req, res) {
     
     const updatedClient = await clientService.updateClient(client_id, updateData);
     
+    if (!updatedClient.success && updatedClient.field_errors) {
+      return res.status(400).json(updatedClient);
+    }
+
+    if (!updatedClient.success && updatedClient.message.includes("already exists")) {
+      return res.status(409).json(updatedClient);
+    }
+
     if (!updatedClient.success) {
       // ✅ LOG: Client update failure (not found)
       await req.logEvent(
@@ -485,6 +559,14 @@ async function getClientFormFields(req, res) {
 // Get client statistics
 async function getClientStatistics(req, res) {
   try {
+    // Statistics cover every client
+    if (CLIENT_ROLES.includes(req.user?.role)) {
+      return res.status(403).json({
+        success: false,
+        message: "Access denied. Client statistics are not available to client accounts"
+      });
+    }
+
     const { PrismaClient } = require("@prisma/client");
     const prisma = new PrismaClient();
 
@@ -621,6 +703,8 @@ async function createTestClient(req, res) {
     }
 
     // Create a simple test client
+    // 10 random digits plus the modulo-11 check digit, so the RUC passes document validation
+    const rucBase = `20${Math.random().toString().slice(2, 10).padEnd(8, "0")}`;
     const testClientData = {
       client_type: "JURIDICO",
       company_name: `Test Client ${Date.now()}`,
@@ -630,7 +714,7 @@ async function createTestClient(req, res) {
       address: "123 Test Street, Test City",
       phone: "123-456-7890",
       cell_phone: "098-765-4321",
-      ruc: `20${Math.random().toString().slice(2, 11)}`,
+      ruc: `${rucBase}${computeRucCheckDigit(rucBase)}`,
     };
 
     // Use first 2 available cells for assignment
@@ -681,7 +765,7 @@ async function getPendingCredentials(req, res) {
       message: "Pending credentials retrieved successfully",
       count: pendingCredentials.length,
       data: pendingCredentials,
-      note: "⚠️ These credentials should be securely handed over to clients. They will auto-expire after 24 hours.",
+      note: "⚠️ Passwords are not listed here. Reveal them once per client via POST /clients/credentials/:client_id and mark them as handed over. Unrevealed credentials expire automatically.",
     });
   } catch (error) {
     console.error("Error getting pending credentials:", error);
@@ -694,7 +778,7 @@ async function getPendingCredentials(req, res) {
 }
 
 /**
- * ✅ NEW: Get specific client credentials for handover
+ * ✅ NEW: Reveal specific client credentials for handover (POST: the reveal is one-time)
  */
 async function getClientCredentialsById(req, res) {
   try {
@@ -708,16 +792,29 @@ async function getClientCredentialsById(req, res) {
       });
     }
 
-    const credentials = await clientService.getClientCredentialsForHandover(client_id);
+    const credentials = await clientService.getClientCredentialsForHandover(client_id, req.user, {
+      ipAddress: req.eventContext?.ipAddress || req.ip,
+      userAgent: req.get('User-Agent'),
+      sessionId: req.user?.sid
+    });
     
     return res.status(200).json({
       success: true,
       message: "Client credentials retrieved successfully",
       data: credentials,
-      note: "⚠️ Please hand over these credentials securely to the client and mark as completed.",
+      note: "⚠️ These passwords are shown only once. Please hand them over securely to the client and mark as completed.",
     });
   } catch (error) {
     console.error("Error getting client credentials:", error);
+
+    if (error.message.includes("not found")) {
+      return res.status(404).json({ success: false, message: error.message });
+    }
+
+    if (error.message.includes("already been revealed")) {
+      return res.status(410).json({ success: false, message: error.message });
+    }
+
     return res.status(500).json({
       success: false,
       message: "Error retrieving client credentials",
@@ -741,7 +838,11 @@ async function markCredentialsHandedOver(req, res) {
       });
     }
 
-    const result = await clientService.markCredentialsHandedOver(client_id);
+    const result = await clientService.markCredentialsHandedOver(client_id, req.user, {
+      ipAddress: req.eventContext?.ipAddress || req.ip,
+      userAgent: req.get('User-Agent'),
+      sessionId: req.user?.sid
+    });
     
     return res.status(200).json({
       success: true,
@@ -750,6 +851,11 @@ async function markCredentialsHandedOver(req, res) {
     });
   } catch (error) {
     console.error("Error marking credentials as handed over:", error);
+
+    if (error.message.includes("not found")) {
+      return res.status(404).json({ success: false, message: error.message });
+    }
+
     return res.status(500).json({
       success: false,
       message: "Error marking credentials as handed over",
@@ -1242,6 +1348,435 @@ async function changeClientUserPasswordByUsername(req, res) {
   }
 }
 
+// ✅ NEW: Download the bulk client upload template
+async function getBulkUploadTemplate(req, res) {
+  try {
+    const { generateClientTemplate } = require("./bulk-client.service");
+    const result = await generateClientTemplate();
+
+    if (!result.success) {
+      return res.status(500).json({
+        success: false,
+        error: result.error
+      });
+    }
+
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', `attachment; filename="${result.filename}"`);
+
+    res.send(result.buffer);
+  } catch (error) {
+    console.error("Error generating client bulk upload template:", error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+}
+
+// ✅ NEW: Bulk client upload (dry_run=true only validates and returns the report)
+async function processBulkUpload(req, res) {
+  try {
+    const userId = req.user?.id;
+    const file = req.file;
+    const dryRun = req.query.dry_run === 'true' || req.body?.dry_run === 'true' || req.body?.dry_run === true;
+
+    if (!file) {
+      return res.status(400).json({
+        success: false,
+        message: 'No file uploaded'
+      });
+    }
+
+    const validMimeTypes = [
+      'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+      'application/octet-stream' // Excel files may be detected as this
+    ];
+
+    if (!validMimeTypes.includes(file.mimetype)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid file type: ${file.mimetype}. Please upload an Excel (.xlsx) file.`
+      });
+    }
+
+    const { processBulkClientUpload } = require("./bulk-client.service");
+    const result = await processBulkClientUpload(file.buffer, userId, { dryRun });
+
+    if (!dryRun) {
+      await req.logEvent(
+        'DATA_IMPORTED',
+        'ClientBulkUpload',
+        'BULK_UPLOAD_COMPLETE',
+        `Completed bulk client upload: ${result.data?.successCount || 0} successful, ${result.data?.errorCount || 0} failed`,
+        null,
+        {
+          file_name: file.originalname,
+          file_size: file.size,
+          success_count: result.data?.successCount || 0,
+          error_count: result.data?.errorCount || 0,
+          created_clients: result.data?.created?.map(c => c.client_code) || [],
+          processing_time_ms: result.processing_time_ms
+        },
+        { operation_type: 'CLIENT_MANAGEMENT', action_type: 'BULK_UPLOAD_COMPLETE' }
+      );
+    }
+
+    res.json(result);
+  } catch (error) {
+    console.error("Error processing client bulk upload:", error);
+
+    await req.logError(error, {
+      controller: 'client',
+      action: 'processBulkUpload',
+      file_info: {
+        name: req.file?.originalname,
+        size: req.file?.size,
+        mimetype: req.file?.mimetype
+      },
+      user_id: req.user?.id,
+      error_context: 'CLIENT_BULK_UPLOAD_FAILED'
+    });
+
+    res.status(500).json({
+      success: false,
+      message: 'Bulk upload processing failed',
+      error: error.message
+    });
+  }
+}
+
+// ✅ NEW: Export the client master to Excel
+async function exportClients(req, res) {
+  try {
+    const { exportClients: exportClientMaster } = require("./bulk-client.service");
+    const result = await exportClientMaster({
+      client_type: req.query.client_type,
+      active_state_id: req.query.active_state_id
+    });
+
+    if (!result.success) {
+      return res.status(500).json({
+        success: false,
+        error: result.error
+      });
+    }
+
+    await req.logEvent(
+      'DATA_EXPORTED',
+      'Client',
+      'CLIENT_EXPORT',
+      `User exported ${result.total_clients} clients to Excel`,
+      null,
+      { total_clients: result.total_clients, query_params: req.query },
+      { operation_type: 'CLIENT_MANAGEMENT', action_type: 'EXPORT' }
+    );
+
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', `attachment; filename="${result.filename}"`);
+
+    res.send(result.buffer);
+  } catch (error) {
+    console.error("Error exporting clients:", error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+}
+
+// ✅ NEW: Offboarding checklist - stock and open orders that block deactivation
+async function getOffboardingChecklist(req, res) {
+  try {
+    const checklist = await offboardingService.getOffboardingChecklist(req.params.client_id);
+
+    return res.status(200).json({
+      success: true,
+      message: checklist.can_offboard
+        ? "Client can be offboarded"
+        : "Client cannot be offboarded yet",
+      data: checklist
+    });
+  } catch (error) {
+    console.error("Error in getOffboardingChecklist controller:", error);
+    return handleOffboardingError(res, error, "Error checking client offboarding");
+  }
+}
+
+// ✅ NEW: Offboard (deactivate) a client
+async function offboardClient(req, res) {
+  try {
+    const client = await offboardingService.offboardClient(
+      req.params.client_id,
+      req.body?.reason,
+      req.user,
+      getRequestContext(req)
+    );
+
+    return res.status(200).json({
+      success: true,
+      message: "Client offboarded successfully",
+      data: client
+    });
+  } catch (error) {
+    console.error("Error in offboardClient controller:", error);
+    return handleOffboardingError(res, error, "Error offboarding client");
+  }
+}
+
+// ✅ NEW: Reactivate an offboarded client
+async function reactivateClient(req, res) {
+  try {
+    const client = await offboardingService.reactivateClient(
+      req.params.client_id,
+      { restore_cells: req.body?.restore_cells },
+      req.user,
+      getRequestContext(req)
+    );
+
+    return res.status(200).json({
+      success: true,
+      message: client.cells_skipped.length > 0
+        ? `Client reactivated; ${client.cells_skipped.length} cells could not be restored`
+        : "Client reactivated successfully",
+      data: client
+    });
+  } catch (error) {
+    console.error("Error in reactivateClient controller:", error);
+    return handleOffboardingError(res, error, "Error reactivating client");
+  }
+}
+
+function handleMergeError(res, error, fallbackMessage) {
+  const message = error.message;
+
+  if (message.includes("not found")) {
+    return res.status(404).json({ success: false, message });
+  }
+
+  if (message.includes("already been merged") || message.includes("deactivated") || message.includes("billing run")) {
+    return res.status(409).json({ success: false, message });
+  }
+
+  if (message.includes("required") || message.includes("must be different") || message.includes("different types")) {
+    return res.status(400).json({ success: false, message });
+  }
+
+  return res.status(500).json({
+    success: false,
+    message: fallbackMessage,
+    error: message
+  });
+}
+
+// ✅ NEW: Preview merging a duplicate client (source_client_id) into this client
+async function previewClientMerge(req, res) {
+  try {
+    const report = await mergeService.previewClientMerge(req.query.source_client_id, req.params.client_id);
+
+    return res.status(200).json({
+      success: true,
+      message: "Client merge preview generated",
+      data: report
+    });
+  } catch (error) {
+    console.error("Error in previewClientMerge controller:", error);
+    return handleMergeError(res, error, "Error previewing client merge");
+  }
+}
+
+// ✅ NEW: Merge a duplicate client (source_client_id) into this client
+async function mergeClients(req, res) {
+  try {
+    const { source_client_id, reason } = req.body || {};
+    const report = await mergeService.mergeClients(
+      source_client_id,
+      req.params.client_id,
+      { reason },
+      req.user,
+      getRequestContext(req)
+    );
+
+    return res.status(200).json({
+      success: true,
+      message: "Clients merged successfully",
+      data: report
+    });
+  } catch (error) {
+    console.error("Error in mergeClients controller:", error);
+    return handleMergeError(res, error, "Error merging clients");
+  }
+}
+
+const CLIENT_ROLES = ["CLIENT", "CLIENT_PHARMACIST"];
+
+// Client users can only manage the contacts of their own client
+function denyOtherClientContacts(req, res) {
+  if (CLIENT_ROLES.includes(req.user?.role) && req.user.client_id !== req.params.client_id) {
+    res.status(403).json({
+      success: false,
+      message: "You can only manage the notification contacts of your own client"
+    });
+    return true;
+  }
+  return false;
+}
+
+function handleContactError(res, error, fallbackMessage) {
+  const message = error.message;
+
+  if (message.includes("not found")) {
+    return res.status(404).json({ success: false, message });
+  }
+
+  if (message.includes("already exists")) {
+    return res.status(409).json({ success: false, message });
+  }
+
+  if (message.startsWith("Invalid")) {
+    return res.status(400).json({ success: false, message });
+  }
+
+  return res.status(500).json({
+    success: false,
+    message: fallbackMessage,
+    error: message
+  });
+}
+
+// ✅ NEW: Notification settings and contacts of a client
+async function getNotificationSettings(req, res) {
+  try {
+    if (denyOtherClientContacts(req, res)) return;
+
+    const settings = await notificationService.getNotificationSettings(req.params.client_id);
+
+    return res.status(200).json({
+      success: true,
+      message: "Notification settings retrieved successfully",
+      data: settings
+    });
+  } catch (error) {
+    console.error("Error in getNotificationSettings controller:", error);
+    return handleContactError(res, error, "Error fetching notification settings");
+  }
+}
+
+// ✅ NEW: Update default language / main email fallback
+async function updateNotificationSettings(req, res) {
+  try {
+    if (denyOtherClientContacts(req, res)) return;
+
+    const { client_id } = req.params;
+    const settings = await notificationService.updateNotificationSettings(client_id, req.body || {}, req.user.id);
+
+    await req.logEvent(
+      'CLIENT_UPDATED',
+      'ClientNotificationSetting',
+      client_id,
+      `Updated notification settings of client ${client_id}`,
+      null,
+      settings,
+      { operation_type: 'CLIENT_MANAGEMENT', action_type: 'NOTIFICATION_SETTINGS_UPDATE' }
+    );
+
+    return res.status(200).json({
+      success: true,
+      message: "Notification settings updated successfully",
+      data: settings
+    });
+  } catch (error) {
+    console.error("Error in updateNotificationSettings controller:", error);
+    return handleContactError(res, error, "Error updating notification settings");
+  }
+}
+
+// ✅ NEW: Add a notification contact
+async function createClientContact(req, res) {
+  try {
+    if (denyOtherClientContacts(req, res)) return;
+
+    const { client_id } = req.params;
+    const contact = await notificationService.createContact(client_id, req.body || {}, req.user.id);
+
+    await req.logEvent(
+      'CLIENT_UPDATED',
+      'ClientContact',
+      contact.contact_id,
+      `Added ${contact.role} contact ${contact.email} to client ${client_id}`,
+      null,
+      contact,
+      { operation_type: 'CLIENT_MANAGEMENT', action_type: 'CONTACT_CREATE' }
+    );
+
+    return res.status(201).json({
+      success: true,
+      message: "Contact created successfully",
+      data: contact
+    });
+  } catch (error) {
+    console.error("Error in createClientContact controller:", error);
+    return handleContactError(res, error, "Error creating contact");
+  }
+}
+
+// ✅ NEW: Update a notification contact (role, events, language, active flag...)
+async function updateClientContact(req, res) {
+  try {
+    if (denyOtherClientContacts(req, res)) return;
+
+    const { client_id, contact_id } = req.params;
+    const { oldValues, contact } = await notificationService.updateContact(client_id, contact_id, req.body || {});
+
+    await req.logEvent(
+      'CLIENT_UPDATED',
+      'ClientContact',
+      contact_id,
+      `Updated ${contact.role} contact ${contact.email} of client ${client_id}`,
+      oldValues,
+      contact,
+      { operation_type: 'CLIENT_MANAGEMENT', action_type: 'CONTACT_UPDATE' }
+    );
+
+    return res.status(200).json({
+      success: true,
+      message: "Contact updated successfully",
+      data: contact
+    });
+  } catch (error) {
+    console.error("Error in updateClientContact controller:", error);
+    return handleContactError(res, error, "Error updating contact");
+  }
+}
+
+// ✅ NEW: Remove a notification contact
+async function deleteClientContact(req, res) {
+  try {
+    if (denyOtherClientContacts(req, res)) return;
+
+    const { client_id, contact_id } = req.params;
+    const contact = await notificationService.deleteContact(client_id, contact_id);
+
+    await req.logEvent(
+      'CLIENT_UPDATED',
+      'ClientContact',
+      contact_id,
+      `Removed ${contact.role} contact ${contact.email} from client ${client_id}`,
+      contact,
+      null,
+      { operation_type: 'CLIENT_MANAGEMENT', action_type: 'CONTACT_DELETE' }
+    );
+
+    return res.status(200).json({
+      success: true,
+      message: "Contact deleted successfully"
+    });
+  } catch (error) {
+    console.error("Error in deleteClientContact controller:", error);
+    return handleContactError(res, error, "Error deleting contact");
+  }
+}
+
 module.exports = {
   createClient,
   getAllClients,
@@ -1263,6 +1798,23 @@ module.exports = {
   getClientCredentialsById,
   markCredentialsHandedOver,
   getNextClientCode,
+  // Bulk import / export
+  getBulkUploadTemplate,
+  processBulkUpload,
+  exportClients,
+  // Offboarding
+  getOffboardingChecklist,
+  offboardClient,
+  reactivateClient,
+  // Duplicate merge
+  previewClientMerge,
+  mergeClients,
+  // Notification contacts and settings
+  getNotificationSettings,
+  updateNotificationSettings,
+  createClientContact,
+  updateClientContact,
+  deleteClientContact,
   // Client User Management
   addClientUsers,
   getClientUsers,
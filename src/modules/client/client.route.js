@@ -1,46 +1,75 @@
 const express = require("express");
 const router = express.Router();
 const clientController = require("./client.controller");
+const { requirePermission, requireRole, requireOwnClient } = require("../../middlewares/roleBasedAccess");
+const multer = require("multer");
+
+// Excel uploads are parsed in memory
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 10 * 1024 * 1024 } // 10MB
+});
 
 // ✅ DEBUG/TEST endpoints (before CRUD to avoid conflicts)
-router.get("/credentials", clientController.getClientCredentials);
-router.post("/test-client", clientController.createTestClient);
+router.get("/credentials", requirePermission("client_users", "read"), clientController.getClientCredentials);
+router.post("/test-client", requirePermission("clients", "create"), clientController.createTestClient);
 
 // ✅ NEW: Credential handover endpoints
-router.get("/credentials/pending", clientController.getPendingCredentials);
-router.get("/credentials/:client_id", clientController.getClientCredentialsById);
-router.put("/credentials/:client_id/handed-over", clientController.markCredentialsHandedOver);
+router.get("/credentials/pending", requirePermission("client_users", "read"), clientController.getPendingCredentials);
+router.post("/credentials/:client_id", requirePermission("client_users", "read"), clientController.getClientCredentialsById);
+router.put("/credentials/:client_id/handed-over", requirePermission("client_users", "update"), clientController.markCredentialsHandedOver);
+
+// ✅ NEW: Bulk import / export (before /:client_id to avoid conflicts)
+router.get("/bulk-template", requirePermission("clients", "import"), clientController.getBulkUploadTemplate);
+router.post("/bulk-upload", requirePermission("clients", "import"), upload.single("file"), clientController.processBulkUpload);
+router.get("/export", requirePermission("clients", "export"), clientController.exportClients);
 
 // Client CRUD operations
-router.post("/", clientController.createClient);
-router.get("/", clientController.getAllClients);
-router.get("/form-fields", clientController.getClientFormFields);
-router.get("/statistics", clientController.getClientStatistics);
-router.get("/next-code", clientController.getNextClientCode);
-router.get("/:client_id", clientController.getClientById);
-router.put("/:client_id", clientController.updateClient);
+router.post("/", requirePermission("clients", "create"), clientController.createClient);
+router.get("/", requirePermission("clients", "read"), clientController.getAllClients);
+router.get("/form-fields", requirePermission("clients", "read"), clientController.getClientFormFields);
+router.get("/statistics", requirePermission("clients", "read"), clientController.getClientStatistics);
+router.get("/next-code", requirePermission("clients", "create"), clientController.getNextClientCode);
+router.get("/:client_id", requirePermission("clients", "read"), requireOwnClient(), clientController.getClientById);
+router.put("/:client_id", requirePermission("clients", "update"), clientController.updateClient);
 
 
 // ✅ NEW: Enhanced client editing with cell reassignment
-router.put("/:client_id/comprehensive-update", clientController.updateClientWithCellReassignment);
-router.get("/:client_id/cell-reassignment-options", clientController.getClientCellReassignmentOptions);
-router.post("/bulk-update", clientController.bulkUpdateClients);
+router.put("/:client_id/comprehensive-update", requirePermission("clients", "update"), clientController.updateClientWithCellReassignment);
+router.get("/:client_id/cell-reassignment-options", requirePermission("clients", "read"), requireOwnClient(), clientController.getClientCellReassignmentOptions);
+router.post("/bulk-update", requirePermission("clients", "update"), clientController.bulkUpdateClients);
+
+// ✅ NEW: Client offboarding and reactivation
+router.get("/:client_id/offboarding-check", requirePermission("clients", "read"), requireOwnClient(), clientController.getOffboardingChecklist);
+router.post("/:client_id/offboard", requirePermission("clients", "update"), clientController.offboardClient);
+router.post("/:client_id/reactivate", requirePermission("clients", "update"), clientController.reactivateClient);
+
+// ✅ NEW: Duplicate client merge (admin only) - :client_id is the surviving client
+router.get("/:client_id/merge-preview", requireRole("ADMIN", { resource: "clients", action: "merge" }), clientController.previewClientMerge);
+router.post("/:client_id/merge", requireRole("ADMIN", { resource: "clients", action: "merge" }), clientController.mergeClients);
+
+// ✅ NEW: Notification contacts and settings (receiving, dispatch, quality, billing)
+router.get("/:client_id/notification-settings", requirePermission("client_contacts", "read"), clientController.getNotificationSettings);
+router.put("/:client_id/notification-settings", requirePermission("client_contacts", "update"), clientController.updateNotificationSettings);
+router.post("/:client_id/contacts", requirePermission("client_contacts", "update"), clientController.createClientContact);
+router.put("/:client_id/contacts/:contact_id", requirePermission("client_contacts", "update"), clientController.updateClientContact);
+router.delete("/:client_id/contacts/:contact_id", requirePermission("client_contacts", "update"), clientController.deleteClientContact);
 
 // Cell assignment operations
-router.post("/assign-cells", clientController.assignCellsToClient);
-router.post("/assign-cell", clientController.assignCellsToClient); // Alias for singular form
-router.get("/:client_id/cell-assignments", clientController.getClientCellAssignments);
-router.get("/cells/available", clientController.getAvailableCellsForClient);
-router.get("/cells/available-with-assignments", clientController.getAvailableCellsWithClientAssignments);
-router.put("/cell-assignments/:assignment_id/deactivate", clientController.deactivateClientCellAssignment);
+router.post("/assign-cells", requirePermission("clients", "assign"), clientController.assignCellsToClient);
+router.post("/assign-cell", requirePermission("clients", "assign"), clientController.assignCellsToClient); // Alias for singular form
+router.get("/:client_id/cell-assignments", requirePermission("clients", "read"), requireOwnClient(), clientController.getClientCellAssignments);
+router.get("/cells/available", requirePermission("clients", "assign"), clientController.getAvailableCellsForClient);
+router.get("/cells/available-with-assignments", requirePermission("clients", "assign"), clientController.getAvailableCellsWithClientAssignments);
+router.put("/cell-assignments/:assignment_id/deactivate", requirePermission("clients", "assign"), clientController.deactivateClientCellAssignment);
 
 // ✅ NEW: Client User Management endpoints
-router.post("/:client_id/users", clientController.addClientUsers);
-router.get("/:client_id/users", clientController.getClientUsers);
-router.put("/users/:client_user_id/password", clientController.updateClientUserPassword);
-router.put("/users/:client_user_id/deactivate", clientController.deactivateClientUser);
+router.post("/:client_id/users", requirePermission("client_users", "create"), clientController.addClientUsers);
+router.get("/:client_id/users", requirePermission("client_users", "read"), requireOwnClient(), clientController.getClientUsers);
+router.put("/users/:client_user_id/password", requirePermission("client_users", "update"), clientController.updateClientUserPassword);
+router.put("/users/:client_user_id/deactivate", requirePermission("client_users", "update"), clientController.deactivateClientUser);
 
 // ✅ NEW: Password change for users in client_users_data (UI-friendly endpoint)
-router.put("/:client_id/users/:username/change-password", clientController.changeClientUserPasswordByUsername);
+router.put("/:client_id/users/:username/change-password", requirePermission("client_users", "update"), clientController.changeClientUserPasswordByUsername);
 
 module.exports = router; 
\ No newline at end of file
@@ -2,6 +2,8 @@ const { PrismaClient } = require("@prisma/client");
 const eventLogger = require("../../utils/eventLogger");
 const emailService = require("../../utils/emailService");
 const bcrypt = require("bcrypt");
+const credentialHandoverService = require("./credential-handover.service");
+const { assertValidDocuments } = require("../../utils/documentValidation");
 const prisma = new PrismaClient();
 
 // ✅ NEW: Generate next client code (C001, C002, etc.)
@@ -185,49 +187,6 @@ function generateSimplePassword(clientType, companyName, firstName, lastName, ru
   }
 }
 
-// ✅ NEW: Store client credentials for handover (temporary storage)
-const clientCredentialsForHandover = new Map();
-
-function storeCredentialsForHandover(clientId, username, password, clientName) {
-  clientCredentialsForHandover.set(clientId, {
-    username,
-    password,
-    clientName,
-    createdAt: new Date(),
-    handedOver: false
-  });
-  
-  // Auto-cleanup after 24 hours
-  setTimeout(() => {
-    clientCredentialsForHandover.delete(clientId);
-  }, 24 * 60 * 60 * 1000);
-}
-
-// ✅ NEW: Get credentials for handover
-function getCredentialsForHandover(clientId) {
-  return clientCredentialsForHandover.get(clientId);
-}
-
-// ✅ NEW: Mark credentials as handed over
-function markCredentialsAsHandedOver(clientId) {
-  const creds = clientCredentialsForHandover.get(clientId);
-  if (creds) {
-    creds.handedOver = true;
-    creds.handedOverAt = new Date();
-  }
-}
-
-// ✅ NEW: Get all pending credentials for handover
-function getAllPendingCredentials() {
-  const pending = [];
-  for (const [clientId, creds] of clientCredentialsForHandover.entries()) {
-    if (!creds.handedOver) {
-      pending.push({ clientId, ...creds });
-    }
-  }
-  return pending;
-}
-
 /**
  * Create a new client (Juridical or Natural) with REQUIRED cell assignment - OPTIMIZED VERSION
  */
@@ -297,6 +256,9 @@ async function createClient(clientData, cellAssignmentData = {}) {
       throw new Error("Invalid client type. Must be JURIDICO or NATURAL");
     }
 
+    // ✅ NEW: RUC check digit / DNI format
+    Object.assign(clientData, assertValidDocuments(clientData, { ruc: "ruc", individual_id: "dni" }));
+
     // ✅ OPTIMIZATION 1: Run all validations in parallel
     const [
       existingRucClient,
@@ -493,7 +455,7 @@ async function createClient(clientData, cellAssignmentData = {}) {
     }
 
     // ✅ OPTIMIZATION 3: Simplified transaction with bulk operations
-    const result = await prisma.$transaction(async (tx) => {
+    const created = await prisma.$transaction(async (tx) => {
       // Get creator and role info in parallel
       const [creator, clientRole] = await Promise.all([
         tx.user.findUnique({
@@ -697,49 +659,49 @@ async function createClient(clientData, cellAssignmentData = {}) {
         }
       });
 
-      // ✅ NEW: Store credentials for handover to client
-      const clientName = clientWithAssignments.client_type === "JURIDICO"
-        ? clientWithAssignments.company_name
-        : `${clientWithAssignments.first_names} ${clientWithAssignments.last_name}`;
-
-      // Get primary user credentials
-      const primaryUser = createdClientUsers.find(cu => cu.credentials.is_primary || createdClientUsers[0]);
-      const primaryCredentials = primaryUser ? primaryUser.credentials : null;
-
-      if (primaryCredentials) {
-        storeCredentialsForHandover(
-          clientWithAssignments.client_id,
-          primaryCredentials.username,
-          primaryCredentials.password,
-          clientName
-        );
-      }
+      // ✅ Store credentials, encrypted, for a one-time handover to the client
+      const primaryUser = createdClientUsers.find(cu => cu.clientUser.is_primary) || createdClientUsers[0];
 
-      // ✅ NEW: Add auto-generated credentials to response (for backend logging only)
-      return {
-        ...clientWithAssignments,
-        _autoCredentials: primaryCredentials ? {
-          username: primaryCredentials.username,
-          password: primaryCredentials.password,
-          note: "These credentials are auto-generated and should be securely communicated to the client"
-        } : null,
-        _allUserCredentials: createdClientUsers.map(cu => ({
+      const handover = await credentialHandoverService.storeCredentialsForHandover(
+        tx,
+        clientWithAssignments,
+        createdClientUsers.map(cu => ({
+          client_user_id: cu.clientUser.client_user_id,
           username: cu.credentials.username,
           password: cu.credentials.password,
-          is_primary: cu.credentials.is_primary
-        }))
+          is_primary: cu.clientUser.is_primary
+        })),
+        cellAssignmentData.assigned_by
+      );
+
+      // Plaintext passwords leave the transaction only for the onboarding email
+      return {
+        client: clientWithAssignments,
+        primaryCredentials: primaryUser ? primaryUser.credentials : null,
+        handover
       };
     }, {
       timeout: 30000 // Increase timeout for large cell assignments
     });
 
+    const { primaryCredentials, handover } = created;
+    await credentialHandoverService.logCredentialsStored(created.client, handover, cellAssignmentData.assigned_by);
+
+    // ✅ Passwords are never returned: they are revealed once via POST /clients/credentials/:client_id
+    const result = {
+      ...created.client,
+      _credentialHandover: {
+        stored: handover.stored,
+        usernames: handover.usernames,
+        expires_at: handover.expires_at,
+        note: "Generated passwords are stored encrypted. Reveal them once via POST /clients/credentials/:client_id and hand them over to the client"
+      }
+    };
+
     // ✅ NEW: Send client onboarding email notification
     try {
       console.log(`📧 Sending onboarding email to ${result.email}...`);
 
-      // Get primary user credentials for email
-      const primaryCredentials = result._autoCredentials;
-
       if (primaryCredentials) {
         const emailResult = await emailService.sendClientOnboardingEmail(
           result,
@@ -840,12 +802,17 @@ async function getAllClients(filters) {
       company_type,
       establishment_type,
       active_state_id,
-      search
+      search,
+      client_id
     } = filters;
 
     // Build where conditions
     const whereConditions = {};
 
+    if (client_id) {
+      whereConditions.client_id = client_id;
+    }
+
     if (client_type) {
       whereConditions.client_type = client_type;
     }
@@ -1004,6 +971,9 @@ async function updateClient(clientId, updateData) {
       throw new Error("Cannot change client type after creation");
     }
 
+    // ✅ NEW: RUC check digit / DNI format
+    Object.assign(updateData, assertValidDocuments(updateData, { ruc: "ruc", individual_id: "dni" }));
+
     // Check for duplicate constraints
     if (updateData.ruc && updateData.ruc !== existingClient.ruc) {
       const duplicateRuc = await prisma.client.findFirst({
@@ -1108,7 +1078,8 @@ async function updateClient(clientId, updateData) {
     return {
       success: false,
       message: error.message || "Error updating client",
-      error: error.message
+      error: error.message,
+      ...(error.fieldErrors && { field_errors: error.fieldErrors })
     };
   }
 }
@@ -1953,6 +1924,7 @@ async function deactivateClientCellAssignment(assignmentId) {
       where: { assignment_id: assignmentId },
       data: {
         is_active: false,
+        released_at: new Date(),
         notes: `${assignment.notes}\nDeactivated on ${new Date().toISOString()}`
       },
       include: {
@@ -2026,13 +1998,13 @@ async function getClientFormFields() {
         phone: "Primary phone number (REQUIRED)",
         cell_phone: "Mobile/cell phone number (REQUIRED)",
         company_name: "Company name (REQUIRED for juridical clients)",
-        ruc: "RUC (Registro Único de Contribuyente) - 11 digits (REQUIRED for juridical clients)",
+        ruc: "RUC (Registro Único de Contribuyente) - 11 digits, prefix 10/15/17/20 and valid check digit (REQUIRED for juridical clients)",
         company_type: "PRIVADA or PUBLICA company (REQUIRED for juridical clients)",
         establishment_type: "Type of juridical establishment (REQUIRED for juridical clients)",
         first_names: "First and middle names (REQUIRED for natural clients)",
         last_name: "Last name/surname (REQUIRED for natural clients)",
         mothers_last_name: "Mother's last name (REQUIRED for natural clients)",
-        individual_id: "DNI or similar identification document (REQUIRED for natural clients)",
+        individual_id: "DNI - 8 digits (REQUIRED for natural clients)",
         date_of_birth: "Date of birth in YYYY-MM-DD format (REQUIRED for natural clients)",
         cell_ids: "Array of cell IDs to assign to the client (REQUIRED - at least 1 cell). Includes standard storage cells and special quality control cells for RECHAZADOS, CONTRAMUESTRAS, DEVOLUCIONES, damaged, and expired products.",
         warehouse_id: "Warehouse ID where the cells are located (REQUIRED)",
@@ -2133,7 +2105,7 @@ async function getClientCredentials() {
  */
 async function getPendingCredentialsForHandover() {
   try {
-    return getAllPendingCredentials();
+    return await credentialHandoverService.getPendingCredentials();
   } catch (error) {
     console.error("Error in getPendingCredentialsForHandover service:", error);
     throw error;
@@ -2141,15 +2113,11 @@ async function getPendingCredentialsForHandover() {
 }
 
 /**
- * ✅ NEW: Get specific client credentials for handover
+ * ✅ NEW: Get specific client credentials for handover (one-time reveal)
  */
-async function getClientCredentialsForHandover(clientId) {
+async function getClientCredentialsForHandover(clientId, user, requestContext = {}) {
   try {
-    const credentials = getCredentialsForHandover(clientId);
-    if (!credentials) {
-      throw new Error("Credentials not found or already handed over");
-    }
-    return credentials;
+    return await credentialHandoverService.revealCredentials(clientId, user, requestContext);
   } catch (error) {
     console.error("Error in getClientCredentialsForHandover service:", error);
     throw error;
@@ -2159,10 +2127,9 @@ async function getClientCredentialsForHandover(clientId) {
 /**
  * ✅ NEW: Mark credentials as handed over to client
  */
-async function markCredentialsHandedOver(clientId) {
+async function markCredentialsHandedOver(clientId, user, requestContext = {}) {
   try {
-    markCredentialsAsHandedOver(clientId);
-    return { success: true, message: "Credentials marked as handed over" };
+    return await credentialHandoverService.markHandedOver(clientId, user, requestContext);
   } catch (error) {
     console.error("Error in markCredentialsHandedOver service:", error);
     throw error;
@@ -2472,6 +2439,7 @@ async function deactivateClientUser(clientUserId, deactivatedBy) {
       where: { client_user_id: clientUserId },
       data: {
         is_active: false,
+        deactivated_at: new Date(),
         notes: `${clientUser.notes || ''}\nDeactivated on ${new Date().toISOString()} by ${deactivatedBy}`
       }
     });
@@ -0,0 +1,317 @@
+const { PrismaClient } = require("@prisma/client");
+const { encrypt, decrypt } = require("../../utils/encryption");
+const eventLogger = require("../../utils/eventLogger");
+require("dotenv").config();
+
+const prisma = new PrismaClient();
+
+// Generated passwords can be revealed once, until they are handed over or this many hours pass
+const HANDOVER_TTL_HOURS = parseInt(process.env.CLIENT_CREDENTIAL_HANDOVER_TTL_HOURS, 10) || 24;
+
+const clientNameSelect = {
+  client_id: true,
+  client_type: true,
+  company_name: true,
+  first_names: true,
+  last_name: true
+};
+
+function getClientName(client) {
+  return client.client_type === "JURIDICO"
+    ? client.company_name
+    : `${client.first_names} ${client.last_name}`;
+}
+
+function pendingWhere(extra = {}) {
+  return {
+    handed_over_at: null,
+    purged_at: null,
+    expires_at: { gt: new Date() },
+    ...extra
+  };
+}
+
+/**
+ * Stores generated client user credentials, encrypted, for a one-time handover.
+ * Runs inside the client creation transaction so no credentials are kept for a rolled back client;
+ * log the result with logCredentialsStored once the transaction has committed.
+ * @param {Object} tx - Prisma transaction client
+ * @param {Object} client - Created client (client_id)
+ * @param {Array} credentials - [{ client_user_id, username, password, is_primary }]
+ * @param {string} createdBy - User creating the client
+ * @returns {Promise<Object>} { stored, usernames, expires_at }
+ */
+async function storeCredentialsForHandover(tx, client, credentials, createdBy) {
+  if (!credentials || credentials.length === 0) {
+    return { stored: 0, usernames: [], expires_at: null };
+  }
+
+  const expiresAt = new Date(Date.now() + HANDOVER_TTL_HOURS * 60 * 60 * 1000);
+
+  await tx.clientCredentialHandover.createMany({
+    data: credentials.map(credential => ({
+      client_id: client.client_id,
+      client_user_id: credential.client_user_id || null,
+      username: credential.username,
+      encrypted_password: encrypt(credential.password),
+      is_primary: credential.is_primary === true,
+      created_by: createdBy,
+      expires_at: expiresAt
+    }))
+  });
+
+  return {
+    stored: credentials.length,
+    usernames: credentials.map(credential => credential.username),
+    expires_at: expiresAt
+  };
+}
+
+/**
+ * Logs CLIENT_CREDENTIALS_STORED for the result of storeCredentialsForHandover.
+ * @param {Object} client - Created client (client_id, client_type, company_name, first_names, last_name)
+ * @param {Object} handover - { stored, usernames, expires_at }
+ * @param {string} createdBy - User creating the client
+ */
+async function logCredentialsStored(client, handover, createdBy) {
+  if (!handover || handover.stored === 0) {
+    return;
+  }
+
+  await eventLogger.logEvent({
+    userId: createdBy,
+    action: 'CLIENT_CREDENTIALS_STORED',
+    entityType: 'Client',
+    entityId: client.client_id,
+    description: `Stored ${handover.stored} credential(s) for handover to ${getClientName(client)}`,
+    metadata: {
+      operation_type: 'CREDENTIAL_HANDOVER',
+      usernames: handover.usernames,
+      expires_at: handover.expires_at
+    }
+  });
+}
+
+/**
+ * Wipes the passwords of handovers that expired without being handed over.
+ */
+async function purgeExpiredCredentials() {
+  const expired = await prisma.clientCredentialHandover.findMany({
+    where: {
+      handed_over_at: null,
+      purged_at: null,
+      expires_at: { lte: new Date() }
+    },
+    select: { handover_id: true, client_id: true, username: true, created_by: true, expires_at: true }
+  });
+
+  if (expired.length === 0) {
+    return 0;
+  }
+
+  await prisma.clientCredentialHandover.updateMany({
+    where: { handover_id: { in: expired.map(handover => handover.handover_id) } },
+    data: { encrypted_password: null, purged_at: new Date() }
+  });
+
+  const byClient = new Map();
+  for (const handover of expired) {
+    if (!byClient.has(handover.client_id)) byClient.set(handover.client_id, []);
+    byClient.get(handover.client_id).push(handover);
+  }
+
+  for (const [clientId, handovers] of byClient.entries()) {
+    await eventLogger.logEvent({
+      userId: handovers[0].created_by,
+      action: 'CLIENT_CREDENTIALS_EXPIRED',
+      entityType: 'Client',
+      entityId: clientId,
+      description: `Credentials for ${handovers.map(handover => handover.username).join(', ')} expired before handover`,
+      metadata: {
+        operation_type: 'CREDENTIAL_HANDOVER',
+        usernames: handovers.map(handover => handover.username),
+        expired_at: handovers[0].expires_at
+      }
+    });
+  }
+
+  return expired.length;
+}
+
+/**
+ * Clients with credentials still waiting to be handed over. Passwords are never listed here.
+ */
+async function getPendingCredentials() {
+  await purgeExpiredCredentials();
+
+  const handovers = await prisma.clientCredentialHandover.findMany({
+    where: pendingWhere(),
+    include: { client: { select: clientNameSelect } },
+    orderBy: [{ created_at: 'desc' }, { is_primary: 'desc' }]
+  });
+
+  const byClient = new Map();
+  for (const handover of handovers) {
+    if (!byClient.has(handover.client_id)) {
+      byClient.set(handover.client_id, {
+        clientId: handover.client_id,
+        clientName: getClientName(handover.client),
+        username: handover.username,
+        createdAt: handover.created_at,
+        expiresAt: handover.expires_at,
+        handedOver: false,
+        revealed: true,
+        users: []
+      });
+    }
+
+    const entry = byClient.get(handover.client_id);
+    if (handover.is_primary) entry.username = handover.username;
+    if (!handover.revealed_at) entry.revealed = false;
+    entry.users.push({
+      username: handover.username,
+      is_primary: handover.is_primary,
+      revealed: !!handover.revealed_at,
+      revealed_at: handover.revealed_at
+    });
+  }
+
+  return Array.from(byClient.values());
+}
+
+/**
+ * Decrypts the pending credentials of a client. Each password can only be revealed once.
+ */
+async function revealCredentials(clientId, user, requestContext = {}) {
+  await purgeExpiredCredentials();
+
+  const result = await prisma.$transaction(async (tx) => {
+    const handovers = await tx.clientCredentialHandover.findMany({
+      where: pendingWhere({ client_id: clientId }),
+      include: { client: { select: clientNameSelect } },
+      orderBy: { is_primary: 'desc' }
+    });
+
+    if (handovers.length === 0) {
+      throw new Error("Credentials not found or already handed over");
+    }
+
+    const unrevealed = handovers.filter(handover => handover.encrypted_password);
+    if (unrevealed.length === 0) {
+      throw new Error("Credentials have already been revealed");
+    }
+
+    // ✅ Guard against two users revealing the same credentials at once
+    const { count } = await tx.clientCredentialHandover.updateMany({
+      where: {
+        handover_id: { in: unrevealed.map(handover => handover.handover_id) },
+        encrypted_password: { not: null }
+      },
+      data: {
+        encrypted_password: null,
+        revealed_at: new Date(),
+        revealed_by: user.id
+      }
+    });
+
+    if (count !== unrevealed.length) {
+      throw new Error("Credentials have already been revealed");
+    }
+
+    return {
+      client: handovers[0].client,
+      users: unrevealed.map(handover => ({
+        username: handover.username,
+        password: decrypt(handover.encrypted_password),
+        is_primary: handover.is_primary
+      })),
+      createdAt: handovers[0].created_at,
+      expiresAt: handovers[0].expires_at
+    };
+  });
+
+  const clientName = getClientName(result.client);
+
+  await eventLogger.logEvent({
+    userId: user.id,
+    action: 'CLIENT_CREDENTIALS_REVEALED',
+    entityType: 'Client',
+    entityId: clientId,
+    description: `Revealed credentials of ${clientName} for handover`,
+    metadata: {
+      operation_type: 'CREDENTIAL_HANDOVER',
+      usernames: result.users.map(credential => credential.username),
+      revealed_by_role: user.role
+    },
+    ...requestContext
+  });
+
+  const primary = result.users.find(credential => credential.is_primary) || result.users[0];
+
+  return {
+    clientId,
+    clientName,
+    username: primary.username,
+    password: primary.password,
+    users: result.users,
+    createdAt: result.createdAt,
+    expiresAt: result.expiresAt,
+    handedOver: false
+  };
+}
+
+/**
+ * Marks the pending credentials of a client as handed over and wipes any password not yet revealed.
+ */
+async function markHandedOver(clientId, user, requestContext = {}) {
+  const handovers = await prisma.clientCredentialHandover.findMany({
+    where: { client_id: clientId, handed_over_at: null, purged_at: null },
+    include: { client: { select: clientNameSelect } }
+  });
+
+  if (handovers.length === 0) {
+    throw new Error("Credentials not found or already handed over");
+  }
+
+  const handedOverAt = new Date();
+
+  await prisma.clientCredentialHandover.updateMany({
+    where: { handover_id: { in: handovers.map(handover => handover.handover_id) } },
+    data: {
+      encrypted_password: null,
+      handed_over_at: handedOverAt,
+      handed_over_by: user.id
+    }
+  });
+
+  await eventLogger.logEvent({
+    userId: user.id,
+    action: 'CLIENT_CREDENTIALS_HANDED_OVER',
+    entityType: 'Client',
+    entityId: clientId,
+    description: `Credentials of ${getClientName(handovers[0].client)} handed over`,
+    metadata: {
+      operation_type: 'CREDENTIAL_HANDOVER',
+      usernames: handovers.map(handover => handover.username),
+      revealed_before_handover: handovers.every(handover => !!handover.revealed_at)
+    },
+    ...requestContext
+  });
+
+  return {
+    success: true,
+    message: "Credentials marked as handed over",
+    clientId,
+    handedOverAt
+  };
+}
+
+module.exports = {
+  HANDOVER_TTL_HOURS,
+  storeCredentialsForHandover,
+  logCredentialsStored,
+  purgeExpiredCredentials,
+  getPendingCredentials,
+  revealCredentials,
+  markHandedOver
+};
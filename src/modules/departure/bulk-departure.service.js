@@ -1,6 +1,7 @@
 const { PrismaClient, Prisma } = require("@prisma/client");
 const XLSX = require("xlsx");
 const { getCurrentDepartureOrderNo } = require("./departure.service");
+const { applyPackagingToLines, QUANTITY_FIELDS } = require("../product/product-packaging.service");
 
 const prisma = new PrismaClient();
 
@@ -530,18 +531,23 @@ async function processOrdersInBatches(orderHeaders, orderProducts, orderDocument
               lot_series: product.lot_series,
               requested_quantity: product.requested_quantity,
               requested_packages: product.requested_packages,
-              requested_pallets: Math.ceil(product.requested_quantity / 200),
               presentation: presentation,
-              requested_weight: new Prisma.Decimal(0),
               temperature_requirement: "AMBIENTE",
             });
           });
         });
 
+        // ✅ NEW: Pallets, weight and volume come from the product packaging, with the old defaults as fallback
+        const derivedProductData = (await applyPackagingToLines(tx, allProductData, QUANTITY_FIELDS.DEPARTURE)).map(product => ({
+          ...product,
+          requested_pallets: product.requested_pallets || Math.ceil(product.requested_quantity / 200),
+          requested_weight: new Prisma.Decimal(product.requested_weight || 0),
+        }));
+
         // ✅ Use createMany for products - significantly faster
-        if (allProductData.length > 0) {
+        if (derivedProductData.length > 0) {
           await tx.departureOrderProduct.createMany({
-            data: allProductData,
+            data: derivedProductData,
             skipDuplicates: true,
           });
         }
@@ -1,5 +1,90 @@
 const departureService = require("./departure.service");
 const bulkDepartureService = require("./bulk-departure.service");
+const { getScopedWarehouseIds, isWarehouseAllowed } = require("../../middlewares/roleBasedAccess");
+const emailService = require("../../utils/emailService");
+const clientNotificationService = require("../client/client-notification.service");
+const { PrismaClient } = require("@prisma/client");
+
+const prisma = new PrismaClient();
+
+/**
+ * Rejects warehouse-scoped staff acting on a departure order of a warehouse they are not assigned to.
+ * @returns {Promise<boolean>} true when the response was already sent
+ */
+async function denyOutOfScopeDeparture(req, res, departureOrderIds) {
+  if (!req.warehouseRestriction?.isWarehouseRestricted) return false;
+
+  const ids = Array.isArray(departureOrderIds) ? departureOrderIds : [departureOrderIds];
+  for (const departureOrderId of ids.filter(Boolean)) {
+    const warehouseId = await departureService.getDepartureOrderWarehouseId(departureOrderId);
+
+    // Orders that don't exist are left to the handler's 404; orders without a warehouse are out of scope
+    if (warehouseId !== undefined && !isWarehouseAllowed(req.warehouseRestriction, warehouseId)) {
+      res.status(403).json({
+        success: false,
+        message: "Access denied. You are not assigned to the warehouse of this departure order.",
+        departure_order_id: departureOrderId
+      });
+      return true;
+    }
+  }
+
+  return false;
+}
+
+/**
+ * ✅ NEW: Email the client's dispatch contacts (or main email) about a departure order
+ * status change. Never fails the request.
+ * @param {string} status - APROBADO, RECHAZADO, REVISION or DESPACHADO
+ */
+async function notifyDepartureStatus(departureOrderId, status, comments = "", reviewerId = null) {
+  try {
+    const order = await prisma.departureOrder.findUnique({
+      where: { departure_order_id: departureOrderId },
+      include: {
+        client: true,
+        products: { select: { requested_quantity: true, dispatched_quantity: true } }
+      }
+    });
+    if (!order?.client) return null;
+
+    const reviewerData = reviewerId
+      ? await prisma.user.findUnique({ where: { id: reviewerId }, select: { first_name: true, last_name: true } })
+      : null;
+
+    const isDispatch = status === "DESPACHADO";
+    const departureOrderData = {
+      departure_order_id: order.departure_order_id,
+      departure_order_no: order.departure_order_no,
+      created_at: order.registration_date,
+      destination: order.destination_point,
+      total_products: order.products.length,
+      total_quantity: order.products.reduce(
+        (sum, product) => sum + (isDispatch ? product.dispatched_quantity : product.requested_quantity), 0
+      ),
+      total_weight: order.total_weight ? parseFloat(order.total_weight) : 0,
+      dispatch_date: order.dispatched_at,
+      transport_type: order.transport_type,
+      dispatch_notes: order.dispatch_notes
+    };
+
+    return await clientNotificationService.notifyClient(
+      order.client_id,
+      isDispatch ? "DEPARTURE_ORDER_DISPATCHED" : "DEPARTURE_ORDER_REVIEWED",
+      (recipient) => emailService.sendDispatchOrderNotification(
+        departureOrderData,
+        order.client,
+        status,
+        comments,
+        reviewerData,
+        recipient
+      )
+    );
+  } catch (error) {
+    console.error(`❌ Error sending departure order notification for ${departureOrderId}:`, error);
+    return null;
+  }
+}
 
 // Dropdown fields for Departure form
 async function getDepartureFormFields(req, res) {
@@ -34,7 +119,14 @@ async function getAllDepartureOrders(req, res) {
     const userRole = req.user?.role; // Role is stored directly as string in JWT
     const userOrgId = req.user?.organisation_id;
     
-    const data = await departureService.getAllDepartureOrders(search, organisationId, userRole, userOrgId, status);
+    const data = await departureService.getAllDepartureOrders(
+      search,
+      organisationId,
+      userRole,
+      userOrgId,
+      status,
+      getScopedWarehouseIds(req.warehouseRestriction)
+    );
     return res.status(200).json({ 
       success: true,
       message: "Departure orders fetched successfully", 
@@ -498,6 +590,14 @@ async function createDepartureOrder(req, res) {
         impacto_negocio: 'CREACION_ORDEN_FALLIDA'
       }
     );
+
+    // ✅ NEW: Requested quantities disagree with the product packaging
+    if (error.message.includes("Packaging quantities")) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
     
     return res.status(500).json({ 
       success: false,
@@ -512,6 +612,7 @@ async function createDepartureOrder(req, res) {
 async function approveDepartureOrder(req, res) {
   try {
     const { departureOrderId } = req.params;
+    if (await denyOutOfScopeDeparture(req, res, departureOrderId)) return;
     const { comments } = req.body;
     const userId = req.user?.id;
     const userRole = req.user?.role;
@@ -612,6 +713,8 @@ async function approveDepartureOrder(req, res) {
       }
     );
     
+    await notifyDepartureStatus(departureOrderId, "APROBADO", comments, userId);
+
     return res.status(200).json(result);
   } catch (error) {
     console.error("Error approving departure order:", error);
@@ -652,6 +755,7 @@ async function approveDepartureOrder(req, res) {
 async function rejectDepartureOrder(req, res) {
   try {
     const { departureOrderId } = req.params;
+    if (await denyOutOfScopeDeparture(req, res, departureOrderId)) return;
     const { comments } = req.body;
     const userId = req.user?.id;
     const userRole = req.user?.role;
@@ -754,6 +858,8 @@ async function rejectDepartureOrder(req, res) {
       }
     );
     
+    await notifyDepartureStatus(departureOrderId, "RECHAZADO", comments, userId);
+
     return res.status(200).json(result);
   } catch (error) {
     console.error("Error rejecting departure order:", error);
@@ -794,6 +900,7 @@ async function rejectDepartureOrder(req, res) {
 async function requestRevisionDepartureOrder(req, res) {
   try {
     const { departureOrderId } = req.params;
+    if (await denyOutOfScopeDeparture(req, res, departureOrderId)) return;
     const { comments } = req.body;
     const userId = req.user?.id;
     const userRole = req.user?.role;
@@ -897,6 +1004,8 @@ async function requestRevisionDepartureOrder(req, res) {
       }
     );
     
+    await notifyDepartureStatus(departureOrderId, "REVISION", comments, userId);
+
     return res.status(200).json(result);
   } catch (error) {
     console.error("Error requesting revision for departure order:", error);
@@ -937,6 +1046,7 @@ async function requestRevisionDepartureOrder(req, res) {
 async function dispatchDepartureOrder(req, res) {
   try {
     const { departureOrderId } = req.params;
+    if (await denyOutOfScopeDeparture(req, res, departureOrderId)) return;
     const dispatchData = req.body;
     const userId = req.user?.id;
     const userRole = req.user?.role;
@@ -980,6 +1090,8 @@ async function dispatchDepartureOrder(req, res) {
       }
     );
     
+    await notifyDepartureStatus(departureOrderId, "DESPACHADO");
+
     return res.status(200).json(result);
   } catch (error) {
     console.error("Error dispatching departure order:", error);
@@ -1005,6 +1117,8 @@ async function batchDispatchDepartureOrders(req, res) {
         message: "departure_order_ids array is required",
       });
     }
+
+    if (await denyOutOfScopeDeparture(req, res, departure_order_ids)) return;
     
     const result = await departureService.batchDispatchDepartureOrders(departure_order_ids, userId, userRole, batch_dispatch_data);
     
@@ -1033,6 +1147,10 @@ async function batchDispatchDepartureOrders(req, res) {
       }
     );
     
+    for (const dispatched of result.successful_dispatches) {
+      await notifyDepartureStatus(dispatched.departure_order_id, "DESPACHADO");
+    }
+
     return res.status(200).json(result);
   } catch (error) {
     console.error("Error batch dispatching departure orders:", error);
@@ -1049,6 +1167,7 @@ async function batchDispatchDepartureOrders(req, res) {
 async function getDepartureOrderById(req, res) {
   try {
     const { departureOrderId } = req.params;
+    if (await denyOutOfScopeDeparture(req, res, departureOrderId)) return;
     
     if (!departureOrderId) {
       return res.status(400).json({
@@ -1404,9 +1523,6 @@ async function createComprehensiveDepartureOrder(req, res) {
 
     // ✅ Send email notification to warehouse incharge about new departure order
     try {
-      const emailService = require("../../utils/emailService");
-      const prisma = require("../../db");
-
       // Fetch client data for email notification
       const clientData = await prisma.client.findUnique({
         where: { client_id: req.body.client_id }
@@ -1505,6 +1621,14 @@ async function createComprehensiveDepartureOrder(req, res) {
       });
     }
 
+    if (error.message.includes('Packaging quantities')) {
+      return res.status(400).json({
+        success: false,
+        message: "Quantities don't match the product packaging",
+        error: error.message
+      });
+    }
+
     // Generic error response
     res.status(500).json({
       success: false,
@@ -1554,6 +1678,7 @@ async function getComprehensiveDepartureOrders(req, res) {
     if (endDate) filters.endDate = endDate;
     if (warehouseId) filters.warehouseId = warehouseId;
     if (clientId) filters.clientId = clientId;
+    filters.warehouse_ids = getScopedWarehouseIds(req.warehouseRestriction);
 
     // ✅ FIXED: Pass page and limit directly for proper offset-based pagination
     filters.page = parseInt(page);
@@ -1649,7 +1774,8 @@ async function getComprehensiveDepartureOrderByNumber(req, res) {
       orderNumber,
       userRole,
       userId,
-      organisationId
+      organisationId,
+      getScopedWarehouseIds(req.warehouseRestriction)
     );
 
     if (!result) {
@@ -1719,6 +1845,8 @@ async function getDepartureOrderAuditTrail(req, res) {
       });
     }
 
+    if (await denyOutOfScopeDeparture(req, res, departureOrderId)) return;
+
     // Call service to get audit trail
     const result = await departureService.getDepartureOrderAuditTrail(
       departureOrderId,
@@ -1783,6 +1911,7 @@ async function getDepartureOrderAuditTrail(req, res) {
 async function createDepartureAllocations(req, res) {
   try {
     const { departureOrderId } = req.params;
+    if (await denyOutOfScopeDeparture(req, res, departureOrderId)) return;
     const allocationData = req.body;
     const userId = req.user?.id;
     const userRole = req.user?.role;
@@ -1842,6 +1971,7 @@ async function createDepartureAllocations(req, res) {
 async function getAvailableInventoryForDeparture(req, res) {
   try {
     const { departureOrderId } = req.params;
+    if (await denyOutOfScopeDeparture(req, res, departureOrderId)) return;
     const userRole = req.user?.role;
     const userId = req.user?.id;
     
@@ -1870,6 +2000,7 @@ async function getAvailableInventoryForDeparture(req, res) {
 async function autoDispatchDepartureOrder(req, res) {
   try {
     const { departureOrderId } = req.params;
+    if (await denyOutOfScopeDeparture(req, res, departureOrderId)) return;
     const dispatchData = req.body;
     const userId = req.user?.id;
     const userRole = req.user?.role;
@@ -2041,6 +2172,8 @@ async function autoDispatchDepartureOrder(req, res) {
       }
     );
     
+    await notifyDepartureStatus(departureOrderId, "DESPACHADO");
+
     return res.status(200).json(result);
   } catch (error) {
     console.error("Error auto-dispatching departure order:", error);
@@ -2098,6 +2231,8 @@ async function updateDepartureOrder(req, res) {
     const userRole = req.user?.role;
     const files = req.files; // For multipart/form-data with file uploads
 
+    if (await denyOutOfScopeDeparture(req, res, departureOrderId)) return;
+
     if (!userId) {
       // ✅ LOG: Authentication failure
       await req.logEvent(
@@ -2452,7 +2587,8 @@ async function updateDepartureOrder(req, res) {
     // Handle specific business rule errors
     if (error.message.includes("REVISION") || 
         error.message.includes("only update your own") ||
-        error.message.includes("not found")) {
+        error.message.includes("not found") ||
+        error.message.includes("Packaging quantities")) {
       return res.status(400).json({
         success: false,
         message: error.message,
@@ -2476,7 +2612,13 @@ async function getApprovedDepartureOrdersForDispatch(req, res) {
     const userRole = req.user?.role;
     const userId = req.user?.id;
     
-    const data = await departureService.getApprovedDepartureOrdersForDispatch(warehouseId || null, userRole, userId, organisation_id || null);
+    const data = await departureService.getApprovedDepartureOrdersForDispatch(
+      warehouseId || null,
+      userRole,
+      userId,
+      organisation_id || null,
+      getScopedWarehouseIds(req.warehouseRestriction)
+    );
     
     return res.status(200).json({ 
       success: true,
@@ -2521,6 +2663,8 @@ async function dispatchApprovedDepartureOrder(req, res) {
       });
     }
 
+    if (await denyOutOfScopeDeparture(req, res, dispatchData.departure_order_id)) return;
+
     // ✅ Set required fields from authenticated user
     dispatchData.dispatched_by = userId;
 
@@ -2691,6 +2835,8 @@ async function dispatchApprovedDepartureOrder(req, res) {
       }
     );
 
+    await notifyDepartureStatus(result.departure_order.departure_order_id, "DESPACHADO");
+
     return res.status(200).json(result);
   } catch (error) {
     console.error("Error dispatching approved departure order:", error);
@@ -2736,7 +2882,11 @@ async function getWarehouseDispatchSummary(req, res) {
     const userRole = req.user?.role;
     const userId = req.user?.id;
     
-    const data = await departureService.getWarehouseDispatchSummary(userRole, userId);
+    const data = await departureService.getWarehouseDispatchSummary(
+      userRole,
+      userId,
+      getScopedWarehouseIds(req.warehouseRestriction)
+    );
     
     return res.status(200).json({ 
       success: true,
@@ -2771,6 +2921,7 @@ async function getWarehouseDispatchSummary(req, res) {
 async function getAutoSelectedInventoryForDispatch(req, res) {
   try {
     const { departureOrderId } = req.params;
+    if (await denyOutOfScopeDeparture(req, res, departureOrderId)) return;
     const { dispatchQuantities } = req.body;
     const userRole = req.user?.role;
     const userId = req.user?.id;
@@ -2820,6 +2971,7 @@ async function getRecalculatedFifoInventoryForDeparture(req, res) {
   try {
     const { departureOrderId, productId } = req.params;
     const { requestedQuantity } = req.query;
+    if (await denyOutOfScopeDeparture(req, res, departureOrderId)) return;
     const userRole = req.user?.role;
     const userId = req.user?.id;
     
@@ -2871,6 +3023,7 @@ async function getRecalculatedFifoInventoryForDeparture(req, res) {
 async function releaseHeldInventoryForDeparture(req, res) {
   try {
     const { departureOrderId } = req.params;
+    if (await denyOutOfScopeDeparture(req, res, departureOrderId)) return;
     const { reason } = req.body;
     const userId = req.user?.id;
     const userRole = req.user?.role;
@@ -1,6 +1,7 @@
 const express = require("express");
 const multer = require("multer");
 const departureController = require("./departure.controller");
+const { requirePermission, checkWarehouseRestriction } = require("../../middlewares/roleBasedAccess");
 
 const router = express.Router();
 
@@ -35,75 +36,75 @@ const upload = multer({
 });
 
 // ✅ ENHANCED: Form data endpoints
-router.get("/departure-formfields", departureController.getDepartureFormFields);
-router.get("/departure-exit-options", departureController.getDepartureExitOptions);
-router.get("/current-departure-order-no", departureController.getCurrentDepartureOrderNo);
-router.get("/permissions", departureController.getDeparturePermissions);
+router.get("/departure-formfields", requirePermission("departure_orders", "read"), departureController.getDepartureFormFields);
+router.get("/departure-exit-options", requirePermission("departure_orders", "read"), departureController.getDepartureExitOptions);
+router.get("/current-departure-order-no", requirePermission("departure_orders", "read"), departureController.getCurrentDepartureOrderNo);
+router.get("/permissions", requirePermission("departure_orders", "read"), departureController.getDeparturePermissions);
 
 // ✅ NEW: Expiry urgency dashboard for departure planning
-router.get("/expiry-urgency-dashboard", departureController.getExpiryUrgencyDashboard);
+router.get("/expiry-urgency-dashboard", requirePermission("departure_orders", "read"), departureController.getExpiryUrgencyDashboard);
 
 // ✅ ENHANCED: Departure order management with approval workflow
-router.get("/departure-orders", departureController.getAllDepartureOrders);
-router.post("/create-departure-order", upload.array('documents', 10), departureController.createDepartureOrder);
-router.get("/departure-orders/:departureOrderId", departureController.getDepartureOrderById);
+router.get("/departure-orders", requirePermission("departure_orders", "read"), checkWarehouseRestriction, departureController.getAllDepartureOrders);
+router.post("/create-departure-order", requirePermission("departure_orders", "create"), upload.array('documents', 10), checkWarehouseRestriction, departureController.createDepartureOrder);
+router.get("/departure-orders/:departureOrderId", requirePermission("departure_orders", "read"), checkWarehouseRestriction, departureController.getDepartureOrderById);
 
 // ✅ NEW: Update departure order (CLIENT users only, REVISION status only)
-router.put("/departure-orders/:departureOrderId", upload.array('documents', 10), departureController.updateDepartureOrder);
+router.put("/departure-orders/:departureOrderId", requirePermission("departure_orders", "update"), upload.array('documents', 10), checkWarehouseRestriction, departureController.updateDepartureOrder);
 
 // ✅ NEW: Comprehensive departure order creation
-router.post("/comprehensive-orders", upload.array('documents', 10), departureController.createComprehensiveDepartureOrder);
+router.post("/comprehensive-orders", requirePermission("departure_orders", "create"), upload.array('documents', 10), checkWarehouseRestriction, departureController.createComprehensiveDepartureOrder);
 
 // ✅ NEW: Get comprehensive departure orders
-router.get("/comprehensive-orders", departureController.getComprehensiveDepartureOrders);
+router.get("/comprehensive-orders", requirePermission("departure_orders", "read"), checkWarehouseRestriction, departureController.getComprehensiveDepartureOrders);
 
 // ✅ NEW: Get single comprehensive departure order by order number
-router.get("/comprehensive-orders/:orderNumber", departureController.getComprehensiveDepartureOrderByNumber);
+router.get("/comprehensive-orders/:orderNumber", requirePermission("departure_orders", "read"), checkWarehouseRestriction, departureController.getComprehensiveDepartureOrderByNumber);
 
 // ✅ NEW: Approval workflow endpoints (WAREHOUSE_INCHARGE/ADMIN only)
-router.post("/departure-orders/:departureOrderId/approve", departureController.approveDepartureOrder);
-router.post("/departure-orders/:departureOrderId/reject", departureController.rejectDepartureOrder);
-router.post("/departure-orders/:departureOrderId/request-revision", departureController.requestRevisionDepartureOrder);
+router.post("/departure-orders/:departureOrderId/approve", requirePermission("departure_orders", "approve"), checkWarehouseRestriction, departureController.approveDepartureOrder);
+router.post("/departure-orders/:departureOrderId/reject", requirePermission("departure_orders", "approve"), checkWarehouseRestriction, departureController.rejectDepartureOrder);
+router.post("/departure-orders/:departureOrderId/request-revision", requirePermission("departure_orders", "approve"), checkWarehouseRestriction, departureController.requestRevisionDepartureOrder);
 
 // ✅ NEW: Dispatch endpoints (WAREHOUSE_INCHARGE/ADMIN only) - separate from approval
-router.post("/departure-orders/:departureOrderId/dispatch", departureController.dispatchDepartureOrder);
-router.post("/departure-orders/:departureOrderId/auto-dispatch", departureController.autoDispatchDepartureOrder);
-router.post("/departure-orders/batch-dispatch", departureController.batchDispatchDepartureOrders);
+router.post("/departure-orders/:departureOrderId/dispatch", requirePermission("departure_orders", "dispatch"), checkWarehouseRestriction, departureController.dispatchDepartureOrder);
+router.post("/departure-orders/:departureOrderId/auto-dispatch", requirePermission("departure_orders", "dispatch"), checkWarehouseRestriction, departureController.autoDispatchDepartureOrder);
+router.post("/departure-orders/batch-dispatch", requirePermission("departure_orders", "dispatch"), checkWarehouseRestriction, departureController.batchDispatchDepartureOrders);
 
 // ✅ ENHANCED: EXPIRY-BASED FIFO Product-wise departure flow
-router.get("/products/:productId/fifo-locations", departureController.getFifoLocationsForProduct);
-router.get("/products/:productId/fifo-allocation", departureController.getSuggestedFifoAllocation);
+router.get("/products/:productId/fifo-locations", requirePermission("departure_orders", "read"), departureController.getFifoLocationsForProduct);
+router.get("/products/:productId/fifo-allocation", requirePermission("departure_orders", "read"), departureController.getSuggestedFifoAllocation);
 
 // ✅ ENHANCED: Inventory management endpoints for departure (product-based flow with expiry FIFO)
-router.get("/products-with-inventory", departureController.getProductsWithInventory);
-router.get("/cells-for-entry-product/:entryOrderProductId", departureController.getAvailableCellsForProduct);
+router.get("/products-with-inventory", requirePermission("departure_orders", "read"), departureController.getProductsWithInventory);
+router.get("/cells-for-entry-product/:entryOrderProductId", requirePermission("departure_orders", "read"), departureController.getAvailableCellsForProduct);
 
 // ✅ ENHANCED: Departure inventory summary with expiry tracking
-router.get("/inventory-summary", departureController.getDepartureInventorySummary);
+router.get("/inventory-summary", requirePermission("departure_orders", "read"), departureController.getDepartureInventorySummary);
 
 // ✅ ENHANCED: Cell validation endpoints with expiry consideration
-router.post("/validate-cell", departureController.validateSelectedCell);
-router.post("/validate-multiple-cells", departureController.validateMultipleCells);
+router.post("/validate-cell", requirePermission("departure_orders", "read"), departureController.validateSelectedCell);
+router.post("/validate-multiple-cells", requirePermission("departure_orders", "read"), departureController.validateMultipleCells);
 
 // ✅ NEW: Get audit trail for departure order
-router.get("/departure-orders/:departureOrderId/audit-trail", departureController.getDepartureOrderAuditTrail);
+router.get("/departure-orders/:departureOrderId/audit-trail", requirePermission("departure_orders", "read"), checkWarehouseRestriction, departureController.getDepartureOrderAuditTrail);
 
 // ✅ NEW: Allocation endpoints (WAREHOUSE_INCHARGE/ADMIN only)
-router.get("/departure-orders/:departureOrderId/available-inventory", departureController.getAvailableInventoryForDeparture);
-router.post("/departure-orders/:departureOrderId/allocate", departureController.createDepartureAllocations);
+router.get("/departure-orders/:departureOrderId/available-inventory", requirePermission("departure_orders", "allocate"), checkWarehouseRestriction, departureController.getAvailableInventoryForDeparture);
+router.post("/departure-orders/:departureOrderId/allocate", requirePermission("departure_orders", "allocate"), checkWarehouseRestriction, departureController.createDepartureAllocations);
 
 // ✅ NEW: Direct dispatch flow endpoints (similar to cell assignment flow)
-router.get("/approved-departure-orders", departureController.getApprovedDepartureOrdersForDispatch);
-router.post("/departure-orders/:departureOrderId/auto-select-inventory", departureController.getAutoSelectedInventoryForDispatch);
-router.get("/warehouse-dispatch-summary", departureController.getWarehouseDispatchSummary);
-router.post("/dispatch-approved-order", upload.array('documents', 10), departureController.dispatchApprovedDepartureOrder);
+router.get("/approved-departure-orders", requirePermission("departure_orders", "dispatch"), checkWarehouseRestriction, departureController.getApprovedDepartureOrdersForDispatch);
+router.post("/departure-orders/:departureOrderId/auto-select-inventory", requirePermission("departure_orders", "dispatch"), checkWarehouseRestriction, departureController.getAutoSelectedInventoryForDispatch);
+router.get("/warehouse-dispatch-summary", requirePermission("departure_orders", "dispatch"), checkWarehouseRestriction, departureController.getWarehouseDispatchSummary);
+router.post("/dispatch-approved-order", requirePermission("departure_orders", "dispatch"), checkWarehouseRestriction, upload.array('documents', 10), departureController.dispatchApprovedDepartureOrder);
 
 // ✅ NEW: Partial dispatch support endpoints
-router.get("/departure-orders/:departureOrderId/products/:productId/recalculated-fifo", departureController.getRecalculatedFifoInventoryForDeparture);
-router.post("/departure-orders/:departureOrderId/release-held-inventory", departureController.releaseHeldInventoryForDeparture);
+router.get("/departure-orders/:departureOrderId/products/:productId/recalculated-fifo", requirePermission("departure_orders", "dispatch"), checkWarehouseRestriction, departureController.getRecalculatedFifoInventoryForDeparture);
+router.post("/departure-orders/:departureOrderId/release-held-inventory", requirePermission("departure_orders", "dispatch"), checkWarehouseRestriction, departureController.releaseHeldInventoryForDeparture);
 
 // ✅ NEW: Bulk departure order upload endpoints
-router.post("/bulk-upload", upload.single('file'), departureController.processBulkDepartureOrders);
-router.get("/bulk-template", departureController.generateBulkDepartureTemplate);
+router.post("/bulk-upload", requirePermission("departure_orders", "import"), upload.single('file'), departureController.processBulkDepartureOrders);
+router.get("/bulk-template", requirePermission("departure_orders", "import"), departureController.generateBulkDepartureTemplate);
 
 module.exports = router;
\ No newline at end of file
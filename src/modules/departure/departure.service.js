@@ -9,6 +9,9 @@ const {
   ReviewStatus,
 } = require("@prisma/client");
 const { toUTC } = require("../../utils/index");
+const { applyWarehouseScope } = require("../../middlewares/roleBasedAccess");
+const { applyPackagingToLines, QUANTITY_FIELDS } = require("../product/product-packaging.service");
+const { attachProductVersions } = require("../product/product-version.service");
 const prisma = new PrismaClient();
 
 function getPackagingTypesFromEnum() {
@@ -240,8 +243,21 @@ async function getDepartureExitOptions() {
   }
 }
 
+/**
+ * Warehouse of a departure order, used to check warehouse-scoped staff before acting on it.
+ * @returns {Promise<string|null|undefined>} undefined when the order does not exist
+ */
+async function getDepartureOrderWarehouseId(departureOrderId) {
+  const order = await prisma.departureOrder.findUnique({
+    where: { departure_order_id: departureOrderId },
+    select: { warehouse_id: true }
+  });
+
+  return order ? order.warehouse_id : undefined;
+}
+
 // ✅ ENHANCED: Get all departure orders with approval workflow filtering
-async function getAllDepartureOrders(searchQuery = "", organisationId = null, userRole = null, userOrgId = null, status = null) {
+async function getAllDepartureOrders(searchQuery = "", organisationId = null, userRole = null, userOrgId = null, status = null, warehouseIds = null) {
   try {
     const whereClause = {};
     
@@ -270,6 +286,9 @@ async function getAllDepartureOrders(searchQuery = "", organisationId = null, us
       }
     }
 
+    // ✅ Warehouse staff only see orders of their assigned warehouses
+    applyWarehouseScope(whereClause, warehouseIds);
+
     return await prisma.departureOrder.findMany({
       where: whereClause,
       orderBy: { order: { created_at: "desc" } }, // ✅ FIXED: Sort by creation time (newest first)
@@ -1265,6 +1284,9 @@ async function createDepartureOrder(departureData) {
       throw new Error(`Organisation with ID ${departureData.organisation_id} not found`);
     }
 
+    // 1.5 ✅ NEW: Derive missing packages, pallets, weight and volume from the product packaging
+    departureData.products = await applyPackagingToLines(tx, departureData.products, QUANTITY_FIELDS.DEPARTURE);
+
     // 2. Create base order
     const newOrder = await tx.order.create({
       data: {
@@ -1524,7 +1546,7 @@ async function createDepartureOrder(departureData) {
 // Get departure order details with products
 async function getDepartureOrderById(departureOrderId) {
   try {
-    return await prisma.departureOrder.findUnique({
+    const departureOrder = await prisma.departureOrder.findUnique({
       where: { departure_order_id: departureOrderId },
       include: {
         customer: { select: { name: true } },
@@ -1553,6 +1575,14 @@ async function getDepartureOrderById(departureOrderId) {
         },
       },
     });
+    if (!departureOrder) return departureOrder;
+
+    // ✅ NEW: Product master data as it was when the order was dispatched (or registered)
+    departureOrder.products = await attachProductVersions(
+      departureOrder.products,
+      departureOrder.dispatched_at || departureOrder.registration_date
+    );
+    return departureOrder;
   } catch (error) {
     console.error("Error in getDepartureOrderById:", error);
     throw new Error(`Failed to fetch departure order: ${error.message}`);
@@ -2832,6 +2862,14 @@ async function createComprehensiveDepartureOrder(comprehensiveData) {
       }
       
       console.log(`✅ OPTIMIZATION: Validated ${productIds.length} products in single query`);
+
+      // ✅ NEW: Derive missing packages, pallets, weight and volume from the product packaging
+      comprehensiveData.products = await applyPackagingToLines(
+        tx,
+        comprehensiveData.products,
+        QUANTITY_FIELDS.COMPREHENSIVE_DEPARTURE,
+        (productData) => String(productData.product_id)
+      );
       
       // ✅ OPTIMIZED: Prepare all product data for batch creation
       const productCreateData = comprehensiveData.products.map(productData => {
@@ -3066,6 +3104,7 @@ async function getComprehensiveDepartureOrders(organisationId = null, userRole =
       ...dateConditions,
       ...searchConditions
     };
+    applyWarehouseScope(finalWhereClause, filters.warehouse_ids);
 
     // ✅ OPTIMIZED: Get total count first for proper pagination
     const totalCount = await prisma.departureOrder.count({
@@ -3548,7 +3587,7 @@ function estimateDispatchDate(order) {
 }
 
 // ✅ NEW: Get comprehensive departure order by order number
-async function getComprehensiveDepartureOrderByNumber(orderNumber, userRole = null, userId = null, organisationId = null) {
+async function getComprehensiveDepartureOrderByNumber(orderNumber, userRole = null, userId = null, organisationId = null, warehouseIds = null) {
   try {
     const whereClause = {
       departure_order_no: orderNumber
@@ -3566,6 +3605,7 @@ async function getComprehensiveDepartureOrderByNumber(orderNumber, userRole = nu
         organisation_id: organisationId
       };
     }
+    applyWarehouseScope(whereClause, warehouseIds);
 
     const departureOrder = await prisma.departureOrder.findFirst({
       where: whereClause,
@@ -3712,6 +3752,12 @@ async function getComprehensiveDepartureOrderByNumber(orderNumber, userRole = nu
       return null;
     }
 
+    // ✅ NEW: Product master data as it was when the order was dispatched (or registered)
+    departureOrder.products = await attachProductVersions(
+      departureOrder.products,
+      departureOrder.dispatched_at || departureOrder.registration_date
+    );
+
     // Calculate comprehensive data
     const totalQuantity = departureOrder.products.reduce((sum, p) => sum + p.requested_quantity, 0);
     const totalWeight = departureOrder.products.reduce((sum, p) => sum + parseFloat(p.requested_weight || 0), 0);
@@ -5053,6 +5099,8 @@ async function updateDepartureOrder(departureOrderId, updateData, userId) {
     // 6. Handle product updates if provided
     let updatedProducts = updatedOrder.products;
     if (updateData.products && Array.isArray(updateData.products)) {
+      // ✅ NEW: Derive missing packages, pallets, weight and volume from the product packaging
+      updateData.products = await applyPackagingToLines(tx, updateData.products, QUANTITY_FIELDS.DEPARTURE);
       
       // Delete existing products for this departure order
       await tx.departureOrderProduct.deleteMany({
@@ -5191,7 +5239,7 @@ async function updateDepartureOrder(departureOrderId, updateData, userId) {
 }
 
 // ✅ NEW: Get approved departure orders for dispatch (similar to cell assignment flow)
-async function getApprovedDepartureOrdersForDispatch(warehouseId = null, userRole = null, userId = null, organisationId = null) {
+async function getApprovedDepartureOrdersForDispatch(warehouseId = null, userRole = null, userId = null, organisationId = null, warehouseIds = null) {
   const startTime = Date.now();
   console.log(`⏱️ DISPATCH API: Starting getApprovedDepartureOrdersForDispatch at ${new Date().toISOString()}`);
   
@@ -5215,6 +5263,7 @@ async function getApprovedDepartureOrdersForDispatch(warehouseId = null, userRol
     if (warehouseId) {
       whereClause.warehouse_id = String(warehouseId);
     }
+    applyWarehouseScope(whereClause, warehouseIds);
 
     // ✅ ROLE-BASED ACCESS CONTROL
     if (userRole === 'CLIENT' || userRole === 'CLIENT_PHARMACIST' || userRole === 'CLIENT_PHARMACIST') {
@@ -6417,7 +6466,7 @@ async function getRecalculatedFifoInventoryForDeparture(departureOrderId, produc
 }
 
 // ✅ NEW: Get warehouse summary for dispatch selection
-async function getWarehouseDispatchSummary(userRole = null, userId = null) {
+async function getWarehouseDispatchSummary(userRole = null, userId = null, warehouseIds = null) {
   try {
     const whereClause = {
       quality_status: "APROBADO", // Only approved inventory
@@ -6460,6 +6509,10 @@ async function getWarehouseDispatchSummary(userRole = null, userId = null) {
       }
     }
 
+    if (warehouseIds) {
+      whereClause.cell = { warehouse_id: { in: warehouseIds } };
+    }
+
     const allocations = await prisma.inventoryAllocation.findMany({
       where: whereClause,
       include: {
@@ -6552,6 +6605,7 @@ module.exports = {
   getAvailableCellsForProduct,
   validateSelectedCell,
   getDepartureOrderById,
+  getDepartureOrderWarehouseId,
   getDepartureInventorySummary,
   getCurrentDepartureOrderNo,
   getFifoLocationsForProduct,
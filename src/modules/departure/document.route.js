@@ -1,6 +1,7 @@
 const express = require("express");
 const multer = require("multer");
 const documentController = require("./document.controller");
+const { requirePermission } = require("../../middlewares/roleBasedAccess");
 
 const router = express.Router();
 
@@ -35,30 +36,30 @@ const upload = multer({
 });
 
 // Document type configuration endpoints
-router.get("/document-types/entry", documentController.getEntryDocumentTypes);
-router.get("/document-types/departure", documentController.getDepartureDocumentTypes);
+router.get("/document-types/entry", requirePermission("documents", "read"), documentController.getEntryDocumentTypes);
+router.get("/document-types/departure", requirePermission("documents", "read"), documentController.getDepartureDocumentTypes);
 
 // Entry Order document management
-router.post("/entry-orders/:entryOrderId/upload", upload.array('documents', 10), documentController.uploadEntryOrderDocuments);
-router.get("/entry-orders/:entryOrderId/documents", documentController.getEntryOrderDocuments);
-router.delete("/entry-orders/:entryOrderId/documents/:filePath", documentController.deleteEntryOrderDocument);
+router.post("/entry-orders/:entryOrderId/upload", requirePermission("documents", "upload"), upload.array('documents', 10), documentController.uploadEntryOrderDocuments);
+router.get("/entry-orders/:entryOrderId/documents", requirePermission("documents", "read"), documentController.getEntryOrderDocuments);
+router.delete("/entry-orders/:entryOrderId/documents/:filePath", requirePermission("documents", "delete"), documentController.deleteEntryOrderDocument);
 
 // Departure Order document management  
-router.post("/departure-orders/:departureOrderId/upload", upload.array('documents', 10), documentController.uploadDepartureOrderDocuments);
-router.get("/departure-orders/:departureOrderId/documents", documentController.getDepartureOrderDocuments);
-router.delete("/departure-orders/:departureOrderId/documents/:filePath", documentController.deleteDepartureOrderDocument);
+router.post("/departure-orders/:departureOrderId/upload", requirePermission("documents", "upload"), upload.array('documents', 10), documentController.uploadDepartureOrderDocuments);
+router.get("/departure-orders/:departureOrderId/documents", requirePermission("documents", "read"), documentController.getDepartureOrderDocuments);
+router.delete("/departure-orders/:departureOrderId/documents/:filePath", requirePermission("documents", "delete"), documentController.deleteDepartureOrderDocument);
 
 // Product document management
-router.post("/products/:productId/upload", upload.array('documents', 10), documentController.uploadProductDocuments);
-router.get("/products/:productId/documents", documentController.getProductDocuments);
-router.delete("/products/:productId/documents/:filePath", documentController.deleteProductDocument);
+router.post("/products/:productId/upload", requirePermission("documents", "upload"), upload.array('documents', 10), documentController.uploadProductDocuments);
+router.get("/products/:productId/documents", requirePermission("documents", "read"), documentController.getProductDocuments);
+router.delete("/products/:productId/documents/:filePath", requirePermission("documents", "delete"), documentController.deleteProductDocument);
 
 // Document access and sharing
-router.get("/download/:entityType/:entityId/:documentType/:fileName", documentController.downloadDocument);
-router.get("/signed-url/:entityType/:entityId/:documentType/:fileName", documentController.getSignedDownloadUrl);
+router.get("/download/:entityType/:entityId/:documentType/:fileName", requirePermission("documents", "read"), documentController.downloadDocument);
+router.get("/signed-url/:entityType/:entityId/:documentType/:fileName", requirePermission("documents", "read"), documentController.getSignedDownloadUrl);
 
 // Bulk document operations
-router.post("/bulk-upload", upload.array('documents', 50), documentController.bulkUploadDocuments);
-router.get("/bulk-download/:entityType/:entityId", documentController.bulkDownloadDocuments);
+router.post("/bulk-upload", requirePermission("documents", "upload"), upload.array('documents', 50), documentController.bulkUploadDocuments);
+router.get("/bulk-download/:entityType/:entityId", requirePermission("documents", "read"), documentController.bulkDownloadDocuments);
 
 module.exports = router; 
\ No newline at end of file
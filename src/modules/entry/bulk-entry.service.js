@@ -762,7 +762,8 @@ async function processOrdersInBatches(orderHeaders, orderProducts, userId, userR
       successful_orders.push({
         entry_order_no: currentOrderNo,
         entry_order_id: result.entryOrder.entry_order_id,
-        products_count: orderProducts.length
+        products_count: orderProducts.length,
+        supplier_compliance_warnings: result.supplier_compliance_warnings
       });
 
     } catch (error) {
@@ -1,9 +1,40 @@
 const entryService = require("./entry.service");
 const bulkEntryService = require("./bulk-entry.service");
 const emailService = require("../../utils/emailService");
+const clientNotificationService = require("../client/client-notification.service");
+const { getScopedWarehouseIds, isWarehouseAllowed } = require("../../middlewares/roleBasedAccess");
 const { PrismaClient } = require("@prisma/client");
 const prisma = new PrismaClient();
 
+// Review status -> status understood by the client notification email
+const REVIEW_EMAIL_STATUS = {
+  APPROVED: "APROBADO",
+  REJECTED: "RECHAZADO",
+  NEEDS_REVISION: "REVISION"
+};
+
+/**
+ * Rejects warehouse-scoped staff acting on an entry order of a warehouse they are not assigned to.
+ * @returns {Promise<boolean>} true when the response was already sent
+ */
+async function denyOutOfScopeEntry(req, res, orderNo) {
+  if (!req.warehouseRestriction?.isWarehouseRestricted) return false;
+
+  const warehouseId = await entryService.getEntryOrderWarehouseId(orderNo);
+
+  // Orders that don't exist are left to the handler's 404; orders without a warehouse are out of scope
+  if (warehouseId !== undefined && !isWarehouseAllowed(req.warehouseRestriction, warehouseId)) {
+    res.status(403).json({
+      success: false,
+      message: "Access denied. You are not assigned to the warehouse of this entry order.",
+      order_no: orderNo
+    });
+    return true;
+  }
+
+  return false;
+}
+
 // Create a new Entry Order with multiple products (updated for new schema)
 async function createEntryOrder(req, res) {
   const entryData = req.body;
@@ -134,15 +165,14 @@ async function createEntryOrder(req, res) {
     productCount: entryData.products?.length
   });
 
-  // ✅ UPDATED: Validate each product with new schema fields
+  // ✅ UPDATED: Validate each product with new schema fields.
+  // package_quantity and weight_kg may be left out when the product packaging derives them (service)
   for (let i = 0; i < entryData.products.length; i++) {
     const product = entryData.products[i];
     if (
       !product.product_id ||
       !product.product_code ||
-      !product.inventory_quantity ||
-      !product.package_quantity ||
-      !product.weight_kg
+      !product.inventory_quantity
     ) {
       // ✅ LOG: Product validation failure
       await req.logEvent(
@@ -157,24 +187,22 @@ async function createEntryOrder(req, res) {
           missing_fields: {
             product_id: !product.product_id,
             product_code: !product.product_code,
-            inventory_quantity: !product.inventory_quantity,
-            package_quantity: !product.package_quantity,
-            weight_kg: !product.weight_kg
+            inventory_quantity: !product.inventory_quantity
           }
         },
         { operation_type: 'VALIDATION', action_type: 'PRODUCT_VALIDATION' }
       );
       
       return res.status(400).json({
-        message: `Product ${i + 1}: Missing required fields (product_id, product_code, inventory_quantity, package_quantity, weight_kg)`,
+        message: `Product ${i + 1}: Missing required fields (product_id, product_code, inventory_quantity)`,
       });
     }
 
     // Validate quantities are positive numbers
     if (
       product.inventory_quantity <= 0 ||
-      product.package_quantity <= 0 ||
-      product.weight_kg <= 0
+      (product.package_quantity !== undefined && product.package_quantity <= 0) ||
+      (product.weight_kg !== undefined && product.weight_kg <= 0)
     ) {
       // ✅ LOG: Quantity validation failure
       await req.logEvent(
@@ -498,6 +526,15 @@ async function createEntryOrder(req, res) {
       products_count: entryData.products?.length,
       error_context: 'ENTRY_ORDER_CREATION_FAILED'
     });
+
+    // ✅ NEW: Rejected because a supplier has expired certificates or packaging quantities don't match
+    if (error.message.includes("expired certificates") ||
+        error.message.includes("Packaging quantities") ||
+        error.message.includes("Missing required fields")) {
+      return res.status(400).json({
+        message: error.message,
+      });
+    }
     
     return res.status(500).json({
       message: "Error creating entry order",
@@ -525,7 +562,8 @@ async function getAllEntryOrders(req, res) {
       search: req.query.search || searchOrderNo,
       startDate: req.query.startDate,
       endDate: req.query.endDate,
-      statuses: req.query.statuses ? req.query.statuses.split(',') : null
+      statuses: req.query.statuses ? req.query.statuses.split(',') : null,
+      warehouse_ids: getScopedWarehouseIds(req.warehouseRestriction)
     };
 
     // ✅ NEW: Add client-specific filtering for CLIENT users
@@ -638,7 +676,13 @@ async function getEntryOrderByNo(req, res) {
     const filterOrg = (userRole === "ADMIN" || userRole === "WAREHOUSE_INCHARGE") ? null : organisationId;
     // ✅ Pass client_id for CLIENT users instead of user_id
     const clientId = (userRole === "CLIENT" || userRole === "CLIENT_PHARMACIST") ? req.user?.client_id : null;
-    const entryOrder = await entryService.getEntryOrderByNo(orderNo, filterOrg, userRole, clientId);
+    const entryOrder = await entryService.getEntryOrderByNo(
+      orderNo,
+      filterOrg,
+      userRole,
+      clientId,
+      getScopedWarehouseIds(req.warehouseRestriction)
+    );
 
     if (!entryOrder) {
       return res.status(404).json({
@@ -680,7 +724,11 @@ async function getApprovedEntryOrders(req, res) {
     }
 
     const filterOrg = (userRole === "ADMIN" || userRole === "WAREHOUSE_INCHARGE" || userRole === "PHARMACIST") ? null : organisationId;
-    const approvedOrders = await entryService.getApprovedEntryOrders(filterOrg, searchNo);
+    const approvedOrders = await entryService.getApprovedEntryOrders(
+      filterOrg,
+      searchNo,
+      getScopedWarehouseIds(req.warehouseRestriction)
+    );
 
     return res.status(200).json({
       success: true,
@@ -705,6 +753,8 @@ async function reviewEntryOrder(req, res) {
     const reviewerId = req.user?.id;
     const userRole = req.user?.role;
 
+    if (await denyOutOfScopeEntry(req, res, orderNo)) return;
+
     if (!userRole || (userRole !== "ADMIN" && userRole !== "WAREHOUSE_INCHARGE")) {
       // ✅ LOG: Access denied for review
       await req.logEvent(
@@ -847,30 +897,30 @@ async function reviewEntryOrder(req, res) {
         select: { first_name: true, last_name: true, email: true }
       });
 
-      if (clientData && clientData.email) {
+      if (clientData) {
         const entryOrderData = {
           entry_order_no: result.entry_order_no,
           entry_order_id: result.entry_order_id,
           registration_date: result.registration_date
         };
 
-        console.log(`📧 Sending entry order notification email to ${clientData.email} for order ${result.entry_order_no} (${review_status})`);
-
-        const emailResult = await emailService.sendEntryOrderNotification(
-          entryOrderData,
-          clientData,
-          review_status,
-          review_comments,
-          reviewerData
+        // ✅ NEW: Delivered to the client's receiving contacts (or main email) in their language
+        const notification = await clientNotificationService.notifyClient(
+          result.client_id,
+          "ENTRY_ORDER_REVIEWED",
+          (recipient) => emailService.sendEntryOrderNotification(
+            entryOrderData,
+            clientData,
+            REVIEW_EMAIL_STATUS[review_status] || review_status,
+            review_comments,
+            reviewerData,
+            recipient
+          )
         );
 
-        if (emailResult.success) {
-          console.log(`✅ Email notification sent successfully to ${clientData.email}`);
-        } else {
-          console.log(`⚠️ Email notification failed: ${emailResult.error}`);
-        }
+        console.log(`📧 Entry order ${result.entry_order_no} (${review_status}) notification: ${notification.sent} sent, ${notification.failed} failed`);
       } else {
-        console.log(`⚠️ No client email found for client_id: ${result.client_id}`);
+        console.log(`⚠️ No client found for client_id: ${result.client_id}`);
       }
     } catch (emailError) {
       // Log email error but don't fail the request
@@ -939,7 +989,13 @@ async function getEntryOrdersByStatus(req, res) {
     }
 
     const filterOrg = (userRole === "ADMIN" || userRole === "WAREHOUSE_INCHARGE") ? null : organisationId;
-    const orders = await entryService.getEntryOrdersByStatus(status.toUpperCase(), filterOrg, userRole, req.user?.id);
+    const orders = await entryService.getEntryOrdersByStatus(
+      status.toUpperCase(),
+      filterOrg,
+      userRole,
+      req.user?.id,
+      getScopedWarehouseIds(req.warehouseRestriction)
+    );
 
     return res.status(200).json({
       success: true,
@@ -964,6 +1020,8 @@ async function updateEntryOrder(req, res) {
     const userId = req.user?.id;
     const userRole = req.user?.role;
 
+    if (await denyOutOfScopeEntry(req, res, orderNo)) return;
+
     if (!userId) {
       // ✅ LOG: Authentication failure
       await req.logEvent(
@@ -1083,8 +1141,7 @@ async function updateEntryOrder(req, res) {
         // Check required fields for new products (without entry_order_product_id)
         if (!product.entry_order_product_id) {
           if (!product.product_id || !product.product_code || 
-              !product.inventory_quantity || !product.package_quantity || 
-              !product.weight_kg) {
+              !product.inventory_quantity) {
             
             // ✅ LOG: Product validation failure during update
             await req.logEvent(
@@ -1100,9 +1157,7 @@ async function updateEntryOrder(req, res) {
                 missing_fields: {
                   product_id: !product.product_id,
                   product_code: !product.product_code,
-                  inventory_quantity: !product.inventory_quantity,
-                  package_quantity: !product.package_quantity,
-                  weight_kg: !product.weight_kg
+                  inventory_quantity: !product.inventory_quantity
                 },
                 user_id: userId
               },
@@ -1111,7 +1166,7 @@ async function updateEntryOrder(req, res) {
             
             return res.status(400).json({
               success: false,
-              message: `Product ${i + 1}: Missing required fields (product_id, product_code, inventory_quantity, package_quantity, weight_kg)`,
+              message: `Product ${i + 1}: Missing required fields (product_id, product_code, inventory_quantity)`,
             });
           }
         }
@@ -1268,7 +1323,10 @@ async function updateEntryOrder(req, res) {
     // Handle specific business rule errors
     if (error.message.includes("NEEDS_REVISION") || 
         error.message.includes("only update your own") ||
-        error.message.includes("not found")) {
+        error.message.includes("not found") ||
+        error.message.includes("expired certificates") ||
+        error.message.includes("Packaging quantities") ||
+        error.message.includes("Missing required fields")) {
       return res.status(400).json({
         success: false,
         message: error.message,
@@ -1,6 +1,7 @@
 const express = require("express");
 const multer = require("multer");
 const entryController = require("./entry.controller");
+const { requirePermission, checkWarehouseRestriction } = require("../../middlewares/roleBasedAccess");
 
 const router = express.Router();
 
@@ -40,28 +41,28 @@ const upload = multer({
 });
 
 // Entry form and creation routes
-router.get("/entry-formfields", entryController.getEntryFormFields);
-router.post("/create-entry-order", upload.array('documents', 10), entryController.createEntryOrder);
-router.get("/current-order-number", entryController.getCurrentEntryOrderNo);
+router.get("/entry-formfields", requirePermission("entry_orders", "read"), entryController.getEntryFormFields);
+router.post("/create-entry-order", requirePermission("entry_orders", "create"), upload.array('documents', 10), checkWarehouseRestriction, entryController.createEntryOrder);
+router.get("/current-order-number", requirePermission("entry_orders", "read"), entryController.getCurrentEntryOrderNo);
 
 // Entry order listing and details routes
-router.get("/entry-orders", entryController.getAllEntryOrders);
-router.get("/entry-order/:orderNo", entryController.getEntryOrderByNo);
+router.get("/entry-orders", requirePermission("entry_orders", "read"), checkWarehouseRestriction, entryController.getAllEntryOrders);
+router.get("/entry-order/:orderNo", requirePermission("entry_orders", "read"), checkWarehouseRestriction, entryController.getEntryOrderByNo);
 
 // ✅ UPDATED: Changed from "passed" to "approved" orders (removed audit flow)
-router.get("/entry-orders/approved", entryController.getApprovedEntryOrders);
+router.get("/entry-orders/approved", requirePermission("entry_orders", "read"), checkWarehouseRestriction, entryController.getApprovedEntryOrders);
 
 // ✅ NEW: Review routes for Admin workflow
-router.put("/entry-order/:orderNo/review", entryController.reviewEntryOrder);
+router.put("/entry-order/:orderNo/review", requirePermission("entry_orders", "review"), checkWarehouseRestriction, entryController.reviewEntryOrder);
 
 // ✅ NEW: Get orders by status for different user roles
-router.get("/entry-orders/status/:status", entryController.getEntryOrdersByStatus);
+router.get("/entry-orders/status/:status", requirePermission("entry_orders", "read"), checkWarehouseRestriction, entryController.getEntryOrdersByStatus);
 
 // ✅ NEW: Update entry order route (only for NEEDS_REVISION status)
-router.put("/entry-order/:orderNo/update", entryController.updateEntryOrder);
+router.put("/entry-order/:orderNo/update", requirePermission("entry_orders", "update"), checkWarehouseRestriction, entryController.updateEntryOrder);
 
 // ✅ NEW: Bulk operations routes
-router.post("/bulk-upload", upload.single('bulk_file'), entryController.processBulkEntryOrders);
-router.get("/bulk-template", entryController.generateBulkTemplate);
+router.post("/bulk-upload", requirePermission("entry_orders", "import"), upload.single('bulk_file'), entryController.processBulkEntryOrders);
+router.get("/bulk-template", requirePermission("entry_orders", "import"), entryController.generateBulkTemplate);
 
 module.exports = router;
\ No newline at end of file
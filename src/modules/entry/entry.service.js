@@ -6,6 +6,10 @@ const {
   PresentationType,
 } = require("@prisma/client");
 const { toUTC } = require("../../utils/index");
+const { applyWarehouseScope } = require("../../middlewares/roleBasedAccess");
+const { enforceSupplierCompliance } = require("../supplier/supplier-certificate.service");
+const { applyPackagingToLines, QUANTITY_FIELDS } = require("../product/product-packaging.service");
+const { attachProductVersions } = require("../product/product-version.service");
 const prisma = new PrismaClient();
 
 /**
@@ -62,6 +66,7 @@ async function createEntryOrder(entryData) {
 
     // 3. ✅ FIXED: Create products for this entry order with duplicate validation
     const entryOrderProducts = [];
+    let supplierComplianceWarnings = [];
     if (entryData.products && Array.isArray(entryData.products)) {
       // ✅ Check for duplicate product codes + lot series combinations (same product with same lot is not allowed)
       const productKeys = entryData.products.map(p => `${p.product_code}|${p.lot_series || ''}`);
@@ -111,6 +116,13 @@ async function createEntryOrder(entryData) {
         }
       }
 
+      // ✅ NEW: Suppliers with expired certificates are rejected or reported
+      supplierComplianceWarnings = await enforceSupplierCompliance(tx, entryData.products.map(p => p.supplier_id));
+
+      // ✅ NEW: Quantities must agree with the product packaging (also covers bulk uploads)
+      entryData.products = await applyPackagingToLines(tx, entryData.products, QUANTITY_FIELDS.ENTRY);
+      assertDerivedQuantities(entryData.products);
+
       // ✅ Create products after validation
       for (const productData of entryData.products) {
         try {
@@ -157,13 +169,43 @@ async function createEntryOrder(entryData) {
       }
     }
 
-    return { entryOrder: newEntryOrder, products: entryOrderProducts };
+    return {
+      entryOrder: newEntryOrder,
+      products: entryOrderProducts,
+      supplier_compliance_warnings: supplierComplianceWarnings
+    };
   }, {
     maxWait: 30000, // Maximum time to wait for a transaction to be available (30 seconds)
     timeout: 30000  // Maximum time a transaction can run (30 seconds)
   });
 }
 
+/**
+ * Boxes and weight are required once the product packaging has derived what it can.
+ */
+function assertDerivedQuantities(products, isRequired = () => true) {
+  products.forEach((product, index) => {
+    if (!isRequired(product)) return;
+    const missing = ["package_quantity", "weight_kg"].filter(field => !product[field]);
+    if (missing.length > 0) {
+      throw new Error(`Product ${index + 1}: Missing required fields (${missing.join(", ")}) and no product packaging to derive them from`);
+    }
+  });
+}
+
+/**
+ * Warehouse of an entry order, used to check warehouse-scoped staff before acting on it.
+ * @returns {Promise<string|null|undefined>} undefined when the order does not exist
+ */
+async function getEntryOrderWarehouseId(orderNo) {
+  const order = await prisma.entryOrder.findUnique({
+    where: { entry_order_no: orderNo },
+    select: { warehouse_id: true }
+  });
+
+  return order ? order.warehouse_id : undefined;
+}
+
 /**
  * Get all entry orders with new schema structure
  */
@@ -213,6 +255,8 @@ async function getAllEntryOrders(
   if (filters.statuses && Array.isArray(filters.statuses)) {
     whereConds.order_status = { in: filters.statuses };
   }
+  // ✅ Warehouse staff only see orders of their assigned warehouses
+  applyWarehouseScope(whereConds, filters.warehouse_ids);
 
   // Pagination calculations
   const skip = (page - 1) * limit;
@@ -783,11 +827,12 @@ async function getCurrentEntryOrderNo() {
 /**
  * Get single entry order by order number with full details
  */
-async function getEntryOrderByNo(orderNo, organisationId = null, userRole = null, clientId = null) {
+async function getEntryOrderByNo(orderNo, organisationId = null, userRole = null, clientId = null, warehouseIds = null) {
   const where = { entry_order_no: orderNo };
   if (organisationId) {
     where.order = { organisation_id: organisationId };
   }
+  applyWarehouseScope(where, warehouseIds);
 
   // ✅ CLIENT-specific filtering - all users under same client can see all client orders
   if ((userRole === "CLIENT" || userRole === "CLIENT_PHARMACIST") && clientId) {
@@ -1001,6 +1046,13 @@ async function getEntryOrderByNo(orderNo, organisationId = null, userRole = null
     };
   });
 
+  // ✅ NEW: Product master data as it was when the goods were received
+  const productsWithVersions = await attachProductVersions(
+    transformedProducts,
+    order.entry_date_time || order.registration_date,
+    (product) => product.product?.product_id
+  );
+
   // Calculate totals
   const totals = order.products.reduce(
     (acc, product) => ({
@@ -1040,7 +1092,7 @@ async function getEntryOrderByNo(orderNo, organisationId = null, userRole = null
         }`.trim()
       : null,
     organisation_name: order.order.organisation.name,
-    products: transformedProducts,
+    products: productsWithVersions,
 
     // Calculated totals
     calculated_totals: totals,
@@ -1056,7 +1108,7 @@ async function getEntryOrderByNo(orderNo, organisationId = null, userRole = null
 /**
  * Get approved entry orders that are ready for inventory allocation
  */
-async function getApprovedEntryOrders(organisationId = null, searchNo = null) {
+async function getApprovedEntryOrders(organisationId = null, searchNo = null, warehouseIds = null) {
   const where = {
     review_status: ReviewStatus.APPROVED,
     // Only orders that don't have full allocation yet
@@ -1071,6 +1123,7 @@ async function getApprovedEntryOrders(organisationId = null, searchNo = null) {
   if (searchNo) {
     where.entry_order_no = { contains: searchNo, mode: "insensitive" };
   }
+  applyWarehouseScope(where, warehouseIds);
 
   const orders = await prisma.entryOrder.findMany({
     where,
@@ -1169,12 +1222,13 @@ async function reviewEntryOrder(orderNo, reviewData) {
 /**
  * Get entry orders by review status
  */
-async function getEntryOrdersByStatus(reviewStatus, organisationId = null, userRole = null, userId = null) {
+async function getEntryOrdersByStatus(reviewStatus, organisationId = null, userRole = null, userId = null, warehouseIds = null) {
   const where = { review_status: reviewStatus };
 
   if (organisationId) {
     where.order = { organisation_id: organisationId };
   }
+  applyWarehouseScope(where, warehouseIds);
   
   // ✅ NEW: CLIENT-specific filtering - clients can only see their own entry orders
   if ((userRole === "CLIENT" || userRole === "CLIENT_PHARMACIST") && userId) {
@@ -1321,7 +1375,15 @@ async function updateEntryOrder(orderNo, updateData, userId) {
     });
 
     // 5. Handle product updates if provided
+    let supplierComplianceWarnings = [];
     if (updateData.products && Array.isArray(updateData.products)) {
+      // ✅ NEW: Suppliers with expired certificates are rejected or reported
+      supplierComplianceWarnings = await enforceSupplierCompliance(tx, updateData.products.map(p => p.supplier_id));
+
+      // ✅ NEW: Quantities must agree with the product packaging
+      updateData.products = await applyPackagingToLines(tx, updateData.products, QUANTITY_FIELDS.ENTRY);
+      assertDerivedQuantities(updateData.products, product => !product.entry_order_product_id);
+
       // ✅ FIXED: Check for duplicate product codes + lot series ONLY within the incoming update data
       const incomingProductKeys = updateData.products.map(p => `${p.product_code}|${p.lot_series || ''}`).filter(Boolean);
       const duplicatesInIncoming = incomingProductKeys.filter((key, index) => incomingProductKeys.indexOf(key) !== index);
@@ -1448,7 +1510,7 @@ async function updateEntryOrder(orderNo, updateData, userId) {
     }
 
     // 6. Return updated order with full details
-    return await tx.entryOrder.findUnique({
+    const updatedEntryOrder = await tx.entryOrder.findUnique({
       where: { entry_order_id: updatedOrder.entry_order_id },
       include: {
         products: {
@@ -1472,6 +1534,8 @@ async function updateEntryOrder(orderNo, updateData, userId) {
         order: { select: { status: true, priority: true } },
       },
     });
+
+    return { ...updatedEntryOrder, supplier_compliance_warnings: supplierComplianceWarnings };
   });
 }
 
@@ -1482,6 +1546,7 @@ module.exports = {
   getEntryFormFields,
   getCurrentEntryOrderNo,
   getEntryOrderByNo,
+  getEntryOrderWarehouseId,
   getApprovedEntryOrders,
   reviewEntryOrder,
   getEntryOrdersByStatus,
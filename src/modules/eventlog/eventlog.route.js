@@ -1,24 +1,27 @@
 const express = require("express");
 const router = express.Router();
 const eventLogController = require("./eventlog.controller");
+const { requirePermission } = require("../../middlewares/roleBasedAccess");
+
+const canReadLogs = requirePermission("audit_logs", "read");
 
 // System-wide event logs
-router.get("/", eventLogController.getSystemEventLogs);
-router.get("/statistics", eventLogController.getEventLogStatistics);
-router.get("/dashboard", eventLogController.getEventLogDashboard);
-router.get("/filters", eventLogController.getEventLogFilters);
-router.get("/export", eventLogController.exportEventLogs);
+router.get("/", canReadLogs, eventLogController.getSystemEventLogs);
+router.get("/statistics", canReadLogs, eventLogController.getEventLogStatistics);
+router.get("/dashboard", canReadLogs, eventLogController.getEventLogDashboard);
+router.get("/filters", canReadLogs, eventLogController.getEventLogFilters);
+router.get("/export", canReadLogs, eventLogController.exportEventLogs);
 
 // Advanced search
-router.post("/search", eventLogController.searchEventLogs);
+router.post("/search", canReadLogs, eventLogController.searchEventLogs);
 
 // Specific log details
-router.get("/:logId", eventLogController.getEventLogById);
+router.get("/:logId", canReadLogs, eventLogController.getEventLogById);
 
 // Entity-specific logs
-router.get("/entity/:entityType/:entityId", eventLogController.getEntityEventLogs);
+router.get("/entity/:entityType/:entityId", canReadLogs, eventLogController.getEntityEventLogs);
 
 // User-specific logs
-router.get("/user/:userId", eventLogController.getUserEventLogs);
+router.get("/user/:userId", canReadLogs, eventLogController.getUserEventLogs);
 
 module.exports = router; 
\ No newline at end of file
@@ -0,0 +1,326 @@
+const { PrismaClient } = require("@prisma/client");
+const { applyWarehouseScope } = require("../../middlewares/roleBasedAccess");
+
+const prisma = new PrismaClient();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_EXPIRY_DAYS = 30;
+const DEFAULT_MOVEMENT_LIMIT = 10;
+
+const CLOSED_ENTRY_STATUSES = ["TERMINADO"];
+const CLOSED_DEPARTURE_STATUSES = ["DISPATCHED", "COMPLETED", "REJECTED"];
+
+function toNumber(value) {
+  return value === null || value === undefined ? 0 : parseFloat(value);
+}
+
+function cellReference(cell) {
+  return cell ? `${cell.row}.${cell.bay}.${cell.position}` : null;
+}
+
+/**
+ * Stock of the client still in the warehouse (optionally limited to some warehouses).
+ */
+function buildStockWhere(clientId, warehouseIds) {
+  const where = {
+    current_quantity: { gt: 0 },
+    status: { notIn: ["DEPLETED", "DISPOSED"] },
+    allocation: { entry_order: { client_id: clientId } }
+  };
+  if (warehouseIds) where.warehouse_id = { in: warehouseIds };
+  return where;
+}
+
+async function getStockByQualityStatus(clientId, warehouseIds) {
+  const groups = await prisma.inventory.groupBy({
+    by: ["quality_status"],
+    where: buildStockWhere(clientId, warehouseIds),
+    _sum: { current_quantity: true, current_package_quantity: true, current_weight: true, current_volume: true },
+    _count: { inventory_id: true }
+  });
+
+  return groups.map(group => ({
+    quality_status: group.quality_status,
+    quantity: group._sum.current_quantity || 0,
+    packages: group._sum.current_package_quantity || 0,
+    weight: toNumber(group._sum.current_weight),
+    volume: toNumber(group._sum.current_volume),
+    positions: group._count.inventory_id
+  }));
+}
+
+/**
+ * Lots with stock expiring within the window; already expired lots are included first.
+ */
+async function getExpiringLots(clientId, warehouseIds, expiryDays) {
+  const now = new Date();
+  const limitDate = new Date(now.getTime() + expiryDays * DAY_MS);
+
+  const inventory = await prisma.inventory.findMany({
+    where: {
+      ...buildStockWhere(clientId, warehouseIds),
+      allocation: {
+        entry_order: { client_id: clientId },
+        entry_order_product: { expiration_date: { not: null, lte: limitDate } }
+      }
+    },
+    select: {
+      current_quantity: true,
+      current_package_quantity: true,
+      quality_status: true,
+      allocation: {
+        select: {
+          entry_order: { select: { entry_order_no: true } },
+          entry_order_product: {
+            select: {
+              entry_order_product_id: true,
+              lot_series: true,
+              expiration_date: true,
+              product: { select: { product_id: true, product_code: true, name: true } }
+            }
+          }
+        }
+      }
+    }
+  });
+
+  const lots = new Map();
+  inventory.forEach(item => {
+    const lot = item.allocation.entry_order_product;
+    const entry = lots.get(lot.entry_order_product_id) || {
+      entry_order_product_id: lot.entry_order_product_id,
+      entry_order_no: item.allocation.entry_order?.entry_order_no,
+      product_id: lot.product.product_id,
+      product_code: lot.product.product_code,
+      product_name: lot.product.name,
+      lot_series: lot.lot_series,
+      expiration_date: lot.expiration_date,
+      days_to_expiry: Math.floor((lot.expiration_date.getTime() - now.getTime()) / DAY_MS),
+      is_expired: lot.expiration_date < now,
+      quantity: 0,
+      packages: 0,
+      quality_statuses: []
+    };
+
+    entry.quantity += item.current_quantity;
+    entry.packages += item.current_package_quantity;
+    if (!entry.quality_statuses.includes(item.quality_status)) entry.quality_statuses.push(item.quality_status);
+    lots.set(lot.entry_order_product_id, entry);
+  });
+
+  return [...lots.values()].sort((a, b) => a.expiration_date - b.expiration_date);
+}
+
+async function getOpenEntryOrders(clientId, warehouseIds) {
+  const where = applyWarehouseScope({
+    client_id: clientId,
+    order_status: { notIn: CLOSED_ENTRY_STATUSES },
+    review_status: { not: "REJECTED" }
+  }, warehouseIds);
+
+  const [byStage, byReview, recent] = await Promise.all([
+    prisma.entryOrder.groupBy({ by: ["order_status"], where, _count: { entry_order_id: true } }),
+    prisma.entryOrder.groupBy({ by: ["review_status"], where, _count: { entry_order_id: true } }),
+    prisma.entryOrder.findMany({
+      where,
+      select: {
+        entry_order_id: true,
+        entry_order_no: true,
+        order_status: true,
+        review_status: true,
+        registration_date: true,
+        entry_date_time: true,
+        warehouse: { select: { name: true } }
+      },
+      orderBy: { registration_date: "desc" },
+      take: 5
+    })
+  ]);
+
+  return {
+    total_open: byStage.reduce((sum, group) => sum + group._count.entry_order_id, 0),
+    by_stage: byStage.map(group => ({ stage: group.order_status, count: group._count.entry_order_id })),
+    by_review_status: byReview.map(group => ({ review_status: group.review_status, count: group._count.entry_order_id })),
+    latest: recent
+  };
+}
+
+async function getOpenDepartureOrders(clientId, warehouseIds) {
+  const where = applyWarehouseScope({
+    client_id: clientId,
+    order_status: { notIn: CLOSED_DEPARTURE_STATUSES }
+  }, warehouseIds);
+
+  const [byStage, recent] = await Promise.all([
+    prisma.departureOrder.groupBy({ by: ["order_status"], where, _count: { departure_order_id: true } }),
+    prisma.departureOrder.findMany({
+      where,
+      select: {
+        departure_order_id: true,
+        departure_order_no: true,
+        order_status: true,
+        review_status: true,
+        dispatch_status: true,
+        departure_date_time: true,
+        warehouse: { select: { name: true } }
+      },
+      orderBy: { registration_date: "desc" },
+      take: 5
+    })
+  ]);
+
+  return {
+    total_open: byStage.reduce((sum, group) => sum + group._count.departure_order_id, 0),
+    by_stage: byStage.map(group => ({ stage: group.order_status, count: group._count.departure_order_id })),
+    latest: recent
+  };
+}
+
+async function getRecentMovements(clientId, warehouseIds, limit) {
+  const where = {
+    OR: [
+      { entry_order: { client_id: clientId } },
+      { departure_order: { client_id: clientId } },
+      { allocation: { entry_order: { client_id: clientId } } }
+    ]
+  };
+  if (warehouseIds) where.warehouse_id = { in: warehouseIds };
+
+  const logs = await prisma.inventoryLog.findMany({
+    where,
+    select: {
+      log_id: true,
+      timestamp: true,
+      movement_type: true,
+      quantity_change: true,
+      package_change: true,
+      quality_status: true,
+      product: { select: { product_code: true, name: true } },
+      entry_order: { select: { entry_order_no: true } },
+      departure_order: { select: { departure_order_no: true } },
+      cell: { select: { row: true, bay: true, position: true } },
+      warehouse: { select: { name: true } }
+    },
+    orderBy: { timestamp: "desc" },
+    take: limit
+  });
+
+  return logs.map(log => ({
+    log_id: log.log_id,
+    timestamp: log.timestamp,
+    movement_type: log.movement_type,
+    quantity_change: log.quantity_change,
+    package_change: log.package_change,
+    quality_status: log.quality_status,
+    product_code: log.product?.product_code,
+    product_name: log.product?.name,
+    entry_order_no: log.entry_order?.entry_order_no || null,
+    departure_order_no: log.departure_order?.departure_order_no || null,
+    cell: cellReference(log.cell),
+    warehouse: log.warehouse?.name || null
+  }));
+}
+
+async function getOccupiedCells(clientId, warehouseIds) {
+  const stockByCell = await prisma.inventory.groupBy({
+    by: ["cell_id"],
+    where: buildStockWhere(clientId, warehouseIds),
+    _sum: { current_quantity: true, current_package_quantity: true, current_weight: true }
+  });
+
+  const assignmentWhere = { client_id: clientId, is_active: true };
+  if (warehouseIds) assignmentWhere.warehouse_id = { in: warehouseIds };
+
+  const [cells, assignedCells] = await Promise.all([
+    prisma.warehouseCell.findMany({
+      where: { id: { in: stockByCell.map(group => group.cell_id) } },
+      select: {
+        id: true,
+        row: true,
+        bay: true,
+        position: true,
+        cell_role: true,
+        warehouse: { select: { warehouse_id: true, name: true } }
+      }
+    }),
+    prisma.clientCellAssignment.count({ where: assignmentWhere })
+  ]);
+
+  const cellsById = new Map(cells.map(cell => [cell.id, cell]));
+  const occupied = stockByCell
+    .filter(group => cellsById.has(group.cell_id))
+    .map(group => {
+      const cell = cellsById.get(group.cell_id);
+      return {
+        cell_id: cell.id,
+        cell: cellReference(cell),
+        cell_role: cell.cell_role,
+        warehouse_id: cell.warehouse.warehouse_id,
+        warehouse: cell.warehouse.name,
+        quantity: group._sum.current_quantity || 0,
+        packages: group._sum.current_package_quantity || 0,
+        weight: toNumber(group._sum.current_weight)
+      };
+    })
+    .sort((a, b) => a.warehouse.localeCompare(b.warehouse) || a.cell.localeCompare(b.cell));
+
+  return {
+    assigned_cells: assignedCells,
+    occupied_count: occupied.length,
+    cells: occupied
+  };
+}
+
+/**
+ * Home screen data of a client, computed in one call.
+ * @param {string} clientId
+ * @param {object} options - { expiryDays, movementLimit, warehouseIds }
+ */
+async function getClientDashboard(clientId, options = {}) {
+  const client = await prisma.client.findUnique({
+    where: { client_id: clientId },
+    select: { client_id: true, client_code: true, company_name: true, first_names: true, last_name: true }
+  });
+  if (!client) throw new Error("Client not found");
+
+  const expiryDays = options.expiryDays || DEFAULT_EXPIRY_DAYS;
+  const movementLimit = options.movementLimit || DEFAULT_MOVEMENT_LIMIT;
+  const warehouseIds = options.warehouseIds || null;
+
+  const [stockByQuality, expiringLots, entryOrders, departureOrders, recentMovements, occupiedCells] = await Promise.all([
+    getStockByQualityStatus(clientId, warehouseIds),
+    getExpiringLots(clientId, warehouseIds, expiryDays),
+    getOpenEntryOrders(clientId, warehouseIds),
+    getOpenDepartureOrders(clientId, warehouseIds),
+    getRecentMovements(clientId, warehouseIds, movementLimit),
+    getOccupiedCells(clientId, warehouseIds)
+  ]);
+
+  return {
+    client: {
+      client_id: client.client_id,
+      client_code: client.client_code,
+      client_name: client.company_name || `${client.first_names || ""} ${client.last_name || ""}`.trim()
+    },
+    stock_by_quality_status: stockByQuality,
+    stock_totals: {
+      quantity: stockByQuality.reduce((sum, group) => sum + group.quantity, 0),
+      packages: stockByQuality.reduce((sum, group) => sum + group.packages, 0),
+      weight: Math.round(stockByQuality.reduce((sum, group) => sum + group.weight, 0) * 100) / 100
+    },
+    expiring_lots: {
+      window_days: expiryDays,
+      expired_count: expiringLots.filter(lot => lot.is_expired).length,
+      lots: expiringLots
+    },
+    open_entry_orders: entryOrders,
+    open_departure_orders: departureOrders,
+    recent_movements: recentMovements,
+    occupied_cells: occupiedCells,
+    generated_at: new Date()
+  };
+}
+
+module.exports = {
+  getClientDashboard
+};
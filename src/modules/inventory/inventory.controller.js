@@ -1,5 +1,8 @@
 const inventoryService = require("./inventory.service");
+const clientDashboardService = require("./client-dashboard.service");
+const clientNotificationService = require("../client/client-notification.service");
 const { CellStatus } = require("@prisma/client");
+const { scopeWarehouseFilter, getScopedWarehouseIds, isWarehouseAllowed } = require("@/middlewares/roleBasedAccess");
 
 /** Get approved entry orders ready for inventory assignment */
 async function getApprovedEntryOrdersForInventory(req, res) {
@@ -293,6 +296,7 @@ async function assignProductToCell(req, res) {
         cell_reference: result.cellReference,
         product: result.product,
         quality_status: "CUARENTENA",
+        capacity_warnings: result.capacity_warnings,
         next_step: "Quality control review required before inventory becomes available",
       },
     });
@@ -316,6 +320,21 @@ async function assignProductToCell(req, res) {
       },
       error_context: 'INVENTORY_ALLOCATION_FAILED'
     });
+
+    if (err.message.includes("contracted capacity exceeded")) {
+      return res.status(409).json({
+        success: false,
+        message: err.message,
+      });
+    }
+
+    // ✅ NEW: Allocated quantities disagree with the product packaging
+    if (err.message.includes("Packaging quantities")) {
+      return res.status(400).json({
+        success: false,
+        message: err.message,
+      });
+    }
     
     return res.status(500).json({
       success: false,
@@ -406,7 +425,10 @@ async function getAvailableCellsForWarehouse(req, res) {
 /** ✅ DEPRECATED: Get inventory summary - use getInventoryMovementLogs instead */
 async function getInventorySummary(req, res) {
   try {
-    const summary = await inventoryService.getInventorySummary(req.query);
+    const summary = await inventoryService.getInventorySummary({
+      ...req.query,
+      warehouse_id: scopeWarehouseFilter(req.warehouseRestriction, req.query.warehouse_id)
+    });
 
     return res.json({
       success: true,
@@ -440,7 +462,10 @@ async function getInventoryMovementLogs(req, res) {
     }
 
     // ✅ NEW: Pass client restriction from middleware
-    const result = await inventoryService.getInventoryMovementLogs(req.query, req.clientRestriction);
+    const result = await inventoryService.getInventoryMovementLogs(
+      { ...req.query, warehouse_id: scopeWarehouseFilter(req.warehouseRestriction, req.query.warehouse_id) },
+      req.clientRestriction
+    );
 
     // ✅ NEW: Add client filtering info to response
     if (req.clientRestriction?.isClientRestricted) {
@@ -465,7 +490,7 @@ async function getInventoryMovementLogs(req, res) {
 /** Fetch all warehouses */
 async function fetchWarehouses(req, res) {
   try {
-    const warehouses = await inventoryService.getAllWarehouses();
+    const warehouses = await inventoryService.getAllWarehouses(getScopedWarehouseIds(req.warehouseRestriction));
     return res.json({ 
       success: true, 
       data: warehouses 
@@ -517,7 +542,7 @@ async function getQuarantineInventory(req, res) {
 
     // ✅ NEW: Pass client restriction from middleware
     const quarantineItems = await inventoryService.getQuarantineInventory(
-      warehouse_id,
+      scopeWarehouseFilter(req.warehouseRestriction, warehouse_id),
       req.clientRestriction
     );
 
@@ -575,7 +600,7 @@ async function getInventoryByQualityStatus(req, res) {
     // ✅ NEW: Pass client restriction from middleware
     const inventoryItems = await inventoryService.getInventoryByQualityStatus(
       quality_status,
-      warehouse_id,
+      scopeWarehouseFilter(req.warehouseRestriction, warehouse_id),
       entryOrderIdsArray,
       req.clientRestriction
     );
@@ -711,6 +736,17 @@ async function transitionQualityStatus(req, res) {
       });
     }
 
+    // ✅ Warehouse-scoped staff can only move stock held in their warehouses
+    if (req.warehouseRestriction?.isWarehouseRestricted) {
+      const warehouseIds = await inventoryService.getTransitionWarehouseIds(allocation_id, new_cell_id);
+      if (warehouseIds.some(warehouseId => !isWarehouseAllowed(req.warehouseRestriction, warehouseId))) {
+        return res.status(403).json({
+          success: false,
+          message: "Access denied. You are not assigned to this warehouse.",
+        });
+      }
+    }
+
     // Validate transition status
     const validStatuses = ["APROBADO", "DEVOLUCIONES", "CONTRAMUESTRAS", "RECHAZADOS"];
     if (!validStatuses.includes(to_status)) {
@@ -880,6 +916,9 @@ async function transitionQualityStatus(req, res) {
       }
     );
 
+    // ✅ NEW: Email the client's quality contacts
+    await clientNotificationService.notifyQualityTransition(result.transition.transition_id);
+
     return res.status(200).json({
       success: true,
       data: {
@@ -923,7 +962,10 @@ async function getAvailableInventoryForDeparture(req, res) {
       });
     }
 
-    const availableInventory = await inventoryService.getAvailableInventoryForDeparture(req.query);
+    const availableInventory = await inventoryService.getAvailableInventoryForDeparture({
+      ...req.query,
+      warehouse_id: scopeWarehouseFilter(req.warehouseRestriction, req.query.warehouse_id)
+    });
     
     return res.json({
       success: true,
@@ -960,7 +1002,10 @@ async function getInventoryAuditTrail(req, res) {
     }
 
     // ✅ ENHANCED: Get inventory logs with comprehensive filtering
-    const result = await inventoryService.getInventoryAuditTrail(req.query);
+    const result = await inventoryService.getInventoryAuditTrail({
+      ...req.query,
+      warehouse_id: scopeWarehouseFilter(req.warehouseRestriction, req.query.warehouse_id)
+    });
     
     return res.json({
       success: true,
@@ -1042,6 +1087,7 @@ async function getCellsByQualityStatus(req, res) {
     const { quality_status, warehouse_id, entry_order_id } = req.query;
     const userRole = req.user?.role;
     const userId = req.user?.id;
+    const warehouseFilter = scopeWarehouseFilter(req.warehouseRestriction, warehouse_id);
     
     if (!quality_status) {
       return res.status(400).json({
@@ -1070,7 +1116,7 @@ async function getCellsByQualityStatus(req, res) {
 
     if (userRole === "ADMIN") {
       // ✅ ADMIN: Can access all cells regardless of entry order
-      cells = await inventoryService.getCellsByQualityStatus(quality_status, warehouse_id);
+      cells = await inventoryService.getCellsByQualityStatus(quality_status, warehouseFilter);
       accessInfo.reason = "Admin access - all cells available";
     } else if (userRole === "WAREHOUSE_INCHARGE" || userRole === "PHARMACIST") {
       // ✅ WAREHOUSE_INCHARGE/PHARMACIST: Need entry_order_id to determine filtering
@@ -1087,19 +1133,19 @@ async function getCellsByQualityStatus(req, res) {
       
       if (entryOrderInfo.creator_role === "CLIENT" || role === "CLIENT_PHARMACIST") {
         // ✅ CLIENT entry order: Show only client-assigned cells
-        cells = await inventoryService.getCellsByQualityStatusForClient(quality_status, warehouse_id, entryOrderInfo.creator_id);
+        cells = await inventoryService.getCellsByQualityStatusForClient(quality_status, warehouseFilter, entryOrderInfo.creator_id);
         accessInfo.filtering_applied = true;
         accessInfo.reason = `Entry order created by CLIENT - showing only client-assigned cells`;
         accessInfo.entry_order_creator_role = "CLIENT";
       } else {
         // ✅ WAREHOUSE_INCHARGE/PHARMACIST entry order: Show all cells
-        cells = await inventoryService.getCellsByQualityStatus(quality_status, warehouse_id);
+        cells = await inventoryService.getCellsByQualityStatus(quality_status, warehouseFilter);
         accessInfo.reason = `Entry order created by ${entryOrderInfo.creator_role} - showing all cells`;
         accessInfo.entry_order_creator_role = entryOrderInfo.creator_role;
       }
     } else if (userRole === "CLIENT") {
       // ✅ CLIENT: Can only see their assigned cells
-      cells = await inventoryService.getCellsByQualityStatusForClient(quality_status, warehouse_id, userId);
+      cells = await inventoryService.getCellsByQualityStatusForClient(quality_status, warehouseFilter, userId);
       accessInfo.filtering_applied = true;
       accessInfo.reason = "Client access - showing only assigned cells";
     } else {
@@ -1323,7 +1369,8 @@ async function bulkAssignEntryOrder(req, res) {
     });
 
     // ✅ Enhanced error handling for validation failures
-    if (error.message.includes('validation') || error.message.includes('exceed') || error.message.includes('not found')) {
+    if (error.message.includes('validation') || error.message.includes('exceed') || error.message.includes('not found') ||
+        error.message.includes('Packaging quantities')) {
       res.status(400).json({
         success: false,
         message: error.message,
@@ -1339,6 +1386,53 @@ async function bulkAssignEntryOrder(req, res) {
   }
 }
 
+/**
+ * ✅ NEW: Client home screen - stock by quality status, expiring lots, open orders,
+ * recent movements and occupied cells in one call.
+ * Client users always get their own client; staff pick one with ?client_id.
+ */
+async function getClientDashboard(req, res) {
+  try {
+    const userRole = req.user?.role;
+    let clientId;
+
+    if (req.clientRestriction?.isClientRestricted) {
+      clientId = req.clientRestriction.client_id;
+    } else if (userRole === "CLIENT" || userRole === "CLIENT_PHARMACIST") {
+      clientId = req.user?.client_id;
+    } else {
+      clientId = req.query.client_id;
+    }
+
+    if (!clientId) {
+      return res.status(400).json({
+        success: false,
+        message: userRole === "CLIENT" || userRole === "CLIENT_PHARMACIST"
+          ? "Client identification required. Please log in again."
+          : "client_id is required"
+      });
+    }
+
+    const dashboard = await clientDashboardService.getClientDashboard(clientId, {
+      expiryDays: parseInt(req.query.expiry_days) || undefined,
+      movementLimit: Math.min(parseInt(req.query.movement_limit) || 10, 50),
+      warehouseIds: getScopedWarehouseIds(req.warehouseRestriction)
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: "Client dashboard fetched successfully",
+      data: dashboard
+    });
+  } catch (err) {
+    console.error("Error fetching client dashboard:", err);
+    return res.status(err.message.includes("not found") ? 404 : 500).json({
+      success: false,
+      message: err.message
+    });
+  }
+}
+
 module.exports = {
   getApprovedEntryOrdersForInventory,
   getEntryOrderProductsForInventory,
@@ -1357,4 +1451,5 @@ module.exports = {
   getCellsByQualityStatus,
   getEntryOrderAllocationHelper,
   bulkAssignEntryOrder,
+  getClientDashboard,
 };
\ No newline at end of file
@@ -1,59 +1,63 @@
 const express = require("express");
 const router = express.Router();
 const controller = require("./inventory.controller");
-const { checkClientRestriction } = require("@/middlewares/roleBasedAccess");
+const { checkClientRestriction, checkWarehouseRestriction, requirePermission } = require("@/middlewares/roleBasedAccess");
 
 // Get approved entry orders ready for inventory assignment
-router.get("/approved-entry-orders", controller.getApprovedEntryOrdersForInventory);
+router.get("/approved-entry-orders", requirePermission("inventory", "assign"), controller.getApprovedEntryOrdersForInventory);
 
 // Get specific entry order products for inventory assignment
-router.get("/entry-order/:entryOrderId/products", controller.getEntryOrderProductsForInventory);
+router.get("/entry-order/:entryOrderId/products", requirePermission("inventory", "assign"), controller.getEntryOrderProductsForInventory);
 
 // Assign a specific product to a warehouse cell
-router.post("/assign-product", controller.assignProductToCell);
+router.post("/assign-product", requirePermission("inventory", "assign"), checkWarehouseRestriction, controller.assignProductToCell);
+
+// ✅ NEW: Client self-service dashboard (client users see their own client, staff pass client_id)
+// Query params: client_id, expiry_days, movement_limit
+router.get("/client-dashboard", requirePermission("inventory", "read"), checkWarehouseRestriction, checkClientRestriction, controller.getClientDashboard);
 
 // ✅ DEPRECATED: Get inventory summary - use /movement-logs instead
 // Query params: warehouse_id, product_id, product_name, product_code, client_name, status, include_logs, include_dispatch_history
-router.get("/summary", checkClientRestriction, controller.getInventorySummary);
+router.get("/summary", requirePermission("inventory", "read"), checkWarehouseRestriction, checkClientRestriction, controller.getInventorySummary);
 
 // ✅ NEW: Get paginated inventory movement logs optimized for table UI
 // Query params: warehouse_id, product_id, product_name, product_code, client_name, movement_type, date_from, date_to, page, page_size
-router.get("/movement-logs", checkClientRestriction, controller.getInventoryMovementLogs);
+router.get("/movement-logs", requirePermission("inventory", "read"), checkWarehouseRestriction, checkClientRestriction, controller.getInventoryMovementLogs);
 
 // Get available cells for a specific warehouse
-router.get("/warehouses/:warehouse_id/available-cells", controller.getAvailableCellsForWarehouse);
+router.get("/warehouses/:warehouse_id/available-cells", requirePermission("cells", "read"), checkWarehouseRestriction, controller.getAvailableCellsForWarehouse);
 
 // Fetch all warehouses and cells
-router.get("/warehouses", controller.fetchWarehouses);
-router.get("/warehouses/:warehouse_id/cells", controller.fetchCells);
+router.get("/warehouses", requirePermission("warehouses", "read"), checkWarehouseRestriction, controller.fetchWarehouses);
+router.get("/warehouses/:warehouse_id/cells", requirePermission("cells", "read"), checkWarehouseRestriction, controller.fetchCells);
 
 // ✅ NEW: Quality control routes
 // Get inventory in quarantine for quality control
-router.get("/quarantine", checkClientRestriction, controller.getQuarantineInventory);
+router.get("/quarantine", requirePermission("quality_control", "read"), checkWarehouseRestriction, checkClientRestriction, controller.getQuarantineInventory);
 
 // ✅ NEW: Get inventory by any quality status (dynamic)
-router.get("/by-quality-status", checkClientRestriction, controller.getInventoryByQualityStatus);
+router.get("/by-quality-status", requirePermission("quality_control", "read"), checkWarehouseRestriction, checkClientRestriction, controller.getInventoryByQualityStatus);
 
 // Transition inventory from quarantine to other quality states
-router.post("/quality-transition", checkClientRestriction, controller.transitionQualityStatus);
+router.post("/quality-transition", requirePermission("quality_control", "transition"), checkWarehouseRestriction, checkClientRestriction, controller.transitionQualityStatus);
 
 // Get available inventory for departure orders (only approved items)
-router.get("/available-for-departure", controller.getAvailableInventoryForDeparture);
+router.get("/available-for-departure", requirePermission("inventory", "read"), checkWarehouseRestriction, controller.getAvailableInventoryForDeparture);
 
 // Get audit trail for inventory operations
-router.get("/audit-trail", controller.getInventoryAuditTrail);
+router.get("/audit-trail", requirePermission("inventory", "read"), checkWarehouseRestriction, controller.getInventoryAuditTrail);
 
 // ✅ NEW: Validate inventory synchronization across the system
-router.get("/validate-synchronization", controller.validateInventorySynchronization);
+router.get("/validate-synchronization", requirePermission("inventory", "read"), controller.validateInventorySynchronization);
 
 // ✅ NEW: Get cells filtered by quality status for transitions
-router.get("/cells-by-quality-status", controller.getCellsByQualityStatus);
+router.get("/cells-by-quality-status", requirePermission("quality_control", "read"), checkWarehouseRestriction, controller.getCellsByQualityStatus);
 
 // ✅ NEW: Simplified allocation flow routes
 // Get comprehensive allocation helper information for an entry order
-router.get("/entry-order/:entryOrderId/allocation-helper", controller.getEntryOrderAllocationHelper);
+router.get("/entry-order/:entryOrderId/allocation-helper", requirePermission("inventory", "assign"), controller.getEntryOrderAllocationHelper);
 
 // Bulk assign all products in an entry order in one operation
-router.post("/bulk-assign-entry-order", controller.bulkAssignEntryOrder);
+router.post("/bulk-assign-entry-order", requirePermission("inventory", "assign"), checkWarehouseRestriction, controller.bulkAssignEntryOrder);
 
 module.exports = router;
\ No newline at end of file
@@ -1,6 +1,100 @@
 const { PrismaClient } = require("@prisma/client");
+const { applyPackagingToLines, QUANTITY_FIELDS } = require("../product/product-packaging.service");
 const prisma = new PrismaClient();
 
+// Putaway over a client's contracted cell capacity is rejected (REJECT, default) or allowed with a warning (WARN)
+const CLIENT_CAPACITY_ENFORCEMENT = process.env.CLIENT_CAPACITY_ENFORCEMENT === "WARN" ? "WARN" : "REJECT";
+
+/**
+ * Orders cells by the priority of their client assignment (1 first), cells without one last.
+ * Cells with the same priority keep their row/bay/position order.
+ */
+function sortByAssignmentPriority(cells) {
+  const priorityOf = (cell) => cell.clientCellAssignments?.[0]?.priority ?? Number.MAX_SAFE_INTEGER;
+  return [...cells].sort((a, b) => priorityOf(a) - priorityOf(b));
+}
+
+/**
+ * Cells whose client assignment max_capacity would be exceeded by the requested volume.
+ * Capacity is in m³, the unit cells track in currentUsage; assignments without a limit are skipped.
+ * @param {Object} tx - Prisma client or transaction
+ * @param {string} clientId - Client owning the stock
+ * @param {Map<string, number>} requestedVolumeByCell - cell_id -> volume being put away
+ */
+async function findClientCapacityExceedances(tx, clientId, requestedVolumeByCell) {
+  if (!clientId || requestedVolumeByCell.size === 0) {
+    return [];
+  }
+
+  const assignments = await tx.clientCellAssignment.findMany({
+    where: {
+      client_id: clientId,
+      cell_id: { in: [...requestedVolumeByCell.keys()] },
+      is_active: true,
+      max_capacity: { not: null }
+    },
+    select: {
+      cell_id: true,
+      max_capacity: true,
+      cell: { select: { row: true, bay: true, position: true } }
+    }
+  });
+
+  if (assignments.length === 0) {
+    return [];
+  }
+
+  const usage = await tx.inventory.groupBy({
+    by: ["cell_id"],
+    where: {
+      cell_id: { in: assignments.map(a => a.cell_id) },
+      current_quantity: { gt: 0 },
+      allocation: { entry_order: { client_id: clientId } }
+    },
+    _sum: { current_volume: true }
+  });
+  const usedByCell = new Map(usage.map(u => [u.cell_id, parseFloat(u._sum.current_volume || 0)]));
+
+  return assignments
+    .map(assignment => {
+      const used = usedByCell.get(assignment.cell_id) || 0;
+      const requested = requestedVolumeByCell.get(assignment.cell_id) || 0;
+      return {
+        cell_id: assignment.cell_id,
+        cell_reference: `${assignment.cell.row}.${String(assignment.cell.bay).padStart(2, "0")}.${String(assignment.cell.position).padStart(2, "0")}`,
+        max_capacity: parseFloat(assignment.max_capacity),
+        used_volume: used,
+        requested_volume: requested,
+        resulting_volume: Math.round((used + requested) * 1000) / 1000
+      };
+    })
+    .filter(check => check.resulting_volume > check.max_capacity);
+}
+
+/**
+ * Applies CLIENT_CAPACITY_ENFORCEMENT: throws when rejecting, otherwise returns warnings.
+ */
+async function enforceClientCellCapacity(tx, clientId, requestedVolumeByCell) {
+  const exceedances = await findClientCapacityExceedances(tx, clientId, requestedVolumeByCell);
+  if (exceedances.length === 0) {
+    return [];
+  }
+
+  const details = exceedances
+    .map(e => `cell ${e.cell_reference}: ${e.resulting_volume} m³ of ${e.max_capacity} m³ contracted`)
+    .join("; ");
+
+  if (CLIENT_CAPACITY_ENFORCEMENT === "REJECT") {
+    throw new Error(`Client contracted capacity exceeded - ${details}`);
+  }
+
+  console.warn(`⚠️ Client ${clientId} contracted capacity exceeded - ${details}`);
+  return exceedances.map(e => ({
+    ...e,
+    message: `Client contracted capacity exceeded in cell ${e.cell_reference} (${e.resulting_volume} of ${e.max_capacity} m³)`
+  }));
+}
+
 /**
  * Get approved entry orders ready for inventory assignment
  */
@@ -290,7 +384,7 @@ async function getEntryOrderProductsForInventory(entryOrderId) {
  * Assign a specific entry order product to a warehouse cell
  */
 async function assignProductToCell(assignmentData) {
-  const {
+  let {
     entry_order_product_id,
     cell_id,
     assigned_by,
@@ -325,6 +419,7 @@ async function assignProductToCell(assignmentData) {
             entry_order_no: true,
             review_status: true,
             warehouse_id: true,
+            client_id: true,
             created_by: true,
           },
         },
@@ -339,6 +434,22 @@ async function assignProductToCell(assignmentData) {
       throw new Error("Entry order must be approved before inventory allocation");
     }
 
+    // 1.1 ✅ NEW: Derive and cross-check the allocated quantities against the product packaging
+    const [allocationQuantities] = await applyPackagingToLines(
+      tx,
+      [{
+        product_id: entryOrderProduct.product.product_id,
+        product_code: entryOrderProduct.product.product_code,
+        inventory_quantity,
+        package_quantity,
+        quantity_pallets,
+        weight_kg,
+        volume_m3,
+      }],
+      QUANTITY_FIELDS.ENTRY
+    );
+    ({ inventory_quantity, package_quantity, quantity_pallets, weight_kg, volume_m3 } = allocationQuantities);
+
     // ✅ UPDATED: Remove warehouse constraint - allow multi-warehouse allocation
     // Entry orders can now have inventory allocated across multiple warehouses
     // The warehouse assignment happens at the allocation/inventory level, not at the entry order level
@@ -413,6 +524,13 @@ async function assignProductToCell(assignmentData) {
 
 
 
+    // 2.5. ✅ NEW: Respect the client's contracted capacity for this cell
+    const capacityWarnings = await enforceClientCellCapacity(
+      tx,
+      entryOrderProduct.entry_order.client_id,
+      new Map([[cell_id, parseFloat(volume_m3) || 0]])
+    );
+
     // 3. ✅ REMOVED: Capacity validation - cells can now hold unlimited amounts
     // const requestedUsage = parseFloat(volume_m3 || 0);
     // const maxCellUsage = parseFloat(cell.capacity || 100);
@@ -515,7 +633,7 @@ async function assignProductToCell(assignmentData) {
     });
 
     // 7. ✅ FIXED: Update cell status with proper synchronization
-    const newCellUsage = currentCellUsage + requestedUsage;
+    const newCellUsage = (parseFloat(cell.currentUsage) || 0) + (parseFloat(volume_m3) || 0);
     const newPackagingQty = (parseInt(cell.current_packaging_qty) || 0) + parseInt(package_quantity);
     const newWeight = (parseFloat(cell.current_weight) || 0) + parseFloat(weight_kg);
 
@@ -576,6 +694,7 @@ async function assignProductToCell(assignmentData) {
       inventory,
       cellReference: cellRef,
       product: entryOrderProduct.product,
+      capacity_warnings: capacityWarnings,
     };
   });
 }
@@ -586,6 +705,8 @@ async function assignProductToCell(assignmentData) {
  * only return cells assigned to that CLIENT
  */
 async function getAvailableCells(warehouseId, entryOrderId = null) {
+  let orderClientId = null;
+
   // If entryOrderId is provided, check if it was created by a CLIENT user
   if (entryOrderId) {
     const entryOrder = await prisma.entryOrder.findUnique({
@@ -608,6 +729,7 @@ async function getAvailableCells(warehouseId, entryOrderId = null) {
     if (!entryOrder) {
       throw new Error(`Entry order with ID ${entryOrderId} not found`);
     }
+    orderClientId = entryOrder.client_id;
 
     // ✅ UPDATED: Remove warehouse consistency check - allow multi-warehouse allocation
     // Entry orders can now access cells from any warehouse for maximum flexibility
@@ -672,8 +794,8 @@ async function getAvailableCells(warehouseId, entryOrderId = null) {
 
         console.log(`✅ Filtered to ${assignedCells.length} cells assigned to CLIENT`);
         
-        // Transform to match expected format
-        return assignedCells.map(cell => ({
+        // Transform to match expected format, highest assignment priority first
+        return sortByAssignmentPriority(assignedCells).map(cell => ({
           ...cell,
           clientCellAssignments: undefined, // Remove nested data
           is_client_assigned: true,
@@ -688,7 +810,7 @@ async function getAvailableCells(warehouseId, entryOrderId = null) {
   }
 
   // Default behavior: return all available cells (for non-CLIENT entry orders or when no entryOrderId provided)
-  return await prisma.warehouseCell.findMany({
+  const cells = await prisma.warehouseCell.findMany({
     where: {
       warehouse_id: warehouseId,
       status: "AVAILABLE",
@@ -709,6 +831,29 @@ async function getAvailableCells(warehouseId, entryOrderId = null) {
     },
     orderBy: [{ row: "asc" }, { bay: "asc" }, { position: "asc" }],
   });
+
+  // ✅ NEW: Suggest the entry order client's assigned cells first, by assignment priority
+  if (!orderClientId) {
+    return cells;
+  }
+
+  const assignments = await prisma.clientCellAssignment.findMany({
+    where: { client_id: orderClientId, is_active: true, cell_id: { in: cells.map(cell => cell.id) } },
+    select: { cell_id: true, priority: true, max_capacity: true, notes: true }
+  });
+  const assignmentByCell = new Map(assignments.map(({ cell_id, ...assignment }) => [cell_id, assignment]));
+
+  return sortByAssignmentPriority(
+    cells.map(cell => ({
+      ...cell,
+      clientCellAssignments: assignmentByCell.has(cell.id) ? [assignmentByCell.get(cell.id)] : []
+    }))
+  ).map(cell => ({
+    ...cell,
+    clientCellAssignments: undefined,
+    is_client_assigned: cell.clientCellAssignments.length > 0,
+    client_assignment_info: cell.clientCellAssignments[0] || null
+  }));
 }
 
 // ✅ NEW: Get cells assigned to a specific client user
@@ -854,8 +999,8 @@ async function getClientAssignedCells(warehouseId, userId) {
       console.log(`✅ Found ${assignedCells.length} AVAILABLE cells for client`);
     }
     
-    // Transform the response to include assignment information
-    const result = assignedCells.map(cell => ({
+    // Transform the response to include assignment information, highest assignment priority first
+    const result = sortByAssignmentPriority(assignedCells).map(cell => ({
       ...cell,
       assignment_info: cell.clientCellAssignments[0] || null,
       // Remove the nested assignment data
@@ -1231,11 +1376,12 @@ async function getInventorySummary(filters = {}) {
   return await getInventoryMovementLogs(filters);
 }
 
-/** Fetch all warehouses */
-async function getAllWarehouses() {
+/** Fetch all warehouses (only the given ones for warehouse-scoped staff) */
+async function getAllWarehouses(warehouseIds = null) {
   return await prisma.warehouse.findMany({
     where: {
       status: "ACTIVE",
+      ...(warehouseIds && { warehouse_id: { in: warehouseIds } }),
     },
     select: {
       warehouse_id: true,
@@ -1248,6 +1394,21 @@ async function getAllWarehouses() {
   });
 }
 
+/** Warehouses touched by a quality transition: the allocation's cell and the optional target cell */
+async function getTransitionWarehouseIds(allocationId, newCellId = null) {
+  const [allocation, newCell] = await Promise.all([
+    prisma.inventoryAllocation.findUnique({
+      where: { allocation_id: allocationId },
+      select: { cell: { select: { warehouse_id: true } } },
+    }),
+    newCellId
+      ? prisma.warehouseCell.findUnique({ where: { id: newCellId }, select: { warehouse_id: true } })
+      : null,
+  ]);
+
+  return [allocation?.cell?.warehouse_id, newCell?.warehouse_id].filter(Boolean);
+}
+
 /** Fetch warehouse cells with optional status filter */
 async function getWarehouseCells(warehouseId, statusFilter = null) {
   const where = { warehouse_id: warehouseId };
@@ -2793,7 +2954,7 @@ async function bulkAssignEntryOrder(bulkAssignmentData) {
   const startTime = Date.now();
   console.log(`⏱️ BULK ASSIGNMENT: Starting bulk assignment at ${new Date().toISOString()}`);
   
-  const {
+  let {
     entry_order_id,
     allocations,
     assigned_by,
@@ -2837,6 +2998,15 @@ async function bulkAssignEntryOrder(bulkAssignmentData) {
       throw new Error(`Invalid product IDs: ${missingProducts.join(', ')}`);
     }
 
+    // 2.5 ✅ NEW: Derive and cross-check the allocated quantities against the product packaging
+    const packagingProductIds = new Map(entryOrder.products.map(p => [p.entry_order_product_id, p.product_id]));
+    allocations = await applyPackagingToLines(
+      tx,
+      allocations,
+      QUANTITY_FIELDS.ENTRY,
+      (allocation) => packagingProductIds.get(allocation.entry_order_product_id)
+    );
+
     // 3. Validate each allocation individually
     for (let i = 0; i < allocations.length; i++) {
       const allocation = allocations[i];
@@ -2919,6 +3089,14 @@ async function bulkAssignEntryOrder(bulkAssignmentData) {
       }
     }
 
+    // ✅ NEW: Respect the client's contracted capacity for every cell used
+    const requestedVolumeByCell = new Map();
+    for (const allocation of allocations) {
+      const volume = parseFloat(allocation.volume_m3) || 0;
+      requestedVolumeByCell.set(allocation.cell_id, (requestedVolumeByCell.get(allocation.cell_id) || 0) + volume);
+    }
+    const capacityWarnings = await enforceClientCellCapacity(tx, entryOrder.client_id, requestedVolumeByCell);
+
     // ✅ OPTIMIZED: Batch get product IDs to avoid N+1 queries
     const productIdMap = new Map();
     for (const product of entryOrder.products) {
@@ -3146,6 +3324,7 @@ async function bulkAssignEntryOrder(bulkAssignmentData) {
       allocation_percentage: allocationPercentage,
       summary: allocationSummary,
       warehouses_used: [...new Set(allocations.map(a => a.warehouse_id))],
+      capacity_warnings: capacityWarnings,
       message: isFullyAllocated 
         ? "Entry order fully allocated to quarantine" 
         : `Entry order partially allocated (${allocationPercentage.toFixed(1)}%)`,
@@ -3312,7 +3491,7 @@ async function getCellsByQualityStatusForClient(qualityStatus, warehouseId = nul
     ],
   });
 
-  return cells.map(cell => ({
+  return sortByAssignmentPriority(cells).map(cell => ({
     ...cell,
     cell_reference: `${cell.row}.${String(cell.bay).padStart(2, "0")}.${String(cell.position).padStart(2, "0")}`,
     role_description: {
@@ -3339,6 +3518,7 @@ module.exports = {
   getInventorySummary, // ✅ DEPRECATED: Use getInventoryMovementLogs instead
   getInventoryMovementLogs, // ✅ NEW: Optimized lean paginated logs for movement history table
   getAllWarehouses,
+  getTransitionWarehouseIds,
   getWarehouseCells,
   createAuditLog,
   getQuarantineInventory,
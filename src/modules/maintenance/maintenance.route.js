@@ -1,13 +1,14 @@
 // src/modules/organisation/organisation.route.js
 const express = require("express");
 const maintenanceController = require("./maintenance.controller");
+const { requirePermission } = require("../../middlewares/roleBasedAccess");
 
 const router = express.Router();
 
 // Route to add a new organisation
-router.post("/add-supplier", maintenanceController.addSupplier);
+router.post("/add-supplier", requirePermission("suppliers", "create"), maintenanceController.addSupplier);
 
 // Route to fetch all suppliers
-router.get("/suppliers", maintenanceController.getSuppliers);
+router.get("/suppliers", requirePermission("suppliers", "read"), maintenanceController.getSuppliers);
 
 module.exports = router;
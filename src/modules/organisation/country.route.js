@@ -1,30 +1,31 @@
 const express = require("express");
 const countryController = require("./country.controller");
+const { requirePermission } = require("../../middlewares/roleBasedAccess");
 
 const router = express.Router();
 
 // ✅ Get all countries with search and pagination
-router.get("/", countryController.getAllCountries);
+router.get("/", requirePermission("countries", "read"), countryController.getAllCountries);
 
 // ✅ Search countries by name
-router.get("/search", countryController.searchCountries);
+router.get("/search", requirePermission("countries", "read"), countryController.searchCountries);
 
 // ✅ Get country statistics
-router.get("/statistics", countryController.getCountryStatistics);
+router.get("/statistics", requirePermission("countries", "read"), countryController.getCountryStatistics);
 
 // ✅ NEW: Add a single country
-router.post("/", countryController.createCountry);
+router.post("/", requirePermission("countries", "create"), countryController.createCountry);
 
 // ✅ NEW: Bulk populate countries from API
-router.post("/populate", countryController.populateCountries);
+router.post("/populate", requirePermission("countries", "create"), countryController.populateCountries);
 
 // ✅ NEW: Get a specific country by ID
-router.get("/:country_id", countryController.getCountryById);
+router.get("/:country_id", requirePermission("countries", "read"), countryController.getCountryById);
 
 // ✅ NEW: Update a country
-router.put("/:country_id", countryController.updateCountry);
+router.put("/:country_id", requirePermission("countries", "update"), countryController.updateCountry);
 
 // ✅ NEW: Delete a country
-router.delete("/:country_id", countryController.deleteCountry);
+router.delete("/:country_id", requirePermission("countries", "delete"), countryController.deleteCountry);
 
 module.exports = router; 
\ No newline at end of file
@@ -1,13 +1,14 @@
 // src/modules/organisation/organisation.route.js
 const express = require("express");
 const organisationController = require("./organisation.controller");
+const { requirePermission } = require("../../middlewares/roleBasedAccess");
 
 const router = express.Router();
 
 // Route to add a new organisation
-router.post("/add", organisationController.addOrganisation);
+router.post("/add", requirePermission("organisations", "create"), organisationController.addOrganisation);
 
 // Route to get all organisations
-router.get("/all", organisationController.getAllOrganisations);
+router.get("/all", requirePermission("organisations", "read"), organisationController.getAllOrganisations);
 
 module.exports = router;
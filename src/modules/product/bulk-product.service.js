@@ -1,9 +1,17 @@
 const XLSX = require('xlsx');
 const { PrismaClient } = require("@prisma/client");
 const { createProduct } = require("./product.service");
+const { validateGtin } = require("../../utils/barcodeValidation");
 
 const prisma = new PrismaClient();
 
+// ✅ NEW: One barcode column per packaging level
+const BARCODE_COLUMNS = {
+  'Código de Barras Unidad': 'UNIT',
+  'Código de Barras Caja': 'BOX',
+  'Código de Barras Pallet': 'PALLET'
+};
+
 /**
  * Process bulk product upload from Excel file
  * Following existing TSLogix patterns and validation
@@ -152,6 +160,11 @@ async function transformProductData(excelProducts) {
       subcategory2_id: findSubcategory2Id(row['Subcategoría 2'], subcategories2),
       temperature_range_id: findTemperatureRangeId(row['Rango de Temperatura'], temperatureRanges),
 
+      // ✅ NEW: GTIN barcodes per packaging level
+      barcodes: Object.entries(BARCODE_COLUMNS)
+        .filter(([column]) => row[column] !== undefined && String(row[column]).trim() !== '')
+        .map(([column, packLevel]) => ({ barcode: String(row[column]).trim(), pack_level: packLevel })),
+
       // Store original names for validation error reporting
       category_name: row['Categoría']?.trim() || null,
       subcategory1_name: row['Subcategoría 1']?.trim() || null,
@@ -218,6 +231,21 @@ function findTemperatureRangeId(rangeName, temperatureRanges) {
 async function validateProductData(products) {
   const errors = [];
   const processedCodes = new Set();
+  const processedBarcodes = new Set();
+
+  // ✅ NEW: Barcodes already registered in the database
+  const batchGtins = products
+    .flatMap(p => p.barcodes)
+    .map(b => validateGtin(b.barcode))
+    .filter(result => result.valid)
+    .map(result => result.gtin14);
+  const registeredBarcodes = batchGtins.length > 0
+    ? await prisma.productBarcode.findMany({
+        where: { gtin14: { in: batchGtins } },
+        include: { product: { select: { product_code: true } } }
+      })
+    : [];
+  const registeredByGtin = new Map(registeredBarcodes.map(b => [b.gtin14, b]));
 
   for (const product of products) {
     const rowErrors = [];
@@ -274,6 +302,22 @@ async function validateProductData(products) {
       rowErrors.push(`Rango de Temperatura "${product.temperature_range_name}" no encontrado. Verifique la hoja Rangos_Temperatura para valores válidos.`);
     }
 
+    // ✅ NEW: Barcode validation (GTIN check digit, duplicates in batch and database)
+    for (const { barcode } of product.barcodes) {
+      const result = validateGtin(barcode, 'es');
+      if (!result.valid) {
+        rowErrors.push(result.message);
+      } else if (processedBarcodes.has(result.gtin14)) {
+        rowErrors.push(`Código de barras duplicado "${barcode}" encontrado en este lote`);
+      } else {
+        processedBarcodes.add(result.gtin14);
+        const registered = registeredByGtin.get(result.gtin14);
+        if (registered) {
+          rowErrors.push(`El código de barras "${barcode}" ya está registrado para el producto ${registered.product.product_code}`);
+        }
+      }
+    }
+
     if (rowErrors.length > 0) {
       errors.push({
         row: product._row_number,
@@ -368,7 +412,8 @@ async function generateProductTemplate() {
       { Paso: 7, Instrucción: 'Los rangos de temperatura deben coincidir exactamente con la hoja Rangos_Temperatura' },
       { Paso: 8, Instrucción: 'Elimine las filas de ejemplo antes de cargar sus datos' },
       { Paso: 9, Instrucción: 'Cargue el archivo completado en la página de carga masiva' },
-      { Paso: 10, Instrucción: 'Carga de documentos no compatible vía Excel - agregue manualmente después de importar' }
+      { Paso: 10, Instrucción: 'Carga de documentos no compatible vía Excel - agregue manualmente después de importar' },
+      { Paso: 11, Instrucción: 'Los códigos de barras (GTIN-8/12/13/14) son opcionales; formatee esas columnas como Texto para conservar los ceros iniciales' }
     ];
 
     // MAIN PRODUCTS SHEET - Using safe fallbacks with comprehensive examples
@@ -382,7 +427,10 @@ async function generateProductTemplate() {
         'Subcategoría 2': subcategories2.length > 0 ? subcategories2[0].name : 'Tabletas',
         'Rango de Temperatura': temperatureRanges.length > 0 ? temperatureRanges[0].range : '15-25°C',
         'Humedad': '60%',
-        'Observaciones': 'Almacenar en lugar seco alejado de la luz solar directa'
+        'Observaciones': 'Almacenar en lugar seco alejado de la luz solar directa',
+        'Código de Barras Unidad': '7751234567892',
+        'Código de Barras Caja': '17751234567899',
+        'Código de Barras Pallet': ''
       },
       {
         'Nombre del Producto': 'Vitamina C 1000mg',
@@ -393,7 +441,10 @@ async function generateProductTemplate() {
         'Subcategoría 2': '',
         'Rango de Temperatura': temperatureRanges.length > 1 ? temperatureRanges[1].range : '2-8°C',
         'Humedad': '',
-        'Observaciones': ''
+        'Observaciones': '',
+        'Código de Barras Unidad': '',
+        'Código de Barras Caja': '',
+        'Código de Barras Pallet': ''
       }
     ];
 
@@ -480,7 +531,10 @@ async function generateProductTemplate() {
       { Campo: 'Subcategoría 2', Requerido: 'NO', Ejemplo: 'Tabletas', Descripción: 'Subcategoría del producto nivel 2 - debe coincidir EXACTAMENTE con los valores de la hoja Subcategorías2' },
       { Campo: 'Rango de Temperatura', Requerido: 'NO', Ejemplo: '15-25°C', Descripción: 'Rango de temperatura de almacenamiento - debe coincidir EXACTAMENTE con los valores de la hoja Rangos_Temperatura' },
       { Campo: 'Humedad', Requerido: 'NO', Ejemplo: '60% o 45-65%', Descripción: 'Requisitos de humedad de almacenamiento' },
-      { Campo: 'Observaciones', Requerido: 'NO', Ejemplo: 'Almacenar en lugar seco', Descripción: 'Notas adicionales, instrucciones especiales de manejo o comentarios' }
+      { Campo: 'Observaciones', Requerido: 'NO', Ejemplo: 'Almacenar en lugar seco', Descripción: 'Notas adicionales, instrucciones especiales de manejo o comentarios' },
+      { Campo: 'Código de Barras Unidad', Requerido: 'NO', Ejemplo: '7751234567892', Descripción: 'GTIN-8, GTIN-12, GTIN-13 o GTIN-14 de la unidad, con dígito verificador válido' },
+      { Campo: 'Código de Barras Caja', Requerido: 'NO', Ejemplo: '17751234567899', Descripción: 'GTIN de la caja (normalmente GTIN-14)' },
+      { Campo: 'Código de Barras Pallet', Requerido: 'NO', Ejemplo: '27751234567896', Descripción: 'GTIN del pallet (normalmente GTIN-14)' }
     ];
     XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(fieldReference), 'Referencia_Campos');
 
@@ -488,7 +542,7 @@ async function generateProductTemplate() {
     const importantNotes = [
       { Nota: 'REQUISITOS CRÍTICOS', Detalle: 'La hoja DEBE llamarse "Productos" (sensible a mayúsculas)' },
       { Nota: 'CONVENCIÓN DE NOMBRES', Detalle: 'Los nombres de categorías no distinguen mayúsculas pero deben coincidir exactamente con los datos de referencia' },
-      { Nota: 'UNICIDAD', Detalle: 'Los códigos de producto deben ser únicos en el sistema - los duplicados serán rechazados' },
+      { Nota: 'UNICIDAD', Detalle: 'Los códigos de producto y de barras deben ser únicos en el sistema - los duplicados serán rechazados' },
       { Nota: 'VALIDACIÓN', Detalle: 'Todos los datos serán validados contra los registros existentes del sistema' },
       { Nota: 'LIMITACIONES', Detalle: 'Carga de documentos no compatible vía Excel - agregar manualmente después de importar' },
       { Nota: 'PREPARACIÓN', Detalle: 'Elimine todas las filas de ejemplo antes de cargar sus datos reales' },
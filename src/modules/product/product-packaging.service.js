@@ -0,0 +1,267 @@
+const { PrismaClient } = require("@prisma/client");
+
+const prisma = new PrismaClient();
+
+const UNITS_OF_MEASURE = ["UNIT", "BOX", "LAYER", "PALLET"];
+
+// Quantity fields of the order lines the packaging hierarchy applies to
+const QUANTITY_FIELDS = {
+  ENTRY: { units: "inventory_quantity", packages: "package_quantity", pallets: "quantity_pallets", weight: "weight_kg", volume: "volume_m3" },
+  DEPARTURE: { units: "requested_quantity", packages: "requested_packages", pallets: "requested_pallets", weight: "requested_weight", volume: "requested_volume" },
+  COMPREHENSIVE_DEPARTURE: { units: "requested_quantity", packages: "packaging_quantity", pallets: "pallet_quantity", weight: "requested_weight", volume: "requested_volume" }
+};
+
+const POSITIVE_INT_FIELDS = ["units_per_box", "boxes_per_layer", "layers_per_pallet"];
+const MEASURE_FIELDS = [
+  "unit_weight_kg", "unit_volume_m3",
+  "box_weight_kg", "box_volume_m3",
+  "pallet_weight_kg", "pallet_volume_m3"
+];
+
+function toNumber(value) {
+  if (value === null || value === undefined || value === "") return null;
+  const number = Number(value);
+  return isNaN(number) ? null : number;
+}
+
+function boxesPerPallet(packaging) {
+  return packaging.boxes_per_layer && packaging.layers_per_pallet
+    ? packaging.boxes_per_layer * packaging.layers_per_pallet
+    : null;
+}
+
+/**
+ * Units contained in one unit of measure, null when the hierarchy doesn't define that level.
+ */
+function unitsPer(packaging, uom) {
+  switch (uom) {
+    case "UNIT":
+      return 1;
+    case "BOX":
+      return packaging.units_per_box;
+    case "LAYER":
+      return packaging.boxes_per_layer ? packaging.units_per_box * packaging.boxes_per_layer : null;
+    case "PALLET": {
+      const boxes = boxesPerPallet(packaging);
+      return boxes ? packaging.units_per_box * boxes : null;
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Convert a quantity between units of measure, e.g. 240 UNIT -> 2 PALLET.
+ * @returns {number|null} Rounded to 2 decimals, null when a level is not defined
+ */
+function convertQuantity(packaging, quantity, fromUom, toUom) {
+  if (quantity === null || quantity === undefined) return null;
+  if (fromUom === toUom) return quantity;
+  if (!packaging) return null;
+
+  const fromUnits = unitsPer(packaging, fromUom);
+  const toUnits = unitsPer(packaging, toUom);
+  if (!fromUnits || !toUnits) return null;
+
+  return Math.round((quantity * fromUnits / toUnits) * 100) / 100;
+}
+
+/**
+ * Fill in and cross-check the quantities of one order line against the product's
+ * packaging: boxes = ceil(units / units_per_box), pallets = ceil(boxes / boxes per pallet).
+ * Missing quantities are derived, as are weight (finest level with a weight) and volume
+ * (coarsest level with a volume) when not given. Lines without packaging pass unchanged.
+ * @returns {{ line: Object, errors: string[] }}
+ */
+function applyPackagingToLine(packaging, line, fields) {
+  if (!packaging) return { line, errors: [] };
+
+  const errors = [];
+  const derived = { ...line };
+  let units = toNumber(line[fields.units]);
+  let packages = toNumber(line[fields.packages]);
+  let pallets = toNumber(line[fields.pallets]);
+
+  if (!units && packages) {
+    units = packages * packaging.units_per_box;
+    derived[fields.units] = units;
+  }
+
+  if (units) {
+    const expectedPackages = Math.ceil(units / packaging.units_per_box);
+    if (!packages) {
+      packages = expectedPackages;
+      derived[fields.packages] = packages;
+    } else if (packages !== expectedPackages) {
+      errors.push(`${units} units need ${expectedPackages} boxes of ${packaging.units_per_box}, got ${packages}`);
+    }
+  }
+
+  const perPallet = boxesPerPallet(packaging);
+  if (perPallet && packages) {
+    const expectedPallets = Math.ceil(packages / perPallet);
+    if (!pallets) {
+      pallets = expectedPallets;
+      derived[fields.pallets] = pallets;
+    } else if (pallets !== expectedPallets) {
+      errors.push(`${packages} boxes need ${expectedPallets} pallets of ${perPallet} boxes, got ${pallets}`);
+    }
+  }
+
+  if (!toNumber(line[fields.weight]) && units) {
+    const unitWeight = toNumber(packaging.unit_weight_kg);
+    const boxWeight = toNumber(packaging.box_weight_kg);
+    const palletWeight = toNumber(packaging.pallet_weight_kg);
+    if (unitWeight) derived[fields.weight] = Math.round(units * unitWeight * 100) / 100;
+    else if (boxWeight) derived[fields.weight] = Math.round(packages * boxWeight * 100) / 100;
+    else if (palletWeight && pallets) derived[fields.weight] = Math.round(pallets * palletWeight * 100) / 100;
+  }
+
+  if (!toNumber(line[fields.volume]) && units) {
+    const palletVolume = toNumber(packaging.pallet_volume_m3);
+    const boxVolume = toNumber(packaging.box_volume_m3);
+    const unitVolume = toNumber(packaging.unit_volume_m3);
+    if (palletVolume && pallets) derived[fields.volume] = Math.round(pallets * palletVolume * 100) / 100;
+    else if (boxVolume) derived[fields.volume] = Math.round(packages * boxVolume * 100) / 100;
+    else if (unitVolume) derived[fields.volume] = Math.round(units * unitVolume * 100) / 100;
+  }
+
+  return { line: derived, errors };
+}
+
+/**
+ * Packaging definitions by product_id, using `db` (prisma or a transaction).
+ */
+async function loadPackagingMap(db, productIds) {
+  const ids = [...new Set(productIds.filter(Boolean).map(String))];
+  if (ids.length === 0) return new Map();
+
+  const definitions = await db.productPackaging.findMany({
+    where: { product_id: { in: ids } }
+  });
+  return new Map(definitions.map(p => [p.product_id, p]));
+}
+
+/**
+ * Derive and validate the quantities of order lines that reference products with a
+ * packaging definition. Throws one error listing every inconsistent line.
+ * @param {Function} getProductId - line -> product_id, defaults to line.product_id
+ * @returns {Promise<Object[]>} Lines with derived quantities
+ */
+async function applyPackagingToLines(db, lines, fields, getProductId = (line) => line.product_id) {
+  if (!Array.isArray(lines) || lines.length === 0) return lines;
+
+  const packagingMap = await loadPackagingMap(db, lines.map(getProductId));
+  if (packagingMap.size === 0) return lines;
+
+  const errors = [];
+  const derivedLines = lines.map((line, index) => {
+    const result = applyPackagingToLine(packagingMap.get(String(getProductId(line))), line, fields);
+    if (result.errors.length > 0) {
+      errors.push(`Line ${index + 1} (${line.product_code || getProductId(line)}): ${result.errors.join(", ")}`);
+    }
+    return result.line;
+  });
+
+  if (errors.length > 0) {
+    throw new Error(`Packaging quantities don't match - ${errors.join("; ")}`);
+  }
+
+  return derivedLines;
+}
+
+function validatePackagingData(data) {
+  const errors = [];
+
+  POSITIVE_INT_FIELDS.forEach(field => {
+    const value = data[field];
+    if (value === undefined || value === null || value === "") {
+      if (field === "units_per_box") errors.push("units_per_box is required");
+      return;
+    }
+    if (!Number.isInteger(Number(value)) || Number(value) < 1) {
+      errors.push(`${field} must be a positive whole number`);
+    }
+  });
+
+  MEASURE_FIELDS.forEach(field => {
+    const value = data[field];
+    if (value !== undefined && value !== null && value !== "" && (isNaN(Number(value)) || Number(value) < 0)) {
+      errors.push(`${field} must be a non-negative number`);
+    }
+  });
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid packaging: ${errors.join("; ")}`);
+  }
+}
+
+async function getProductPackaging(productId) {
+  const product = await prisma.product.findUnique({
+    where: { product_id: productId },
+    select: { product_id: true, product_code: true, name: true, packaging: true }
+  });
+  if (!product) throw new Error("Product not found");
+
+  const packaging = product.packaging;
+  return {
+    product_id: product.product_id,
+    product_code: product.product_code,
+    product_name: product.name,
+    packaging,
+    units_per_level: packaging
+      ? Object.fromEntries(UNITS_OF_MEASURE.map(uom => [uom, unitsPer(packaging, uom)]))
+      : null
+  };
+}
+
+/**
+ * Create or replace the packaging hierarchy of a product.
+ * @returns {Promise<{ oldValues: Object|null, packaging: Object }>}
+ */
+async function upsertProductPackaging(productId, data, userId) {
+  const product = await prisma.product.findUnique({
+    where: { product_id: productId },
+    select: { product_id: true, packaging: true }
+  });
+  if (!product) throw new Error("Product not found");
+
+  validatePackagingData(data);
+
+  const values = {
+    units_per_box: parseInt(data.units_per_box),
+    boxes_per_layer: data.boxes_per_layer ? parseInt(data.boxes_per_layer) : null,
+    layers_per_pallet: data.layers_per_pallet ? parseInt(data.layers_per_pallet) : null,
+    ...Object.fromEntries(MEASURE_FIELDS.map(field => [field, toNumber(data[field])])),
+    updated_by: userId
+  };
+
+  const packaging = await prisma.productPackaging.upsert({
+    where: { product_id: productId },
+    create: { product_id: productId, ...values },
+    update: values
+  });
+
+  return { oldValues: product.packaging, packaging };
+}
+
+async function deleteProductPackaging(productId) {
+  const packaging = await prisma.productPackaging.findUnique({ where: { product_id: productId } });
+  if (!packaging) throw new Error("Packaging not found for this product");
+
+  await prisma.productPackaging.delete({ where: { product_id: productId } });
+  return packaging;
+}
+
+module.exports = {
+  UNITS_OF_MEASURE,
+  QUANTITY_FIELDS,
+  unitsPer,
+  convertQuantity,
+  applyPackagingToLine,
+  applyPackagingToLines,
+  loadPackagingMap,
+  getProductPackaging,
+  upsertProductPackaging,
+  deleteProductPackaging
+};
@@ -0,0 +1,220 @@
+const { PrismaClient } = require("@prisma/client");
+
+const prisma = new PrismaClient();
+
+// Master data kept in every version snapshot
+const VERSIONED_FIELDS = [
+  "product_code",
+  "name",
+  "category_id",
+  "subcategory1_id",
+  "subcategory2_id",
+  "manufacturer",
+  "temperature_range_id",
+  "temperature_range",
+  "humidity",
+  "storage_conditions",
+  "unit_weight",
+  "unit_volume",
+  "observations"
+];
+
+// temperature_range carries the readable values of temperature_range_id, so only it is diffed
+const DIFFED_FIELDS = VERSIONED_FIELDS.filter(field => field !== "temperature_range_id");
+
+const VERSION_SELECT = {
+  version_id: true,
+  product_id: true,
+  version_number: true,
+  snapshot: true,
+  changes: true,
+  change_reason: true,
+  created_at: true,
+  author: { select: { id: true, first_name: true, last_name: true } }
+};
+
+function buildSnapshot(product) {
+  return {
+    product_code: product.product_code,
+    name: product.name,
+    category_id: product.category_id,
+    subcategory1_id: product.subcategory1_id,
+    subcategory2_id: product.subcategory2_id,
+    manufacturer: product.manufacturer,
+    temperature_range_id: product.temperature_range_id,
+    temperature_range: product.temperature_range
+      ? {
+          range: product.temperature_range.range,
+          min_celsius: product.temperature_range.min_celsius,
+          max_celsius: product.temperature_range.max_celsius
+        }
+      : null,
+    humidity: product.humidity,
+    storage_conditions: product.storage_conditions,
+    unit_weight: product.unit_weight === null ? null : Number(product.unit_weight),
+    unit_volume: product.unit_volume === null ? null : Number(product.unit_volume),
+    observations: product.observations
+  };
+}
+
+/**
+ * Field-level differences between two snapshots.
+ * @returns {{ field: string, old_value: any, new_value: any }[]}
+ */
+function diffSnapshots(oldSnapshot, newSnapshot) {
+  return DIFFED_FIELDS
+    .filter(field => JSON.stringify(oldSnapshot?.[field] ?? null) !== JSON.stringify(newSnapshot[field] ?? null))
+    .map(field => ({
+      field,
+      old_value: oldSnapshot?.[field] ?? null,
+      new_value: newSnapshot[field] ?? null
+    }));
+}
+
+async function loadSnapshot(db, productId) {
+  const product = await db.product.findUnique({
+    where: { product_id: productId },
+    include: { temperature_range: true }
+  });
+  if (!product) throw new Error("Product not found");
+  return { product, snapshot: buildSnapshot(product) };
+}
+
+/**
+ * Record version 1 of a product, in force since it was created. No-op when the product
+ * already has versions. Uses `db` (prisma or a transaction).
+ */
+async function ensureInitialVersion(db, productId, createdBy = null) {
+  const existing = await db.productVersion.findFirst({
+    where: { product_id: productId },
+    select: { version_id: true }
+  });
+  if (existing) return null;
+
+  const { product, snapshot } = await loadSnapshot(db, productId);
+  return db.productVersion.create({
+    data: {
+      product_id: productId,
+      version_number: 1,
+      snapshot,
+      changed_by: createdBy,
+      created_at: product.created_at
+    }
+  });
+}
+
+/**
+ * Snapshot the product as it is now and store it as a new version with the field diffs
+ * against the previous one. Call after the update, inside the same transaction.
+ * @returns {Promise<Object|null>} The new version, null when no versioned field changed
+ */
+async function recordProductVersion(db, productId, changedBy = null, reason = null) {
+  const [{ snapshot }, latest] = await Promise.all([
+    loadSnapshot(db, productId),
+    db.productVersion.findFirst({
+      where: { product_id: productId },
+      orderBy: { version_number: "desc" }
+    })
+  ]);
+
+  const changes = diffSnapshots(latest?.snapshot, snapshot);
+  if (latest && changes.length === 0) return null;
+
+  return db.productVersion.create({
+    data: {
+      product_id: productId,
+      version_number: latest ? latest.version_number + 1 : 1,
+      snapshot,
+      changes: latest ? changes : undefined,
+      change_reason: reason || null,
+      changed_by: changedBy
+    },
+    select: VERSION_SELECT
+  });
+}
+
+function formatVersion(version, validTo = null) {
+  const { author, created_at, ...rest } = version;
+  return {
+    ...rest,
+    valid_from: created_at,
+    valid_to: validTo,
+    changed_by: author
+      ? { id: author.id, name: `${author.first_name || ""} ${author.last_name || ""}`.trim() }
+      : null
+  };
+}
+
+/**
+ * All versions of a product, newest first, each with the period it was in force.
+ */
+async function getProductHistory(productId) {
+  const product = await prisma.product.findUnique({
+    where: { product_id: productId },
+    select: { product_id: true, product_code: true, name: true }
+  });
+  if (!product) throw new Error("Product not found");
+
+  const versions = await prisma.productVersion.findMany({
+    where: { product_id: productId },
+    orderBy: { version_number: "desc" },
+    select: VERSION_SELECT
+  });
+
+  return {
+    ...product,
+    current_version: versions[0]?.version_number || null,
+    versions: versions.map((version, index) => formatVersion(version, index > 0 ? versions[index - 1].created_at : null))
+  };
+}
+
+/**
+ * Add `product_version` to each order line: the master data in force at `at`, plus
+ * whether it is still the current version.
+ * @param {Function} getProductId - line -> product_id, defaults to line.product_id
+ */
+async function attachProductVersions(lines, at, getProductId = (line) => line.product_id) {
+  const productIds = [...new Set((lines || []).map(getProductId).filter(Boolean))];
+  if (productIds.length === 0 || !at) return lines;
+
+  const [versions, latest] = await Promise.all([
+    prisma.productVersion.findMany({
+      where: { product_id: { in: productIds }, created_at: { lte: new Date(at) } },
+      orderBy: { version_number: "desc" },
+      select: VERSION_SELECT
+    }),
+    prisma.productVersion.groupBy({
+      by: ["product_id"],
+      where: { product_id: { in: productIds } },
+      _max: { version_number: true }
+    })
+  ]);
+
+  const inForce = new Map();
+  versions.forEach(version => {
+    if (!inForce.has(version.product_id)) inForce.set(version.product_id, version);
+  });
+  const currentNumbers = new Map(latest.map(row => [row.product_id, row._max.version_number]));
+
+  return lines.map(line => {
+    const version = inForce.get(getProductId(line));
+    return {
+      ...line,
+      product_version: version
+        ? {
+            ...formatVersion(version),
+            is_current: version.version_number === currentNumbers.get(version.product_id)
+          }
+        : null
+    };
+  });
+}
+
+module.exports = {
+  VERSIONED_FIELDS,
+  diffSnapshots,
+  ensureInitialVersion,
+  recordProductVersion,
+  getProductHistory,
+  attachProductVersions
+};
@@ -1,4 +1,6 @@
 const ProductService = require("./product.service");
+const PackagingService = require("./product-packaging.service");
+const VersionService = require("./product-version.service");
 
 /**
  * Create a new product
@@ -382,7 +384,26 @@ async function updateProduct(req, res) {
       { operation_type: 'PRODUCT_MANAGEMENT', action_type: 'UPDATE_START' }
     );
 
-    const product = await ProductService.updateProduct(id, updateData);
+    const { product, version } = await ProductService.updateProduct(id, updateData, userId);
+
+    // ✅ NEW: Versioned master data changed
+    if (version) {
+      await req.logEvent(
+        'PRODUCT_SPECIFICATION_CHANGED',
+        'Product',
+        id,
+        `Product ${product.product_code} master data changed to version ${version.version_number}`,
+        Object.fromEntries(version.changes.map(change => [change.field, change.old_value])),
+        Object.fromEntries(version.changes.map(change => [change.field, change.new_value])),
+        {
+          operation_type: 'PRODUCT_MANAGEMENT',
+          action_type: 'SPECIFICATION_CHANGE',
+          version_number: version.version_number,
+          changed_fields: version.changes.map(change => change.field),
+          change_reason: version.change_reason
+        }
+      );
+    }
 
     // ✅ LOG: Successful product update
     await req.logEvent(
@@ -1291,6 +1312,182 @@ async function uploadProductDocuments(req, res) {
   }
 }
 
+/**
+ * ✅ NEW: Resolve a scanned barcode (?barcode=) to the product and pack level
+ */
+async function lookupProductByBarcode(req, res) {
+  try {
+    const { barcode } = req.query;
+    if (!barcode) {
+      return res.status(400).json({ success: false, error: "barcode query parameter is required" });
+    }
+
+    const result = await ProductService.lookupProductByBarcode(barcode, req.user?.role, req.user?.id);
+    res.json({ success: true, data: result });
+  } catch (error) {
+    console.error('Error looking up product by barcode:', error);
+
+    if (error.message.startsWith('Invalid barcode')) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+    if (error.message.startsWith('No product found')) {
+      return res.status(404).json({ success: false, error: error.message });
+    }
+    res.status(500).json({ success: false, error: error.message });
+  }
+}
+
+function handleBarcodeError(res, error) {
+  if (error.message.includes('not found')) {
+    return res.status(404).json({ success: false, error: error.message });
+  }
+  if (error.message.startsWith('Barcode already registered')) {
+    return res.status(409).json({ success: false, error: error.message });
+  }
+  if (error.message.startsWith('Invalid barcode')) {
+    return res.status(400).json({ success: false, error: error.message });
+  }
+  return res.status(500).json({ success: false, error: error.message });
+}
+
+/**
+ * ✅ NEW: Register barcodes for a product. Body: { barcodes: [{ barcode, pack_level }] }
+ */
+async function addProductBarcodes(req, res) {
+  try {
+    const { id } = req.params;
+    const barcodes = await ProductService.addProductBarcodes(id, req.body.barcodes, req.user?.id);
+
+    await req.logEvent(
+      'PRODUCT_UPDATED',
+      'Product',
+      id,
+      `Added barcodes to product ${id}`,
+      null,
+      { barcodes: barcodes.map(b => ({ barcode: b.barcode, pack_level: b.pack_level })) },
+      { operation_type: 'PRODUCT_MANAGEMENT', action_type: 'BARCODES_ADDED' }
+    );
+
+    res.status(201).json({ success: true, data: barcodes });
+  } catch (error) {
+    console.error('Error adding product barcodes:', error);
+    return handleBarcodeError(res, error);
+  }
+}
+
+/**
+ * ✅ NEW: Remove a barcode from a product
+ */
+async function removeProductBarcode(req, res) {
+  try {
+    const { id, barcode_id } = req.params;
+    const barcode = await ProductService.removeProductBarcode(id, barcode_id);
+
+    await req.logEvent(
+      'PRODUCT_UPDATED',
+      'Product',
+      id,
+      `Removed barcode ${barcode.barcode} from product ${id}`,
+      { barcode: barcode.barcode, pack_level: barcode.pack_level },
+      null,
+      { operation_type: 'PRODUCT_MANAGEMENT', action_type: 'BARCODE_REMOVED' }
+    );
+
+    res.json({ success: true, data: barcode });
+  } catch (error) {
+    console.error('Error removing product barcode:', error);
+    return handleBarcodeError(res, error);
+  }
+}
+
+/**
+ * ✅ NEW: Version history of the product master data with field diffs
+ */
+async function getProductHistory(req, res) {
+  try {
+    const history = await VersionService.getProductHistory(req.params.id);
+    res.json({ success: true, data: history });
+  } catch (error) {
+    console.error('Error fetching product history:', error);
+    const status = error.message.includes('not found') ? 404 : 500;
+    res.status(status).json({ success: false, error: error.message });
+  }
+}
+
+function handlePackagingError(res, error) {
+  if (error.message.includes('not found')) {
+    return res.status(404).json({ success: false, error: error.message });
+  }
+  if (error.message.startsWith('Invalid packaging')) {
+    return res.status(400).json({ success: false, error: error.message });
+  }
+  return res.status(500).json({ success: false, error: error.message });
+}
+
+/**
+ * ✅ NEW: Packaging hierarchy of a product with the units contained in each level
+ */
+async function getProductPackaging(req, res) {
+  try {
+    const packaging = await PackagingService.getProductPackaging(req.params.id);
+    res.json({ success: true, data: packaging });
+  } catch (error) {
+    console.error('Error fetching product packaging:', error);
+    return handlePackagingError(res, error);
+  }
+}
+
+/**
+ * ✅ NEW: Create or replace the packaging hierarchy of a product.
+ * Body: { units_per_box, boxes_per_layer, layers_per_pallet, unit_weight_kg, unit_volume_m3, box_weight_kg, box_volume_m3, pallet_weight_kg, pallet_volume_m3 }
+ */
+async function upsertProductPackaging(req, res) {
+  try {
+    const { id } = req.params;
+    const { oldValues, packaging } = await PackagingService.upsertProductPackaging(id, req.body, req.user?.id);
+
+    await req.logEvent(
+      'PRODUCT_UPDATED',
+      'Product',
+      id,
+      `${oldValues ? 'Updated' : 'Defined'} packaging of product ${id}`,
+      oldValues,
+      packaging,
+      { operation_type: 'PRODUCT_MANAGEMENT', action_type: 'PACKAGING_UPDATED' }
+    );
+
+    res.status(oldValues ? 200 : 201).json({ success: true, data: packaging });
+  } catch (error) {
+    console.error('Error saving product packaging:', error);
+    return handlePackagingError(res, error);
+  }
+}
+
+/**
+ * ✅ NEW: Remove the packaging hierarchy of a product
+ */
+async function deleteProductPackaging(req, res) {
+  try {
+    const { id } = req.params;
+    const packaging = await PackagingService.deleteProductPackaging(id);
+
+    await req.logEvent(
+      'PRODUCT_UPDATED',
+      'Product',
+      id,
+      `Removed packaging of product ${id}`,
+      packaging,
+      null,
+      { operation_type: 'PRODUCT_MANAGEMENT', action_type: 'PACKAGING_REMOVED' }
+    );
+
+    res.json({ success: true, data: packaging });
+  } catch (error) {
+    console.error('Error removing product packaging:', error);
+    return handlePackagingError(res, error);
+  }
+}
+
 module.exports = {
   createProduct,
   getAllProducts,
@@ -1313,6 +1510,19 @@ module.exports = {
   // ✅ NEW: Document upload controller
   uploadProductDocuments,
 
+  // ✅ NEW: Barcode controllers
+  lookupProductByBarcode,
+  addProductBarcodes,
+  removeProductBarcode,
+
+  // ✅ NEW: Version history controller
+  getProductHistory,
+
+  // ✅ NEW: Packaging controllers
+  getProductPackaging,
+  upsertProductPackaging,
+  deleteProductPackaging,
+
   // ✅ DEPRECATED: Keep old controllers for backward compatibility
   getTemperatureRanges,
   getFormFields,
@@ -3,6 +3,7 @@ const express = require('express');
 const multer = require('multer');
 const router = express.Router();
 const productController = require('./product.controller');
+const { requirePermission, requireClientAssignment } = require('../../middlewares/roleBasedAccess');
 
 // Configure multer for file upload (memory storage for direct Supabase upload)
 const upload = multer({
@@ -39,34 +40,50 @@ const upload = multer({
 
 // IMPORTANT: Define static routes before dynamic ones.
 // This prevents static routes (e.g., '/form-fields') from being interpreted as dynamic parameters (e.g., '/:id').
-router.get('/form-fields', productController.getFormFields);
+router.get('/form-fields', requirePermission('products', 'read'), productController.getFormFields);
 
 // ✅ NEW: Category system routes
-router.get('/categories', productController.getProductCategories);
-router.post('/categories', productController.createProductCategory);
-router.get('/subcategories1', productController.getSubCategories1);
-router.post('/subcategories1', productController.createSubCategory1);
-router.get('/subcategories2', productController.getSubCategories2);
-router.post('/subcategories2', productController.createSubCategory2);
+router.get('/categories', requirePermission('products', 'read'), productController.getProductCategories);
+router.post('/categories', requirePermission('products', 'create'), productController.createProductCategory);
+router.get('/subcategories1', requirePermission('products', 'read'), productController.getSubCategories1);
+router.post('/subcategories1', requirePermission('products', 'create'), productController.createSubCategory1);
+router.get('/subcategories2', requirePermission('products', 'read'), productController.getSubCategories2);
+router.post('/subcategories2', requirePermission('products', 'create'), productController.createSubCategory2);
 
 // ✅ DEPRECATED: Keep old routes for backward compatibility
-router.get('/temperature-ranges', productController.getTemperatureRanges);
+router.get('/temperature-ranges', requirePermission('products', 'read'), productController.getTemperatureRanges);
 
 // ✅ NEW: Bulk upload routes
-router.get('/bulk-template', productController.getBulkUploadTemplate);
-router.post('/bulk-upload', upload.single('file'), productController.processBulkUpload);
+router.get('/bulk-template', requirePermission('products', 'import'), productController.getBulkUploadTemplate);
+router.post('/bulk-upload', requirePermission('products', 'import'), upload.single('file'), productController.processBulkUpload);
+
+// ✅ NEW: Barcode scan lookup
+router.get('/lookup', requirePermission('products', 'read'), productController.lookupProductByBarcode);
 
 router.route('/')
-  .post(upload.array('uploaded_documents', 10), productController.createProduct)
-  .get(productController.getAllProducts);
+  .post(requirePermission('products', 'create'), upload.array('uploaded_documents', 10), productController.createProduct)
+  .get(requirePermission('products', 'read'), productController.getAllProducts);
 
 router.route('/:id')
-  .get(productController.getProductById)
-  .put(productController.updateProduct)
-  .delete(productController.deleteProduct);
+  .get(requirePermission('products', 'read'), requireClientAssignment('products'), productController.getProductById)
+  .put(requirePermission('products', 'update'), requireClientAssignment('products'), productController.updateProduct)
+  .delete(requirePermission('products', 'delete'), productController.deleteProduct);
 
 // ✅ NEW: Upload documents to existing product
-router.post('/:id/documents', upload.array('uploaded_documents', 10), productController.uploadProductDocuments);
+router.post('/:id/documents', requirePermission('products', 'update'), requireClientAssignment('products'), upload.array('uploaded_documents', 10), productController.uploadProductDocuments);
+
+// ✅ NEW: Product barcodes
+router.post('/:id/barcodes', requirePermission('products', 'update'), requireClientAssignment('products'), productController.addProductBarcodes);
+router.delete('/:id/barcodes/:barcode_id', requirePermission('products', 'update'), requireClientAssignment('products'), productController.removeProductBarcode);
+
+// ✅ NEW: Master data version history
+router.get('/:id/history', requirePermission('products', 'read'), requireClientAssignment('products'), productController.getProductHistory);
+
+// ✅ NEW: Packaging hierarchy (units per box, boxes per layer, layers per pallet)
+router.route('/:id/packaging')
+  .get(requirePermission('products', 'read'), requireClientAssignment('products'), productController.getProductPackaging)
+  .put(requirePermission('products', 'update'), requireClientAssignment('products'), productController.upsertProductPackaging)
+  .delete(requirePermission('products', 'update'), requireClientAssignment('products'), productController.deleteProductPackaging);
 
 module.exports = router;
 
@@ -1,6 +1,10 @@
 const { PrismaClient } = require("@prisma/client");
+const { validateGtin } = require("../../utils/barcodeValidation");
+const { ensureInitialVersion, recordProductVersion } = require("./product-version.service");
 const prisma = new PrismaClient();
 
+const BARCODE_PACK_LEVELS = ["UNIT", "BOX", "PALLET"];
+
 // ✅ NEW: Auto-generate unique product code with better collision handling
 const generateProductCode = async () => {
   let attempts = 0;
@@ -33,6 +37,63 @@ const generateProductCode = async () => {
   return fallbackCode;
 };
 
+// ✅ NEW: Validate barcode entries ({ barcode, pack_level } or plain strings) before saving.
+// GTINs are compared as GTIN-14 so a UPC-A and its EAN-13 form count as the same code.
+const prepareBarcodes = async (barcodes) => {
+  let entries = barcodes;
+  if (typeof entries === "string") {
+    try {
+      entries = JSON.parse(entries);
+    } catch (e) {
+      entries = entries.split(",");
+    }
+  }
+  entries = (Array.isArray(entries) ? entries : [entries])
+    .map(entry => (typeof entry === "object" && entry !== null ? entry : { barcode: entry }))
+    .filter(entry => entry.barcode !== undefined && entry.barcode !== null && String(entry.barcode).trim() !== "");
+
+  const errors = [];
+  const seen = new Set();
+  const prepared = [];
+
+  entries.forEach(entry => {
+    const result = validateGtin(entry.barcode);
+    const packLevel = entry.pack_level ? String(entry.pack_level).toUpperCase() : "UNIT";
+
+    if (!result.valid) {
+      errors.push(result.message);
+    } else if (seen.has(result.gtin14)) {
+      errors.push(`Barcode "${result.value}" is listed more than once`);
+    }
+    if (!BARCODE_PACK_LEVELS.includes(packLevel)) {
+      errors.push(`Pack level "${entry.pack_level}" must be one of: ${BARCODE_PACK_LEVELS.join(", ")}`);
+    }
+
+    if (result.valid) {
+      seen.add(result.gtin14);
+      prepared.push({ barcode: result.value, gtin14: result.gtin14, pack_level: packLevel });
+    }
+  });
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid barcode: ${errors.join("; ")}`);
+  }
+
+  if (prepared.length > 0) {
+    const registered = await prisma.productBarcode.findMany({
+      where: { gtin14: { in: prepared.map(b => b.gtin14) } },
+      include: { product: { select: { product_code: true } } }
+    });
+    if (registered.length > 0) {
+      throw new Error(
+        `Barcode already registered: ${registered.map(b => `${b.barcode} (product ${b.product.product_code})`).join(", ")}`
+      );
+    }
+  }
+
+  return prepared;
+};
+
 const createProduct = async (data, createdByUserId = null, userRole = null) => {
   // ✅ NEW: Auto-generate product code if not provided
   if (!data.product_code) {
@@ -47,6 +108,9 @@ const createProduct = async (data, createdByUserId = null, userRole = null) => {
       throw new Error(`Product code "${data.product_code}" already exists. Please use a different product code or leave it empty for auto-generation.`);
     }
   }
+
+  // ✅ NEW: Barcodes are validated before anything is created
+  const barcodes = data.barcodes ? await prepareBarcodes(data.barcodes) : [];
   
   // Create the product first
   const newProduct = await prisma.product.create({
@@ -68,6 +132,11 @@ const createProduct = async (data, createdByUserId = null, userRole = null) => {
       
       // ✅ NEW: Temperature range connection
       temperature_range: data.temperature_range_id ? { connect: { temperature_range_id: data.temperature_range_id } } : undefined,
+
+      // ✅ NEW: GTIN barcodes per packaging level
+      barcodes: barcodes.length > 0
+        ? { create: barcodes.map(b => ({ ...b, created_by: createdByUserId })) }
+        : undefined,
       
       // ✅ DEPRECATED: Keep old fields for backward compatibility
       // (unit_weight and unit_volume removed)
@@ -96,9 +165,13 @@ const createProduct = async (data, createdByUserId = null, userRole = null) => {
         }
       },
       temperature_range: true,
+      barcodes: true,
     },
   });
   
+  // ✅ NEW: Version 1 of the master data
+  await ensureInitialVersion(prisma, newProduct.product_id, createdByUserId);
+
   // ✅ NEW: Auto-assign product to CLIENT who created it
   if ((userRole === "CLIENT" || userRole === "CLIENT_PHARMACIST") && createdByUserId) {
     try {
@@ -242,6 +315,7 @@ const getAllProducts = async (filters = {}, userRole = null, userId = null) => {
         }
       },
       temperature_range: true,
+      barcodes: true,
       // Removed deprecated fields: product_line, group, active_state
       clientAssignments: (userRole === "CLIENT" || userRole === "CLIENT_PHARMACIST") ? {
         where: { is_active: true },
@@ -302,6 +376,8 @@ const getProductById = async (id) => {
         }
       },
       temperature_range: true,
+      barcodes: { orderBy: { pack_level: "asc" } },
+      packaging: true,
       // active_state: { select: { name: true } }, // Removed, not a relation
       
       // ✅ NEW: Include client assignments
@@ -329,35 +405,52 @@ const getProductById = async (id) => {
   });
 };
 
-const updateProduct = async (id, data) => {
-  return prisma.product.update({
-    where: { product_id: id },
-    data: {
-      // ✅ NEW: Support new fields
-      ...(data.product_code && { product_code: data.product_code }),
-      ...(data.name && { name: data.name }),
-      ...(data.category_id !== undefined && { category: data.category_id ? { connect: { category_id: data.category_id } } : { disconnect: true } }),
-      ...(data.subcategory1_id !== undefined && { subcategory1: data.subcategory1_id ? { connect: { subcategory1_id: data.subcategory1_id } } : { disconnect: true } }),
-      ...(data.subcategory2_id !== undefined && { subcategory2: data.subcategory2_id ? { connect: { subcategory2_id: data.subcategory2_id } } : { disconnect: true } }),
-      ...(data.manufacturer !== undefined && { manufacturer: data.manufacturer }),
-      ...(data.humidity !== undefined && { humidity: data.humidity }),
-      ...(data.observations !== undefined && { observations: data.observations }),
-      ...(data.uploaded_documents !== undefined && { uploaded_documents: data.uploaded_documents }),
-      
-      // ✅ DEPRECATED: Keep old fields for backward compatibility
-      ...(data.temperature_range_id !== undefined && { temperature_range_id: data.temperature_range_id }),
-    },
-    include: {
-      // ✅ NEW: Include new category relations
-      category: true,
-      subcategory1: {
-        include: { category: true }
+/**
+ * Update the product master and store a new version when versioned fields change.
+ * @returns {Promise<{ product: Object, version: Object|null }>}
+ */
+const updateProduct = async (id, data, userId = null) => {
+  return prisma.$transaction(async (tx) => {
+    // Products that predate versioning get their current state as version 1 first
+    await ensureInitialVersion(tx, id);
+
+    const product = await tx.product.update({
+      where: { product_id: id },
+      data: {
+        // ✅ NEW: Support new fields
+        ...(data.product_code && { product_code: data.product_code }),
+        ...(data.name && { name: data.name }),
+        ...(data.category_id !== undefined && { category: data.category_id ? { connect: { category_id: data.category_id } } : { disconnect: true } }),
+        ...(data.subcategory1_id !== undefined && { subcategory1: data.subcategory1_id ? { connect: { subcategory1_id: data.subcategory1_id } } : { disconnect: true } }),
+        ...(data.subcategory2_id !== undefined && { subcategory2: data.subcategory2_id ? { connect: { subcategory2_id: data.subcategory2_id } } : { disconnect: true } }),
+        ...(data.manufacturer !== undefined && { manufacturer: data.manufacturer }),
+        ...(data.humidity !== undefined && { humidity: data.humidity }),
+        ...(data.observations !== undefined && { observations: data.observations }),
+        ...(data.uploaded_documents !== undefined && { uploaded_documents: data.uploaded_documents }),
+        
+        // ✅ DEPRECATED: Keep old fields for backward compatibility
+        ...(data.temperature_range_id !== undefined && { temperature_range_id: data.temperature_range_id }),
+
+        // ✅ NEW: Storage specification, kept in the version history
+        ...(data.storage_conditions !== undefined && { storage_conditions: data.storage_conditions }),
+        ...(data.unit_weight !== undefined && { unit_weight: data.unit_weight === null || data.unit_weight === "" ? null : parseFloat(data.unit_weight) }),
+        ...(data.unit_volume !== undefined && { unit_volume: data.unit_volume === null || data.unit_volume === "" ? null : parseFloat(data.unit_volume) }),
       },
-      subcategory2: {
-        include: { subcategory1: { include: { category: true } } }
+      include: {
+        // ✅ NEW: Include new category relations
+        category: true,
+        subcategory1: {
+          include: { category: true }
+        },
+        subcategory2: {
+          include: { subcategory1: { include: { category: true } } }
+        },
+        temperature_range: true,
       },
-      temperature_range: true,
-    },
+    });
+
+    const version = await recordProductVersion(tx, id, userId, data.change_reason);
+    return { product, version };
   });
 };
 
@@ -603,6 +696,92 @@ const createSubCategory2 = async (subcategoryData) => {
   }
 };
 
+// ✅ NEW: Add barcodes to an existing product
+const addProductBarcodes = async (productId, barcodes, userId = null) => {
+  const product = await prisma.product.findUnique({
+    where: { product_id: productId },
+    select: { product_id: true }
+  });
+  if (!product) {
+    throw new Error("Product not found");
+  }
+
+  const prepared = await prepareBarcodes(barcodes);
+  if (prepared.length === 0) {
+    throw new Error("Invalid barcode: at least one barcode is required");
+  }
+
+  await prisma.productBarcode.createMany({
+    data: prepared.map(b => ({ ...b, product_id: productId, created_by: userId }))
+  });
+
+  return prisma.productBarcode.findMany({
+    where: { product_id: productId },
+    orderBy: [{ pack_level: "asc" }, { created_at: "asc" }]
+  });
+};
+
+// ✅ NEW: Remove one barcode of a product
+const removeProductBarcode = async (productId, barcodeId) => {
+  const barcode = await prisma.productBarcode.findFirst({
+    where: { barcode_id: barcodeId, product_id: productId }
+  });
+  if (!barcode) {
+    throw new Error("Barcode not found");
+  }
+
+  await prisma.productBarcode.delete({ where: { barcode_id: barcodeId } });
+  return barcode;
+};
+
+// ✅ NEW: Resolve a scanned barcode to its product and packaging level.
+// Client users only resolve products assigned to their client.
+const lookupProductByBarcode = async (scannedBarcode, userRole = null, userId = null) => {
+  const result = validateGtin(scannedBarcode);
+  if (!result.valid) {
+    throw new Error(`Invalid barcode: ${result.message}`);
+  }
+
+  const barcode = await prisma.productBarcode.findUnique({
+    where: { gtin14: result.gtin14 },
+    include: {
+      product: {
+        include: {
+          category: { select: { category_id: true, name: true } },
+          temperature_range: true,
+          barcodes: { orderBy: { pack_level: "asc" } }
+        }
+      }
+    }
+  });
+  if (!barcode) {
+    throw new Error(`No product found for barcode ${result.value}`);
+  }
+
+  if ((userRole === "CLIENT" || userRole === "CLIENT_PHARMACIST") && userId) {
+    const assignment = await prisma.clientProductAssignment.findFirst({
+      where: {
+        product_id: barcode.product_id,
+        is_active: true,
+        client: { clientUsers: { some: { user_id: userId, is_active: true } } }
+      },
+      select: { client_product_code: true }
+    });
+    if (!assignment) {
+      throw new Error(`No product found for barcode ${result.value}`);
+    }
+  }
+
+  const { product, ...barcodeData } = barcode;
+  return {
+    scanned: result.value,
+    format: result.format,
+    pack_level: barcode.pack_level,
+    barcode: barcodeData,
+    product
+  };
+};
+
 // ✅ DEPRECATED: Keep old functions for backward compatibility
 const getTemperatureRanges = async () => {
   return prisma.temperatureRange.findMany();
@@ -628,7 +807,8 @@ const getFormFields = async () => {
       productCategories: productCategories, // New healthcare categories
       subcategories1: subcategories1, // New healthcare subcategories level 1
       subcategories2: subcategories2, // New healthcare subcategories level 2
-      temperatureRanges
+      temperatureRanges,
+      barcodePackLevels: BARCODE_PACK_LEVELS
     };
   } catch (error) {
     console.error("Error in getFormFields:", error);
@@ -652,4 +832,11 @@ module.exports = {
   createSubCategory2,
   getTemperatureRanges,
   getFormFields,
+
+  // ✅ NEW: Barcodes
+  BARCODE_PACK_LEVELS,
+  prepareBarcodes,
+  addProductBarcodes,
+  removeProductBarcode,
+  lookupProductByBarcode,
 };
@@ -1,4 +1,5 @@
 const { PrismaClient } = require("@prisma/client");
+const { applyWarehouseScope } = require("../../middlewares/roleBasedAccess");
 const prisma = new PrismaClient();
 
 /**
@@ -271,6 +272,9 @@ function buildWhereConditions(filters, userContext) {
     whereConditions = { ...whereConditions, ...clientFilter };
   }
 
+  // Warehouse-scoped staff only see dispatches from their warehouses
+  applyWarehouseScope(whereConditions, userContext?.warehouseIds, warehouseFilter => ({ cell: { warehouse_id: warehouseFilter } }));
+
   return whereConditions;
 }
 
@@ -538,6 +542,8 @@ async function getUnallocatedInventory(filters, userContext) {
     };
   }
 
+  applyWarehouseScope(whereConditions, userContext?.warehouseIds, warehouseFilter => ({ cell: { warehouse_id: warehouseFilter } }));
+
   const inventory = await prisma.inventoryAllocation.findMany({
     where: whereConditions,
     include: {
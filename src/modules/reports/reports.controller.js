@@ -7,9 +7,22 @@ const {
   generateMasterOccupancyReport,
   generateStockInReport,
   generateStockOutReport,
+  generateClientCapacityReport,
+  generateSupplierScorecardReport,
 } = require("./reports.service");
 
 const { generateMasterReport } = require("./masterReport.service");
+const { getScopedWarehouseIds } = require("../../middlewares/roleBasedAccess");
+const { UNITS_OF_MEASURE } = require("../product/product-packaging.service");
+
+// ✅ NEW: Optional ?uom= to show quantities in boxes, layers or pallets
+function parseUom(value) {
+  if (!value) return { uom: null };
+  const uom = String(value).toUpperCase();
+  return UNITS_OF_MEASURE.includes(uom)
+    ? { uom }
+    : { error: `Invalid uom '${value}'. Allowed: ${UNITS_OF_MEASURE.join(", ")}` };
+}
 
 async function getWarehouseReport(req, res) {
   try {
@@ -23,13 +36,21 @@ async function getWarehouseReport(req, res) {
       product_code: req.query.product_code || null,
       warehouse_id: req.query.warehouse_id || null,
       quality_status: req.query.quality_status || null,
-      include_depleted: req.query.include_depleted // Default: true (show all inventory including depleted)
+      include_depleted: req.query.include_depleted, // Default: true (show all inventory including depleted)
+      uom: null
     };
 
+    const { uom, error: uomError } = parseUom(req.query.uom);
+    if (uomError) {
+      return res.status(400).json({ success: false, message: uomError });
+    }
+    filters.uom = uom;
+
     // Get user context from JWT token
     const userContext = {
       userId: req.user?.id,
-      userRole: req.user?.role
+      userRole: req.user?.role,
+      warehouseIds: getScopedWarehouseIds(req.warehouseRestriction)
     };
 
     console.log(`📊 WAREHOUSE REPORT REQUEST: User ${userContext.userId} (${userContext.userRole}) requesting report with filters:`, filters);
@@ -83,7 +104,8 @@ async function getProductCategoryReport(req, res) {
     // Get user context from JWT token
     const userContext = {
       userId: req.user?.id,
-      userRole: req.user?.role
+      userRole: req.user?.role,
+      warehouseIds: getScopedWarehouseIds(req.warehouseRestriction)
     };
 
     console.log(`📊 PRODUCT CATEGORY REPORT REQUEST: User ${userContext.userId} (${userContext.userRole}) requesting report with filters:`, filters);
@@ -132,12 +154,20 @@ async function getProductWiseReport(req, res) {
       customer_code: req.query.customer_code || null,
       product_name: req.query.product_name || null,
       product_code: req.query.product_code || null,
+      uom: null
     };
 
+    const { uom, error: uomError } = parseUom(req.query.uom);
+    if (uomError) {
+      return res.status(400).json({ success: false, message: uomError });
+    }
+    filters.uom = uom;
+
     // Get user context from JWT token
     const userContext = {
       userId: req.user?.id,
-      userRole: req.user?.role
+      userRole: req.user?.role,
+      warehouseIds: getScopedWarehouseIds(req.warehouseRestriction)
     };
 
     console.log(`📊 PRODUCT WISE REPORT REQUEST: User ${userContext.userId} (${userContext.userRole}) requesting report with filters:`, filters);
@@ -191,7 +221,8 @@ async function getCardexReport(req, res) {
     // Get user context from JWT token
     const userContext = {
       userId: req.user?.id,
-      userRole: req.user?.role
+      userRole: req.user?.role,
+      warehouseIds: getScopedWarehouseIds(req.warehouseRestriction)
     };
 
     console.log(`📊 CARDEX REPORT REQUEST: User ${userContext.userId} (${userContext.userRole}) requesting report with filters:`, filters);
@@ -249,7 +280,8 @@ async function getMasterReport(req, res) {
     // Get user context from JWT token
     const userContext = {
       userId: req.user?.id,
-      userRole: req.user?.role
+      userRole: req.user?.role,
+      warehouseIds: getScopedWarehouseIds(req.warehouseRestriction)
     };
 
     console.log(`📊 MASTER REPORT REQUEST: User ${userContext.userId} (${userContext.userRole}) requesting report with filters:`, filters);
@@ -305,7 +337,8 @@ async function getMasterStatusReport(req, res) {
     // Get user context from JWT token
     const userContext = {
       userId: req.user?.id,
-      userRole: req.user?.role
+      userRole: req.user?.role,
+      warehouseIds: getScopedWarehouseIds(req.warehouseRestriction)
     };
 
     console.log(`📊 MASTER STATUS REPORT REQUEST: User ${userContext.userId} (${userContext.userRole}) requesting report with filters:`, filters);
@@ -354,7 +387,8 @@ async function getMasterOccupancyReport(req, res) {
     // Get user context from JWT token
     const userContext = {
       userId: req.user?.id,
-      userRole: req.user?.role
+      userRole: req.user?.role,
+      warehouseIds: getScopedWarehouseIds(req.warehouseRestriction)
     };
 
     console.log(`📊 MASTER OCCUPANCY REPORT REQUEST: User ${userContext.userId} (${userContext.userRole}) requesting report with filters:`, filters);
@@ -405,7 +439,8 @@ async function getStockInReport(req, res) {
     // Get user context from JWT token
     const userContext = {
       userId: req.user?.id,
-      userRole: req.user?.role
+      userRole: req.user?.role,
+      warehouseIds: getScopedWarehouseIds(req.warehouseRestriction)
     };
 
     console.log(`📊 STOCK IN REPORT REQUEST: User ${userContext.userId} (${userContext.userRole}) requesting report with filters:`, filters);
@@ -457,7 +492,8 @@ async function getStockOutReport(req, res) {
     // Get user context from JWT token
     const userContext = {
       userId: req.user?.id,
-      userRole: req.user?.role
+      userRole: req.user?.role,
+      warehouseIds: getScopedWarehouseIds(req.warehouseRestriction)
     };
 
     console.log(`📊 STOCK OUT REPORT REQUEST: User ${userContext.userId} (${userContext.userRole}) requesting report with filters:`, filters);
@@ -496,6 +532,127 @@ async function getStockOutReport(req, res) {
   }
 }
 
+async function getClientCapacityReport(req, res) {
+  try {
+    const filters = {
+      client_id: req.query.client_id || null,
+      warehouse_id: req.query.warehouse_id || null,
+    };
+
+    const userContext = {
+      userId: req.user?.id,
+      userRole: req.user?.role,
+      warehouseIds: getScopedWarehouseIds(req.warehouseRestriction)
+    };
+
+    // Client users only see their own contracted capacity
+    if (req.user?.role === 'CLIENT' || req.user?.role === 'CLIENT_PHARMACIST') {
+      if (!req.user.client_id) {
+        return res.status(403).json({
+          success: false,
+          message: "User is not linked to a client"
+        });
+      }
+      userContext.clientId = req.user.client_id;
+    }
+
+    console.log(`📊 CLIENT CAPACITY REPORT REQUEST: User ${userContext.userId} (${userContext.userRole}) requesting report with filters:`, filters);
+
+    const reportResult = await generateClientCapacityReport(filters, userContext);
+
+    if (!reportResult.success) {
+      return res.status(500).json({
+        success: false,
+        message: reportResult.message,
+        error: reportResult.error
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: reportResult.message,
+      data: reportResult.data,
+      summary: reportResult.summary,
+      filters_applied: reportResult.filters_applied,
+      user_role: reportResult.user_role,
+      report_generated_at: reportResult.report_generated_at,
+      processing_time_ms: reportResult.processing_time_ms
+    });
+
+  } catch (error) {
+    console.error("Error in getClientCapacityReport controller:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Error generating client capacity report",
+      error: error.message
+    });
+  }
+}
+
+async function getSupplierScorecardReport(req, res) {
+  try {
+    const filters = {
+      date_from: req.query.date_from || null,
+      date_to: req.query.date_to || null,
+      client_id: req.query.client_id || null,
+      supplier_id: req.query.supplier_id || null,
+      warehouse_id: req.query.warehouse_id || null,
+      on_time_tolerance_hours: req.query.on_time_tolerance_hours || null,
+      short_expiry_days: req.query.short_expiry_days || null,
+    };
+
+    const userContext = {
+      userId: req.user?.id,
+      userRole: req.user?.role,
+      warehouseIds: getScopedWarehouseIds(req.warehouseRestriction)
+    };
+
+    // Client users only see the suppliers of their own client
+    if (req.user?.role === 'CLIENT' || req.user?.role === 'CLIENT_PHARMACIST') {
+      if (!req.user.client_id) {
+        return res.status(403).json({
+          success: false,
+          message: "User is not linked to a client"
+        });
+      }
+      userContext.clientId = req.user.client_id;
+    }
+
+    console.log(`📊 SUPPLIER SCORECARD REPORT REQUEST: User ${userContext.userId} (${userContext.userRole}) requesting report with filters:`, filters);
+
+    const reportResult = await generateSupplierScorecardReport(filters, userContext);
+
+    if (!reportResult.success) {
+      const isValidationError = reportResult.error === "Invalid scorecard thresholds";
+      return res.status(isValidationError ? 400 : 500).json({
+        success: false,
+        message: reportResult.message,
+        error: reportResult.error
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: reportResult.message,
+      data: reportResult.data,
+      summary: reportResult.summary,
+      filters_applied: reportResult.filters_applied,
+      user_role: reportResult.user_role,
+      is_client_filtered: reportResult.is_client_filtered,
+      report_generated_at: reportResult.report_generated_at,
+      processing_time_ms: reportResult.processing_time_ms
+    });
+
+  } catch (error) {
+    console.error("Error in getSupplierScorecardReport controller:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Error generating supplier scorecard report",
+      error: error.message
+    });
+  }
+}
+
 module.exports = {
   getWarehouseReport,
   getProductCategoryReport,
@@ -506,4 +663,6 @@ module.exports = {
   getMasterOccupancyReport,
   getStockInReport,
   getStockOutReport,
+  getClientCapacityReport,
+  getSupplierScorecardReport,
 };
\ No newline at end of file
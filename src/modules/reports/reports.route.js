@@ -10,33 +10,44 @@ const {
   getMasterOccupancyReport,
   getStockInReport,
   getStockOutReport,
+  getClientCapacityReport,
+  getSupplierScorecardReport,
 } = require("./reports.controller");
+const { requirePermission, checkWarehouseRestriction } = require("../../middlewares/roleBasedAccess");
+
+const canReadReports = requirePermission("reports", "read");
 
 // Warehouse report endpoint
-router.get("/warehouse", getWarehouseReport);
+router.get("/warehouse", canReadReports, checkWarehouseRestriction, getWarehouseReport);
 
 // Product category report endpoint
-router.get("/product-category", getProductCategoryReport);
+router.get("/product-category", canReadReports, checkWarehouseRestriction, getProductCategoryReport);
 
 // Product-wise stock in/out report endpoint
-router.get("/product-wise", getProductWiseReport);
+router.get("/product-wise", canReadReports, checkWarehouseRestriction, getProductWiseReport);
 
 // Cardex report endpoint
-router.get("/cardex", getCardexReport);
+router.get("/cardex", canReadReports, checkWarehouseRestriction, getCardexReport);
 
 // Master report endpoint - comprehensive transaction-based report
-router.get("/master", getMasterReport);
+router.get("/master", canReadReports, checkWarehouseRestriction, getMasterReport);
 
 // Master status report endpoint - current inventory snapshot by position
-router.get("/master-status", getMasterStatusReport);
+router.get("/master-status", canReadReports, checkWarehouseRestriction, getMasterStatusReport);
 
 // Master occupancy report endpoint - warehouse capacity and occupancy status
-router.get("/master-occupancy", getMasterOccupancyReport);
+router.get("/master-occupancy", canReadReports, checkWarehouseRestriction, getMasterOccupancyReport);
 
 // Stock in report endpoint - monthly summary of all entry orders
-router.get("/stock-in", getStockInReport);
+router.get("/stock-in", canReadReports, checkWarehouseRestriction, getStockInReport);
 
 // Stock out report endpoint - monthly summary of all dispatch orders
-router.get("/stock-out", getStockOutReport);
+router.get("/stock-out", canReadReports, checkWarehouseRestriction, getStockOutReport);
+
+// Client capacity report endpoint - contracted versus used capacity per client cell assignment
+router.get("/client-capacity", canReadReports, checkWarehouseRestriction, getClientCapacityReport);
+
+// Supplier scorecard endpoint - on-time receipts, discrepancies, rejections/returns, short expiry and volume per supplier
+router.get("/supplier-scorecard", canReadReports, checkWarehouseRestriction, getSupplierScorecardReport);
 
 module.exports = router;
\ No newline at end of file
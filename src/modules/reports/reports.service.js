@@ -1,6 +1,17 @@
 const { PrismaClient } = require("@prisma/client");
+const { convertQuantity, loadPackagingMap } = require("../product/product-packaging.service");
+const { applyWarehouseScope } = require("../../middlewares/roleBasedAccess");
 const prisma = new PrismaClient();
 
+/**
+ * Converter from units to `uom` using each product's packaging; returns null when the
+ * product has no packaging for that level.
+ */
+async function getUomConverter(uom, productIds) {
+  const packagingMap = await loadPackagingMap(prisma, productIds);
+  return (productId, quantity) => convertQuantity(packagingMap.get(productId), quantity, "UNIT", uom);
+}
+
 /**
  * Generate comprehensive warehouse report with filtering capabilities
  * @param {Object} filters - Filter parameters
@@ -13,6 +24,7 @@ const prisma = new PrismaClient();
  * @param {string} filters.warehouse_id - Warehouse ID filter
  * @param {string} filters.quality_status - Quality status filter
  * @param {string} filters.include_depleted - Include depleted inventory (default: true)
+ * @param {string} filters.uom - Also show quantities in UNIT, BOX, LAYER or PALLET
  * @param {Object} userContext - User context for role-based filtering
  * @returns {Object} Warehouse report data
  */
@@ -200,6 +212,8 @@ async function generateWarehouseReport(filters = {}, userContext = {}) {
       }
     }
 
+    applyWarehouseScope(whereClause, userContext?.warehouseIds, warehouseFilter => ({ cell: { warehouse_id: warehouseFilter } }));
+
     // ✅ Fetch inventory data with comprehensive includes
     const inventoryData = await prisma.inventoryAllocation.findMany({
       where: whereClause,
@@ -481,6 +495,18 @@ async function generateWarehouseReport(filters = {}, userContext = {}) {
       }))
     }));
 
+    // ✅ NEW: Quantities in the requested unit of measure
+    if (filters.uom) {
+      const toUom = await getUomConverter(filters.uom, reportData.flatMap(client => client.products.map(p => p.product_id)));
+      reportData.forEach(client => client.products.forEach(product => {
+        product.uom = filters.uom;
+        product.total_quantity_in_uom = toUom(product.product_id, product.total_quantity);
+        product.positions.forEach(position => {
+          position.quantity_in_uom = toUom(product.product_id, position.quantity_units);
+        });
+      }));
+    }
+
     // ✅ Calculate warehouse space statistics
     const occupiedCells = new Set();
     inventoryData.forEach(allocation => {
@@ -748,6 +774,8 @@ async function generateProductCategoryReport(filters, userContext) {
       ...clientFilter
     };
 
+    applyWarehouseScope(finalWhere, userContext?.warehouseIds, warehouseFilter => ({ cell: { warehouse_id: warehouseFilter } }));
+
     // Fetch inventory allocations for product category analysis
     const inventoryAllocations = await prisma.inventoryAllocation.findMany({
       where: finalWhere,
@@ -1076,6 +1104,9 @@ async function generateProductWiseReport(filters, userContext) {
       ...departureClientFilter
     };
 
+    applyWarehouseScope(finalEntryWhere, userContext?.warehouseIds, warehouseFilter => ({ entry_order: { warehouse_id: warehouseFilter } }));
+    applyWarehouseScope(finalDepartureWhere, userContext?.warehouseIds, warehouseFilter => ({ departure_order: { warehouse_id: warehouseFilter } }));
+
     // Fetch stock in data (from entry orders)
     const stockInData = await prisma.entryOrderProduct.findMany({
       where: finalEntryWhere,
@@ -1210,6 +1241,7 @@ async function generateProductWiseReport(filters, userContext) {
 
       return {
         type: 'STOCK_IN',
+        product_id: item.product.product_id,
         product_code: item.product.product_code,
         product_name: item.product.name,
         manufacturer: item.product.manufacturer,
@@ -1257,6 +1289,7 @@ async function generateProductWiseReport(filters, userContext) {
 
       return {
         type: 'STOCK_OUT',
+        product_id: item.product.product_id,
         product_code: item.product.product_code,
         product_name: item.product.name,
         manufacturer: item.product.manufacturer,
@@ -1286,6 +1319,15 @@ async function generateProductWiseReport(filters, userContext) {
       return dateB - dateA;
     });
 
+    // ✅ NEW: Quantities in the requested unit of measure
+    if (filters.uom) {
+      const toUom = await getUomConverter(filters.uom, reportData.map(item => item.product_id));
+      reportData.forEach(item => {
+        item.uom = filters.uom;
+        item.quantity_in_uom = toUom(item.product_id, item.quantity_units);
+      });
+    }
+
     // Generate summary statistics
     const summary = {
       total_records: reportData.length,
@@ -1434,6 +1476,9 @@ async function generateCardexReport(filters, userContext) {
       ...clientFilter
     };
 
+    applyWarehouseScope(finalEntryOrderFilter, userContext?.warehouseIds);
+    applyWarehouseScope(finalDepartureOrderFilter, userContext?.warehouseIds);
+
     // Get all entry order products that match our criteria for opening balance calculation
     const allEntryOrderProducts = await prisma.entryOrderProduct.findMany({
       where: {
@@ -1983,6 +2028,8 @@ async function generateMasterStatusReport(filters = {}, userContext = {}) {
       }
     }
 
+    applyWarehouseScope(whereClause, userContext?.warehouseIds, warehouseFilter => ({ cell: { warehouse_id: warehouseFilter } }));
+
     // Fetch inventory data
     const inventoryData = await prisma.inventoryAllocation.findMany({
       where: whereClause,
@@ -2206,9 +2253,12 @@ async function generateMasterOccupancyReport(filters = {}, userContext = {}) {
       whereClause.warehouse_id = filters.warehouse_id;
     }
 
+    const warehouseWhere = filters.warehouse_id ? { warehouse_id: filters.warehouse_id } : {};
+    applyWarehouseScope(warehouseWhere, userContext?.warehouseIds);
+
     // Fetch all warehouses with their cells
     const warehouses = await prisma.warehouse.findMany({
-      where: filters.warehouse_id ? { warehouse_id: filters.warehouse_id } : {},
+      where: warehouseWhere,
       include: {
         cells: {
           where: whereClause,
@@ -2427,6 +2477,8 @@ async function generateStockInReport(filters = {}, userContext = {}) {
       }
     }
 
+    applyWarehouseScope(whereClause, userContext?.warehouseIds);
+
     // Fetch entry orders with related data
     const entryOrders = await prisma.entryOrder.findMany({
       where: whereClause,
@@ -2672,6 +2724,8 @@ async function generateStockOutReport(filters = {}, userContext = {}) {
       }
     }
 
+    applyWarehouseScope(whereClause, userContext?.warehouseIds);
+
     // Fetch departure orders with related data
     const departureOrders = await prisma.departureOrder.findMany({
       where: whereClause,
@@ -2812,6 +2866,475 @@ async function generateStockOutReport(filters = {}, userContext = {}) {
   }
 }
 
+/**
+ * Generate Client Capacity Report - contracted (ClientCellAssignment.max_capacity) versus used volume
+ * Used volume is the client's stock volume (m³) currently in each assigned cell
+ * @param {Object} filters - Filter parameters
+ * @param {string} filters.client_id - Client ID filter
+ * @param {string} filters.warehouse_id - Warehouse ID filter
+ * @param {Object} userContext - User context for role-based filtering (clientId set for client users)
+ * @returns {Object} Client capacity report data
+ */
+async function generateClientCapacityReport(filters = {}, userContext = {}) {
+  const startTime = Date.now();
+  console.log(`📊 CLIENT CAPACITY REPORT: Starting report generation at ${new Date().toISOString()}`);
+
+  try {
+    const { userRole } = userContext;
+
+    const whereClause = { is_active: true };
+    if (filters.client_id) {
+      whereClause.client_id = filters.client_id;
+    }
+    if (userContext.clientId) {
+      // Client users only see their own contract
+      whereClause.client_id = userContext.clientId;
+    }
+    if (filters.warehouse_id) {
+      whereClause.warehouse_id = filters.warehouse_id;
+    }
+    applyWarehouseScope(whereClause, userContext?.warehouseIds);
+
+    const assignments = await prisma.clientCellAssignment.findMany({
+      where: whereClause,
+      select: {
+        client_id: true,
+        cell_id: true,
+        priority: true,
+        max_capacity: true,
+        client: {
+          select: {
+            client_id: true,
+            client_code: true,
+            client_type: true,
+            company_name: true,
+            first_names: true,
+            last_name: true
+          }
+        },
+        cell: { select: { row: true, bay: true, position: true, status: true } },
+        warehouse: { select: { warehouse_id: true, name: true } }
+      },
+      orderBy: [{ client_id: 'asc' }, { priority: 'asc' }]
+    });
+
+    console.log(`📦 Retrieved ${assignments.length} active client cell assignments for capacity report`);
+
+    // Client stock per assigned cell
+    const clientIds = [...new Set(assignments.map(a => a.client_id))];
+    const usage = clientIds.length > 0
+      ? await prisma.inventory.findMany({
+          where: {
+            cell_id: { in: [...new Set(assignments.map(a => a.cell_id))] },
+            current_quantity: { gt: 0 },
+            allocation: { entry_order: { client_id: { in: clientIds } } }
+          },
+          select: {
+            cell_id: true,
+            current_quantity: true,
+            current_volume: true,
+            allocation: { select: { entry_order: { select: { client_id: true } } } }
+          }
+        })
+      : [];
+
+    const usageByClientCell = new Map();
+    usage.forEach(item => {
+      const key = `${item.allocation.entry_order.client_id}:${item.cell_id}`;
+      const entry = usageByClientCell.get(key) || { quantity: 0, volume: 0 };
+      entry.quantity += item.current_quantity;
+      entry.volume += parseFloat(item.current_volume || 0);
+      usageByClientCell.set(key, entry);
+    });
+
+    const round = (value) => Math.round(value * 1000) / 1000;
+    const clientsMap = new Map();
+
+    assignments.forEach(assignment => {
+      const client = assignment.client;
+      if (!clientsMap.has(client.client_id)) {
+        clientsMap.set(client.client_id, {
+          client_id: client.client_id,
+          client_code: client.client_code,
+          client_name: client.client_type === 'JURIDICO'
+            ? client.company_name
+            : `${client.first_names || ''} ${client.last_name || ''}`.trim(),
+          cells: []
+        });
+      }
+
+      const used = usageByClientCell.get(`${client.client_id}:${assignment.cell_id}`) || { quantity: 0, volume: 0 };
+      const maxCapacity = assignment.max_capacity !== null ? parseFloat(assignment.max_capacity) : null;
+
+      clientsMap.get(client.client_id).cells.push({
+        cell_id: assignment.cell_id,
+        cell_reference: `${assignment.cell.row}.${String(assignment.cell.bay).padStart(2, '0')}.${String(assignment.cell.position).padStart(2, '0')}`,
+        cell_status: assignment.cell.status,
+        warehouse: assignment.warehouse.name,
+        warehouse_id: assignment.warehouse.warehouse_id,
+        priority: assignment.priority,
+        contracted_capacity: maxCapacity,
+        used_volume: round(used.volume),
+        used_quantity: used.quantity,
+        usage_percentage: maxCapacity ? ((used.volume / maxCapacity) * 100).toFixed(2) : null,
+        is_over_capacity: maxCapacity !== null && round(used.volume) > maxCapacity
+      });
+    });
+
+    const reportData = [...clientsMap.values()].map(client => {
+      const limitedCells = client.cells.filter(c => c.contracted_capacity !== null);
+      const contracted = limitedCells.reduce((sum, c) => sum + c.contracted_capacity, 0);
+      const usedInLimitedCells = limitedCells.reduce((sum, c) => sum + c.used_volume, 0);
+
+      return {
+        ...client,
+        assigned_cells: client.cells.length,
+        occupied_cells: client.cells.filter(c => c.used_quantity > 0).length,
+        cells_without_limit: client.cells.length - limitedCells.length,
+        cells_over_capacity: client.cells.filter(c => c.is_over_capacity).length,
+        contracted_capacity: round(contracted),
+        used_volume: round(client.cells.reduce((sum, c) => sum + c.used_volume, 0)),
+        usage_percentage: contracted > 0 ? ((usedInLimitedCells / contracted) * 100).toFixed(2) : null
+      };
+    }).sort((a, b) => (a.client_name || '').localeCompare(b.client_name || ''));
+
+    const summary = {
+      total_clients: reportData.length,
+      total_assigned_cells: reportData.reduce((sum, c) => sum + c.assigned_cells, 0),
+      total_occupied_cells: reportData.reduce((sum, c) => sum + c.occupied_cells, 0),
+      total_contracted_capacity: round(reportData.reduce((sum, c) => sum + c.contracted_capacity, 0)),
+      total_used_volume: round(reportData.reduce((sum, c) => sum + c.used_volume, 0)),
+      clients_over_capacity: reportData.filter(c => c.cells_over_capacity > 0).length,
+      capacity_unit: 'm3'
+    };
+
+    const processingTime = Date.now() - startTime;
+
+    return {
+      success: true,
+      message: "Client capacity report generated successfully",
+      data: reportData,
+      summary,
+      filters_applied: filters,
+      user_role: userRole,
+      report_generated_at: new Date().toISOString(),
+      processing_time_ms: processingTime
+    };
+
+  } catch (error) {
+    console.error("Error generating client capacity report:", error);
+    return {
+      success: false,
+      message: "Error generating client capacity report",
+      error: error.message
+    };
+  }
+}
+
+/**
+ * Supplier performance scorecard built from entry order lines, their allocations and
+ * the entry order audits. Audits are per order, so a discrepancy counts against every
+ * supplier with lines on that order. Rejected entry orders are left out.
+ * @param {Object} filters - date_from, date_to, client_id, supplier_id, warehouse_id,
+ *   on_time_tolerance_hours (default 24), short_expiry_days (default 90)
+ * @param {Object} userContext - User context (`clientId` set for client users)
+ * @returns {Object} Supplier scorecard data
+ */
+async function generateSupplierScorecardReport(filters = {}, userContext = {}) {
+  const startTime = Date.now();
+  console.log(`📊 SUPPLIER SCORECARD REPORT: Starting report generation at ${new Date().toISOString()}`);
+
+  try {
+    const { userRole } = userContext;
+    const toleranceHours = filters.on_time_tolerance_hours !== null && filters.on_time_tolerance_hours !== undefined
+      ? parseFloat(filters.on_time_tolerance_hours)
+      : 24;
+    const shortExpiryDays = filters.short_expiry_days !== null && filters.short_expiry_days !== undefined
+      ? parseInt(filters.short_expiry_days)
+      : 90;
+
+    if (isNaN(toleranceHours) || toleranceHours < 0 || isNaN(shortExpiryDays) || shortExpiryDays < 0) {
+      return {
+        success: false,
+        message: "on_time_tolerance_hours and short_expiry_days must be non-negative numbers",
+        error: "Invalid scorecard thresholds"
+      };
+    }
+
+    // Client users only see the suppliers of their own client
+    const clientId = userContext.clientId || filters.client_id || null;
+
+    const entryOrderWhere = { review_status: { not: 'REJECTED' } };
+    if (filters.date_from || filters.date_to) {
+      entryOrderWhere.registration_date = {};
+      if (filters.date_from) {
+        entryOrderWhere.registration_date.gte = new Date(filters.date_from);
+      }
+      if (filters.date_to) {
+        entryOrderWhere.registration_date.lte = new Date(filters.date_to);
+      }
+    }
+    if (clientId) {
+      entryOrderWhere.client_id = clientId;
+    }
+    if (filters.warehouse_id) {
+      entryOrderWhere.warehouse_id = filters.warehouse_id;
+    }
+    applyWarehouseScope(entryOrderWhere, userContext?.warehouseIds);
+
+    const lineWhere = {
+      supplier_id: filters.supplier_id ? filters.supplier_id : { not: null },
+      entry_order: entryOrderWhere
+    };
+
+    const supplierSelect = {
+      supplier_id: true,
+      supplier_code: true,
+      company_name: true,
+      name: true,
+      ruc: true,
+      category: true
+    };
+
+    const [lines, assignments] = await Promise.all([
+      prisma.entryOrderProduct.findMany({
+        where: lineWhere,
+        select: {
+          supplier_id: true,
+          inventory_quantity: true,
+          weight_kg: true,
+          expiration_date: true,
+          supplier: { select: supplierSelect },
+          entry_order: {
+            select: {
+              entry_order_id: true,
+              entry_order_no: true,
+              registration_date: true,
+              entry_date_time: true,
+              audits: { select: { audit_result: true, discrepancy_notes: true } }
+            }
+          },
+          inventoryAllocations: {
+            select: { inventory_quantity: true, quality_status: true, allocated_at: true }
+          }
+        }
+      }),
+      clientId
+        ? prisma.clientSupplierAssignment.findMany({
+            where: {
+              client_id: clientId,
+              is_active: true,
+              ...(filters.supplier_id && { supplier_id: filters.supplier_id })
+            },
+            select: {
+              supplier_id: true,
+              client_supplier_code: true,
+              preferred_supplier: true,
+              supplier: { select: supplierSelect }
+            }
+          })
+        : Promise.resolve([])
+    ]);
+
+    console.log(`📦 Retrieved ${lines.length} entry order lines and ${assignments.length} client supplier assignments for scorecard`);
+
+    const round = (value) => Math.round(value * 1000) / 1000;
+    const percentage = (part, total) => total > 0 ? ((part / total) * 100).toFixed(2) : null;
+    const DAY_MS = 1000 * 60 * 60 * 24;
+
+    const newSupplierEntry = (supplier) => ({
+      supplier,
+      orders: new Map(),
+      lines: 0,
+      received_quantity: 0,
+      received_weight: 0,
+      allocated_quantity: 0,
+      rejected_quantity: 0,
+      returned_quantity: 0,
+      lines_with_expiry: 0,
+      short_expiry_lines: 0,
+      months: new Map()
+    });
+
+    const suppliersMap = new Map();
+    assignments.forEach(assignment => {
+      suppliersMap.set(assignment.supplier_id, newSupplierEntry(assignment.supplier));
+    });
+
+    lines.forEach(line => {
+      if (!suppliersMap.has(line.supplier_id)) {
+        suppliersMap.set(line.supplier_id, newSupplierEntry(line.supplier));
+      }
+      const entry = suppliersMap.get(line.supplier_id);
+      const order = line.entry_order;
+      const quantity = line.inventory_quantity || 0;
+      const weight = parseFloat(line.weight_kg || 0);
+
+      entry.lines += 1;
+      entry.received_quantity += quantity;
+      entry.received_weight += weight;
+
+      // Receipt of the supplier's goods = first putaway of its lines on the order
+      const orderEntry = entry.orders.get(order.entry_order_id) || {
+        entry_order_no: order.entry_order_no,
+        scheduled_at: order.entry_date_time,
+        received_at: null,
+        audits: order.audits
+      };
+      line.inventoryAllocations.forEach(allocation => {
+        if (!orderEntry.received_at || allocation.allocated_at < orderEntry.received_at) {
+          orderEntry.received_at = allocation.allocated_at;
+        }
+        entry.allocated_quantity += allocation.inventory_quantity;
+        if (allocation.quality_status === 'RECHAZADOS') {
+          entry.rejected_quantity += allocation.inventory_quantity;
+        } else if (allocation.quality_status === 'DEVOLUCIONES') {
+          entry.returned_quantity += allocation.inventory_quantity;
+        }
+      });
+      entry.orders.set(order.entry_order_id, orderEntry);
+
+      // Remaining shelf life at delivery
+      if (line.expiration_date) {
+        entry.lines_with_expiry += 1;
+        const deliveredAt = order.entry_date_time || order.registration_date;
+        const shelfLifeDays = (new Date(line.expiration_date) - new Date(deliveredAt)) / DAY_MS;
+        if (shelfLifeDays < shortExpiryDays) {
+          entry.short_expiry_lines += 1;
+        }
+      }
+
+      const period = new Date(order.registration_date).toISOString().slice(0, 7);
+      const month = entry.months.get(period) || { period, orders: new Set(), lines: 0, quantity: 0, weight_kg: 0 };
+      month.orders.add(order.entry_order_id);
+      month.lines += 1;
+      month.quantity += quantity;
+      month.weight_kg += weight;
+      entry.months.set(period, month);
+    });
+
+    const assignmentBySupplier = new Map(assignments.map(a => [a.supplier_id, a]));
+    const toleranceMs = toleranceHours * 60 * 60 * 1000;
+
+    const reportData = [...suppliersMap.values()].map(entry => {
+      const orders = [...entry.orders.values()];
+
+      const evaluableOrders = orders.filter(o => o.scheduled_at && o.received_at);
+      const lateOrders = evaluableOrders.filter(o =>
+        new Date(o.received_at) - new Date(o.scheduled_at) > toleranceMs
+      );
+
+      const auditedOrders = orders.filter(o => o.audits.some(a => a.audit_result !== 'PENDING'));
+      const discrepancyOrders = auditedOrders.filter(o => o.audits.some(a =>
+        a.audit_result === 'FAILED' || (a.discrepancy_notes && a.discrepancy_notes.trim())
+      ));
+
+      const trend = [...entry.months.values()]
+        .sort((a, b) => a.period.localeCompare(b.period))
+        .map(month => ({
+          period: month.period,
+          orders: month.orders.size,
+          lines: month.lines,
+          quantity: month.quantity,
+          weight_kg: round(month.weight_kg)
+        }));
+      const last = trend[trend.length - 1];
+      const previous = trend[trend.length - 2];
+
+      const assignment = assignmentBySupplier.get(entry.supplier.supplier_id);
+
+      return {
+        supplier_id: entry.supplier.supplier_id,
+        supplier_code: entry.supplier.supplier_code,
+        supplier_name: entry.supplier.company_name || entry.supplier.name,
+        ruc: entry.supplier.ruc,
+        category: entry.supplier.category,
+        is_assigned_to_client: clientId ? !!assignment : null,
+        client_supplier_code: assignment?.client_supplier_code || null,
+        preferred_supplier: assignment ? assignment.preferred_supplier : null,
+        total_orders: orders.length,
+        total_lines: entry.lines,
+        received_quantity: entry.received_quantity,
+        received_weight_kg: round(entry.received_weight),
+        on_time: {
+          evaluated_orders: evaluableOrders.length,
+          on_time_orders: evaluableOrders.length - lateOrders.length,
+          late_orders: lateOrders.map(o => o.entry_order_no),
+          on_time_percentage: percentage(evaluableOrders.length - lateOrders.length, evaluableOrders.length)
+        },
+        discrepancies: {
+          audited_orders: auditedOrders.length,
+          orders_with_discrepancies: discrepancyOrders.map(o => o.entry_order_no),
+          discrepancy_rate: percentage(discrepancyOrders.length, auditedOrders.length)
+        },
+        quality: {
+          allocated_quantity: entry.allocated_quantity,
+          rejected_quantity: entry.rejected_quantity,
+          returned_quantity: entry.returned_quantity,
+          rejected_percentage: percentage(entry.rejected_quantity, entry.allocated_quantity),
+          returned_percentage: percentage(entry.returned_quantity, entry.allocated_quantity),
+          rejected_or_returned_percentage: percentage(entry.rejected_quantity + entry.returned_quantity, entry.allocated_quantity)
+        },
+        short_expiry: {
+          lines_with_expiry: entry.lines_with_expiry,
+          short_expiry_lines: entry.short_expiry_lines,
+          short_expiry_percentage: percentage(entry.short_expiry_lines, entry.lines_with_expiry)
+        },
+        volume_trend: trend,
+        volume_change_percentage: last && previous && previous.quantity > 0
+          ? (((last.quantity - previous.quantity) / previous.quantity) * 100).toFixed(2)
+          : null
+      };
+    }).sort((a, b) => b.received_quantity - a.received_quantity);
+
+    const totals = reportData.reduce((acc, s) => {
+      acc.evaluated += s.on_time.evaluated_orders;
+      acc.onTime += s.on_time.on_time_orders;
+      acc.audited += s.discrepancies.audited_orders;
+      acc.discrepancies += s.discrepancies.orders_with_discrepancies.length;
+      acc.allocated += s.quality.allocated_quantity;
+      acc.rejectedOrReturned += s.quality.rejected_quantity + s.quality.returned_quantity;
+      acc.withExpiry += s.short_expiry.lines_with_expiry;
+      acc.shortExpiry += s.short_expiry.short_expiry_lines;
+      return acc;
+    }, { evaluated: 0, onTime: 0, audited: 0, discrepancies: 0, allocated: 0, rejectedOrReturned: 0, withExpiry: 0, shortExpiry: 0 });
+
+    const summary = {
+      total_suppliers: reportData.length,
+      suppliers_with_receipts: reportData.filter(s => s.total_lines > 0).length,
+      total_received_quantity: reportData.reduce((sum, s) => sum + s.received_quantity, 0),
+      on_time_percentage: percentage(totals.onTime, totals.evaluated),
+      discrepancy_rate: percentage(totals.discrepancies, totals.audited),
+      rejected_or_returned_percentage: percentage(totals.rejectedOrReturned, totals.allocated),
+      short_expiry_percentage: percentage(totals.shortExpiry, totals.withExpiry),
+      on_time_tolerance_hours: toleranceHours,
+      short_expiry_days: shortExpiryDays
+    };
+
+    const processingTime = Date.now() - startTime;
+
+    return {
+      success: true,
+      message: "Supplier scorecard report generated successfully",
+      data: reportData,
+      summary,
+      filters_applied: filters,
+      user_role: userRole,
+      is_client_filtered: !!userContext.clientId,
+      report_generated_at: new Date().toISOString(),
+      processing_time_ms: processingTime
+    };
+
+  } catch (error) {
+    console.error("Error generating supplier scorecard report:", error);
+    return {
+      success: false,
+      message: "Error generating supplier scorecard report",
+      error: error.message
+    };
+  }
+}
+
 module.exports = {
   generateWarehouseReport,
   generateProductCategoryReport,
@@ -2821,4 +3344,6 @@ module.exports = {
   generateMasterOccupancyReport,
   generateStockInReport,
   generateStockOutReport,
+  generateClientCapacityReport,
+  generateSupplierScorecardReport,
 };
\ No newline at end of file
@@ -0,0 +1,692 @@
+const XLSX = require('xlsx');
+const { PrismaClient } = require("@prisma/client");
+const {
+  createSupplier,
+  getNextSupplierCode,
+  getSupplierCategories,
+  createClientSupplierAssignments,
+  PERU_COUNTRY_NAMES
+} = require("./supplier.service");
+const { validateRuc } = require("../../utils/documentValidation");
+
+const prisma = new PrismaClient();
+
+const YES_VALUES = ['SI', 'SÍ', 'YES', 'TRUE', '1', 'X'];
+
+/**
+ * Process bulk supplier upload from Excel file
+ * With dryRun the file is only validated and a report of what would be created is returned.
+ * options.allowNewCategories accepts categories that no supplier uses yet.
+ */
+async function processBulkSupplierUpload(fileBuffer, userId, options = {}) {
+  const startTime = Date.now();
+  const dryRun = options.dryRun === true;
+  console.log(`📊 BULK SUPPLIER: Starting bulk ${dryRun ? 'validation' : 'processing'} at ${new Date().toISOString()}`);
+
+  try {
+    // 1. Parse Excel file
+    const workbook = XLSX.read(fileBuffer, { type: 'buffer' });
+    const validationResult = await validateExcelStructure(workbook);
+
+    if (!validationResult.isValid) {
+      return {
+        success: false,
+        message: 'Excel validation failed',
+        errors: validationResult.errors,
+        processing_time_ms: Date.now() - startTime
+      };
+    }
+
+    // 2. Extract and validate data
+    const suppliers = validationResult.data;
+    const validationErrors = await validateSupplierData(suppliers, options);
+
+    // 3. Dry run: report only, nothing is written
+    if (dryRun) {
+      const report = await buildDryRunReport(suppliers, validationErrors);
+      return {
+        success: validationErrors.length === 0,
+        message: validationErrors.length === 0
+          ? `Validation passed: ${suppliers.length} suppliers ready to be created`
+          : `Validation found errors in ${report.invalid_rows} of ${suppliers.length} rows`,
+        dry_run: true,
+        data: report,
+        processing_time_ms: Date.now() - startTime
+      };
+    }
+
+    if (validationErrors.length > 0) {
+      return {
+        success: false,
+        message: 'Supplier validation failed',
+        errors: validationErrors,
+        processing_time_ms: Date.now() - startTime
+      };
+    }
+
+    // 4. Process suppliers in batches
+    const result = await processSuppliersInBatches(suppliers, userId);
+
+    console.log(`✅ BULK SUPPLIER: Completed processing ${result.successCount} successful, ${result.errorCount} failed`);
+
+    return {
+      success: result.errorCount === 0,
+      message: `Successfully processed ${result.successCount} out of ${suppliers.length} suppliers`,
+      data: {
+        successCount: result.successCount,
+        errorCount: result.errorCount,
+        created: result.created,
+        errors: result.errors
+      },
+      processing_time_ms: Date.now() - startTime
+    };
+
+  } catch (error) {
+    console.error('❌ Error in bulk supplier processing:', error);
+    return {
+      success: false,
+      message: 'Bulk processing failed',
+      error: error.message,
+      processing_time_ms: Date.now() - startTime
+    };
+  }
+}
+
+/**
+ * Validate Excel file structure and data
+ */
+async function validateExcelStructure(workbook) {
+  const errors = [];
+
+  try {
+    // Check if 'Proveedores' sheet exists
+    const sheetNames = workbook.SheetNames;
+    if (!sheetNames.includes('Proveedores')) {
+      errors.push('Falta la hoja requerida: Proveedores');
+      return { isValid: false, errors };
+    }
+
+    const suppliersSheet = workbook.Sheets['Proveedores'];
+    const suppliers = XLSX.utils.sheet_to_json(suppliersSheet, { raw: false });
+
+    if (suppliers.length === 0) {
+      errors.push('La hoja Proveedores está vacía');
+      return { isValid: false, errors };
+    }
+
+    // Validate required columns
+    const requiredColumns = ['Razón Social', 'RUC', 'País', 'Categoría'];
+
+    const firstRow = suppliers[0];
+    for (const column of requiredColumns) {
+      if (!firstRow.hasOwnProperty(column)) {
+        errors.push(`Falta la columna requerida: ${column}`);
+      }
+    }
+
+    if (errors.length > 0) {
+      return { isValid: false, errors };
+    }
+
+    // Transform data to match our schema
+    const transformedSuppliers = await transformSupplierData(suppliers);
+
+    return {
+      isValid: true,
+      data: transformedSuppliers
+    };
+
+  } catch (error) {
+    console.error('❌ Error validating Excel structure:', error);
+    return {
+      isValid: false,
+      errors: [`Excel parsing error: ${error.message}`]
+    };
+  }
+}
+
+function cellText(value) {
+  return value === undefined || value === null ? '' : value.toString().trim();
+}
+
+/**
+ * Lowercase without accents, so "PERÚ", "Peru" and "perú" match
+ */
+function lookupKey(value) {
+  return cellText(value).normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
+/**
+ * Transform Excel data to match our supplier schema
+ */
+async function transformSupplierData(excelSuppliers) {
+  // Get reference data for lookups
+  const countries = await prisma.country.findMany({ select: { country_id: true, name: true } });
+  const countriesByKey = new Map(countries.map(c => [lookupKey(c.name), c]));
+
+  return excelSuppliers.map((row, index) => {
+    const countryName = cellText(row['País']);
+    const country = countryName ? countriesByKey.get(lookupKey(countryName)) : null;
+
+    return {
+      company_name: cellText(row['Razón Social']),
+      ruc: cellText(row['RUC']) || null,
+      category: cellText(row['Categoría']) || null,
+      country_id: country ? country.country_id : null,
+      country_name: country ? country.name : countryName || null,
+      city: cellText(row['Ciudad']) || null,
+      registered_address: cellText(row['Dirección']) || null,
+      contact_person: cellText(row['Persona de Contacto']) || null,
+      contact_no: cellText(row['Teléfono']) || null,
+      email: cellText(row['Email']).toLowerCase() || null,
+      notes: cellText(row['Notas']) || null,
+
+      // Optional client assignment
+      client_codes: cellText(row['Clientes'])
+        .split(/[,;]/)
+        .map(code => code.trim().toUpperCase())
+        .filter(Boolean),
+      client_assignments: [],
+      client_supplier_code: cellText(row['Código Proveedor del Cliente']) || null,
+      preferred_supplier: YES_VALUES.includes(cellText(row['Proveedor Preferido']).toUpperCase()),
+
+      // Excel row reference for error reporting
+      _row_number: index + 2 // +2 because Excel is 1-indexed and has header
+    };
+  });
+}
+
+/**
+ * Validate supplier data before processing; resolves categories and client codes
+ */
+async function validateSupplierData(suppliers, options = {}) {
+  const errors = [];
+  const processed = { ruc: new Set(), names: new Set() };
+
+  const categories = await getSupplierCategories();
+  const categoriesByKey = new Map(categories.map(category => [lookupKey(category), category]));
+  const clientCache = new Map();
+
+  for (const supplier of suppliers) {
+    const rowErrors = [];
+
+    if (!supplier.company_name) {
+      rowErrors.push('La Razón Social es obligatoria');
+    }
+
+    // Country lookup
+    if (supplier.country_name && !supplier.country_id) {
+      rowErrors.push(`País "${supplier.country_name}" no encontrado. Verifique la hoja Países para valores válidos`);
+    }
+
+    // Category validation against the categories already in use
+    if (supplier.category) {
+      const existingCategory = categoriesByKey.get(lookupKey(supplier.category));
+      if (existingCategory) {
+        supplier.category = existingCategory;
+      } else if (!options.allowNewCategories) {
+        rowErrors.push(`Categoría "${supplier.category}" inválida. Valores permitidos: ${categories.join(', ') || 'ninguno registrado'}`);
+      }
+    }
+
+    // RUC is validated for Peruvian suppliers and suppliers without country
+    const isPeruvian = !supplier.country_name || PERU_COUNTRY_NAMES.includes(lookupKey(supplier.country_name));
+    if (isPeruvian && supplier.ruc) {
+      const rucCheck = validateRuc(supplier.ruc, 'es');
+      if (!rucCheck.valid) rowErrors.push(rucCheck.message);
+      supplier.ruc = rucCheck.value;
+    }
+
+    if (supplier.email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(supplier.email)) {
+      rowErrors.push(`El Email "${supplier.email}" no tiene un formato válido`);
+    }
+
+    // Duplicates in current batch and in database
+    if (supplier.ruc) {
+      if (processed.ruc.has(supplier.ruc)) {
+        rowErrors.push(`RUC duplicado "${supplier.ruc}" encontrado en este lote`);
+      } else {
+        processed.ruc.add(supplier.ruc);
+        const existing = await prisma.supplier.findFirst({
+          where: { OR: [{ ruc: supplier.ruc }, { tax_id: supplier.ruc }] },
+          select: { supplier_code: true, company_name: true }
+        });
+        if (existing) rowErrors.push(`El RUC "${supplier.ruc}" ya existe (proveedor ${existing.supplier_code || existing.company_name})`);
+      }
+    }
+    if (supplier.company_name) {
+      const nameKey = lookupKey(supplier.company_name);
+      if (processed.names.has(nameKey)) {
+        rowErrors.push(`Razón Social duplicada "${supplier.company_name}" encontrada en este lote`);
+      } else {
+        processed.names.add(nameKey);
+        const existing = await prisma.supplier.findFirst({
+          where: { company_name: { equals: supplier.company_name, mode: 'insensitive' } },
+          select: { supplier_code: true }
+        });
+        if (existing) rowErrors.push(`Ya existe un proveedor con la Razón Social "${supplier.company_name}" (${existing.supplier_code || 'sin código'})`);
+      }
+    }
+
+    // Client assignment by client code
+    supplier.client_assignments = [];
+    for (const code of supplier.client_codes) {
+      if (!clientCache.has(code)) {
+        clientCache.set(code, await prisma.client.findFirst({
+          where: { client_code: code },
+          select: { client_id: true, merged_into_id: true, active_state: { select: { name: true } } }
+        }));
+      }
+      const client = clientCache.get(code);
+
+      if (!client) {
+        rowErrors.push(`Cliente "${code}" no encontrado`);
+      } else if (client.merged_into_id) {
+        rowErrors.push(`El cliente "${code}" fue fusionado con otro cliente`);
+      } else if (client.active_state?.name === 'Inactivo') {
+        rowErrors.push(`El cliente "${code}" está inactivo`);
+      } else if (!supplier.client_assignments.some(a => a.client_id === client.client_id)) {
+        supplier.client_assignments.push({ client_id: client.client_id, client_code: code });
+      }
+    }
+    if ((supplier.client_supplier_code || supplier.preferred_supplier) && supplier.client_codes.length === 0) {
+      rowErrors.push('Código Proveedor del Cliente y Proveedor Preferido requieren la columna Clientes');
+    }
+
+    if (rowErrors.length > 0) {
+      errors.push({
+        row: supplier._row_number,
+        supplier: supplier.company_name || supplier.ruc,
+        error: rowErrors.join('; ')
+      });
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Supplier codes the upload would use, in row order, starting at getNextSupplierCode
+ */
+async function reserveSupplierCodes(count) {
+  const { next_supplier_code, sequence_number } = await getNextSupplierCode();
+  const prefix = next_supplier_code.substring(0, next_supplier_code.length - sequence_number.toString().padStart(3, '0').length);
+  return Array.from({ length: count }, (_, index) =>
+    `${prefix}${(sequence_number + index).toString().padStart(3, '0')}`
+  );
+}
+
+/**
+ * Report of what the upload would create, without writing anything
+ */
+async function buildDryRunReport(suppliers, validationErrors) {
+  const errorsByRow = new Map(validationErrors.map(error => [error.row, error.error]));
+  const validCount = suppliers.filter(supplier => !errorsByRow.has(supplier._row_number)).length;
+  const codes = await reserveSupplierCodes(validCount);
+  let codeIndex = 0;
+
+  const rows = suppliers.map(supplier => {
+    const error = errorsByRow.get(supplier._row_number);
+    return {
+      row: supplier._row_number,
+      status: error ? 'ERROR' : 'OK',
+      supplier: supplier.company_name,
+      ruc: supplier.ruc,
+      country: supplier.country_name,
+      category: supplier.category,
+      proposed_supplier_code: error ? null : codes[codeIndex++],
+      client_assignments: supplier.client_codes,
+      error: error || null
+    };
+  });
+
+  const invalidRows = rows.filter(row => row.status === 'ERROR').length;
+
+  return {
+    total_rows: suppliers.length,
+    valid_rows: suppliers.length - invalidRows,
+    invalid_rows: invalidRows,
+    rows,
+    errors: validationErrors
+  };
+}
+
+/**
+ * Process suppliers in batches through createSupplier, numbering them from getNextSupplierCode
+ */
+async function processSuppliersInBatches(suppliers, userId) {
+  const batchSize = 10;
+  const codes = await reserveSupplierCodes(suppliers.length);
+  const result = {
+    successCount: 0,
+    errorCount: 0,
+    created: [],
+    errors: []
+  };
+
+  for (let i = 0; i < suppliers.length; i += batchSize) {
+    const batch = suppliers.slice(i, i + batchSize);
+
+    for (const [batchIndex, supplierData] of batch.entries()) {
+      const {
+        _row_number,
+        country_name,
+        client_codes,
+        client_assignments,
+        client_supplier_code,
+        preferred_supplier,
+        ...cleanSupplierData
+      } = supplierData;
+
+      try {
+        const created = await createSupplier(
+          { ...cleanSupplierData, supplier_code: codes[i + batchIndex] },
+          null,
+          userId
+        );
+
+        const assignedClients = [];
+        let assignmentError = null;
+        for (const assignment of client_assignments) {
+          try {
+            await createClientSupplierAssignments({
+              client_id: assignment.client_id,
+              supplier_ids: [created.supplier_id],
+              assigned_by: userId,
+              assignment_settings: { client_supplier_code, preferred_supplier }
+            });
+            assignedClients.push(assignment.client_code);
+          } catch (error) {
+            // The supplier stays created; the failed assignment is reported on its row
+            assignmentError = error.message;
+          }
+        }
+
+        result.successCount++;
+        result.created.push({
+          row: _row_number,
+          supplier_id: created.supplier_id,
+          supplier_code: created.supplier_code,
+          supplier: created.company_name,
+          assigned_clients: assignedClients,
+          assignment_error: assignmentError
+        });
+
+        console.log(`✅ Created supplier: ${created.supplier_code} ${created.company_name} (row ${_row_number})`);
+      } catch (error) {
+        result.errorCount++;
+        result.errors.push({
+          row: _row_number,
+          supplier: supplierData.company_name,
+          error: error.message
+        });
+
+        console.error(`❌ Failed to create supplier ${supplierData.company_name}:`, error.message);
+      }
+    }
+
+    // Small delay between batches to avoid overwhelming the database
+    if (i + batchSize < suppliers.length) {
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Generate Excel template for bulk supplier upload
+ */
+async function generateSupplierTemplate() {
+  try {
+    console.log('🔧 Starting supplier template generation...');
+
+    const [countries, categories, clients] = await Promise.all([
+      prisma.country.findMany({ select: { name: true }, orderBy: { name: 'asc' } }),
+      getSupplierCategories(),
+      prisma.client.findMany({
+        where: { merged_into_id: null, client_code: { not: null } },
+        select: {
+          client_code: true,
+          client_type: true,
+          company_name: true,
+          first_names: true,
+          last_name: true,
+          active_state: { select: { name: true } }
+        },
+        orderBy: { client_code: 'asc' }
+      })
+    ]);
+    const categoryExample = categories.length > 0 ? categories[0] : 'Pharmaceutical';
+    const clientExample = clients.length > 0 ? clients[0].client_code : 'C001';
+
+    const workbook = XLSX.utils.book_new();
+
+    // INSTRUCTIONS SHEET FIRST - User guide
+    const instructions = [
+      { Paso: 1, Instrucción: 'Complete la hoja Proveedores con un proveedor por fila' },
+      { Paso: 2, Instrucción: 'País: nombre EXACTO de la hoja Países (sin distinguir mayúsculas ni tildes)' },
+      { Paso: 3, Instrucción: 'RUC: para proveedores peruanos o sin país debe tener 11 dígitos con dígito verificador válido' },
+      { Paso: 4, Instrucción: 'Categoría: un valor de la hoja Categorías' },
+      { Paso: 5, Instrucción: 'Opcional: indique en Clientes los códigos de cliente (ej. C001, C002) a los que se asigna el proveedor' },
+      { Paso: 6, Instrucción: 'El código de proveedor (PRO + año + correlativo) se genera automáticamente' },
+      { Paso: 7, Instrucción: 'Elimine las filas de ejemplo antes de cargar sus datos' },
+      { Paso: 8, Instrucción: 'Cargue primero en modo de validación (dry_run) para revisar el reporte de errores' },
+      { Paso: 9, Instrucción: 'Cargue el archivo definitivo en la página de carga masiva' }
+    ];
+
+    // MAIN SUPPLIERS SHEET
+    const suppliersData = [
+      {
+        'Razón Social': 'Laboratorios Andinos SAC',
+        'RUC': '20123456786',
+        'Categoría': categoryExample,
+        'País': 'Perú',
+        'Ciudad': 'Lima',
+        'Dirección': 'Av. Colonial 2345, Lima',
+        'Persona de Contacto': 'Jorge Salazar',
+        'Teléfono': '014561234',
+        'Email': 'ventas@laboratoriosandinos.com',
+        'Notas': '',
+        'Clientes': clientExample,
+        'Código Proveedor del Cliente': 'PROV-01',
+        'Proveedor Preferido': 'SÍ'
+      }
+    ];
+
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(instructions), 'Instrucciones');
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(suppliersData), 'Proveedores');
+
+    // Reference data sheets
+    console.log('📋 Adding reference data sheets...');
+
+    const countriesData = countries.length > 0 ?
+      countries.map(c => ({ Nombre: c.name })) :
+      [{ Nombre: 'Perú' }];
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(countriesData), 'Países');
+
+    const categoriesData = categories.length > 0 ?
+      categories.map(category => ({ Categoría: category })) :
+      [{ Categoría: categoryExample }];
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(categoriesData), 'Categorías');
+
+    const clientsData = clients.map(c => ({
+      Código: c.client_code,
+      Cliente: c.client_type === 'JURIDICO' ? c.company_name : `${c.first_names || ''} ${c.last_name || ''}`.trim(),
+      Estado: c.active_state?.name || ''
+    }));
+    XLSX.utils.book_append_sheet(
+      workbook,
+      XLSX.utils.json_to_sheet(clientsData.length > 0 ? clientsData : [{ Código: clientExample, Cliente: '', Estado: '' }]),
+      'Clientes'
+    );
+
+    // Field reference sheet for detailed field information
+    const fieldReference = [
+      { Campo: 'Razón Social', Requerido: 'SÍ', Ejemplo: 'Laboratorios Andinos SAC', Descripción: 'Nombre legal del proveedor - único en el sistema' },
+      { Campo: 'RUC', Requerido: 'NO', Ejemplo: '20123456786', Descripción: 'RUC de 11 dígitos que empieza con 10, 15, 17 o 20, con dígito verificador válido - único en el sistema' },
+      { Campo: 'Categoría', Requerido: 'NO', Ejemplo: categoryExample, Descripción: 'Valores de la hoja Categorías' },
+      { Campo: 'País', Requerido: 'NO', Ejemplo: 'Perú', Descripción: 'Nombre de la hoja Países; vacío se trata como proveedor peruano' },
+      { Campo: 'Ciudad', Requerido: 'NO', Ejemplo: 'Lima', Descripción: 'Ciudad del proveedor' },
+      { Campo: 'Dirección', Requerido: 'NO', Ejemplo: 'Av. Colonial 2345, Lima', Descripción: 'Dirección fiscal' },
+      { Campo: 'Persona de Contacto', Requerido: 'NO', Ejemplo: 'Jorge Salazar', Descripción: 'Nombre del contacto' },
+      { Campo: 'Teléfono', Requerido: 'NO', Ejemplo: '014561234', Descripción: 'Teléfono de contacto' },
+      { Campo: 'Email', Requerido: 'NO', Ejemplo: 'ventas@proveedor.com', Descripción: 'Email de contacto' },
+      { Campo: 'Notas', Requerido: 'NO', Ejemplo: '', Descripción: 'Observaciones' },
+      { Campo: 'Clientes', Requerido: 'NO', Ejemplo: clientExample, Descripción: 'Códigos de cliente de la hoja Clientes, separados por coma' },
+      { Campo: 'Código Proveedor del Cliente', Requerido: 'NO', Ejemplo: 'PROV-01', Descripción: 'Código con el que el cliente identifica al proveedor' },
+      { Campo: 'Proveedor Preferido', Requerido: 'NO', Ejemplo: 'SÍ', Descripción: 'SÍ o NO (por defecto NO)' }
+    ];
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(fieldReference), 'Referencia_Campos');
+
+    // Important notes sheet
+    const importantNotes = [
+      { Nota: 'REQUISITOS CRÍTICOS', Detalle: 'La hoja DEBE llamarse "Proveedores" (sensible a mayúsculas)' },
+      { Nota: 'CÓDIGOS', Detalle: 'Los códigos de proveedor se generan automáticamente en orden (PRO + año + 001, 002, ...)' },
+      { Nota: 'UNICIDAD', Detalle: 'RUC y Razón Social deben ser únicos - los duplicados serán rechazados' },
+      { Nota: 'VALIDACIÓN', Detalle: 'Si alguna fila tiene errores no se crea ningún proveedor; use el modo de validación para revisar' },
+      { Nota: 'PRUEBAS', Detalle: 'Pruebe primero con un lote pequeño antes de cargar conjuntos de datos grandes' },
+      { Nota: 'SOPORTE', Detalle: 'Contacte al administrador del sistema si encuentra errores de validación' }
+    ];
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(importantNotes), 'Notas_Importantes');
+
+    console.log('📝 Generating Excel buffer...');
+    const buffer = XLSX.write(workbook, {
+      type: 'buffer',
+      bookType: 'xlsx'
+    });
+
+    if (!buffer || buffer.length === 0) {
+      throw new Error('Generated buffer is empty or invalid');
+    }
+
+    console.log(`✅ Supplier template generated successfully. Buffer size: ${buffer.length} bytes, Sheets: ${workbook.SheetNames.length}`);
+
+    return {
+      success: true,
+      buffer: buffer,
+      filename: `supplier_bulk_upload_template_${new Date().toISOString().split('T')[0]}.xlsx`
+    };
+
+  } catch (error) {
+    console.error('❌ Error generating supplier template:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+function formatDate(value) {
+  return value ? new Date(value).toISOString().split('T')[0] : '';
+}
+
+function clientLabel(client) {
+  return client.client_type === 'JURIDICO'
+    ? client.company_name
+    : `${client.first_names || ''} ${client.last_name || ''}`.trim();
+}
+
+/**
+ * Export suppliers and their client assignments to Excel
+ */
+async function exportSuppliers(filters = {}) {
+  try {
+    console.log('🔧 Starting supplier export...');
+
+    const where = {};
+    if (filters.category) where.category = filters.category;
+    if (filters.country_id) where.country_id = filters.country_id;
+    if (filters.client_id) {
+      where.clientAssignments = { some: { client_id: filters.client_id, is_active: true } };
+    }
+
+    const suppliers = await prisma.supplier.findMany({
+      where,
+      include: {
+        country: { select: { name: true } },
+        createdBy: { select: { first_name: true, last_name: true } },
+        clientAssignments: {
+          where: {
+            is_active: true,
+            ...(filters.client_id && { client_id: filters.client_id })
+          },
+          select: {
+            client_supplier_code: true,
+            preferred_supplier: true,
+            payment_terms: true,
+            credit_limit: true,
+            assigned_at: true,
+            client: {
+              select: { client_code: true, client_type: true, company_name: true, first_names: true, last_name: true }
+            }
+          },
+          orderBy: { assigned_at: 'asc' }
+        }
+      },
+      orderBy: { supplier_code: 'asc' }
+    });
+
+    const suppliersData = suppliers.map(supplier => ({
+      'Código': supplier.supplier_code || '',
+      'Razón Social': supplier.company_name,
+      'RUC': supplier.ruc || supplier.tax_id || '',
+      'Categoría': supplier.category || '',
+      'País': supplier.country?.name || '',
+      'Ciudad': supplier.city || '',
+      'Dirección': supplier.registered_address || supplier.address || '',
+      'Persona de Contacto': supplier.contact_person || '',
+      'Teléfono': supplier.contact_no || supplier.phone || '',
+      'Email': supplier.email || '',
+      'Notas': supplier.notes || '',
+      'Clientes': supplier.clientAssignments.map(a => a.client.client_code).filter(Boolean).join(', '),
+      'Creado Por': supplier.createdBy ? `${supplier.createdBy.first_name || ''} ${supplier.createdBy.last_name || ''}`.trim() : '',
+      'Fecha de Creación': formatDate(supplier.created_at)
+    }));
+
+    const assignmentsData = suppliers.flatMap(supplier =>
+      supplier.clientAssignments.map(a => ({
+        'Código Proveedor': supplier.supplier_code || '',
+        'Proveedor': supplier.company_name,
+        'Código Cliente': a.client.client_code || '',
+        'Cliente': clientLabel(a.client),
+        'Código Proveedor del Cliente': a.client_supplier_code || '',
+        'Proveedor Preferido': a.preferred_supplier ? 'SÍ' : 'NO',
+        'Condiciones de Pago': a.payment_terms || '',
+        'Límite de Crédito': a.credit_limit !== null ? parseFloat(a.credit_limit) : '',
+        'Fecha de Asignación': formatDate(a.assigned_at)
+      }))
+    );
+
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(suppliersData), 'Proveedores');
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(assignmentsData), 'Asignaciones_Clientes');
+
+    const buffer = XLSX.write(workbook, {
+      type: 'buffer',
+      bookType: 'xlsx'
+    });
+
+    console.log(`✅ Supplier export generated: ${suppliers.length} suppliers, ${assignmentsData.length} client assignments`);
+
+    return {
+      success: true,
+      buffer: buffer,
+      total_suppliers: suppliers.length,
+      filename: `suppliers_export_${new Date().toISOString().split('T')[0]}.xlsx`
+    };
+
+  } catch (error) {
+    console.error('❌ Error exporting suppliers:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+module.exports = {
+  processBulkSupplierUpload,
+  generateSupplierTemplate,
+  exportSuppliers
+};
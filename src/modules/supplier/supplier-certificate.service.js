@@ -0,0 +1,369 @@
+const { PrismaClient } = require("@prisma/client");
+const { toUTC } = require("../../utils/index");
+const eventLogger = require("../../utils/eventLogger");
+
+const prisma = new PrismaClient();
+
+// REJECT blocks entry orders for suppliers with expired certificates, WARN only reports them
+const SUPPLIER_CERTIFICATE_ENFORCEMENT = process.env.SUPPLIER_CERTIFICATE_ENFORCEMENT === "REJECT" ? "REJECT" : "WARN";
+
+const EXPIRY_WARNING_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const CERTIFICATE_TYPES = [
+  { value: "GMP", label: "Good Manufacturing Practices", label_es: "Buenas Prácticas de Manufactura (BPM)" },
+  { value: "BPA", label: "Good Storage Practices", label_es: "Buenas Prácticas de Almacenamiento (BPA)" },
+  { value: "SANITARIO", label: "Sanitary Certificate", label_es: "Certificado Sanitario" },
+  { value: "OTRO", label: "Other", label_es: "Otro" }
+];
+
+function getCertificateTypes() {
+  return CERTIFICATE_TYPES;
+}
+
+function getCertificateStatus(certificate, now = new Date()) {
+  const daysToExpiry = Math.ceil((new Date(certificate.expiry_date) - now) / DAY_MS);
+  if (daysToExpiry < 0) return { status: "EXPIRED", days_to_expiry: daysToExpiry };
+  if (daysToExpiry <= EXPIRY_WARNING_DAYS) return { status: "EXPIRING_SOON", days_to_expiry: daysToExpiry };
+  return { status: "VALID", days_to_expiry: daysToExpiry };
+}
+
+/**
+ * Latest certificate of each type; a renewal supersedes the certificates it replaces.
+ */
+function getCurrentCertificates(certificates) {
+  const latestByType = new Map();
+  certificates.forEach(certificate => {
+    const latest = latestByType.get(certificate.certificate_type);
+    if (!latest || new Date(certificate.expiry_date) > new Date(latest.expiry_date)) {
+      latestByType.set(certificate.certificate_type, certificate);
+    }
+  });
+  return [...latestByType.values()];
+}
+
+async function assertSupplierExists(supplierId) {
+  const supplier = await prisma.supplier.findUnique({
+    where: { supplier_id: supplierId },
+    select: { supplier_id: true, company_name: true, name: true, supplier_code: true, compliance_flagged: true, flagged_at: true }
+  });
+  if (!supplier) throw new Error("Supplier not found");
+  return supplier;
+}
+
+/**
+ * Certificates of a supplier with their expiry status, newest first.
+ */
+async function listSupplierCertificates(supplierId) {
+  const supplier = await assertSupplierExists(supplierId);
+
+  const certificates = await prisma.supplierCertificate.findMany({
+    where: { supplier_id: supplierId },
+    include: { uploader: { select: { first_name: true, last_name: true } } },
+    orderBy: [{ certificate_type: "asc" }, { expiry_date: "desc" }]
+  });
+
+  const now = new Date();
+  const currentIds = new Set(getCurrentCertificates(certificates).map(c => c.certificate_id));
+
+  return {
+    supplier,
+    certificates: certificates.map(certificate => ({
+      ...certificate,
+      ...getCertificateStatus(certificate, now),
+      is_current: currentIds.has(certificate.certificate_id)
+    }))
+  };
+}
+
+function validateCertificateData(file, data) {
+  // Supabase is loaded lazily so entry order services and the scheduled check don't need it
+  const { validateFile } = require("../../utils/supabase");
+  const errors = [];
+
+  if (!file) {
+    errors.push("Certificate file is required");
+  } else {
+    const validation = validateFile(file.originalname, file.size);
+    if (!validation.valid) errors.push(validation.error);
+  }
+
+  if (!CERTIFICATE_TYPES.some(type => type.value === data.certificate_type)) {
+    errors.push(`Certificate type must be one of: ${CERTIFICATE_TYPES.map(t => t.value).join(", ")}`);
+  }
+
+  const issueDate = toUTC(data.issue_date);
+  const expiryDate = toUTC(data.expiry_date);
+  if (!issueDate) errors.push("A valid issue date is required");
+  if (!expiryDate) errors.push("A valid expiry date is required");
+  if (issueDate && expiryDate && new Date(expiryDate) <= new Date(issueDate)) {
+    errors.push("Expiry date must be after the issue date");
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid certificate: ${errors.join("; ")}`);
+  }
+
+  return { issueDate, expiryDate };
+}
+
+/**
+ * Store the certificate file and record it. A valid upload clears the compliance flag
+ * once no current certificate of the supplier is expired anymore.
+ */
+async function uploadSupplierCertificate(supplierId, file, data, userId) {
+  await assertSupplierExists(supplierId);
+  const { issueDate, expiryDate } = validateCertificateData(file, data);
+
+  const { uploadDocument } = require("../../utils/supabase");
+  const uploadResult = await uploadDocument(
+    file.buffer,
+    file.originalname,
+    "supplier",
+    supplierId,
+    data.certificate_type,
+    userId
+  );
+  if (!uploadResult.success) {
+    throw new Error(`Certificate upload failed: ${uploadResult.error}`);
+  }
+
+  const certificate = await prisma.supplierCertificate.create({
+    data: {
+      supplier_id: supplierId,
+      certificate_type: data.certificate_type,
+      certificate_number: data.certificate_number || null,
+      issuing_authority: data.issuing_authority || null,
+      issue_date: issueDate,
+      expiry_date: expiryDate,
+      file_name: uploadResult.file_name,
+      file_path: uploadResult.file_path,
+      public_url: uploadResult.public_url,
+      content_type: uploadResult.content_type,
+      file_size: uploadResult.file_size,
+      notes: data.notes || null,
+      uploaded_by: userId
+    }
+  });
+
+  const compliance = await refreshComplianceFlag(supplierId);
+
+  return { certificate: { ...certificate, ...getCertificateStatus(certificate) }, compliance };
+}
+
+async function deleteSupplierCertificate(supplierId, certificateId) {
+  const certificate = await prisma.supplierCertificate.findFirst({
+    where: { certificate_id: certificateId, supplier_id: supplierId }
+  });
+  if (!certificate) throw new Error("Certificate not found");
+
+  await prisma.supplierCertificate.delete({ where: { certificate_id: certificateId } });
+
+  const { deleteDocument } = require("../../utils/supabase");
+  const deleteResult = await deleteDocument(certificate.file_path);
+  if (!deleteResult.success) {
+    console.warn(`⚠️ Certificate ${certificateId} removed but its file could not be deleted: ${deleteResult.error}`);
+  }
+
+  const compliance = await refreshComplianceFlag(supplierId);
+
+  return { certificate, compliance };
+}
+
+/**
+ * Expired current certificates per supplier, using `db` (prisma or a transaction).
+ * @returns {Promise<Map<string, Array>>} supplier_id -> expired certificates
+ */
+async function getExpiredCertificatesBySupplier(db, supplierIds = null) {
+  const certificates = await db.supplierCertificate.findMany({
+    where: supplierIds ? { supplier_id: { in: supplierIds } } : {},
+    select: { certificate_id: true, supplier_id: true, certificate_type: true, certificate_number: true, expiry_date: true }
+  });
+
+  const bySupplier = new Map();
+  certificates.forEach(certificate => {
+    if (!bySupplier.has(certificate.supplier_id)) bySupplier.set(certificate.supplier_id, []);
+    bySupplier.get(certificate.supplier_id).push(certificate);
+  });
+
+  const now = new Date();
+  const expired = new Map();
+  bySupplier.forEach((supplierCertificates, supplierId) => {
+    const expiredCertificates = getCurrentCertificates(supplierCertificates)
+      .filter(certificate => new Date(certificate.expiry_date) < now);
+    if (expiredCertificates.length > 0) expired.set(supplierId, expiredCertificates);
+  });
+  return expired;
+}
+
+/**
+ * Clears the compliance flag once no current certificate is expired; flagging itself is
+ * left to the scheduled check so flagged_at keeps the date it was detected.
+ */
+async function refreshComplianceFlag(supplierId) {
+  const expired = await getExpiredCertificatesBySupplier(prisma, [supplierId]);
+  const expiredCertificates = expired.get(supplierId) || [];
+
+  if (expiredCertificates.length === 0) {
+    await prisma.supplier.updateMany({
+      where: { supplier_id: supplierId, compliance_flagged: true },
+      data: { compliance_flagged: false, flagged_at: null }
+    });
+  }
+
+  const supplier = await prisma.supplier.findUnique({
+    where: { supplier_id: supplierId },
+    select: { compliance_flagged: true, flagged_at: true }
+  });
+
+  return { ...supplier, expired_certificates: expiredCertificates };
+}
+
+/**
+ * Applies SUPPLIER_CERTIFICATE_ENFORCEMENT to the suppliers referenced by entry order
+ * lines: throws when rejecting, otherwise returns warnings.
+ */
+async function enforceSupplierCompliance(db, supplierIds) {
+  const ids = [...new Set(supplierIds.filter(Boolean))];
+  if (ids.length === 0) {
+    return [];
+  }
+
+  const expired = await getExpiredCertificatesBySupplier(db, ids);
+  if (expired.size === 0) {
+    return [];
+  }
+
+  const suppliers = await db.supplier.findMany({
+    where: { supplier_id: { in: [...expired.keys()] } },
+    select: { supplier_id: true, company_name: true, name: true }
+  });
+
+  const issues = suppliers.map(supplier => ({
+    supplier_id: supplier.supplier_id,
+    supplier_name: supplier.company_name || supplier.name,
+    expired_certificates: expired.get(supplier.supplier_id).map(c => ({
+      certificate_id: c.certificate_id,
+      certificate_type: c.certificate_type,
+      certificate_number: c.certificate_number,
+      expiry_date: c.expiry_date
+    }))
+  }));
+
+  const details = issues
+    .map(issue => `${issue.supplier_name} (${issue.expired_certificates.map(c => c.certificate_type).join(", ")})`)
+    .join("; ");
+
+  if (SUPPLIER_CERTIFICATE_ENFORCEMENT === "REJECT") {
+    throw new Error(`Supplier has expired certificates - ${details}`);
+  }
+
+  console.warn(`⚠️ Entry order references suppliers with expired certificates - ${details}`);
+  return issues.map(issue => ({
+    ...issue,
+    message: `Supplier ${issue.supplier_name} has expired certificates`
+  }));
+}
+
+/**
+ * Current certificates expired or expiring within `days`, for the compliance dashboard.
+ */
+async function getExpiringCertificates(days = EXPIRY_WARNING_DAYS, clientId = null) {
+  const limit = new Date(Date.now() + days * DAY_MS);
+
+  const certificates = await prisma.supplierCertificate.findMany({
+    // Client accounts only see the suppliers assigned to them
+    where: clientId
+      ? { supplier: { clientAssignments: { some: { client_id: clientId, is_active: true } } } }
+      : undefined,
+    include: {
+      supplier: { select: { supplier_id: true, supplier_code: true, company_name: true, name: true, compliance_flagged: true } }
+    }
+  });
+
+  const bySupplier = new Map();
+  certificates.forEach(certificate => {
+    if (!bySupplier.has(certificate.supplier_id)) bySupplier.set(certificate.supplier_id, []);
+    bySupplier.get(certificate.supplier_id).push(certificate);
+  });
+
+  const now = new Date();
+  return [...bySupplier.values()]
+    .flatMap(getCurrentCertificates)
+    .filter(certificate => new Date(certificate.expiry_date) <= limit)
+    .sort((a, b) => new Date(a.expiry_date) - new Date(b.expiry_date))
+    .map(certificate => ({ ...certificate, ...getCertificateStatus(certificate, now) }));
+}
+
+/**
+ * Scheduled check: flags suppliers whose current certificates have expired and clears the
+ * flag of suppliers that renewed them. Newly flagged suppliers are logged as
+ * SUPPLIER_CERTIFICATES_EXPIRED when a performing user is known (audit logs need one).
+ */
+async function runCertificateExpiryCheck(performedBy = null) {
+  const now = new Date();
+  const expired = await getExpiredCertificatesBySupplier(prisma);
+  const expiredIds = [...expired.keys()];
+
+  const [newlyFlagged, cleared] = await Promise.all([
+    prisma.supplier.findMany({
+      where: { supplier_id: { in: expiredIds }, compliance_flagged: false },
+      select: { supplier_id: true, supplier_code: true, company_name: true, name: true }
+    }),
+    prisma.supplier.findMany({
+      where: { compliance_flagged: true, supplier_id: { notIn: expiredIds } },
+      select: { supplier_id: true, supplier_code: true, company_name: true, name: true }
+    })
+  ]);
+
+  if (newlyFlagged.length > 0) {
+    await prisma.supplier.updateMany({
+      where: { supplier_id: { in: newlyFlagged.map(s => s.supplier_id) } },
+      data: { compliance_flagged: true, flagged_at: now }
+    });
+  }
+  if (cleared.length > 0) {
+    await prisma.supplier.updateMany({
+      where: { supplier_id: { in: cleared.map(s => s.supplier_id) } },
+      data: { compliance_flagged: false, flagged_at: null }
+    });
+  }
+
+  for (const supplier of performedBy ? newlyFlagged : []) {
+    const certificates = expired.get(supplier.supplier_id);
+    await eventLogger.logEvent({
+      userId: performedBy,
+      action: "SUPPLIER_CERTIFICATES_EXPIRED",
+      entityType: "Supplier",
+      entityId: supplier.supplier_id,
+      description: `Supplier ${supplier.company_name || supplier.name} flagged for expired certificates: ${certificates.map(c => c.certificate_type).join(", ")}`,
+      oldValues: { compliance_flagged: false },
+      newValues: { compliance_flagged: true, flagged_at: now },
+      metadata: {
+        operation_type: "SUPPLIER_MANAGEMENT",
+        action_type: "CERTIFICATE_EXPIRY_CHECK",
+        expired_certificates: certificates
+      }
+    });
+  }
+
+  return {
+    checked_at: now,
+    enforcement: SUPPLIER_CERTIFICATE_ENFORCEMENT,
+    flagged_suppliers: expiredIds.length,
+    newly_flagged: newlyFlagged.map(s => ({ ...s, expired_certificates: expired.get(s.supplier_id) })),
+    cleared
+  };
+}
+
+module.exports = {
+  SUPPLIER_CERTIFICATE_ENFORCEMENT,
+  CERTIFICATE_TYPES,
+  getCertificateTypes,
+  listSupplierCertificates,
+  uploadSupplierCertificate,
+  deleteSupplierCertificate,
+  enforceSupplierCompliance,
+  getExpiringCertificates,
+  runCertificateExpiryCheck
+};
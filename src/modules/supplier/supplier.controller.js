@@ -1,5 +1,29 @@
 const supplierService = require('./supplier.service');
 
+/**
+ * ✅ NEW: Respond to RUC / tax ID validation errors, returns null when not applicable
+ */
+function handleDocumentError(res, error) {
+  if (error.fieldErrors) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation failed",
+      errors: Object.values(error.fieldErrors),
+      field_errors: error.fieldErrors
+    });
+  }
+
+  if (error.message.includes("already exists")) {
+    return res.status(409).json({
+      success: false,
+      message: "A supplier with this RUC already exists",
+      error: error.message
+    });
+  }
+
+  return null;
+}
+
 /**
  * Create a new supplier
  * @param {Request} req - Express request object
@@ -38,6 +62,10 @@ async function createSupplier(req, res) {
     });
   } catch (error) {
     console.error("Error in createSupplier controller:", error);
+
+    const documentResponse = handleDocumentError(res, error);
+    if (documentResponse) return documentResponse;
+
     return res.status(500).json({
       success: false,
       message: "Failed to create supplier",
@@ -157,6 +185,9 @@ async function updateSupplier(req, res) {
     });
   } catch (error) {
     console.error("Error in updateSupplier controller:", error);
+
+    const documentResponse = handleDocumentError(res, error);
+    if (documentResponse) return documentResponse;
     
     if (error.message.includes("Record to update not found")) {
       return res.status(404).json({
@@ -474,6 +505,294 @@ async function getClientById(req, res) {
   }
 }
 
+// ✅ NEW: Excel template for bulk supplier upload
+async function getBulkUploadTemplate(req, res) {
+  try {
+    const { generateSupplierTemplate } = require("./bulk-supplier.service");
+    const result = await generateSupplierTemplate();
+
+    if (!result.success) {
+      return res.status(500).json({
+        success: false,
+        error: result.error
+      });
+    }
+
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', `attachment; filename="${result.filename}"`);
+
+    res.send(result.buffer);
+  } catch (error) {
+    console.error("Error generating supplier bulk upload template:", error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+}
+
+// ✅ NEW: Bulk supplier upload (dry_run=true only validates and returns the report)
+async function processBulkUpload(req, res) {
+  try {
+    const userId = req.user?.id;
+    const file = req.file;
+    const isTrue = (value) => value === 'true' || value === true;
+    const dryRun = isTrue(req.query.dry_run) || isTrue(req.body?.dry_run);
+    const allowNewCategories = isTrue(req.query.allow_new_categories) || isTrue(req.body?.allow_new_categories);
+
+    if (!file) {
+      return res.status(400).json({
+        success: false,
+        message: 'No file uploaded'
+      });
+    }
+
+    const validMimeTypes = [
+      'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+      'application/octet-stream' // Excel files may be detected as this
+    ];
+
+    if (!validMimeTypes.includes(file.mimetype)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid file type: ${file.mimetype}. Please upload an Excel (.xlsx) file.`
+      });
+    }
+
+    const { processBulkSupplierUpload } = require("./bulk-supplier.service");
+    const result = await processBulkSupplierUpload(file.buffer, userId, { dryRun, allowNewCategories });
+
+    if (!dryRun) {
+      await req.logEvent(
+        'DATA_IMPORTED',
+        'SupplierBulkUpload',
+        'BULK_UPLOAD_COMPLETE',
+        `Completed bulk supplier upload: ${result.data?.successCount || 0} successful, ${result.data?.errorCount || 0} failed`,
+        null,
+        {
+          file_name: file.originalname,
+          file_size: file.size,
+          success_count: result.data?.successCount || 0,
+          error_count: result.data?.errorCount || 0,
+          created_suppliers: result.data?.created?.map(s => s.supplier_code) || [],
+          processing_time_ms: result.processing_time_ms
+        },
+        { operation_type: 'SUPPLIER_MANAGEMENT', action_type: 'BULK_UPLOAD_COMPLETE' }
+      );
+    }
+
+    res.json(result);
+  } catch (error) {
+    console.error("Error processing supplier bulk upload:", error);
+
+    await req.logError(error, {
+      controller: 'supplier',
+      action: 'processBulkUpload',
+      file_info: {
+        name: req.file?.originalname,
+        size: req.file?.size,
+        mimetype: req.file?.mimetype
+      },
+      user_id: req.user?.id,
+      error_context: 'SUPPLIER_BULK_UPLOAD_FAILED'
+    });
+
+    res.status(500).json({
+      success: false,
+      message: 'Bulk upload processing failed',
+      error: error.message
+    });
+  }
+}
+
+// ✅ NEW: Export suppliers with their client assignments to Excel
+async function exportSuppliers(req, res) {
+  try {
+    const { exportSuppliers: exportSupplierMaster } = require("./bulk-supplier.service");
+    const result = await exportSupplierMaster({
+      category: req.query.category,
+      country_id: req.query.country_id,
+      client_id: req.query.client_id
+    });
+
+    if (!result.success) {
+      return res.status(500).json({
+        success: false,
+        error: result.error
+      });
+    }
+
+    await req.logEvent(
+      'DATA_EXPORTED',
+      'Supplier',
+      'SUPPLIER_EXPORT',
+      `User exported ${result.total_suppliers} suppliers to Excel`,
+      null,
+      { total_suppliers: result.total_suppliers, query_params: req.query },
+      { operation_type: 'SUPPLIER_MANAGEMENT', action_type: 'EXPORT' }
+    );
+
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', `attachment; filename="${result.filename}"`);
+
+    res.send(result.buffer);
+  } catch (error) {
+    console.error("Error exporting suppliers:", error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+}
+
+// ✅ NEW: Certificate types for the upload form
+async function getCertificateTypes(req, res) {
+  const { getCertificateTypes: listCertificateTypes } = require("./supplier-certificate.service");
+  return res.status(200).json({
+    success: true,
+    data: listCertificateTypes()
+  });
+}
+
+function handleCertificateError(res, error, fallbackMessage) {
+  if (error.message.includes("not found")) {
+    return res.status(404).json({ success: false, message: error.message });
+  }
+  if (error.message.startsWith("Invalid certificate")) {
+    return res.status(400).json({ success: false, message: error.message });
+  }
+  return res.status(500).json({ success: false, message: fallbackMessage, error: error.message });
+}
+
+// ✅ NEW: Certificates of a supplier with their expiry status
+async function getSupplierCertificates(req, res) {
+  try {
+    const { listSupplierCertificates } = require("./supplier-certificate.service");
+    const result = await listSupplierCertificates(req.params.id);
+
+    return res.status(200).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    console.error("Error in getSupplierCertificates controller:", error);
+    return handleCertificateError(res, error, "Failed to retrieve supplier certificates");
+  }
+}
+
+// ✅ NEW: Upload a GMP / BPA / sanitary certificate (multipart field "file")
+async function uploadSupplierCertificate(req, res) {
+  try {
+    const { id } = req.params;
+    const { uploadSupplierCertificate: storeCertificate } = require("./supplier-certificate.service");
+    const result = await storeCertificate(id, req.file, req.body, req.user?.id);
+
+    await req.logEvent(
+      'SUPPLIER_CERTIFICATE_UPLOADED',
+      'SupplierCertificate',
+      result.certificate.certificate_id,
+      `Uploaded ${result.certificate.certificate_type} certificate for supplier ${id}, expiring ${new Date(result.certificate.expiry_date).toISOString().split('T')[0]}`,
+      null,
+      result.certificate,
+      { operation_type: 'SUPPLIER_MANAGEMENT', action_type: 'CERTIFICATE_UPLOAD', supplier_id: id }
+    );
+
+    return res.status(201).json({
+      success: true,
+      message: "Certificate uploaded successfully",
+      data: result
+    });
+  } catch (error) {
+    console.error("Error in uploadSupplierCertificate controller:", error);
+    return handleCertificateError(res, error, "Failed to upload certificate");
+  }
+}
+
+// ✅ NEW: Remove a certificate and its file
+async function deleteSupplierCertificate(req, res) {
+  try {
+    const { id, certificate_id } = req.params;
+    const { deleteSupplierCertificate: removeCertificate } = require("./supplier-certificate.service");
+    const result = await removeCertificate(id, certificate_id);
+
+    await req.logEvent(
+      'SUPPLIER_CERTIFICATE_DELETED',
+      'SupplierCertificate',
+      certificate_id,
+      `Deleted ${result.certificate.certificate_type} certificate of supplier ${id}`,
+      result.certificate,
+      null,
+      { operation_type: 'SUPPLIER_MANAGEMENT', action_type: 'CERTIFICATE_DELETE', supplier_id: id }
+    );
+
+    return res.status(200).json({
+      success: true,
+      message: "Certificate deleted successfully",
+      data: result
+    });
+  } catch (error) {
+    console.error("Error in deleteSupplierCertificate controller:", error);
+    return handleCertificateError(res, error, "Failed to delete certificate");
+  }
+}
+
+// ✅ NEW: Current certificates expired or expiring within ?days= (default 30)
+async function getExpiringCertificates(req, res) {
+  try {
+    const days = req.query.days !== undefined ? parseInt(req.query.days) : undefined;
+    if (days !== undefined && (isNaN(days) || days < 0)) {
+      return res.status(400).json({
+        success: false,
+        message: "days must be a non-negative number"
+      });
+    }
+
+    const { getExpiringCertificates: listExpiring } = require("./supplier-certificate.service");
+    const isClientUser = req.user?.role === "CLIENT" || req.user?.role === "CLIENT_PHARMACIST";
+    if (isClientUser && !req.user.client_id) {
+      return res.status(403).json({
+        success: false,
+        message: "User is not linked to a client"
+      });
+    }
+    const certificates = await listExpiring(days, isClientUser ? req.user.client_id : null);
+
+    return res.status(200).json({
+      success: true,
+      count: certificates.length,
+      data: certificates
+    });
+  } catch (error) {
+    console.error("Error in getExpiringCertificates controller:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to retrieve expiring certificates",
+      error: error.message
+    });
+  }
+}
+
+// ✅ NEW: Run the certificate expiry check on demand (also scheduled via scripts/check-supplier-certificates.js)
+async function runCertificateExpiryCheck(req, res) {
+  try {
+    const { runCertificateExpiryCheck: runCheck } = require("./supplier-certificate.service");
+    const result = await runCheck(req.user?.id);
+
+    return res.status(200).json({
+      success: true,
+      message: `${result.newly_flagged.length} suppliers newly flagged, ${result.cleared.length} cleared`,
+      data: result
+    });
+  } catch (error) {
+    console.error("Error in runCertificateExpiryCheck controller:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to run certificate expiry check",
+      error: error.message
+    });
+  }
+}
+
 module.exports = {
   createSupplier,
   getAllSuppliers,
@@ -496,4 +815,17 @@ module.exports = {
   
   // ✅ NEW: Client information
   getClientById,
+
+  // ✅ NEW: Bulk import / export
+  getBulkUploadTemplate,
+  processBulkUpload,
+  exportSuppliers,
+
+  // ✅ NEW: Certificates and compliance
+  getCertificateTypes,
+  getSupplierCertificates,
+  uploadSupplierCertificate,
+  deleteSupplierCertificate,
+  getExpiringCertificates,
+  runCertificateExpiryCheck,
 };
\ No newline at end of file
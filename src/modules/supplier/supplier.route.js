@@ -1,29 +1,52 @@
 const express = require('express');
 const router = express.Router();
 const supplierController = require('./supplier.controller');
+const { requirePermission, requireOwnClient, requireClientAssignment } = require('../../middlewares/roleBasedAccess');
+const multer = require('multer');
+
+// Excel uploads are parsed in memory, certificate files go straight to Supabase
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 10 * 1024 * 1024 } // 10MB
+});
 
 
 
 // IMPORTANT: Define static routes before dynamic ones.
 // This prevents static routes (e.g., '/form-fields') from being interpreted as dynamic parameters (e.g., '/:id').
-router.get('/form-fields', supplierController.getFormFields);
-router.get('/categories', supplierController.getSupplierCategories);
-router.get('/next-code', supplierController.getNextSupplierCode);
+router.get('/form-fields', requirePermission('suppliers', 'read'), supplierController.getFormFields);
+router.get('/categories', requirePermission('suppliers', 'read'), supplierController.getSupplierCategories);
+router.get('/next-code', requirePermission('suppliers', 'create'), supplierController.getNextSupplierCode);
+
+// ✅ NEW: Bulk import / export
+router.get('/bulk-template', requirePermission('suppliers', 'import'), supplierController.getBulkUploadTemplate);
+router.post('/bulk-upload', requirePermission('suppliers', 'import'), upload.single('file'), supplierController.processBulkUpload);
+router.get('/export', requirePermission('suppliers', 'export'), supplierController.exportSuppliers);
+
+// ✅ NEW: Certificates and compliance
+router.get('/certificate-types', requirePermission('suppliers', 'read'), supplierController.getCertificateTypes);
+router.get('/certificates/expiring', requirePermission('suppliers', 'read'), supplierController.getExpiringCertificates);
+router.post('/certificates/expiry-check', requirePermission('suppliers', 'certify'), supplierController.runCertificateExpiryCheck);
 
 // ✅ NEW: Client-supplier assignment routes
-router.post('/assign-to-client', supplierController.createClientSupplierAssignments);
-router.get('/client/:client_id/assignments', supplierController.getClientSupplierAssignments);
-router.get('/client/:client_id/available', supplierController.getAvailableSuppliersForClient);
-router.get('/client/:client_id', supplierController.getClientById);
-router.delete('/assignments/:assignment_id', supplierController.removeClientSupplierAssignment);
+router.post('/assign-to-client', requirePermission('suppliers', 'assign'), supplierController.createClientSupplierAssignments);
+router.get('/client/:client_id/assignments', requirePermission('suppliers', 'read'), requireOwnClient(), supplierController.getClientSupplierAssignments);
+router.get('/client/:client_id/available', requirePermission('suppliers', 'read'), requireOwnClient(), supplierController.getAvailableSuppliersForClient);
+router.get('/client/:client_id', requirePermission('clients', 'read'), requireOwnClient(), supplierController.getClientById);
+router.delete('/assignments/:assignment_id', requirePermission('suppliers', 'assign'), supplierController.removeClientSupplierAssignment);
 
 router.route('/')
-  .post(supplierController.createSupplier)
-  .get(supplierController.getAllSuppliers);
+  .post(requirePermission('suppliers', 'create'), supplierController.createSupplier)
+  .get(requirePermission('suppliers', 'read'), supplierController.getAllSuppliers);
 
 router.route('/:id')
-  .get(supplierController.getSupplierById)
-  .put(supplierController.updateSupplier)
-  .delete(supplierController.deleteSupplier);
+  .get(requirePermission('suppliers', 'read'), requireClientAssignment('suppliers'), supplierController.getSupplierById)
+  .put(requirePermission('suppliers', 'update'), requireClientAssignment('suppliers'), supplierController.updateSupplier)
+  .delete(requirePermission('suppliers', 'delete'), supplierController.deleteSupplier);
+
+router.route('/:id/certificates')
+  .get(requirePermission('suppliers', 'read'), requireClientAssignment('suppliers'), supplierController.getSupplierCertificates)
+  .post(requirePermission('suppliers', 'certify'), upload.single('file'), supplierController.uploadSupplierCertificate);
+router.delete('/:id/certificates/:certificate_id', requirePermission('suppliers', 'certify'), supplierController.deleteSupplierCertificate);
 
 module.exports = router;
\ No newline at end of file
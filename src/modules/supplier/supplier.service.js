@@ -1,6 +1,50 @@
 const { PrismaClient } = require("@prisma/client");
+const { assertValidDocuments, normalizeDocumentFields } = require("../../utils/documentValidation");
 const prisma = new PrismaClient();
 
+const PERU_COUNTRY_NAMES = ["peru", "perú"];
+const SUPPLIER_DOCUMENT_FIELDS = { ruc: "ruc", tax_id: "ruc" };
+
+/**
+ * ✅ NEW: Validate RUC / tax ID of Peruvian suppliers (or suppliers without country)
+ * and reject a RUC already used by another supplier.
+ * @param {Object} supplierData - Incoming supplier data
+ * @param {Object|null} existingSupplier - Current supplier on update
+ */
+async function validateSupplierDocuments(supplierData, existingSupplier = null) {
+  const countryId = supplierData.country_id || existingSupplier?.country_id;
+  const country = countryId
+    ? await prisma.country.findUnique({ where: { country_id: countryId }, select: { name: true } })
+    : null;
+
+  if (!country || PERU_COUNTRY_NAMES.includes(country.name.trim().toLowerCase())) {
+    assertValidDocuments(supplierData, SUPPLIER_DOCUMENT_FIELDS);
+  }
+
+  const ruc = supplierData.ruc || (!existingSupplier && supplierData.tax_id);
+  if (ruc && ruc !== existingSupplier?.ruc) {
+    const duplicate = await prisma.supplier.findFirst({
+      where: {
+        ruc,
+        ...(existingSupplier && { supplier_id: { not: existingSupplier.supplier_id } })
+      },
+      select: { company_name: true, supplier_code: true }
+    });
+    if (duplicate) {
+      throw new Error(`A supplier with RUC ${ruc} already exists (${duplicate.supplier_code || duplicate.company_name})`);
+    }
+  }
+}
+
+/**
+ * Keep field-level validation details when wrapping a service error
+ */
+function wrapSupplierError(prefix, error) {
+  const wrapped = new Error(`${prefix}: ${error.message}`);
+  if (error.fieldErrors) wrapped.fieldErrors = error.fieldErrors;
+  return wrapped;
+}
+
 /**
  * Create a new supplier
  * @param {Object} supplierData - The supplier data
@@ -8,6 +52,9 @@ const prisma = new PrismaClient();
  */
 async function createSupplier(supplierData, userRole = null, userId = null) {
   try {
+    Object.assign(supplierData, normalizeDocumentFields(supplierData, SUPPLIER_DOCUMENT_FIELDS));
+    await validateSupplierDocuments(supplierData);
+
     // Generate supplier code if not provided
     let supplierCode = supplierData.supplier_code;
     if (!supplierCode) {
@@ -114,7 +161,7 @@ async function createSupplier(supplierData, userRole = null, userId = null) {
     return newSupplier;
   } catch (error) {
     console.error("Error creating supplier:", error);
-    throw new Error(`Error creating supplier: ${error.message}`);
+    throw wrapSupplierError("Error creating supplier", error);
   }
 }
 
@@ -386,6 +433,8 @@ async function canEditSupplier(supplierId, userRole, userId) {
  */
 async function updateSupplier(supplierId, supplierData, userRole = null, userId = null) {
   try {
+    Object.assign(supplierData, normalizeDocumentFields(supplierData, SUPPLIER_DOCUMENT_FIELDS));
+
     // Check permissions if user context is provided
     if (userRole && userId) {
       const canEdit = await canEditSupplier(supplierId, userRole, userId);
@@ -393,6 +442,24 @@ async function updateSupplier(supplierId, supplierData, userRole = null, userId
         throw new Error('Insufficient permissions to edit this supplier');
       }
     }
+
+    if (supplierData.ruc || supplierData.tax_id || supplierData.country_id) {
+      const existingSupplier = await prisma.supplier.findUnique({
+        where: { supplier_id: supplierId },
+        select: { supplier_id: true, ruc: true, tax_id: true, country_id: true }
+      });
+      if (!existingSupplier) {
+        throw new Error("Record to update not found");
+      }
+      await validateSupplierDocuments(
+        {
+          ...supplierData,
+          ruc: supplierData.ruc ?? existingSupplier.ruc,
+          tax_id: supplierData.tax_id ?? existingSupplier.tax_id
+        },
+        existingSupplier
+      );
+    }
     
     const updatedSupplier = await prisma.supplier.update({
       where: { supplier_id: supplierId },
@@ -451,7 +518,7 @@ async function updateSupplier(supplierId, supplierData, userRole = null, userId
     return updatedSupplier;
   } catch (error) {
     console.error(`Error updating supplier with ID ${supplierId}:`, error);
-    throw new Error(`Error updating supplier: ${error.message}`);
+    throw wrapSupplierError("Error updating supplier", error);
   }
 }
 
@@ -936,6 +1003,7 @@ async function getClientById(clientId, userRole = null, userId = null) {
 }
 
 module.exports = {
+  PERU_COUNTRY_NAMES,
   createSupplier,
   getAllSuppliers,
   getSupplierById,
@@ -0,0 +1,363 @@
+const userService = require("./user.service");
+const sessionService = require("../auth/session.service");
+
+function getRequestContext(req) {
+  return {
+    ipAddress: req.eventContext?.ipAddress || req.ip,
+    userAgent: req.eventContext?.userAgent || req.get('User-Agent'),
+    sessionId: req.user?.sid || null
+  };
+}
+
+function handleUserError(res, error, fallbackMessage) {
+  const message = error.message;
+
+  if (message.includes("not found")) {
+    return res.status(404).json({ success: false, message });
+  }
+
+  if (message.includes("managed through the client module") || message.includes("You cannot")) {
+    return res.status(403).json({ success: false, message });
+  }
+
+  if (
+    message.includes("already") ||
+    message.includes("Invalid role") ||
+    message.includes("No valid fields") ||
+    message.includes("must be an array") ||
+    message.includes("can only be set") ||
+    message.includes("last active administrator")
+  ) {
+    return res.status(400).json({ success: false, message });
+  }
+
+  return res.status(500).json({
+    success: false,
+    message: fallbackMessage,
+    error: message
+  });
+}
+
+/**
+ * List internal users (filters: role, organisation_id, status, client_id, warehouse_id, search)
+ */
+async function getAllUsers(req, res) {
+  try {
+    const filters = {
+      role: req.query.role,
+      organisation_id: req.query.organisation_id,
+      status: req.query.status,
+      client_id: req.query.client_id,
+      warehouse_id: req.query.warehouse_id,
+      search: req.query.search
+    };
+
+    const users = await userService.getAllUsers(filters);
+
+    return res.status(200).json({
+      success: true,
+      message: "Users fetched successfully",
+      data: users,
+      total_count: users.length
+    });
+  } catch (error) {
+    console.error("Error in getAllUsers controller:", error);
+    return handleUserError(res, error, "Error fetching users");
+  }
+}
+
+/**
+ * Get roles, organisations and clients for the user forms
+ */
+async function getUserFormFields(req, res) {
+  try {
+    const formFields = await userService.getUserFormFields();
+
+    return res.status(200).json({
+      success: true,
+      message: "Form fields fetched successfully",
+      data: formFields
+    });
+  } catch (error) {
+    console.error("Error in getUserFormFields controller:", error);
+    return handleUserError(res, error, "Error fetching form fields");
+  }
+}
+
+/**
+ * Get a single internal user
+ */
+async function getUserById(req, res) {
+  try {
+    const user = await userService.getUserById(req.params.id);
+
+    return res.status(200).json({
+      success: true,
+      message: "User fetched successfully",
+      data: user
+    });
+  } catch (error) {
+    console.error("Error in getUserById controller:", error);
+    return handleUserError(res, error, "Error fetching user");
+  }
+}
+
+/**
+ * Edit names, email or organisation of an internal user
+ */
+async function updateUser(req, res) {
+  try {
+    const user = await userService.updateUser(
+      req.params.id,
+      req.body,
+      req.user,
+      getRequestContext(req)
+    );
+
+    return res.status(200).json({
+      success: true,
+      message: "User updated successfully",
+      data: user
+    });
+  } catch (error) {
+    console.error("Error in updateUser controller:", error);
+    return handleUserError(res, error, "Error updating user");
+  }
+}
+
+/**
+ * Change the role of an internal user
+ */
+async function changeUserRole(req, res) {
+  try {
+    const { role } = req.body;
+
+    if (!role) {
+      return res.status(400).json({
+        success: false,
+        message: "role is required"
+      });
+    }
+
+    const user = await userService.changeUserRole(
+      req.params.id,
+      role,
+      req.user,
+      getRequestContext(req)
+    );
+
+    return res.status(200).json({
+      success: true,
+      message: "User role changed successfully. The user must log in again.",
+      data: user
+    });
+  } catch (error) {
+    console.error("Error in changeUserRole controller:", error);
+    return handleUserError(res, error, "Error changing user role");
+  }
+}
+
+/**
+ * Replace the assigned clients of a WAREHOUSE_ASSISTANT
+ */
+async function updateAssignedClients(req, res) {
+  try {
+    const { assigned_clients } = req.body;
+
+    if (assigned_clients === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: "assigned_clients is required"
+      });
+    }
+
+    const user = await userService.updateAssignedClients(
+      req.params.id,
+      assigned_clients,
+      req.user,
+      getRequestContext(req)
+    );
+
+    return res.status(200).json({
+      success: true,
+      message: "Assigned clients updated successfully",
+      data: user
+    });
+  } catch (error) {
+    console.error("Error in updateAssignedClients controller:", error);
+    return handleUserError(res, error, "Error updating assigned clients");
+  }
+}
+
+/**
+ * Replace the assigned warehouses of a WAREHOUSE_INCHARGE or WAREHOUSE_ASSISTANT
+ */
+async function updateAssignedWarehouses(req, res) {
+  try {
+    const { assigned_warehouses } = req.body;
+
+    if (assigned_warehouses === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: "assigned_warehouses is required"
+      });
+    }
+
+    const user = await userService.updateAssignedWarehouses(
+      req.params.id,
+      assigned_warehouses,
+      req.user,
+      getRequestContext(req)
+    );
+
+    return res.status(200).json({
+      success: true,
+      message: "Assigned warehouses updated successfully",
+      data: user
+    });
+  } catch (error) {
+    console.error("Error in updateAssignedWarehouses controller:", error);
+    return handleUserError(res, error, "Error updating assigned warehouses");
+  }
+}
+
+/**
+ * Deactivate an internal user
+ */
+async function deactivateUser(req, res) {
+  try {
+    const user = await userService.deactivateUser(
+      req.params.id,
+      req.body?.reason,
+      req.user,
+      getRequestContext(req)
+    );
+
+    return res.status(200).json({
+      success: true,
+      message: "User deactivated successfully",
+      data: user
+    });
+  } catch (error) {
+    console.error("Error in deactivateUser controller:", error);
+    return handleUserError(res, error, "Error deactivating user");
+  }
+}
+
+/**
+ * Reactivate an internal user
+ */
+async function reactivateUser(req, res) {
+  try {
+    const user = await userService.reactivateUser(
+      req.params.id,
+      req.user,
+      getRequestContext(req)
+    );
+
+    return res.status(200).json({
+      success: true,
+      message: "User reactivated successfully",
+      data: user
+    });
+  } catch (error) {
+    console.error("Error in reactivateUser controller:", error);
+    return handleUserError(res, error, "Error reactivating user");
+  }
+}
+
+/**
+ * List active sessions across users (filters: user_id, organisation_id, role)
+ */
+async function getActiveSessions(req, res) {
+  try {
+    const sessions = await sessionService.listActiveSessions({
+      user_id: req.query.user_id,
+      organisation_id: req.query.organisation_id,
+      role: req.query.role
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: "Active sessions fetched successfully",
+      data: sessions,
+      total_count: sessions.length
+    });
+  } catch (error) {
+    console.error("Error in getActiveSessions controller:", error);
+    return handleUserError(res, error, "Error fetching active sessions");
+  }
+}
+
+/**
+ * List active sessions of a single user
+ */
+async function getUserSessions(req, res) {
+  try {
+    const sessions = await sessionService.listUserSessions(req.params.id);
+
+    return res.status(200).json({
+      success: true,
+      message: "User sessions fetched successfully",
+      data: sessions,
+      total_count: sessions.length
+    });
+  } catch (error) {
+    console.error("Error in getUserSessions controller:", error);
+    return handleUserError(res, error, "Error fetching user sessions");
+  }
+}
+
+/**
+ * Sign a user out of every session
+ */
+async function forceSignOut(req, res) {
+  try {
+    const result = await sessionService.forceSignOut(
+      req.params.id,
+      req.body?.reason,
+      req.user,
+      getRequestContext(req)
+    );
+
+    return res.status(200).json(result);
+  } catch (error) {
+    console.error("Error in forceSignOut controller:", error);
+    return handleUserError(res, error, "Error signing out user");
+  }
+}
+
+/**
+ * Revoke a single session of any user
+ */
+async function revokeSession(req, res) {
+  try {
+    const result = await sessionService.adminRevokeSession(
+      req.params.session_id,
+      req.body?.reason,
+      req.user,
+      getRequestContext(req)
+    );
+
+    return res.status(200).json(result);
+  } catch (error) {
+    console.error("Error in revokeSession controller:", error);
+    return handleUserError(res, error, "Error revoking session");
+  }
+}
+
+module.exports = {
+  getAllUsers,
+  getUserFormFields,
+  getUserById,
+  updateUser,
+  changeUserRole,
+  updateAssignedClients,
+  updateAssignedWarehouses,
+  deactivateUser,
+  reactivateUser,
+  getActiveSessions,
+  getUserSessions,
+  forceSignOut,
+  revokeSession
+};
@@ -0,0 +1,25 @@
+const express = require("express");
+const router = express.Router();
+const userController = require("./user.controller");
+const { requireRole } = require("../../middlewares/roleBasedAccess");
+
+// Read access for warehouse management, changes are ADMIN only.
+// Session listings expose every account's IPs and devices, so they are ADMIN only too.
+const canRead = requireRole('WAREHOUSE_INCHARGE', { resource: 'users', action: 'read' });
+const canManage = requireRole('ADMIN', { resource: 'users', action: 'update' });
+
+router.get("/", canRead, userController.getAllUsers);
+router.get("/form-fields", canRead, userController.getUserFormFields);
+router.get("/sessions", canManage, userController.getActiveSessions);
+router.delete("/sessions/:session_id", canManage, userController.revokeSession);
+router.get("/:id", canRead, userController.getUserById);
+router.get("/:id/sessions", canManage, userController.getUserSessions);
+router.post("/:id/force-logout", canManage, userController.forceSignOut);
+router.put("/:id", canManage, userController.updateUser);
+router.put("/:id/role", canManage, userController.changeUserRole);
+router.put("/:id/assigned-clients", canManage, userController.updateAssignedClients);
+router.put("/:id/assigned-warehouses", canManage, userController.updateAssignedWarehouses);
+router.put("/:id/deactivate", canManage, userController.deactivateUser);
+router.put("/:id/reactivate", canManage, userController.reactivateUser);
+
+module.exports = router;
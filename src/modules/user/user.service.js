@@ -0,0 +1,597 @@
+const { PrismaClient } = require("@prisma/client");
+const eventLogger = require("../../utils/eventLogger");
+const tokenService = require("../auth/token.service");
+const { WAREHOUSE_SCOPED_ROLES } = require("../../middlewares/roleBasedAccess");
+const prisma = new PrismaClient();
+
+// Client portal accounts are managed through /clients/:client_id/users
+const CLIENT_ROLES = ['CLIENT', 'CLIENT_PHARMACIST'];
+const INTERNAL_ROLES = ['ADMIN', 'WAREHOUSE_INCHARGE', 'PHARMACIST', 'WAREHOUSE_ASSISTANT'];
+
+const ACTIVE_STATE = 'Activo';
+const INACTIVE_STATE = 'Inactivo';
+
+const userSelect = {
+  id: true,
+  user_id: true,
+  email: true,
+  first_name: true,
+  middle_name: true,
+  last_name: true,
+  organisation_id: true,
+  assigned_clients: true,
+  assigned_warehouses: true,
+  created_at: true,
+  locked_until: true,
+  two_factor_enabled: true,
+  role: { select: { role_id: true, name: true } },
+  organisation: { select: { organisation_id: true, name: true } },
+  active_state: { select: { state_id: true, name: true } }
+};
+
+function isUserActive(user) {
+  return !user.active_state || user.active_state.name !== INACTIVE_STATE;
+}
+
+function formatUser(user) {
+  return {
+    ...user,
+    is_active: isUserActive(user),
+    is_locked: !!(user.locked_until && user.locked_until > new Date())
+  };
+}
+
+async function getActiveStateId(name) {
+  const state = await prisma.activeState.findUnique({ where: { name } });
+  if (!state) {
+    throw new Error(`Active state '${name}' not found`);
+  }
+  return state.state_id;
+}
+
+/**
+ * Loads an internal user or throws. Client portal accounts are rejected.
+ */
+async function getInternalUserOrThrow(userId) {
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+    select: userSelect
+  });
+
+  if (!user) {
+    throw new Error("User not found");
+  }
+
+  if (CLIENT_ROLES.includes(user.role?.name)) {
+    throw new Error("Client user accounts are managed through the client module");
+  }
+
+  return user;
+}
+
+/**
+ * Checks that every client id exists and returns the clients.
+ */
+async function validateClientIds(clientIds) {
+  const uniqueIds = [...new Set(clientIds)];
+  if (uniqueIds.length === 0) return [];
+
+  const clients = await prisma.client.findMany({
+    where: { client_id: { in: uniqueIds } },
+    select: { client_id: true, client_code: true, company_name: true, first_names: true, last_name: true }
+  });
+
+  const missing = uniqueIds.filter(id => !clients.some(client => client.client_id === id));
+  if (missing.length > 0) {
+    throw new Error(`Clients not found: ${missing.join(', ')}`);
+  }
+
+  return clients;
+}
+
+async function validateWarehouseIds(warehouseIds) {
+  const uniqueIds = [...new Set(warehouseIds)];
+  if (uniqueIds.length === 0) return [];
+
+  const warehouses = await prisma.warehouse.findMany({
+    where: { warehouse_id: { in: uniqueIds } },
+    select: { warehouse_id: true, name: true, location: true }
+  });
+
+  const missing = uniqueIds.filter(id => !warehouses.some(warehouse => warehouse.warehouse_id === id));
+  if (missing.length > 0) {
+    throw new Error(`Warehouses not found: ${missing.join(', ')}`);
+  }
+
+  return warehouses;
+}
+
+/**
+ * List internal users with optional filters
+ * @param {Object} filters - { role, organisation_id, status ('active'|'inactive'), search, client_id, warehouse_id }
+ */
+async function getAllUsers(filters = {}) {
+  try {
+    const { role, organisation_id, status, search, client_id, warehouse_id } = filters;
+
+    const whereConditions = {
+      role: { name: { in: INTERNAL_ROLES } }
+    };
+
+    if (role) {
+      const roles = role.split(',').map(r => r.trim()).filter(r => INTERNAL_ROLES.includes(r));
+      whereConditions.role = { name: { in: roles } };
+    }
+
+    if (organisation_id) {
+      whereConditions.organisation_id = organisation_id;
+    }
+
+    if (client_id) {
+      whereConditions.assigned_clients = { has: client_id };
+    }
+
+    if (warehouse_id) {
+      whereConditions.assigned_warehouses = { has: warehouse_id };
+    }
+
+    if (status === 'active') {
+      whereConditions.OR = [
+        { active_state_id: null },
+        { active_state: { name: { not: INACTIVE_STATE } } }
+      ];
+    } else if (status === 'inactive') {
+      whereConditions.active_state = { name: INACTIVE_STATE };
+    }
+
+    if (search) {
+      whereConditions.AND = [{
+        OR: [
+          { user_id: { contains: search, mode: 'insensitive' } },
+          { email: { contains: search, mode: 'insensitive' } },
+          { first_name: { contains: search, mode: 'insensitive' } },
+          { last_name: { contains: search, mode: 'insensitive' } }
+        ]
+      }];
+    }
+
+    const users = await prisma.user.findMany({
+      where: whereConditions,
+      select: userSelect,
+      orderBy: [{ created_at: 'desc' }]
+    });
+
+    return users.map(formatUser);
+  } catch (error) {
+    console.error("Error in getAllUsers service:", error);
+    throw error;
+  }
+}
+
+/**
+ * Get an internal user with the details of their assigned clients and warehouses
+ */
+async function getUserById(userId) {
+  try {
+    const user = await getInternalUserOrThrow(userId);
+
+    const [assignedClients, assignedWarehouses] = await Promise.all([
+      prisma.client.findMany({
+        where: { client_id: { in: user.assigned_clients } },
+        select: { client_id: true, client_code: true, client_type: true, company_name: true, first_names: true, last_name: true }
+      }),
+      prisma.warehouse.findMany({
+        where: { warehouse_id: { in: user.assigned_warehouses } },
+        select: { warehouse_id: true, name: true, location: true }
+      })
+    ]);
+
+    return {
+      ...formatUser(user),
+      assigned_client_details: assignedClients,
+      assigned_warehouse_details: assignedWarehouses
+    };
+  } catch (error) {
+    console.error("Error in getUserById service:", error);
+    throw error;
+  }
+}
+
+/**
+ * Update profile fields of an internal user (names, email, organisation)
+ */
+async function updateUser(userId, updateData, adminUser, requestContext = {}) {
+  try {
+    const user = await getInternalUserOrThrow(userId);
+
+    const allowedFields = ['email', 'first_name', 'middle_name', 'last_name', 'organisation_id'];
+    const data = {};
+    allowedFields.forEach(field => {
+      if (updateData[field] !== undefined) {
+        data[field] = updateData[field];
+      }
+    });
+
+    if (Object.keys(data).length === 0) {
+      throw new Error("No valid fields to update");
+    }
+
+    if (data.email && data.email !== user.email) {
+      const existing = await prisma.user.findUnique({ where: { email: data.email } });
+      if (existing) {
+        throw new Error("Email is already in use by another user");
+      }
+    }
+
+    if (data.organisation_id) {
+      const organisation = await prisma.organisation.findUnique({
+        where: { organisation_id: data.organisation_id }
+      });
+      if (!organisation) {
+        throw new Error("Organisation not found");
+      }
+    }
+
+    const updatedUser = await prisma.user.update({
+      where: { id: userId },
+      data,
+      select: userSelect
+    });
+
+    const oldValues = {};
+    Object.keys(data).forEach(field => { oldValues[field] = user[field]; });
+
+    await eventLogger.logEvent({
+      userId: adminUser.id,
+      action: 'USER_UPDATED',
+      entityType: 'User',
+      entityId: userId,
+      description: `Updated user ${user.user_id}: ${Object.keys(data).join(', ')}`,
+      oldValues,
+      newValues: data,
+      metadata: {
+        operation_type: 'USER_MANAGEMENT',
+        action_type: 'PROFILE_UPDATE',
+        target_user_id: user.user_id,
+        updated_by: adminUser.userId || adminUser.id
+      },
+      ...requestContext
+    });
+
+    return formatUser(updatedUser);
+  } catch (error) {
+    console.error("Error in updateUser service:", error);
+    throw error;
+  }
+}
+
+/**
+ * Change the role of an internal user. All sessions are revoked so the new role applies at next login.
+ */
+async function changeUserRole(userId, roleName, adminUser, requestContext = {}) {
+  try {
+    if (!INTERNAL_ROLES.includes(roleName)) {
+      throw new Error(`Invalid role. Allowed roles: ${INTERNAL_ROLES.join(', ')}`);
+    }
+
+    if (userId === adminUser.id) {
+      throw new Error("You cannot change your own role");
+    }
+
+    const user = await getInternalUserOrThrow(userId);
+
+    if (user.role?.name === roleName) {
+      throw new Error(`User already has role ${roleName}`);
+    }
+
+    const role = await prisma.role.findUnique({ where: { name: roleName } });
+    if (!role) {
+      throw new Error(`Role '${roleName}' not found`);
+    }
+
+    // Assigned clients only restrict warehouse assistants, assigned warehouses only warehouse staff
+    const data = { role_id: role.role_id };
+    if (roleName !== 'WAREHOUSE_ASSISTANT') {
+      data.assigned_clients = [];
+    }
+    if (!WAREHOUSE_SCOPED_ROLES.includes(roleName)) {
+      data.assigned_warehouses = [];
+    }
+
+    const updatedUser = await prisma.user.update({
+      where: { id: userId },
+      data,
+      select: userSelect
+    });
+
+    const revokedSessions = await tokenService.revokeAllUserSessions(userId, 'ROLE_CHANGED');
+
+    await eventLogger.logEvent({
+      userId: adminUser.id,
+      action: 'USER_ROLE_CHANGED',
+      entityType: 'User',
+      entityId: userId,
+      description: `Changed role of user ${user.user_id} from ${user.role?.name} to ${roleName}`,
+      oldValues: { role: user.role?.name, assigned_clients: user.assigned_clients },
+      newValues: { role: roleName, assigned_clients: updatedUser.assigned_clients },
+      metadata: {
+        operation_type: 'USER_MANAGEMENT',
+        action_type: 'ROLE_CHANGE',
+        target_user_id: user.user_id,
+        changed_by: adminUser.userId || adminUser.id,
+        revoked_sessions: revokedSessions
+      },
+      ...requestContext
+    });
+
+    return formatUser(updatedUser);
+  } catch (error) {
+    console.error("Error in changeUserRole service:", error);
+    throw error;
+  }
+}
+
+/**
+ * Replace the clients a WAREHOUSE_ASSISTANT may work with
+ */
+async function updateAssignedClients(userId, clientIds, adminUser, requestContext = {}) {
+  try {
+    if (!Array.isArray(clientIds)) {
+      throw new Error("assigned_clients must be an array of client IDs");
+    }
+
+    const user = await getInternalUserOrThrow(userId);
+
+    if (user.role?.name !== 'WAREHOUSE_ASSISTANT') {
+      throw new Error("Assigned clients can only be set for WAREHOUSE_ASSISTANT users");
+    }
+
+    const clients = await validateClientIds(clientIds);
+    const newClientIds = clients.map(client => client.client_id);
+
+    const updatedUser = await prisma.user.update({
+      where: { id: userId },
+      data: { assigned_clients: newClientIds },
+      select: userSelect
+    });
+
+    const added = newClientIds.filter(id => !user.assigned_clients.includes(id));
+    const removed = user.assigned_clients.filter(id => !newClientIds.includes(id));
+
+    await eventLogger.logEvent({
+      userId: adminUser.id,
+      action: 'USER_UPDATED',
+      entityType: 'User',
+      entityId: userId,
+      description: `Updated assigned clients of ${user.user_id}: ${added.length} added, ${removed.length} removed`,
+      oldValues: { assigned_clients: user.assigned_clients },
+      newValues: { assigned_clients: newClientIds },
+      metadata: {
+        operation_type: 'USER_MANAGEMENT',
+        action_type: 'ASSIGNED_CLIENTS_UPDATE',
+        target_user_id: user.user_id,
+        clients_added: added,
+        clients_removed: removed,
+        updated_by: adminUser.userId || adminUser.id
+      },
+      ...requestContext
+    });
+
+    return formatUser(updatedUser);
+  } catch (error) {
+    console.error("Error in updateAssignedClients service:", error);
+    throw error;
+  }
+}
+
+/**
+ * Replace the warehouses a WAREHOUSE_INCHARGE or WAREHOUSE_ASSISTANT works in.
+ * An empty list leaves the user without access to any warehouse.
+ */
+async function updateAssignedWarehouses(userId, warehouseIds, adminUser, requestContext = {}) {
+  try {
+    if (!Array.isArray(warehouseIds)) {
+      throw new Error("assigned_warehouses must be an array of warehouse IDs");
+    }
+
+    const user = await getInternalUserOrThrow(userId);
+
+    if (!WAREHOUSE_SCOPED_ROLES.includes(user.role?.name)) {
+      throw new Error(`Assigned warehouses can only be set for ${WAREHOUSE_SCOPED_ROLES.join(' or ')} users`);
+    }
+
+    const warehouses = await validateWarehouseIds(warehouseIds);
+    const newWarehouseIds = warehouses.map(warehouse => warehouse.warehouse_id);
+
+    const updatedUser = await prisma.user.update({
+      where: { id: userId },
+      data: { assigned_warehouses: newWarehouseIds },
+      select: userSelect
+    });
+
+    const added = newWarehouseIds.filter(id => !user.assigned_warehouses.includes(id));
+    const removed = user.assigned_warehouses.filter(id => !newWarehouseIds.includes(id));
+
+    await eventLogger.logEvent({
+      userId: adminUser.id,
+      action: 'USER_UPDATED',
+      entityType: 'User',
+      entityId: userId,
+      description: `Updated assigned warehouses of ${user.user_id}: ${added.length} added, ${removed.length} removed`,
+      oldValues: { assigned_warehouses: user.assigned_warehouses },
+      newValues: { assigned_warehouses: newWarehouseIds },
+      metadata: {
+        operation_type: 'USER_MANAGEMENT',
+        action_type: 'ASSIGNED_WAREHOUSES_UPDATE',
+        target_user_id: user.user_id,
+        warehouses_added: added,
+        warehouses_removed: removed,
+        no_warehouse_access: newWarehouseIds.length === 0,
+        updated_by: adminUser.userId || adminUser.id
+      },
+      ...requestContext
+    });
+
+    return formatUser(updatedUser);
+  } catch (error) {
+    console.error("Error in updateAssignedWarehouses service:", error);
+    throw error;
+  }
+}
+
+/**
+ * Deactivate an internal user: blocks login and revokes all sessions
+ */
+async function deactivateUser(userId, reason, adminUser, requestContext = {}) {
+  try {
+    if (userId === adminUser.id) {
+      throw new Error("You cannot deactivate your own account");
+    }
+
+    const user = await getInternalUserOrThrow(userId);
+
+    if (!isUserActive(user)) {
+      throw new Error("User is already deactivated");
+    }
+
+    // Keep at least one active administrator
+    if (user.role?.name === 'ADMIN') {
+      const activeAdmins = await prisma.user.count({
+        where: {
+          role: { name: 'ADMIN' },
+          OR: [
+            { active_state_id: null },
+            { active_state: { name: { not: INACTIVE_STATE } } }
+          ]
+        }
+      });
+      if (activeAdmins <= 1) {
+        throw new Error("Cannot deactivate the last active administrator");
+      }
+    }
+
+    const updatedUser = await prisma.user.update({
+      where: { id: userId },
+      data: { active_state_id: await getActiveStateId(INACTIVE_STATE) },
+      select: userSelect
+    });
+
+    const revokedSessions = await tokenService.revokeAllUserSessions(userId, 'USER_DEACTIVATED');
+
+    await eventLogger.logEvent({
+      userId: adminUser.id,
+      action: 'USER_DEACTIVATED',
+      entityType: 'User',
+      entityId: userId,
+      description: `Deactivated user ${user.user_id}${reason ? `: ${reason}` : ''}`,
+      oldValues: { active_state: user.active_state?.name || ACTIVE_STATE },
+      newValues: { active_state: INACTIVE_STATE },
+      metadata: {
+        operation_type: 'USER_MANAGEMENT',
+        action_type: 'DEACTIVATE',
+        target_user_id: user.user_id,
+        role: user.role?.name,
+        reason: reason || null,
+        deactivated_by: adminUser.userId || adminUser.id,
+        revoked_sessions: revokedSessions
+      },
+      ...requestContext
+    });
+
+    return formatUser(updatedUser);
+  } catch (error) {
+    console.error("Error in deactivateUser service:", error);
+    throw error;
+  }
+}
+
+/**
+ * Reactivate a previously deactivated internal user
+ */
+async function reactivateUser(userId, adminUser, requestContext = {}) {
+  try {
+    const user = await getInternalUserOrThrow(userId);
+
+    if (isUserActive(user)) {
+      throw new Error("User is already active");
+    }
+
+    const updatedUser = await prisma.user.update({
+      where: { id: userId },
+      data: {
+        active_state_id: await getActiveStateId(ACTIVE_STATE),
+        failed_login_attempts: 0,
+        last_failed_login_at: null,
+        locked_until: null
+      },
+      select: userSelect
+    });
+
+    await eventLogger.logEvent({
+      userId: adminUser.id,
+      action: 'USER_ACTIVATED',
+      entityType: 'User',
+      entityId: userId,
+      description: `Reactivated user ${user.user_id}`,
+      oldValues: { active_state: INACTIVE_STATE },
+      newValues: { active_state: ACTIVE_STATE },
+      metadata: {
+        operation_type: 'USER_MANAGEMENT',
+        action_type: 'REACTIVATE',
+        target_user_id: user.user_id,
+        role: user.role?.name,
+        reactivated_by: adminUser.userId || adminUser.id
+      },
+      ...requestContext
+    });
+
+    return formatUser(updatedUser);
+  } catch (error) {
+    console.error("Error in reactivateUser service:", error);
+    throw error;
+  }
+}
+
+/**
+ * Options for the user administration forms
+ */
+async function getUserFormFields() {
+  try {
+    const [roles, organisations, clients, warehouses] = await Promise.all([
+      prisma.role.findMany({
+        where: { name: { in: INTERNAL_ROLES } },
+        select: { role_id: true, name: true }
+      }),
+      prisma.organisation.findMany({
+        select: { organisation_id: true, name: true },
+        orderBy: { name: 'asc' }
+      }),
+      prisma.client.findMany({
+        select: { client_id: true, client_code: true, client_type: true, company_name: true, first_names: true, last_name: true },
+        orderBy: { created_at: 'desc' }
+      }),
+      prisma.warehouse.findMany({
+        select: { warehouse_id: true, name: true, location: true },
+        orderBy: { name: 'asc' }
+      })
+    ]);
+
+    return { roles, organisations, clients, warehouses };
+  } catch (error) {
+    console.error("Error in getUserFormFields service:", error);
+    throw error;
+  }
+}
+
+module.exports = {
+  INTERNAL_ROLES,
+  getAllUsers,
+  getUserById,
+  updateUser,
+  changeUserRole,
+  updateAssignedClients,
+  updateAssignedWarehouses,
+  deactivateUser,
+  reactivateUser,
+  getUserFormFields
+};
@@ -9,18 +9,19 @@ const {
   getCellHistory,
   getCellsByQualityRole,
 } = require("./warehouse.controller");
+const { requirePermission } = require("../../middlewares/roleBasedAccess");
 
 // Allocate pallets to cells
-router.post("/allocate", allocatePallets);
+router.post("/allocate", requirePermission("cells", "assign"), allocatePallets);
 
 // List all cells (optional warehouse filter)
-router.get("/cells", listWarehouseCells);
+router.get("/cells", requirePermission("cells", "read"), listWarehouseCells);
 
-router.get("/warehouses", listWarehouses);
+router.get("/warehouses", requirePermission("warehouses", "read"), listWarehouses);
 
 // ✅ SIMPLIFIED: Cell role management routes
-router.get("/cell-roles", getCellRoles);                       // Get available cell roles
-router.put("/cells/:cellId/role", changeCellRole);             // Change cell role
-router.get("/cells/by-role", getCellsByQualityRole);          // Get cells grouped by role
+router.get("/cell-roles", requirePermission("cells", "read"), getCellRoles);                       // Get available cell roles
+router.put("/cells/:cellId/role", requirePermission("cells", "update"), changeCellRole);             // Change cell role
+router.get("/cells/by-role", requirePermission("cells", "read"), getCellsByQualityRole);          // Get cells grouped by role
 
 module.exports = router;
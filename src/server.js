@@ -30,6 +30,7 @@ app.use(express.urlencoded({ extended: true }));
 // middleware
 const authenticateToken = require("@/middlewares/authMiddleware");
 const { eventLoggerMiddleware, errorLoggerMiddleware } = require("@/middlewares/eventLoggerMiddleware");
+const { assertRoutePermissions } = require("@/middlewares/roleBasedAccess");
 
 // Apply event logging middleware globally
 app.use(eventLoggerMiddleware);
@@ -99,29 +100,42 @@ const warehouseRoutes = require("@/modules/warehouse/warehouse.route");
 const clientRoutes = require("@/modules/client/client.route");
 const eventLogRoutes = require("@/modules/eventlog/eventlog.route");
 const reportsRoutes = require("@/modules/reports/reports.route");
+const userRoutes = require("@/modules/user/user.route");
+const apiKeyRoutes = require("@/modules/apikey/apikey.route");
+const billingRoutes = require("@/modules/billing/billing.route");
 
 // ✅ NEW: Document management routes for file uploads/downloads
 const documentRoutes = require("./modules/departure/document.route");
 
 // Mount your module routes
 app.use("/auth", authRoutes);
-app.use("/organisation", organisationRoutes);
-app.use("/countries", authenticateToken, countryRoutes); // ✅ NEW: Mount countries routes
-// app.use("/processes", authenticateToken, processesRoutes);
-app.use("/maintenance", authenticateToken, maintenanceRoutes);
-app.use("/suppliers", authenticateToken, supplierRoutes);
-app.use("/products", authenticateToken, productRoutes);
-app.use("/entry", authenticateToken, entryRoutes);
-app.use("/departure", authenticateToken, departureRoutes);
-app.use("/audit", authenticateToken, auditRoutes);
-app.use("/inventory", authenticateToken, inventoryRoutes);
-app.use("/warehouse", authenticateToken, warehouseRoutes);
-app.use("/clients", authenticateToken, clientRoutes); // ✅ NEW: Mount client routes
-app.use("/eventlogs", authenticateToken, eventLogRoutes); // ✅ NEW: Mount event log routes
-app.use("/reports", authenticateToken, reportsRoutes); // ✅ NEW: Mount reports routes
 
-// ✅ NEW: Document management endpoints for all entities
-app.use("/documents", documentRoutes);
+// ✅ Protected routers: every route declares its resource:action permission (checked at startup)
+const protectedRoutes = [
+  ["/organisation", organisationRoutes],
+  ["/countries", countryRoutes], // ✅ NEW: Mount countries routes
+  // ["/processes", processesRoutes],
+  ["/maintenance", maintenanceRoutes],
+  ["/suppliers", supplierRoutes],
+  ["/products", productRoutes],
+  ["/entry", entryRoutes],
+  ["/departure", departureRoutes],
+  ["/audit", auditRoutes],
+  ["/inventory", inventoryRoutes],
+  ["/warehouse", warehouseRoutes],
+  ["/clients", clientRoutes], // ✅ NEW: Mount client routes
+  ["/eventlogs", eventLogRoutes], // ✅ NEW: Mount event log routes
+  ["/reports", reportsRoutes], // ✅ NEW: Mount reports routes
+  ["/users", userRoutes],
+  ["/api-keys", apiKeyRoutes],
+  ["/billing", billingRoutes],
+  ["/documents", documentRoutes], // ✅ NEW: Document management endpoints for all entities
+];
+
+protectedRoutes.forEach(([path, router]) => {
+  assertRoutePermissions(router, path);
+  app.use(path, authenticateToken, router);
+});
 
 // Apply error logging middleware
 app.use(errorLoggerMiddleware);
@@ -0,0 +1,65 @@
+// utils/barcodeValidation.js
+// GS1 trade item numbers: GTIN-8, GTIN-12 (UPC-A), GTIN-13 (EAN-13) and GTIN-14.
+
+const GTIN_LENGTHS = [8, 12, 13, 14];
+
+const MESSAGES = {
+  en: {
+    REQUIRED: () => "Barcode is required",
+    FORMAT: (value) => `Barcode "${value}" must contain only digits`,
+    LENGTH: (value) => `Barcode "${value}" must have ${GTIN_LENGTHS.join(", ")} digits`,
+    CHECK_DIGIT: (value) => `Barcode "${value}" has an invalid check digit`
+  },
+  es: {
+    REQUIRED: () => "El código de barras es obligatorio",
+    FORMAT: (value) => `El código de barras "${value}" solo puede contener dígitos`,
+    LENGTH: (value) => `El código de barras "${value}" debe tener ${GTIN_LENGTHS.join(", ")} dígitos`,
+    CHECK_DIGIT: (value) => `El código de barras "${value}" tiene un dígito verificador inválido`
+  }
+};
+
+function normalizeBarcode(value) {
+  return value === null || value === undefined ? "" : String(value).trim();
+}
+
+/**
+ * GS1 modulo-10 check digit: weights 3 and 1 alternate from the rightmost data digit.
+ */
+function computeGtinCheckDigit(digitsWithoutCheck) {
+  const sum = digitsWithoutCheck
+    .split("")
+    .reverse()
+    .reduce((acc, digit, index) => acc + Number(digit) * (index % 2 === 0 ? 3 : 1), 0);
+  return (10 - (sum % 10)) % 10;
+}
+
+/**
+ * Left-pad a GTIN to 14 digits so the same item matches whichever length was scanned.
+ */
+function toGtin14(gtin) {
+  return normalizeBarcode(gtin).padStart(14, "0");
+}
+
+/**
+ * Validate a GTIN: 8, 12, 13 or 14 digits with a valid check digit.
+ * @returns {{ valid: boolean, value: string, format: string|null, gtin14: string|null, code: string|null, message: string|null }}
+ */
+function validateGtin(barcode, lang = "en") {
+  const value = normalizeBarcode(barcode);
+  const messages = MESSAGES[lang] || MESSAGES.en;
+  const fail = (code) => ({ valid: false, value, format: null, gtin14: null, code, message: messages[code](value) });
+
+  if (!value) return fail("REQUIRED");
+  if (!/^\d+$/.test(value)) return fail("FORMAT");
+  if (!GTIN_LENGTHS.includes(value.length)) return fail("LENGTH");
+  if (computeGtinCheckDigit(value.slice(0, -1)) !== Number(value[value.length - 1])) return fail("CHECK_DIGIT");
+
+  return { valid: true, value, format: `GTIN-${value.length}`, gtin14: toGtin14(value), code: null, message: null };
+}
+
+module.exports = {
+  GTIN_LENGTHS,
+  computeGtinCheckDigit,
+  toGtin14,
+  validateGtin
+};
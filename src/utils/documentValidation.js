@@ -0,0 +1,142 @@
+// utils/documentValidation.js
+// Peruvian identity documents: RUC (Registro Único de Contribuyente) and DNI.
+
+const RUC_LENGTH = 11;
+const DNI_LENGTH = 8;
+const RUC_WEIGHTS = [5, 4, 3, 2, 7, 6, 5, 4, 3, 2];
+
+// 10: natural person with business, 15/17: special entities, 20: companies
+const RUC_PREFIXES = ["10", "15", "17", "20"];
+
+const MESSAGES = {
+  en: {
+    ruc: {
+      REQUIRED: () => "RUC is required",
+      FORMAT: (value) => `RUC "${value}" must contain only digits`,
+      LENGTH: (value) => `RUC "${value}" must have ${RUC_LENGTH} digits`,
+      PREFIX: (value) => `RUC "${value}" must start with ${RUC_PREFIXES.join(", ")}`,
+      CHECK_DIGIT: (value) => `RUC "${value}" has an invalid check digit`
+    },
+    dni: {
+      REQUIRED: () => "DNI is required",
+      FORMAT: (value) => `DNI "${value}" must contain only digits`,
+      LENGTH: (value) => `DNI "${value}" must have ${DNI_LENGTH} digits`
+    }
+  },
+  es: {
+    ruc: {
+      REQUIRED: () => "El RUC es obligatorio",
+      FORMAT: (value) => `El RUC "${value}" solo puede contener dígitos`,
+      LENGTH: (value) => `El RUC "${value}" debe tener ${RUC_LENGTH} dígitos`,
+      PREFIX: (value) => `El RUC "${value}" debe empezar con ${RUC_PREFIXES.join(", ")}`,
+      CHECK_DIGIT: (value) => `El RUC "${value}" tiene un dígito verificador inválido`
+    },
+    dni: {
+      REQUIRED: () => "El DNI es obligatorio",
+      FORMAT: (value) => `El DNI "${value}" solo puede contener dígitos`,
+      LENGTH: (value) => `El DNI "${value}" debe tener ${DNI_LENGTH} dígitos`
+    }
+  }
+};
+
+function normalizeDocument(value) {
+  return value === null || value === undefined ? "" : String(value).trim();
+}
+
+function buildResult(type, code, value, lang) {
+  if (!code) return { valid: true, value, code: null, message: null };
+  const messages = MESSAGES[lang] || MESSAGES.en;
+  return { valid: false, value, code, message: messages[type][code](value) };
+}
+
+/**
+ * Modulo-11 check digit of the first 10 digits of a RUC.
+ */
+function computeRucCheckDigit(firstTenDigits) {
+  const sum = RUC_WEIGHTS.reduce((acc, weight, index) => acc + weight * Number(firstTenDigits[index]), 0);
+  const digit = 11 - (sum % 11);
+  if (digit === 10) return 0;
+  if (digit === 11) return 1;
+  return digit;
+}
+
+/**
+ * Validate a RUC: 11 digits, allowed prefix and modulo-11 check digit.
+ * @returns {{ valid: boolean, value: string, code: string|null, message: string|null }}
+ */
+function validateRuc(ruc, lang = "en") {
+  const value = normalizeDocument(ruc);
+  if (!value) return buildResult("ruc", "REQUIRED", value, lang);
+  if (!/^\d+$/.test(value)) return buildResult("ruc", "FORMAT", value, lang);
+  if (value.length !== RUC_LENGTH) return buildResult("ruc", "LENGTH", value, lang);
+  if (!RUC_PREFIXES.includes(value.slice(0, 2))) return buildResult("ruc", "PREFIX", value, lang);
+  if (computeRucCheckDigit(value.slice(0, 10)) !== Number(value[10])) {
+    return buildResult("ruc", "CHECK_DIGIT", value, lang);
+  }
+  return buildResult("ruc", null, value, lang);
+}
+
+/**
+ * Validate a DNI: exactly 8 digits.
+ */
+function validateDni(dni, lang = "en") {
+  const value = normalizeDocument(dni);
+  if (!value) return buildResult("dni", "REQUIRED", value, lang);
+  if (!/^\d+$/.test(value)) return buildResult("dni", "FORMAT", value, lang);
+  if (value.length !== DNI_LENGTH) return buildResult("dni", "LENGTH", value, lang);
+  return buildResult("dni", null, value, lang);
+}
+
+/**
+ * Field-level document errors for the given fields. Empty values are skipped,
+ * required checks stay with the caller.
+ * @param {object} data - record being validated
+ * @param {object} fields - field name -> "ruc" | "dni", e.g. { ruc: "ruc", individual_id: "dni" }
+ * @returns {object} field name -> message, empty when everything is valid
+ */
+function getDocumentFieldErrors(data, fields, lang = "en") {
+  const fieldErrors = {};
+  Object.entries(fields).forEach(([field, type]) => {
+    if (!normalizeDocument(data[field])) return;
+    const result = type === "ruc" ? validateRuc(data[field], lang) : validateDni(data[field], lang);
+    if (!result.valid) fieldErrors[field] = result.message;
+  });
+  return fieldErrors;
+}
+
+/**
+ * Normalized values of the document fields present in `data`. Write them back before
+ * duplicate checks and saves so the stored value is the one that was validated.
+ * @returns {object} field name -> trimmed value
+ */
+function normalizeDocumentFields(data, fields) {
+  const normalized = {};
+  Object.keys(fields).forEach(field => {
+    if (data[field] !== undefined && data[field] !== null) normalized[field] = normalizeDocument(data[field]);
+  });
+  return normalized;
+}
+
+/**
+ * Throw when any document field is invalid. The error carries `fieldErrors`.
+ * @returns {object} field name -> normalized value, see normalizeDocumentFields
+ */
+function assertValidDocuments(data, fields, lang = "en") {
+  const fieldErrors = getDocumentFieldErrors(data, fields, lang);
+  if (Object.keys(fieldErrors).length > 0) {
+    const error = new Error(`Invalid document: ${Object.values(fieldErrors).join("; ")}`);
+    error.fieldErrors = fieldErrors;
+    throw error;
+  }
+  return normalizeDocumentFields(data, fields);
+}
+
+module.exports = {
+  RUC_PREFIXES,
+  computeRucCheckDigit,
+  validateRuc,
+  validateDni,
+  getDocumentFieldErrors,
+  normalizeDocumentFields,
+  assertValidDocuments
+};
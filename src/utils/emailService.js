@@ -3,6 +3,78 @@ const handlebars = require('handlebars');
 const fs = require('fs').promises;
 const path = require('path');
 
+// ✅ NEW: Client-facing notifications are sent in the recipient's language (es / en)
+const ORDER_STATUS_TEXT = {
+  es: {
+    APROBADO: { statusText: 'APROBADO', actionText: 'aprobada', statusClass: 'approved' },
+    DESPACHADO: { statusText: 'DESPACHADO', actionText: 'despachada', statusClass: 'dispatched' },
+    RECHAZADO: { statusText: 'RECHAZADO', actionText: 'rechazada', statusClass: 'rejected' },
+    REVISION: { statusText: 'REQUIERE REVISIÓN', actionText: 'marcada para revisión', statusClass: 'revision' },
+    DEFAULT: { statusText: 'ACTUALIZADO', actionText: 'actualizada', statusClass: 'pending' }
+  },
+  en: {
+    APROBADO: { statusText: 'APPROVED', actionText: 'approved', statusClass: 'approved' },
+    DESPACHADO: { statusText: 'DISPATCHED', actionText: 'dispatched', statusClass: 'dispatched' },
+    RECHAZADO: { statusText: 'REJECTED', actionText: 'rejected', statusClass: 'rejected' },
+    REVISION: { statusText: 'NEEDS REVISION', actionText: 'sent back for revision', statusClass: 'revision' },
+    DEFAULT: { statusText: 'UPDATED', actionText: 'updated', statusClass: 'pending' }
+  }
+};
+
+const NOTIFICATION_TEXT = {
+  es: {
+    dateLocale: 'es-PE',
+    entrySubject: (orderNo, statusText) => `Orden de Ingreso ${orderNo} - ${statusText}`,
+    dispatchSubject: (orderNo, statusText) => `Orden de Despacho ${orderNo} - ${statusText}`,
+    qualitySubject: (orderNo, status) => `Cambio de Estado de Calidad - ${orderNo} - ${status}`,
+    qualityTitle: 'Cambio de Estado de Calidad',
+    qualityMessage: (quantity, product, fromStatus, toStatus) =>
+      `${quantity} unidades de ${product} pasaron de ${fromStatus} a ${toStatus}.`,
+    billingSubject: (runNumber) => `Liquidación de Servicios ${runNumber} - Aprobada`,
+    billingTitle: 'Liquidación de Servicios Aprobada',
+    billingMessage: (runNumber) => `La liquidación ${runNumber} ha sido aprobada.`,
+    labels: {
+      entryOrder: 'Orden de Ingreso', product: 'Producto', lot: 'Lote', quantity: 'Cantidad',
+      reason: 'Motivo', runNumber: 'Número de Liquidación', period: 'Periodo', total: 'Total'
+    },
+    greeting: 'Estimado/a',
+    comments: 'Comentarios',
+    viewDetails: 'Ver Detalle',
+    questions: 'Si tiene preguntas, contáctenos en:',
+    rights: 'Todos los derechos reservados.'
+  },
+  en: {
+    dateLocale: 'en-US',
+    entrySubject: (orderNo, statusText) => `Entry Order ${orderNo} - ${statusText}`,
+    dispatchSubject: (orderNo, statusText) => `Dispatch Order ${orderNo} - ${statusText}`,
+    qualitySubject: (orderNo, status) => `Quality Status Change - ${orderNo} - ${status}`,
+    qualityTitle: 'Quality Status Change',
+    qualityMessage: (quantity, product, fromStatus, toStatus) =>
+      `${quantity} units of ${product} moved from ${fromStatus} to ${toStatus}.`,
+    billingSubject: (runNumber) => `Billing Run ${runNumber} - Approved`,
+    billingTitle: 'Billing Run Approved',
+    billingMessage: (runNumber) => `Billing run ${runNumber} has been approved.`,
+    labels: {
+      entryOrder: 'Entry Order', product: 'Product', lot: 'Lot', quantity: 'Quantity',
+      reason: 'Reason', runNumber: 'Run Number', period: 'Period', total: 'Total'
+    },
+    greeting: 'Dear',
+    comments: 'Comments',
+    viewDetails: 'View Details',
+    questions: 'If you have any questions, contact us at:',
+    rights: 'All rights reserved.'
+  }
+};
+
+function getNotificationText(language) {
+  return NOTIFICATION_TEXT[language] || NOTIFICATION_TEXT.es;
+}
+
+function getOrderStatusText(status, language) {
+  const statuses = ORDER_STATUS_TEXT[language] || ORDER_STATUS_TEXT.es;
+  return statuses[status] || statuses.DEFAULT;
+}
+
 /**
  * Email Service for TSLogix
  * Handles all email communications including client onboarding notifications
@@ -67,9 +139,20 @@ class EmailService {
   /**
    * Load and compile email template
    * @param {string} templateName - Name of the template file (without .hbs extension)
+   * @param {string} [language] - Uses `<templateName>.<language>.hbs` when it exists (default templates are Spanish)
    * @returns {Function} Compiled handlebars template
    */
-  async loadTemplate(templateName) {
+  async loadTemplate(templateName, language = 'es') {
+    if (language && language !== 'es') {
+      const localizedName = `${templateName}.${language}`;
+      const localizedPath = path.join(__dirname, '../templates/email', `${localizedName}.hbs`);
+      const exists = this.templatesCache.has(localizedName) ||
+        await fs.access(localizedPath).then(() => true, () => false);
+      if (exists) {
+        return this.loadTemplate(localizedName);
+      }
+    }
+
     try {
       // Check cache first
       if (this.templatesCache.has(templateName)) {
@@ -108,9 +191,10 @@ class EmailService {
    * @param {string} options.template - Template name
    * @param {Object} options.data - Template data
    * @param {string} [options.from] - Sender email (optional)
+   * @param {string} [options.language] - Template language (es / en)
    * @returns {Promise<Object>} Email send result
    */
-  async sendTemplatedEmail({ to, subject, template, data, from }) {
+  async sendTemplatedEmail({ to, subject, template, data, from, language = 'es' }) {
     try {
       if (!this.transporter) {
         console.warn('📧 Email service not configured. Email not sent.');
@@ -118,7 +202,7 @@ class EmailService {
       }
 
       // Load and compile template
-      const compiledTemplate = await this.loadTemplate(template);
+      const compiledTemplate = await this.loadTemplate(template, language);
       const htmlContent = compiledTemplate(data);
 
       // Prepare email options
@@ -203,9 +287,10 @@ class EmailService {
    * Send password reset email
    * @param {Object} userData - User information
    * @param {string} resetToken - Password reset token
+   * @param {string} [expiryTime] - Human-readable token validity shown in the email
    * @returns {Promise<Object>} Email send result
    */
-  async sendPasswordResetEmail(userData, resetToken) {
+  async sendPasswordResetEmail(userData, resetToken, expiryTime = '24 horas') {
     try {
       const subject = 'TSLogix - Restablecimiento de Contraseña';
       const resetUrl = `${process.env.FRONTEND_URL || 'http://localhost:7072'}/reset-password?token=${resetToken}`;
@@ -213,7 +298,7 @@ class EmailService {
       const templateData = {
         userName: userData.first_name || 'Usuario',
         resetUrl,
-        expiryTime: '24 horas',
+        expiryTime,
         supportEmail: process.env.SUPPORT_EMAIL || 'support@tslogix.com',
         companyName: 'TSLogix',
         currentYear: new Date().getFullYear(),
@@ -295,47 +380,25 @@ class EmailService {
    * @param {string} status - Order status (APROBADO, RECHAZADO, REVISION, etc.)
    * @param {string} comments - Admin comments
    * @param {Object} reviewerData - Reviewer information
+   * @param {Object} [recipient] - { email, language } from the client's notification contacts
    * @returns {Promise<Object>} Email send result
    */
-  async sendEntryOrderNotification(entryOrderData, clientData, status, comments = '', reviewerData = null) {
+  async sendEntryOrderNotification(entryOrderData, clientData, status, comments = '', reviewerData = null, recipient = null) {
     try {
       const clientName = clientData.client_type === 'JURIDICO'
         ? clientData.company_name
         : `${clientData.first_names} ${clientData.last_name}`;
 
-      // Determine status text and action
-      let statusText = '';
-      let actionText = '';
-      let statusClass = '';
-
-      switch (status) {
-        case 'APROBADO':
-          statusText = 'APROBADO';
-          actionText = 'aprobada';
-          statusClass = 'approved';
-          break;
-        case 'RECHAZADO':
-          statusText = 'RECHAZADO';
-          actionText = 'rechazada';
-          statusClass = 'rejected';
-          break;
-        case 'REVISION':
-          statusText = 'REQUIERE REVISIÓN';
-          actionText = 'marcada para revisión';
-          statusClass = 'revision';
-          break;
-        default:
-          statusText = 'ACTUALIZADO';
-          actionText = 'actualizada';
-          statusClass = 'pending';
-      }
+      const language = recipient?.language || 'es';
+      const text = getNotificationText(language);
+      const { statusText, actionText, statusClass } = getOrderStatusText(status, language);
 
-      const subject = `Orden de Ingreso ${entryOrderData.entry_order_no} - ${statusText}`;
+      const subject = text.entrySubject(entryOrderData.entry_order_no, statusText);
 
       const templateData = {
         clientName,
         entryOrderNo: entryOrderData.entry_order_no,
-        registrationDate: new Date(entryOrderData.registration_date).toLocaleDateString('es-PE'),
+        registrationDate: new Date(entryOrderData.registration_date).toLocaleDateString(text.dateLocale),
         supplierName: entryOrderData.supplier_name || 'N/A',
         totalProducts: entryOrderData.total_products || 0,
         totalQuantity: entryOrderData.total_quantity || 0,
@@ -345,7 +408,7 @@ class EmailService {
         statusClass,
         comments: comments || null,
         reviewedBy: reviewerData ? `${reviewerData.first_name} ${reviewerData.last_name}` : null,
-        reviewedAt: reviewerData ? new Date().toLocaleDateString('es-PE') : null,
+        reviewedAt: reviewerData ? new Date().toLocaleDateString(text.dateLocale) : null,
         isApproved: status === 'APROBADO',
         isRejected: status === 'RECHAZADO',
         needsRevision: status === 'REVISION',
@@ -356,10 +419,11 @@ class EmailService {
       };
 
       return await this.sendTemplatedEmail({
-        to: clientData.email,
+        to: recipient?.email || clientData.email,
         subject,
         template: 'entry-order-notification',
-        data: templateData
+        data: templateData,
+        language
       });
 
     } catch (error) {
@@ -375,52 +439,25 @@ class EmailService {
    * @param {string} status - Order status (APROBADO, RECHAZADO, DESPACHADO, etc.)
    * @param {string} comments - Admin comments
    * @param {Object} reviewerData - Reviewer information
+   * @param {Object} [recipient] - { email, language } from the client's notification contacts
    * @returns {Promise<Object>} Email send result
    */
-  async sendDispatchOrderNotification(departureOrderData, clientData, status, comments = '', reviewerData = null) {
+  async sendDispatchOrderNotification(departureOrderData, clientData, status, comments = '', reviewerData = null, recipient = null) {
     try {
       const clientName = clientData.client_type === 'JURIDICO'
         ? clientData.company_name
         : `${clientData.first_names} ${clientData.last_name}`;
 
-      // Determine status text and action
-      let statusText = '';
-      let actionText = '';
-      let statusClass = '';
-
-      switch (status) {
-        case 'APROBADO':
-          statusText = 'APROBADO';
-          actionText = 'aprobada';
-          statusClass = 'approved';
-          break;
-        case 'DESPACHADO':
-          statusText = 'DESPACHADO';
-          actionText = 'despachada';
-          statusClass = 'dispatched';
-          break;
-        case 'RECHAZADO':
-          statusText = 'RECHAZADO';
-          actionText = 'rechazada';
-          statusClass = 'rejected';
-          break;
-        case 'REVISION':
-          statusText = 'REQUIERE REVISIÓN';
-          actionText = 'marcada para revisión';
-          statusClass = 'revision';
-          break;
-        default:
-          statusText = 'ACTUALIZADO';
-          actionText = 'actualizada';
-          statusClass = 'pending';
-      }
+      const language = recipient?.language || 'es';
+      const text = getNotificationText(language);
+      const { statusText, actionText, statusClass } = getOrderStatusText(status, language);
 
-      const subject = `Orden de Despacho ${departureOrderData.departure_order_no} - ${statusText}`;
+      const subject = text.dispatchSubject(departureOrderData.departure_order_no, statusText);
 
       const templateData = {
         clientName,
         departureOrderNo: departureOrderData.departure_order_no,
-        createdDate: new Date(departureOrderData.created_at).toLocaleDateString('es-PE'),
+        createdDate: new Date(departureOrderData.created_at).toLocaleDateString(text.dateLocale),
         destination: departureOrderData.destination || departureOrderData.arrival_point || null,
         totalProducts: departureOrderData.total_products || 0,
         totalQuantity: departureOrderData.total_quantity || 0,
@@ -430,12 +467,12 @@ class EmailService {
         statusClass,
         comments: comments || null,
         reviewedBy: reviewerData ? `${reviewerData.first_name} ${reviewerData.last_name}` : null,
-        reviewedAt: reviewerData ? new Date().toLocaleDateString('es-PE') : null,
+        reviewedAt: reviewerData ? new Date().toLocaleDateString(text.dateLocale) : null,
         isApproved: status === 'APROBADO',
         isDispatched: status === 'DESPACHADO',
         isRejected: status === 'RECHAZADO',
         needsRevision: status === 'REVISION',
-        dispatchDate: departureOrderData.dispatch_date ? new Date(departureOrderData.dispatch_date).toLocaleDateString('es-PE') : null,
+        dispatchDate: departureOrderData.dispatch_date ? new Date(departureOrderData.dispatch_date).toLocaleDateString(text.dateLocale) : null,
         transportType: departureOrderData.transport_type || null,
         driverName: departureOrderData.driver_name || null,
         vehiclePlate: departureOrderData.vehicle_plate || null,
@@ -447,10 +484,11 @@ class EmailService {
       };
 
       return await this.sendTemplatedEmail({
-        to: clientData.email,
+        to: recipient?.email || clientData.email,
         subject,
         template: 'dispatch-order-notification',
-        data: templateData
+        data: templateData,
+        language
       });
 
     } catch (error) {
@@ -459,6 +497,112 @@ class EmailService {
     }
   }
 
+  /**
+   * Send a generic client event email (title, message and detail rows)
+   * @param {Object} recipient - { email, language }
+   * @param {Object} content - { subject, title, clientName, message, details, comments, actionUrl }
+   * @returns {Promise<Object>} Email send result
+   */
+  async sendClientEventEmail(recipient, { subject, title, clientName, message, details = [], comments = null, actionUrl = null }) {
+    const text = getNotificationText(recipient.language);
+
+    return await this.sendTemplatedEmail({
+      to: recipient.email,
+      subject,
+      template: 'client-event-notification',
+      language: recipient.language,
+      data: {
+        title,
+        greeting: text.greeting,
+        clientName,
+        message,
+        details: details.filter(detail => detail.value !== null && detail.value !== undefined && detail.value !== ''),
+        commentsLabel: text.comments,
+        comments,
+        actionUrl,
+        actionLabel: text.viewDetails,
+        questionsText: text.questions,
+        rightsText: text.rights,
+        supportEmail: process.env.SUPPORT_EMAIL || 'support@tslogix.com',
+        currentYear: new Date().getFullYear(),
+      }
+    });
+  }
+
+  /**
+   * Send quality status change notification email
+   * @param {Object} transitionData - { entry_order_no, entry_order_id, product_name, lot_series, quantity, from_status, to_status, reason }
+   * @param {Object} clientData - Client information
+   * @param {Object} recipient - { email, language } from the client's notification contacts
+   * @returns {Promise<Object>} Email send result
+   */
+  async sendQualityStatusNotification(transitionData, clientData, recipient) {
+    try {
+      const text = getNotificationText(recipient.language);
+      const clientName = clientData.client_type === 'JURIDICO'
+        ? clientData.company_name
+        : `${clientData.first_names} ${clientData.last_name}`;
+
+      return await this.sendClientEventEmail(recipient, {
+        subject: text.qualitySubject(transitionData.entry_order_no, transitionData.to_status),
+        title: text.qualityTitle,
+        clientName,
+        message: text.qualityMessage(
+          transitionData.quantity,
+          transitionData.product_name,
+          transitionData.from_status,
+          transitionData.to_status
+        ),
+        details: [
+          { label: text.labels.entryOrder, value: transitionData.entry_order_no },
+          { label: text.labels.product, value: transitionData.product_name },
+          { label: text.labels.lot, value: transitionData.lot_series },
+          { label: text.labels.quantity, value: transitionData.quantity },
+          { label: text.labels.reason, value: transitionData.reason }
+        ],
+        actionUrl: `${process.env.FRONTEND_URL || 'http://localhost:7072'}/processes/entry/${transitionData.entry_order_id}`
+      });
+
+    } catch (error) {
+      console.error('❌ Error sending quality status notification email:', error.message);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Send billing run approval notification email
+   * @param {Object} runData - { run_id, run_number, period_start, period_end, total_amount, currency, comments }
+   * @param {Object} clientData - Client information
+   * @param {Object} recipient - { email, language } from the client's notification contacts
+   * @returns {Promise<Object>} Email send result
+   */
+  async sendBillingRunNotification(runData, clientData, recipient) {
+    try {
+      const text = getNotificationText(recipient.language);
+      const clientName = clientData.client_type === 'JURIDICO'
+        ? clientData.company_name
+        : `${clientData.first_names} ${clientData.last_name}`;
+      const formatDate = (date) => new Date(date).toLocaleDateString(text.dateLocale);
+
+      return await this.sendClientEventEmail(recipient, {
+        subject: text.billingSubject(runData.run_number),
+        title: text.billingTitle,
+        clientName,
+        message: text.billingMessage(runData.run_number),
+        details: [
+          { label: text.labels.runNumber, value: runData.run_number },
+          { label: text.labels.period, value: `${formatDate(runData.period_start)} - ${formatDate(runData.period_end)}` },
+          { label: text.labels.total, value: `${runData.currency} ${Number(runData.total_amount).toFixed(2)}` }
+        ],
+        comments: runData.comments || null
+      });
+
+    } catch (error) {
+      console.error('❌ Error sending billing run notification email:', error.message);
+      return { success: false, error: error.message };
+    }
+  }
+
   /**
    * Send warehouse alert for new entry order
    * @param {Object} entryOrderData - Entry order information
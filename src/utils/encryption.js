@@ -0,0 +1,54 @@
+const crypto = require("crypto");
+require("dotenv").config();
+
+/**
+ * Symmetric encryption for sensitive values stored in the database
+ * (AES-256-GCM). The key is derived from DATA_ENCRYPTION_KEY.
+ */
+
+const ALGORITHM = "aes-256-gcm";
+const IV_LENGTH = 12;
+
+function getKey() {
+  const secret = process.env.DATA_ENCRYPTION_KEY || process.env.JWT_SECRET || "your_secret_key";
+  return crypto.createHash("sha256").update(secret).digest();
+}
+
+/**
+ * Encrypt a string
+ * @param {string} plainText - Value to encrypt
+ * @returns {string} `iv:authTag:cipherText`, each part base64-encoded
+ */
+function encrypt(plainText) {
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv(ALGORITHM, getKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(String(plainText), "utf8"), cipher.final()]);
+  const authTag = cipher.getAuthTag();
+
+  return [iv.toString("base64"), authTag.toString("base64"), encrypted.toString("base64")].join(":");
+}
+
+/**
+ * Decrypt a value produced by `encrypt`
+ * @param {string} payload - `iv:authTag:cipherText`
+ * @returns {string} Decrypted value
+ */
+function decrypt(payload) {
+  const [iv, authTag, encrypted] = String(payload).split(":");
+  if (!iv || !authTag || !encrypted) {
+    throw new Error("Invalid encrypted payload");
+  }
+
+  const decipher = crypto.createDecipheriv(ALGORITHM, getKey(), Buffer.from(iv, "base64"));
+  decipher.setAuthTag(Buffer.from(authTag, "base64"));
+
+  return Buffer.concat([
+    decipher.update(Buffer.from(encrypted, "base64")),
+    decipher.final(),
+  ]).toString("utf8");
+}
+
+module.exports = {
+  encrypt,
+  decrypt,
+};
@@ -0,0 +1,151 @@
+const crypto = require("crypto");
+
+/**
+ * TOTP (RFC 6238) helpers for two-factor authentication.
+ * Compatible with Google Authenticator, Microsoft Authenticator, Authy, etc.
+ */
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+const TIME_STEP_SECONDS = 30;
+const CODE_DIGITS = 6;
+
+/**
+ * Encode a buffer as RFC 4648 base32 (no padding)
+ * @param {Buffer} buffer - Bytes to encode
+ * @returns {string} Base32 string
+ */
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = "";
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+}
+
+/**
+ * Decode an RFC 4648 base32 string (padding and spaces are ignored)
+ * @param {string} input - Base32 string
+ * @returns {Buffer} Decoded bytes
+ */
+function base32Decode(input) {
+  const cleaned = input.toUpperCase().replace(/[\s=]/g, "");
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error(`Invalid base32 character: ${char}`);
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+}
+
+/**
+ * Generate a new random TOTP secret
+ * @returns {string} Base32-encoded 160-bit secret
+ */
+function generateSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+/**
+ * Current time step (counter) for a given timestamp
+ * @param {number} [timestamp] - Milliseconds since epoch
+ * @returns {number} Time step
+ */
+function getTimeStep(timestamp = Date.now()) {
+  return Math.floor(timestamp / 1000 / TIME_STEP_SECONDS);
+}
+
+/**
+ * Generate the TOTP code for a time step
+ * @param {string} secret - Base32 secret
+ * @param {number} timeStep - Counter value
+ * @returns {string} Zero-padded numeric code
+ */
+function generateCode(secret, timeStep = getTimeStep()) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(timeStep));
+
+  const hmac = crypto.createHmac("sha1", base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary =
+    ((hmac[offset] & 0x7f) << 24) |
+    ((hmac[offset + 1] & 0xff) << 16) |
+    ((hmac[offset + 2] & 0xff) << 8) |
+    (hmac[offset + 3] & 0xff);
+
+  return String(binary % 10 ** CODE_DIGITS).padStart(CODE_DIGITS, "0");
+}
+
+/**
+ * Verify a code, allowing for clock drift of `window` steps either side
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code entered by the user
+ * @param {number} [window] - Accepted drift in time steps
+ * @returns {number|null} Matching time step, or null when the code is invalid
+ */
+function verifyCode(secret, code, window = 1) {
+  const normalized = String(code || "").replace(/\s/g, "");
+  if (!/^\d{6}$/.test(normalized)) return null;
+
+  const currentStep = getTimeStep();
+  for (let drift = -window; drift <= window; drift++) {
+    const candidate = generateCode(secret, currentStep + drift);
+    if (crypto.timingSafeEqual(Buffer.from(candidate), Buffer.from(normalized))) {
+      return currentStep + drift;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Build the otpauth:// URI that authenticator apps import (usually as a QR code)
+ * @param {string} secret - Base32 secret
+ * @param {string} accountName - Account label shown in the app
+ * @param {string} [issuer] - Issuer label shown in the app
+ * @returns {string} otpauth URI
+ */
+function buildOtpauthUrl(secret, accountName, issuer = "TSLogix") {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: "SHA1",
+    digits: String(CODE_DIGITS),
+    period: String(TIME_STEP_SECONDS),
+  });
+
+  return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+module.exports = {
+  generateSecret,
+  generateCode,
+  verifyCode,
+  getTimeStep,
+  buildOtpauthUrl,
+};